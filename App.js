@@ -1,4 +1,4 @@
-import React, { useState, useCallback, useMemo, useRef } from "react";
+import React, { useState, useCallback, useMemo, useRef, useEffect } from "react";
 import {
   StyleSheet,
   View,
@@ -10,7 +10,43 @@ import {
   Alert,
   Dimensions,
   Platform,
+  AppState,
+  Linking,
 } from "react-native";
+import { loadState, saveTopics, saveSession, saveSelection, saveLearning, saveHistory, saveImages, saveAnnotations, saveBlueprints, saveSync } from "./utils/storage";
+import { assignQuestionIds, makeId, libraryQuestionIds, questionsToRows, isImageOnlyOption } from "./utils/questions";
+import { DEFAULT_SESSION_CONFIG, buildSession, shuffleArray } from "./utils/session";
+import { describeShortfall, generatePaper, sectionIndexOf } from "./utils/blueprints";
+import { PACE_LEVELS, paceLevel, paceTarget, pacingStats } from "./utils/pacing";
+import { collectPackPart, decodeTopicPack, parsePackPart } from "./utils/packs";
+import { EMPTY_SYNC_META, SYNC_COLLECTIONS, httpTransport, rebaseOnSync, syncOnce } from "./utils/sync";
+import { EMPTY_FILTERS, FILTER_FIELDS, difficultyLabel, filterOptions, groupTopicsBySubject, hasActiveFilters, matchesFilters, matchesQuery } from "./utils/metadata";
+import { isBundleName, readBundle, extractImages, imageSource, inlineImages, pruneImages } from "./utils/images";
+import { buildLibraryBackup, buildTopicBackup, parseBackup } from "./utils/backup";
+import { bookmarksTopic, isBookmarked, noteFor, setNote, toggleBookmark } from "./utils/annotations";
+import { saveTextFile, safeFileName } from "./utils/files";
+import { confirmAction } from "./utils/confirm";
+import { buildSessionRecord, MAX_HISTORY } from "./utils/analytics";
+import AnalyticsScreen from "./components /AnalyticsScreen";
+import TopicEditor from "./components /TopicEditor";
+import RichText from "./components /RichText";
+import QuestionImage from "./components /QuestionImage";
+import SessionBuilder from "./components /SessionBuilder";
+import SearchScreen from "./components /SearchScreen";
+import ReviewScreen from "./components /ReviewScreen";
+import Calculator from "./components /Calculator";
+import BlueprintScreen from "./components /BlueprintScreen";
+import TopicPackModal from "./components /TopicPackModal";
+import PackScanner from "./components /PackScanner";
+import { REVIEW_FILTERS, buildReviewReport, filterReviewItems, reviewItems } from "./utils/review";
+import { IMPORT_MODES, planImport, mergeTopicQuestions } from "./utils/merge";
+import { reviewCard, isDue, dueQuestions } from "./utils/scheduler";
+import { parseCSV, toCSV } from "./utils/csv";
+import { scoreSession, formatMarks } from "./utils/scoring";
+import { formatClock, formatDuration } from "./utils/time";
+import { PALETTE_LEGEND, paletteCounts, paletteState, paletteStyle, isMarkedState } from "./utils/palette";
+import { checkAnswer, correctOptionIndexes, isAnswered, isCorrectOption, natAnswerLabel, questionType } from "./utils/answers";
+import { isSpreadsheetName, readWorkbook, sheetToQuestions, sheetToReport } from "./utils/workbook";
 
 // --- NATIVE FILE PICKER (Needed for Built Mobile Apps) ---
 // NOTE: This library is required for built Android/iOS apps to access the file system.
@@ -27,89 +63,17 @@ try {
 
 const { width } = Dimensions.get("window");
 
+const DEFAULT_MOCK_MINUTES = 180;
+const MAX_DUE_SESSION = 50;
+
 // Small icon placeholder (simple text)
 const Icon = ({ name, size = 20, color = "#fff", style = {} }) => (
   <Text style={[{ fontSize: size, color }, style]}>{name?.substring(0, 1) || "•"}</Text>
 );
 
-/* ----------------- CSV parsing ----------------- */
-const parseCSV = (csvText) => {
-  if (!csvText || csvText.length === 0) return [];
-  // FIX: The regular expression was unterminated (missing the closing '/').
-  const lines = csvText.trim().split(/\r?\n/);
-  if (lines.length === 0) return [];
-
-  const rawHeaders = lines[0].split(",");
-  const mapHeader = (header) => {
-    const h = header.trim().toLowerCase().replace(/[^a-z0-9]/g, "");
-    if (h.includes("optiona") || h.includes("option1")) return "option1";
-    if (h.includes("optionb") || h.includes("option2")) return "option2";
-    if (h.includes("optionc") || h.includes("option3")) return "option3";
-    if (h.includes("optiond") || h.includes("option4")) return "option4";
-    if (h.includes("question")) return "q";
-    if (h.includes("correctanswer") || h.includes("correct")) return "correct";
-    if (h.includes("explanation")) return "explanation";
-    return null;
-  };
-
-  const headerMap = rawHeaders.map(mapHeader);
-
-  const parseLine = (line) => {
-    // Regex to handle quoted CSV entries correctly
-    const matches = line.match(/(?:\"([^\"]*(?:\"\"[^\"]*)*)\")|([^,]+)/g);
-    if (!matches) return [];
-    return matches.map((match) => {
-      if (match.startsWith('"') && match.endsWith('"')) {
-        return match.substring(1, match.length - 1).replace(/""/g, '"').trim();
-      }
-      return match.trim();
-    });
-  };
-
-  const questions = [];
-  for (let i = 1; i < lines.length; i++) {
-    if (!lines[i].trim()) continue;
-    const values = parseLine(lines[i]);
-    if (values.length !== rawHeaders.length) {
-      console.warn(`Skipping line ${i + 1} due to mismatch in columns.`);
-      continue;
-    }
-    const question = {};
-    let options = [];
-    let hasQuestionText = false;
-    for (let j = 0; j < values.length; j++) {
-      const mappedKey = headerMap[j];
-      const value = values[j];
-      if (mappedKey === "q") {
-        question.q = value;
-        hasQuestionText = true;
-      } else if (mappedKey && mappedKey.startsWith("option")) {
-        options.push(value);
-      } else if (mappedKey === "correct") {
-        question.correct = value;
-      } else if (mappedKey === "explanation") {
-        question.explanation = value;
-      }
-    }
-    if (hasQuestionText && options.length >= 2 && question.correct) {
-      question.options = options;
-      questions.push(question);
-    }
-  }
-  return questions;
-};
-
-/* ----------------- Helper: shuffle ----------------- */
-const shuffleArray = (array) => {
-  const a = array.slice();
-  let currentIndex = a.length, randomIndex;
-  while (currentIndex !== 0) {
-    randomIndex = Math.floor(Math.random() * currentIndex);
-    currentIndex--;
-    [a[currentIndex], a[randomIndex]] = [a[randomIndex], a[currentIndex]];
-  }
-  return a;
-};
+// "A, C" style label for the correct option(s) of a question
+const correctOptionLabels = (question) =>
+  correctOptionIndexes(question).map(i => String.fromCharCode(65 + i)).join(", ");
 
 /* ----------------- Main App ----------------- */
 export default function App() {
@@ -126,10 +90,308 @@ export default function App() {
   const [message, setMessage] = useState("");
   const [selectedTopicIds, setSelectedTopicIds] = useState([]);
   const [openMenuId, setOpenMenuId] = useState(null); 
+  const [hydrated, setHydrated] = useState(false);
+  // Parsed Excel file awaiting import: { sheetNames, sheets }
+  const [workbook, setWorkbook] = useState(null);
+  const [selectedSheet, setSelectedSheet] = useState(null);
+  const [importAllSheets, setImportAllSheets] = useState(false);
+  // Timed mock exam: { startedAt, durationMs, deadline, submittedAt, autoSubmitted } or null for practice
+  const [mock, setMock] = useState(null);
+  const [mockMinutes, setMockMinutes] = useState(String(DEFAULT_MOCK_MINUTES));
+  const [now, setNow] = useState(Date.now());
+  // Jump To grid filter: null (all), "MARKED", or a single palette state
+  const [paletteFilter, setPaletteFilter] = useState(null);
+  // Spaced-repetition history: { [questionId]: card } (see utils/scheduler)
+  const [learning, setLearning] = useState({});
+  // Completed session records for analytics, oldest first (see utils/analytics)
+  const [history, setHistory] = useState([]);
+  // Identifies the running session so it is added to history exactly once
+  const [sessionId, setSessionId] = useState(null);
+  // Parsed JSON backup awaiting restore (see utils/backup)
+  const [pendingBackup, setPendingBackup] = useState(null);
+  // Topic open in the question editor (quizState "EDIT_TOPIC")
+  const [editingTopicId, setEditingTopicId] = useState(null);
+  // How an import treats a topic whose name already exists (see utils/merge)
+  const [importMode, setImportMode] = useState("merge");
+  // Inline rename in the topic list: { id, name }
+  const [renaming, setRenaming] = useState(null);
+  // Topic whose questions are being merged into another one
+  const [mergeSourceId, setMergeSourceId] = useState(null);
+  // Image store { "img:<hash>": dataUri } that question image refs point to (see utils/images)
+  const [images, setImages] = useState({});
+  // Images of a loaded zip bundle, by path, until its CSV is saved
+  const [bundleFiles, setBundleFiles] = useState(null);
+  // Random practice setup sheet, and the settings it was last started with
+  const [isBuilderOpen, setIsBuilderOpen] = useState(false);
+  const [sessionConfig, setSessionConfig] = useState(DEFAULT_SESSION_CONFIG);
+  // Topic list search and metadata filters (see utils/metadata)
+  const [topicQuery, setTopicQuery] = useState("");
+  const [topicFilters, setTopicFilters] = useState(EMPTY_FILTERS);
+  const [showTopicFilters, setShowTopicFilters] = useState(false);
+  // Library search (quizState "SEARCH"); kept so Back returns to the same results
+  const [searchQuery, setSearchQuery] = useState("");
+  // Bookmarks and notes by question id (see utils/annotations)
+  const [annotations, setAnnotations] = useState({});
+  // Note being edited on the practice screen: { id, text } or null
+  const [noteDraft, setNoteDraft] = useState(null);
+  // Floating virtual calculator on the practice / mock screen
+  const [isCalculatorOpen, setIsCalculatorOpen] = useState(false);
+  // The user's exam blueprints (built-ins live in utils/blueprints)
+  const [blueprints, setBlueprints] = useState([]);
+  // Sections of a generated paper: [{ name, start, count, marks }] or null
+  const [paperSections, setPaperSections] = useState(null);
+  // False while the app is in the background; question timers pause then
+  const [appActive, setAppActive] = useState(AppState.currentState !== "background");
+  // Topic shown as a shareable QR pack, and the pack scanner (see utils/packs)
+  const [sharingTopicId, setSharingTopicId] = useState(null);
+  const [isScannerOpen, setIsScannerOpen] = useState(false);
+  // Sync server settings and bookkeeping (see utils/sync), the URL/token being
+  // typed in before sync is turned on, and the outcome of the last sync
+  const [syncMeta, setSyncMeta] = useState(EMPTY_SYNC_META);
+  const [syncForm, setSyncForm] = useState({ serverUrl: "", token: "" });
+  const [isSyncing, setIsSyncing] = useState(false);
+  const [syncReport, setSyncReport] = useState(null);
   
   // Ref for the hidden HTML file input element (Web-only implementation)
   const fileInputRef = useRef(null); 
 
+  // --- PERSISTENCE ---
+  // Restore the library and any unfinished session once on launch.
+  useEffect(() => {
+    let cancelled = false;
+    loadState().then(state => {
+      if (cancelled) return;
+      setTopics(state.topics);
+      setSelectedTopicIds(state.selectedTopicIds);
+      setLearning(state.learning);
+      setHistory(state.history);
+      setImages(state.images || {});
+      setAnnotations(state.annotations || {});
+      setBlueprints(state.blueprints || []);
+      setSyncMeta({ ...EMPTY_SYNC_META, ...state.sync });
+      const session = state.session;
+      if (session && session.currentQuestions?.length > 0) {
+        setCurrentQuestions(session.currentQuestions);
+        setCurrentQuestionIndex(Math.min(session.currentQuestionIndex || 0, session.currentQuestions.length - 1));
+        setUserResponses(session.userResponses || {});
+        setMock(session.mock || null);
+        setSessionId(session.sessionId || null);
+        setPaperSections(session.sections || null);
+        if (["PRACTICE", "MOCK", "SUMMARY", "REVIEW"].includes(session.quizState)) setQuizState(session.quizState);
+      }
+    }).finally(() => { if (!cancelled) setHydrated(true); });
+    return () => { cancelled = true; };
+  }, []);
+
+  // Save slices as they change. Skipped until hydration so the empty initial
+  // state never overwrites what is on disk.
+  useEffect(() => {
+    if (!hydrated) return;
+    saveTopics(topics).then(saved => { if (!saved) setMessage("Could not save the question library: device storage may be full. Recent changes will be lost on restart."); });
+  }, [hydrated, topics]);
+  useEffect(() => { if (hydrated) saveSelection(selectedTopicIds); }, [hydrated, selectedTopicIds]);
+  useEffect(() => { if (hydrated) saveLearning(learning); }, [hydrated, learning]);
+  useEffect(() => { if (hydrated) saveHistory(history); }, [hydrated, history]);
+  useEffect(() => {
+    if (!hydrated) return;
+    saveImages(images).then(failed => {
+      if (failed.length) setMessage(`${failed.length} image${failed.length === 1 ? "" : "s"} could not be saved on this device (too large or storage full) and will be missing after a restart.`);
+    });
+  }, [hydrated, images]);
+  useEffect(() => { if (hydrated) saveAnnotations(annotations); }, [hydrated, annotations]);
+  useEffect(() => { if (hydrated) saveBlueprints(blueprints); }, [hydrated, blueprints]);
+  useEffect(() => { if (hydrated) saveSync(syncMeta); }, [hydrated, syncMeta]);
+  // Images of deleted or edited questions are dropped from the store.
+  useEffect(() => {
+    if (hydrated) setImages(prev => pruneImages(prev, topics, currentQuestions));
+  }, [hydrated, topics, currentQuestions]);
+  useEffect(() => {
+    if (!hydrated) return;
+    saveSession(currentQuestions.length > 0
+      ? { quizState, currentQuestions, currentQuestionIndex, userResponses, mock, sessionId, sections: paperSections }
+      : null);
+  }, [hydrated, quizState, currentQuestions, currentQuestionIndex, userResponses, mock, sessionId, paperSections]);
+
+  // --- QUESTION TIME ---
+  // The question on screen: { index, session, at } since when, or null.
+  const shownRef = useRef(null);
+  const sessionIdRef = useRef(sessionId);
+  sessionIdRef.current = sessionId;
+  // Adds the open stretch to its question's timeSpentMs. Finishing a session
+  // calls it before switching to SUMMARY, so the history record includes the
+  // last question's time. When the session itself has ended or been replaced
+  // the stretch is dropped: its responses are gone.
+  const closeStretch = useCallback(() => {
+    const open = shownRef.current;
+    shownRef.current = null;
+    if (!open || sessionIdRef.current !== open.session) return;
+    const spent = Date.now() - open.at;
+    setUserResponses(prev => ({
+      ...prev,
+      [open.index]: { ...prev[open.index], timeSpentMs: (prev[open.index]?.timeSpentMs || 0) + spent },
+    }));
+  }, []);
+
+  // --- MOCK EXAM TIMER ---
+  // The deadline is an absolute timestamp, so the countdown keeps running
+  // while the drawer is open, on the topic screen, or while the app is closed.
+  const submitMock = useCallback((autoSubmitted) => {
+    setMock(m => (m && !m.submittedAt ? { ...m, submittedAt: Date.now(), autoSubmitted } : m));
+    setIsDrawerOpen(false);
+    closeStretch();
+    setQuizState("SUMMARY");
+  }, [closeStretch]);
+
+  useEffect(() => {
+    if (!mock || mock.submittedAt) return;
+    const tick = () => {
+      const t = Date.now();
+      setNow(t);
+      if (t >= mock.deadline) submitMock(true);
+    };
+    tick();
+    const id = setInterval(tick, 1000);
+    return () => clearInterval(id);
+  }, [mock, submitMock]);
+
+  // --- LEARNING HISTORY ---
+  // Each question's first graded answer in a session is fed to the scheduler.
+  // Practice answers count immediately; mock answers only once submitted.
+  useEffect(() => {
+    const gradable = quizState === "PRACTICE" || (quizState === "SUMMARY" && (!mock || mock.submittedAt));
+    if (!gradable) return;
+    const pending = currentQuestions
+      .map((q, i) => [q, i])
+      .filter(([q, i]) => q.id && isAnswered(userResponses[i]) && !userResponses[i].recorded);
+    if (pending.length === 0) return;
+    const at = Date.now();
+    setLearning(prev => {
+      const next = { ...prev };
+      pending.forEach(([q, i]) => { next[q.id] = reviewCard(next[q.id], userResponses[i].isCorrect, at); });
+      return next;
+    });
+    setUserResponses(prev => {
+      const next = { ...prev };
+      pending.forEach(([, i]) => { next[i] = { ...next[i], recorded: true }; });
+      return next;
+    });
+  }, [quizState, mock, currentQuestions, userResponses]);
+
+  // Session history: the SUMMARY result is recorded once per session.
+  useEffect(() => {
+    if (quizState !== "SUMMARY" || !sessionId || currentQuestions.length === 0) return;
+    if (history.some(h => h.id === sessionId)) return;
+    const record = buildSessionRecord({
+      id: sessionId,
+      questions: currentQuestions,
+      responses: userResponses,
+      score: scoreSession(currentQuestions, userResponses),
+      mock,
+      topics,
+    });
+    setHistory(prev => [...prev, record].slice(-MAX_HISTORY));
+  }, [quizState, sessionId, currentQuestions, userResponses, mock, topics, history]);
+
+  // Palette: a question counts as visited as soon as it is shown.
+  useEffect(() => {
+    if (quizState !== "PRACTICE" && quizState !== "MOCK") return;
+    setUserResponses(prev => (prev[currentQuestionIndex]?.visited ? prev : {
+      ...prev,
+      [currentQuestionIndex]: { ...prev[currentQuestionIndex], visited: true },
+    }));
+  }, [quizState, currentQuestionIndex, currentQuestions]);
+
+  useEffect(() => {
+    const subscription = AppState.addEventListener("change", state => setAppActive(state === "active"));
+    return () => subscription.remove();
+  }, []);
+
+  // Accumulate time spent on each question while it is on screen, in practice
+  // and mocks alike (stretches are opened and closed in --- QUESTION TIME ---).
+  // Revisits add to it; backgrounding the app closes the current stretch and
+  // starts a new one on return.
+  useEffect(() => {
+    if ((quizState !== "PRACTICE" && quizState !== "MOCK") || !appActive) return;
+    shownRef.current = { index: currentQuestionIndex, session: sessionId, at: Date.now() };
+    return closeStretch;
+  }, [quizState, currentQuestionIndex, appActive, sessionId, closeStretch]);
+
+  // Practice has no countdown; tick anyway so the pace indicator stays live.
+  useEffect(() => {
+    if (quizState !== "PRACTICE" || !appActive) return;
+    const id = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(id);
+  }, [quizState, appActive]);
+
+
+  // --- SYNC ---
+  // Optional sync with a self-hosted server (server/). It only runs on the
+  // topic screen, so a session in progress never changes underneath the user:
+  // on launch, when the app comes back to the foreground, on returning to the
+  // topic list, and on "Sync now".
+  const library = { topics, learning, history, annotations, blueprints, images };
+  const libraryRef = useRef(library);
+  libraryRef.current = library;
+  const syncingRef = useRef(false);
+
+  const sameServer = (a, b) => a.serverUrl === b.serverUrl && a.token === b.token;
+
+  const runSync = async (meta, { quiet = false } = {}) => {
+    if (!meta.serverUrl || syncingRef.current) return;
+    syncingRef.current = true;
+    setIsSyncing(true);
+    const before = libraryRef.current;
+    try {
+      const result = await syncOnce({ state: before, meta, transport: httpTransport(meta) });
+      // Anything changed locally while the request was out is put on top of
+      // the result and goes out with the next sync. The result's meta is kept
+      // either way: the server already has what was pushed.
+      const current = libraryRef.current;
+      const changedMeanwhile = SYNC_COLLECTIONS.some(c => current[c] !== before[c]);
+      const next = changedMeanwhile ? rebaseOnSync(before, current, result.state) : result.state;
+      setTopics(next.topics);
+      setLearning(next.learning);
+      setHistory(next.history.slice(-MAX_HISTORY));
+      setAnnotations(next.annotations);
+      setBlueprints(next.blueprints);
+      setImages(next.images);
+      // Sync turned off or pointed elsewhere while the request was out: the
+      // new settings stay, and this result's bookkeeping is for a server
+      // they no longer name.
+      setSyncMeta(prev => (sameServer(prev, meta) ? result.meta : prev));
+      setSyncReport(result.report);
+      if (!quiet) {
+        const { pushed, pulled } = result.report;
+        setMessage((pushed || pulled ? `Synced: ${pushed} sent, ${pulled} received.` : "Already up to date.")
+          + (changedMeanwhile ? " Changes made while syncing go out with the next sync." : ""));
+        setTimeout(()=>setMessage(""), 3000);
+      }
+    } catch (err) {
+      setSyncMeta(prev => (sameServer(prev, meta) ? { ...prev, lastError: err.message } : prev));
+      if (!quiet) setMessage(err.message);
+    } finally {
+      syncingRef.current = false;
+      setIsSyncing(false);
+    }
+  };
+
+  useEffect(() => {
+    if (hydrated && appActive && quizState === "TOPIC_SELECT" && syncMeta.serverUrl) runSync(syncMeta, { quiet: true });
+  }, [hydrated, appActive, quizState, syncMeta.serverUrl]);
+
+  const turnOnSync = () => {
+    const serverUrl = syncForm.serverUrl.trim();
+    if (!/^https?:\/\//i.test(serverUrl)) { setMessage("Enter the server address, starting with http:// or https://"); return; }
+    // Setting the URL starts the first sync through the effect above.
+    setSyncMeta({ ...EMPTY_SYNC_META, deviceId: syncMeta.deviceId, serverUrl, token: syncForm.token.trim() });
+  };
+
+  // Keeps the local library; only the link to the server is forgotten.
+  const turnOffSync = () => {
+    setSyncForm({ serverUrl: syncMeta.serverUrl, token: syncMeta.token });
+    setSyncMeta({ ...EMPTY_SYNC_META, deviceId: syncMeta.deviceId });
+    setSyncReport(null);
+  };
 
   // --- HANDLERS for File Selection ---
 
@@ -139,8 +401,8 @@ export default function App() {
     if (!file) return;
     
     const name = file.name.toLowerCase();
-    if (!name.match(/\.(csv|txt|xls|xlsx)$/)) {
-        setMessage("Invalid file type. Please select CSV, TXT, XLS, or XLSX.");
+    if (!name.match(/\.(csv|txt|xls|xlsx|json|zip)$/)) {
+        setMessage("Invalid file type. Please select CSV, TXT, XLS, XLSX, a ZIP bundle or a JSON backup.");
         event.target.value = null; 
         return;
     }
@@ -149,6 +411,27 @@ export default function App() {
     setNewTopicName(file.name.replace(/\.[^/.]+$/, "")); 
     const reader = new FileReader();
 
+    if (isBundleName(name)) {
+      reader.onload = (e) => loadBundleBytes(e.target.result, file.name);
+      reader.onerror = () => setMessage("Error reading file.");
+      reader.readAsArrayBuffer(file);
+      return;
+    }
+
+    if (isSpreadsheetName(name)) {
+      reader.onload = (e) => loadWorkbookBytes(e.target.result, file.name);
+      reader.onerror = () => setMessage("Error reading file.");
+      reader.readAsArrayBuffer(file);
+      return;
+    }
+
+    if (name.endsWith(".json")) {
+      reader.onload = (e) => loadBackupText(e.target.result, file.name);
+      reader.onerror = () => setMessage("Error reading file.");
+      reader.readAsText(file);
+      return;
+    }
+
     reader.onload = (e) => {
       const content = e.target.result;
       setCsvContent(content); 
@@ -163,6 +446,97 @@ export default function App() {
     reader.readAsText(file);
   };
   
+  // Parses spreadsheet bytes (either platform) and preselects the first sheet.
+  const loadWorkbookBytes = (bytes, name) => {
+    try {
+      const wb = readWorkbook(bytes);
+      if (wb.sheetNames.length === 0) throw new Error("Workbook has no sheets");
+      setWorkbook(wb);
+      setSelectedSheet(wb.sheetNames[0]);
+      setImportAllSheets(false);
+      setCsvContent("");
+      setMessage(`Workbook loaded: ${name} (${wb.sheetNames.length} sheet${wb.sheetNames.length === 1 ? "" : "s"}). Pick a sheet and save.`);
+      setTimeout(()=>setMessage(""), 4000);
+    } catch (err) {
+      console.error("Workbook Error:", err);
+      setWorkbook(null);
+      setFileName(null);
+      setMessage(`Could not read ${name} as an Excel workbook.`);
+    }
+  };
+
+  // Zip bundle: a CSV plus the images it names. The CSV goes through the
+  // normal import path; the images are attached when the topic is saved.
+  const loadBundleBytes = (bytes, name) => {
+    try {
+      const bundle = readBundle(bytes);
+      setCsvContent(bundle.csvText);
+      setBundleFiles(bundle.files);
+      const count = new Set(Object.values(bundle.files)).size;
+      setMessage(`Bundle loaded: ${name} (${bundle.csvName}, ${count} image${count === 1 ? "" : "s"}). Enter/confirm topic name and save.`);
+      setTimeout(()=>setMessage(""), 4000);
+    } catch (err) {
+      setBundleFiles(null);
+      setFileName(null);
+      setMessage(err.message);
+    }
+  };
+
+  // A received topic pack goes to the same preview as a topic bundle; the
+  // topic name field starts with its name and can change it before import.
+  const receivePack = (pack) => {
+    resetImportCard();
+    setPendingBackup({
+      scope: "topic",
+      pack: true,
+      exportedAt: null,
+      topics: [{ id: "pack", topicName: pack.topicName, questions: pack.questions }],
+      learning: {},
+      history: [],
+      images: {},
+      annotations: {},
+    });
+    setFileName(`${pack.topicName} (topic pack)`);
+    setNewTopicName(pack.topicName);
+    setIsScannerOpen(false);
+    setQuizState("TOPIC_SELECT");
+    setMessage(`Topic pack received: ${pack.topicName}.`
+      + (pack.skipped ? ` ${pack.skipped} invalid question${pack.skipped === 1 ? " was" : "s were"} left out.` : "")
+      + " Review and import below.");
+    setTimeout(()=>setMessage(""), 4000);
+  };
+
+  // Deep links (gatemcq://pack?d=…) open straight into the import preview,
+  // both when they launch the app and while it is running.
+  useEffect(() => {
+    if (!hydrated) return;
+    const openLink = (url) => {
+      const part = url && parsePackPart(url);
+      if (!part) return;
+      try {
+        receivePack(decodeTopicPack(collectPackPart(null, part)));
+      } catch (err) {
+        setMessage(err.message);
+      }
+    };
+    Linking.getInitialURL().then(openLink).catch(() => {});
+    const subscription = Linking.addEventListener("url", ({ url }) => openLink(url));
+    return () => subscription.remove();
+  }, [hydrated]);
+
+  // Validates a JSON backup and holds it for the restore preview.
+  const loadBackupText = (text, name) => {
+    try {
+      setPendingBackup(parseBackup(text));
+      setMessage(`Backup loaded: ${name}. Review and restore below.`);
+      setTimeout(()=>setMessage(""), 4000);
+    } catch (err) {
+      setPendingBackup(null);
+      setFileName(null);
+      setMessage(err.message);
+    }
+  };
+
   // 2. Native handler (via expo-document-picker)
   const handleNativeFileSelect = async () => {
     if (!DocumentPicker) {
@@ -172,7 +546,7 @@ export default function App() {
     setLoading(true);
     try {
         const result = await DocumentPicker.getDocumentAsync({
-            type: ['text/csv', 'text/plain', 'application/vnd.ms-excel', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'],
+            type: ['text/csv', 'text/plain', 'application/json', 'application/zip', 'application/vnd.ms-excel', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'],
             copyToCacheDirectory: true,
         });
 
@@ -182,7 +556,20 @@ export default function App() {
             // On native, we must read the file content from the URI
             if (Platform.OS === 'ios' || Platform.OS === 'android') {
                 // This is where the magic happens on native: fetch content from a URI
+                if (isSpreadsheetName(asset.name) || isBundleName(asset.name)) {
+                    const bytes = await fetch(asset.uri).then(res => res.arrayBuffer());
+                    setFileName(asset.name);
+                    setNewTopicName(asset.name.replace(/\.[^/.]+$/, ""));
+                    if (isBundleName(asset.name)) loadBundleBytes(bytes, asset.name);
+                    else loadWorkbookBytes(bytes, asset.name);
+                    return;
+                }
                 const content = await fetch(asset.uri).then(res => res.text());
+                if (/\.json$/i.test(asset.name)) {
+                    setFileName(asset.name);
+                    loadBackupText(content, asset.name);
+                    return;
+                }
                 setCsvContent(content);
                 setFileName(asset.name);
                 setNewTopicName(asset.name.replace(/\.[^/.]+$/, "")); 
@@ -206,6 +593,9 @@ export default function App() {
   const handleFileSelectPress = () => {
       setCsvContent("");
       setFileName(null);
+      setWorkbook(null);
+      setPendingBackup(null);
+      setBundleFiles(null);
       
       if (Platform.OS === 'web') {
           // Web: trigger the hidden HTML input
@@ -223,19 +613,56 @@ export default function App() {
   /**
    * Starts a practice session with the given list of questions.
    */
-  const startPractice = useCallback((questionsList) => {
+  const startPractice = useCallback((questionsList, startIndex = 0) => {
     if (!questionsList || questionsList.length === 0) {
       setMessage("No questions to practice.");
       return;
     }
-    const withIds = questionsList.map((q, i) => ({ ...q, id: `${i}-${Date.now()}` }));
-    setCurrentQuestions(withIds);
-    setCurrentQuestionIndex(0);
+    // Questions keep their library ids so answers feed the learning history.
+    setCurrentQuestions(assignQuestionIds(questionsList));
+    setCurrentQuestionIndex(Math.min(Math.max(0, startIndex), questionsList.length - 1));
     setUserResponses({});
+    setMock(null);
+    setPaperSections(null);
+    setSessionId(makeId("s"));
     setQuizState("PRACTICE");
     setIsDrawerOpen(false);
   }, []);
 
+  /**
+   * Starts a timed mock exam: no feedback until submission, auto-submitted
+   * when the countdown reaches zero. `sections` splits a generated paper
+   * into tabs (see utils/blueprints).
+   */
+  const startMock = (questionsList, minutes, sections = null) => {
+    if (!questionsList || questionsList.length === 0) {
+      setMessage("No questions for a mock exam.");
+      return;
+    }
+    const durationMs = Math.round(minutes * 60 * 1000);
+    const startedAt = Date.now();
+    setCurrentQuestions(assignQuestionIds(questionsList));
+    setCurrentQuestionIndex(0);
+    setUserResponses({});
+    setPaperSections(sections);
+    setSessionId(makeId("s"));
+    setMock({ startedAt, durationMs, deadline: startedAt + durationMs, submittedAt: null, autoSubmitted: false });
+    setNow(startedAt);
+    setQuizState("MOCK");
+    setIsDrawerOpen(false);
+  };
+
+  // Drops the current session (and its saved copy) once the user is done with it.
+  const endSession = () => {
+    setCurrentQuestions([]);
+    setCurrentQuestionIndex(0);
+    setUserResponses({});
+    setMock(null);
+    setPaperSections(null);
+    setSessionId(null);
+    setQuizState("TOPIC_SELECT");
+  };
+
   // Toggles topic selection for random practice
   const handleTopicToggle = (id) => {
     setSelectedTopicIds(prev =>
@@ -243,23 +670,198 @@ export default function App() {
     );
   };
 
+  const topicNameExists = (name, list = topics) =>
+    list.some(t => t.topicName.toLowerCase() === name.trim().toLowerCase());
+
+  const findTopicByName = (name, list = topics) =>
+    list.find(t => t.topicName.toLowerCase() === name.trim().toLowerCase());
+
+  const resetImportCard = () => {
+    setCsvContent("");
+    setNewTopicName("");
+    setFileName(null);
+    setWorkbook(null);
+    setSelectedSheet(null);
+    setImportAllSheets(false);
+    setPendingBackup(null);
+    setBundleFiles(null);
+  };
+
+  /**
+   * Saves parsed questions as topics: [{ name, questions }]. A name that is
+   * already taken is imported into that topic using importMode.
+   * Returns a summary line per entry.
+   */
+  const importIntoLibrary = (entries) => {
+    let next = topics;
+    let created = 0;
+    const lines = [];
+    const found = {};
+    entries.forEach(({ name, questions: parsed }, i) => {
+      // Image files and data URIs move into the image store first.
+      const extracted = extractImages(parsed, bundleFiles || {});
+      const questions = extracted.questions;
+      Object.assign(found, extracted.images);
+      const missing = extracted.missing.length ? ` (${extracted.missing.length} image${extracted.missing.length === 1 ? "" : "s"} not found)` : "";
+      const existing = findTopicByName(name, next);
+      const taken = libraryQuestionIds(next);
+      if (existing) {
+        const plan = planImport(existing.questions, questions, importMode, taken);
+        next = next.map(t => (t.id === existing.id ? { ...t, questions: plan.questions, updatedAt: Date.now() } : t));
+        lines.push(`Updated '${existing.topicName}': ${plan.added.length} added, ${plan.changed.length} changed` + (plan.removed.length ? `, ${plan.removed.length} removed` : "") + missing);
+        return;
+      }
+      // New topics go on top, in the order they were imported.
+      const topic = { id: `topic-${Date.now()}-${i}`, topicName: name.trim(), questions: assignQuestionIds(questions, taken), updatedAt: Date.now() };
+      next = [...next.slice(0, created), topic, ...next.slice(created)];
+      created += 1;
+      lines.push(`Saved '${topic.topicName}' (${questions.length} questions)` + missing);
+    });
+    setImages(prev => ({ ...prev, ...found }));
+    setTopics(next);
+    return lines;
+  };
+
+  // Excel import: one topic from the chosen sheet, or one topic per sheet.
+  const handleWorkbookImport = () => {
+    if (!importAllSheets) {
+      const parsed = sheetToQuestions(workbook, selectedSheet);
+      if (parsed.length === 0) { setMessage(`No valid questions parsed from sheet '${selectedSheet}'.`); return; }
+      const [line] = importIntoLibrary([{ name: newTopicName, questions: parsed }]);
+      resetImportCard();
+      setMessage(line);
+      setTimeout(()=>setMessage(""), 3000);
+      return;
+    }
+
+    const entries = [];
+    const skipped = [];
+    workbook.sheetNames.forEach(sheet => {
+      const parsed = sheetToQuestions(workbook, sheet);
+      if (parsed.length === 0) { skipped.push(`${sheet} (no questions)`); return; }
+      entries.push({ name: sheet, questions: parsed });
+    });
+    if (entries.length === 0) { setMessage(`No sheets imported. Skipped: ${skipped.join(", ")}`); return; }
+    const lines = importIntoLibrary(entries);
+    resetImportCard();
+    setMessage(lines.join("\n") + (skipped.length ? `\nSkipped: ${skipped.join(", ")}` : ""));
+    setTimeout(()=>setMessage(""), 5000);
+  };
+
   const handleImport = () => {
+    if (pendingBackup) { confirmRestore(); return; }
+    if (workbook) { handleWorkbookImport(); return; }
     if (!csvContent.trim()) { setMessage("Please select a file OR paste content."); return; }
     if (!newTopicName.trim()) { setMessage("Enter topic name."); return; }
-    const parsed = parseCSV(csvContent);
+    const report = parseCSV(csvContent);
+    if (report.error) { setMessage(report.error); return; }
+    const parsed = report.questions;
     if (parsed.length === 0) { setMessage("No valid questions parsed from content."); return; }
-    
-    if (topics.some(t => t.topicName.toLowerCase() === newTopicName.trim().toLowerCase())) {
-      setMessage("Topic with this name already exists.");
+
+    const [line] = importIntoLibrary([{ name: newTopicName, questions: parsed }]);
+    resetImportCard();
+    setMessage(line + (report.skipped.length ? `, skipped ${report.skipped.length} row${report.skipped.length === 1 ? "" : "s"}` : ""));
+    setTimeout(()=>setMessage(""), 3000);
+  };
+
+  // --- EXPORT / BACKUP ---
+  const handleExportTopic = async (topic, format) => {
+    setOpenMenuId(null);
+    try {
+      const base = safeFileName(topic.topicName);
+      const status = format === "csv"
+        ? await saveTextFile(`${base}.csv`, toCSV(questionsToRows(inlineImages(topic.questions, images))), "text/csv")
+        : await saveTextFile(`${base}.json`, JSON.stringify(buildTopicBackup(topic, { learning, history, images, annotations }), null, 2), "application/json");
+      setMessage(status);
+    } catch (err) {
+      console.error("Export Error:", err);
+      setMessage(err.message || "Export failed.");
+    }
+    setTimeout(()=>setMessage(""), 4000);
+  };
+
+  const handleBackupLibrary = async () => {
+    try {
+      const stamp = new Date().toISOString().slice(0, 10);
+      const backup = buildLibraryBackup({ topics, learning, history, images, annotations, blueprints });
+      setMessage(await saveTextFile(`gate-mcq-backup-${stamp}.json`, JSON.stringify(backup), "application/json"));
+    } catch (err) {
+      console.error("Backup Error:", err);
+      setMessage(err.message || "Backup failed.");
+    }
+    setTimeout(()=>setMessage(""), 4000);
+  };
+
+  // Library backups replace everything; topic bundles are added alongside
+  // existing topics and bring their question history with them.
+  const applyBackup = () => {
+    const backup = pendingBackup;
+    if (!backup) return;
+    if (backup.scope === "library") {
+      setTopics(backup.topics);
+      setLearning(backup.learning);
+      setHistory(backup.history);
+      setImages(backup.images);
+      setAnnotations(backup.annotations);
+      setBlueprints(backup.blueprints);
+      setSelectedTopicIds([]);
+      resetImportCard();
+      setMessage(`Restored ${backup.topics.length} topics from backup.`);
+      setTimeout(()=>setMessage(""), 4000);
       return;
     }
-    const newTopic = { id: `topic-${Date.now()}`, topicName: newTopicName.trim(), questions: parsed };
-    setTopics(prev => [newTopic, ...prev]);
-    setCsvContent("");
-    setNewTopicName("");
-    setFileName(null);
-    setMessage(`Saved '${newTopic.topicName}' (${parsed.length} questions)`);
-    setTimeout(()=>setMessage(""), 3000);
+    const topicsIn = backup.pack && newTopicName.trim() ? backup.topics.map(t => ({ ...t, topicName: newTopicName.trim() })) : backup.topics;
+    const incoming = topicsIn.filter(t => !topicNameExists(t.topicName));
+    if (incoming.length === 0) { setMessage("Topic with this name already exists."); return; }
+    const taken = libraryQuestionIds(topics);
+    // Keep ids (and so history) unless they clash with questions already here.
+    const added = incoming.map((t, i) => ({ ...t, id: `topic-${Date.now()}-${i}`, questions: assignQuestionIds(t.questions, taken), updatedAt: Date.now() }));
+    const keptIds = new Set(added.flatMap(t => t.questions.map(q => q.id)));
+    setTopics(prev => [...added, ...prev]);
+    setLearning(prev => ({ ...Object.fromEntries(Object.entries(backup.learning).filter(([id]) => keptIds.has(id))), ...prev }));
+    setImages(prev => ({ ...prev, ...backup.images }));
+    setAnnotations(prev => ({ ...Object.fromEntries(Object.entries(backup.annotations).filter(([id]) => keptIds.has(id))), ...prev }));
+    setHistory(prev => {
+      const known = new Set(prev.map(h => h.id));
+      return [...prev, ...backup.history.filter(h => !known.has(h.id))]
+        .sort((a, b) => a.completedAt - b.completedAt)
+        .slice(-MAX_HISTORY);
+    });
+    resetImportCard();
+    setMessage(`Imported ${added.map(t => `'${t.topicName}'`).join(", ")} with history.`);
+    setTimeout(()=>setMessage(""), 4000);
+  };
+
+  // Printable HTML report of the finished session (review screen)
+  const handleExportReview = async (filterKey) => {
+    try {
+      const completedAt = mock?.submittedAt || Date.now();
+      const html = buildReviewReport({
+        title: mock ? "Mock exam review" : "Practice session review",
+        items: filterReviewItems(reviewItems(currentQuestions, userResponses), filterKey),
+        score: scoreSession(currentQuestions, userResponses),
+        filterLabel: filterKey === "all" ? null : REVIEW_FILTERS.find(f => f.key === filterKey)?.label,
+        completedAt,
+        imageUri: ref => imageSource(ref, images)?.uri || null,
+      });
+      const stamp = new Date(completedAt).toISOString().slice(0, 10);
+      setMessage(await saveTextFile(`session-review-${stamp}.html`, html, "text/html"));
+    } catch (err) {
+      console.error("Report Error:", err);
+      setMessage(err.message || "Export failed.");
+    }
+    setTimeout(()=>setMessage(""), 4000);
+  };
+
+  const confirmRestore = () => {
+    if (pendingBackup?.scope !== "library") { applyBackup(); return; }
+    confirmAction({
+      title: "Restore backup",
+      message: "Replace ALL topics and progress on this device with the backup?",
+      confirmText: "Restore",
+      destructive: true,
+      onConfirm: applyBackup,
+    });
   };
 
   const handleDeleteTopic = (id, name) => {
@@ -273,40 +875,238 @@ export default function App() {
     ]);
   };
 
-  // FUNCTION: Starts random practice from selected topics
+  const startRename = (topic) => {
+    setOpenMenuId(null);
+    setRenaming({ id: topic.id, name: topic.topicName });
+  };
+
+  const saveRename = () => {
+    const name = renaming.name.trim();
+    if (!name) { setMessage("Enter topic name."); return; }
+    if (topicNameExists(name, topics.filter(t => t.id !== renaming.id))) { setMessage("Topic with this name already exists."); return; }
+    setTopics(prev => prev.map(t => (t.id === renaming.id ? { ...t, topicName: name, updatedAt: Date.now() } : t)));
+    setRenaming(null);
+  };
+
+  const startMerge = (id) => {
+    setOpenMenuId(null);
+    setMergeSourceId(id);
+  };
+
+  // Moves the source topic's questions into the target (skipping duplicates)
+  // and deletes the source. Moved questions keep their ids and history.
+  const mergeTopics = (sourceId, targetId) => {
+    const source = topics.find(t => t.id === sourceId);
+    const target = topics.find(t => t.id === targetId);
+    if (!source || !target) return;
+    const result = mergeTopicQuestions(target.questions, source.questions);
+    confirmAction({
+      title: "Merge topics",
+      message: `Move ${result.added.length} question${result.added.length === 1 ? "" : "s"} from '${source.topicName}' into '${target.topicName}' and delete '${source.topicName}'?` +
+        (result.duplicates.length ? ` ${result.duplicates.length} duplicate${result.duplicates.length === 1 ? "" : "s"} will be dropped.` : ""),
+      confirmText: "Merge",
+      onConfirm: () => {
+        setTopics(prev => prev
+          .filter(t => t.id !== sourceId)
+          .map(t => (t.id === targetId ? { ...t, questions: result.questions, updatedAt: Date.now() } : t)));
+        setSelectedTopicIds(prev => prev.filter(id => id !== sourceId));
+        setMergeSourceId(null);
+        setMessage(`Merged '${source.topicName}' into '${target.topicName}'.`);
+        setTimeout(()=>setMessage(""), 3000);
+      },
+    });
+  };
+
+  const handleEditTopic = (id) => {
+    setOpenMenuId(null);
+    setEditingTopicId(id);
+    setQuizState("EDIT_TOPIC");
+  };
+
+  // Edits keep question ids, so learning cards and history stay attached.
+  // updatedAt (here and wherever a topic or blueprint changes) decides which
+  // side wins when two devices edit it between syncs (see utils/sync).
+  const updateTopicQuestions = (id, questions) => {
+    setTopics(prev => prev.map(t => (t.id === id ? { ...t, questions, updatedAt: Date.now() } : t)));
+  };
+
+  // FUNCTION: Opens the session setup sheet for the selected topics
   const practiceRandomFromSelected = () => {
-    if (selectedTopicIds.length === 0) {
+    if (selectedTopics.length === 0) {
         setMessage("Please select at least one topic for random practice.");
         setTimeout(()=>setMessage(""), 3000);
         return;
     }
-    const selectedQuestions = topics
-        .filter(t => selectedTopicIds.includes(t.id))
-        .flatMap(t => t.questions);
+    setIsBuilderOpen(true);
+  };
 
-    const shuffledQuestions = shuffleArray(selectedQuestions);
-    startPractice(shuffledQuestions);
+  // Starts random practice with the settings from the setup sheet
+  const startBuiltSession = (config) => {
+    setSessionConfig(config);
+    setIsBuilderOpen(false);
+    startPractice(buildSession(selectedTopics, config, learning));
   };
 
+  // Starts a timed mock exam from the selected topics
+  const mockFromSelected = () => {
+    const minutes = parseFloat(mockMinutes);
+    if (!(minutes > 0)) {
+      setMessage("Enter the mock exam duration in minutes.");
+      setTimeout(()=>setMessage(""), 3000);
+      return;
+    }
+    const selectedQuestions = selectedTopics.flatMap(t => t.questions);
+    startMock(shuffleArray(selectedQuestions), minutes);
+  };
+
+  // Generates a paper from the whole library and starts it as a mock exam.
+  // Slots the library could not fill are reported; the paper runs without them.
+  const startPaper = (blueprint) => {
+    const paper = generatePaper(topics, blueprint);
+    if (paper.questions.length === 0) {
+      setMessage(`No questions in the library fit '${blueprint.name}'.`);
+      setTimeout(()=>setMessage(""), 4000);
+      return;
+    }
+    startMock(paper.questions, blueprint.minutes > 0 ? blueprint.minutes : DEFAULT_MOCK_MINUTES, paper.sections);
+    if (paper.shortfalls.length > 0) {
+      setMessage(`Paper is short of ${paper.shortfalls.reduce((n, f) => n + f.wanted - f.got, 0)} questions: ${paper.shortfalls.map(describeShortfall).join("; ")}`);
+      setTimeout(()=>setMessage(""), 6000);
+    }
+  };
+
+  const saveBlueprint = (draft) => {
+    const blueprint = { ...draft, updatedAt: Date.now() };
+    setBlueprints(prev => (prev.some(b => b.id === blueprint.id)
+      ? prev.map(b => (b.id === blueprint.id ? blueprint : b))
+      : [...prev, blueprint]));
+  };
+
+  const deleteBlueprint = (blueprint) => confirmAction({
+    title: "Delete blueprint",
+    message: `Delete '${blueprint.name}'? Papers already taken stay in your history.`,
+    confirmText: "Delete",
+    destructive: true,
+    onConfirm: () => setBlueprints(prev => prev.filter(b => b.id !== blueprint.id)),
+  });
+
+  const confirmSubmitMock = () => confirmAction({
+    title: "Submit exam",
+    message: "Submit the mock exam now? You cannot change answers afterwards.",
+    confirmText: "Submit",
+    destructive: true,
+    onConfirm: () => submitMock(false),
+  });
+
+
+  // Question count per sheet for the sheet chips; parsing a sheet is not cheap.
+  const sheetQuestionCounts = useMemo(
+    () => (workbook ? Object.fromEntries(workbook.sheetNames.map(sheet => [sheet, sheetToQuestions(workbook, sheet).length])) : {}),
+    [workbook]
+  );
+
+  // Live import diagnostics for the Import card (what "Save Topic" would do).
+  const importReport = useMemo(() => {
+    if (workbook) return importAllSheets ? null : sheetToReport(workbook, selectedSheet);
+    return csvContent.trim() ? parseCSV(csvContent) : null;
+  }, [workbook, selectedSheet, importAllSheets, csvContent]);
+
+  // Diff preview for imports into topics that already exist.
+  const importPreview = useMemo(() => {
+    let targets = [];
+    if (workbook && importAllSheets) {
+      targets = workbook.sheetNames.map(sheet => ({ name: sheet, questions: sheetToQuestions(workbook, sheet) }));
+    } else if (importReport && !importReport.error && newTopicName.trim()) {
+      targets = [{ name: newTopicName, questions: importReport.questions }];
+    }
+    return targets
+      .map(({ name, questions }) => {
+        const existing = findTopicByName(name);
+        if (!existing || questions.length === 0) return null;
+        const incoming = extractImages(questions, bundleFiles || {}).questions;
+        return { topicName: existing.topicName, plan: planImport(existing.questions, incoming, importMode) };
+      })
+      .filter(Boolean);
+  }, [workbook, importAllSheets, importReport, newTopicName, topics, importMode, bundleFiles]);
+
+  // Image file names in the pending import that neither the bundle nor the CSV provides.
+  const importMissingImages = useMemo(
+    () => (importReport && !importReport.error ? extractImages(importReport.questions, bundleFiles || {}).missing : []),
+    [importReport, bundleFiles]
+  );
+
+  // Bookmarked questions as a topic of their own (see utils/annotations)
+  const bookmarks = useMemo(() => bookmarksTopic(topics, annotations), [topics, annotations]);
+  // Ticked topics, Bookmarked included. When it is ticked along with a real
+  // topic, a bookmarked question is taken once, from Bookmarked.
+  const selectedTopics = useMemo(() => {
+    const real = topics.filter(t => selectedTopicIds.includes(t.id));
+    if (!bookmarks || !selectedTopicIds.includes(bookmarks.id)) return real;
+    const ids = new Set(bookmarks.questions.map(q => q.id));
+    return [bookmarks, ...real.map(t => ({ ...t, questions: t.questions.filter(q => !ids.has(q.id)) }))];
+  }, [topics, bookmarks, selectedTopicIds]);
+
+  const libraryFilterOptions = useMemo(
+    () => (quizState === "TOPIC_SELECT" ? filterOptions(topics.flatMap(t => t.questions)) : null),
+    [quizState, topics]
+  );
+  const isTopicFilterActive = topicQuery.trim() !== "" || hasActiveFilters(topicFilters);
+  // Topics grouped by subject; with a search or filter, each topic carries only
+  // its matching questions and topics without any are left out.
+  const topicGroups = useMemo(() => {
+    if (quizState !== "TOPIC_SELECT") return [];
+    return groupTopicsBySubject(topics)
+      .map(group => ({
+        ...group,
+        entries: group.topics
+          .map(topic => ({
+            topic,
+            matches: isTopicFilterActive
+              ? topic.questions.filter(q => matchesFilters(q, topicFilters) && matchesQuery(q, topicQuery, topic.topicName))
+              : topic.questions,
+          }))
+          .filter(e => e.matches.length > 0),
+      }))
+      .filter(group => group.entries.length > 0);
+  }, [quizState, topics, topicQuery, topicFilters, isTopicFilterActive]);
+  const matchingQuestions = useMemo(() => topicGroups.flatMap(g => g.entries.flatMap(e => e.matches)), [topicGroups]);
+
+  const toggleTopicFilter = (key, value) => setTopicFilters(prev => ({
+    ...prev,
+    [key]: prev[key].includes(value) ? prev[key].filter(v => v !== value) : [...prev[key], value],
+  }));
+  const clearTopicFilters = () => { setTopicQuery(""); setTopicFilters(EMPTY_FILTERS); };
+
+  // Spaced repetition: questions due today across every topic
+  const dueToday = useMemo(() => (quizState === "TOPIC_SELECT" ? dueQuestions(topics, learning) : []), [quizState, topics, learning]);
 
   // Practice helpers
   const currentQuestion = useMemo(() => currentQuestions[currentQuestionIndex], [currentQuestions, currentQuestionIndex]);
+  const isMock = quizState === "MOCK";
   const currentResponse = useMemo(() => userResponses[currentQuestionIndex] || { selectedOption: null, isCorrect: false, isExplanationVisible: false }, [userResponses, currentQuestionIndex]);
 
-  const checkAnswer = (selectedOption, question) => {
-    if (!question) return false;
-    if (selectedOption === question.correct) return true;
-    const correctChar = question.correct?.trim?.().toUpperCase?.();
-    const idx = ["A","B","C","D"].indexOf(correctChar);
-    if (idx !== -1 && question.options && question.options[idx] === selectedOption) return true;
-    return false;
-  };
-
   const handleOptionSelect = (option) => {
+    if (questionType(currentQuestion) === "MSQ") {
+      // MSQ: toggle the checkbox; grading waits for an explicit submit.
+      // In a mock the selection stays editable and is graded as it changes.
+      if (currentResponse.submitted && !isMock) return;
+      const picked = currentResponse.selectedOptions || [];
+      const next = picked.includes(option) ? picked.filter(o => o !== option) : [...picked, option];
+      setUserResponses(prev => ({
+        ...prev,
+        [currentQuestionIndex]: {
+          ...prev[currentQuestionIndex],
+          selectedOptions: next,
+          ...(isMock ? { submitted: next.length > 0, isCorrect: checkAnswer(next, currentQuestion) } : {}),
+        },
+      }));
+      return;
+    }
     const isCorrect = checkAnswer(option, currentQuestion);
     setUserResponses(prev => ({
       ...prev,
       [currentQuestionIndex]: {
+        ...prev[currentQuestionIndex],
         selectedOption: option, 
         isCorrect,
         isExplanationVisible: prev[currentQuestionIndex]?.isExplanationVisible || false,
@@ -314,33 +1114,117 @@ export default function App() {
     }));
   };
 
-  const calculateScore = useCallback(() => {
-    let finalScore = 0, attempted = 0;
-    let corrects = 0;
-    const incorrects = [];
-    Object.entries(userResponses).forEach(([k, r]) => {
-      if (r?.selectedOption) {
-        attempted++;
-        if (r.isCorrect) corrects++; else {
-          const orig = currentQuestions[parseInt(k)];
-          if (orig) incorrects.push(orig);
-        }
+  const handleMultiSubmit = () => {
+    const picked = currentResponse.selectedOptions || [];
+    if (picked.length === 0) return;
+    setUserResponses(prev => ({
+      ...prev,
+      [currentQuestionIndex]: {
+        ...prev[currentQuestionIndex],
+        submitted: true,
+        isCorrect: checkAnswer(picked, currentQuestion),
+      },
+    }));
+  };
+
+  // NAT: the typed value is kept as a draft until submitted.
+  // In a mock there is no submit step: the value is graded as it is typed.
+  const handleNatChange = (text) => {
+    if (currentResponse.submitted && !isMock) return;
+    setUserResponses(prev => ({
+      ...prev,
+      [currentQuestionIndex]: {
+        ...prev[currentQuestionIndex],
+        natInput: text,
+        ...(isMock ? { submitted: text.trim().length > 0, isCorrect: checkAnswer(text.trim(), currentQuestion) } : {}),
+      },
+    }));
+  };
+
+  const handleNatSubmit = () => {
+    const value = (currentResponse.natInput || "").trim();
+    if (!value) return;
+    setUserResponses(prev => ({
+      ...prev,
+      [currentQuestionIndex]: {
+        ...prev[currentQuestionIndex],
+        natInput: value,
+        submitted: true,
+        isCorrect: checkAnswer(value, currentQuestion),
+      },
+    }));
+  };
+
+  // Moves to another question, hiding the explanation it may have had open.
+  const goToQuestion = (newIndex) => {
+    setUserResponses(prev => ({
+      ...prev,
+      [newIndex]: {
+        ...(prev[newIndex] || {}),
+        isExplanationVisible: false,
       }
-    });
-    const total = currentQuestions.length;
-    const unanswered = total - attempted;
-    const accuracy = attempted > 0 ? Math.round((corrects / attempted) * 100) : 0;
-    
-    return { finalScore: corrects, attempted, total, incorrects, unanswered, accuracy };
+    }));
+    setCurrentQuestionIndex(newIndex);
+  };
+
+  // "Mark for Review & Next": flags the current question and moves on.
+  // Pressing it on an already marked question clears the flag instead.
+  const handleMarkForReview = () => {
+    const marked = !currentResponse.markedForReview;
+    setUserResponses(prev => ({
+      ...prev,
+      [currentQuestionIndex]: { ...prev[currentQuestionIndex], markedForReview: marked },
+    }));
+    if (marked && currentQuestionIndex < currentQuestions.length - 1) goToQuestion(currentQuestionIndex + 1);
+  };
+
+  const calculateScore = useCallback(() => {
+    const score = scoreSession(currentQuestions, userResponses);
+    return { ...score, finalScore: score.corrects };
   }, [userResponses, currentQuestions]);
 
   // UI screens
+  if (!hydrated) return <View style={styles.centered}><ActivityIndicator size="large" color="#1D4ED8" /><Text style={{color:"#1D4ED8"}}>Loading your topics...</Text></View>;
+
   if (loading) return <View style={styles.centered}><ActivityIndicator size="large" color="#1D4ED8" /><Text style={{color:"#1D4ED8"}}>Processing file...</Text></View>;
 
   if (quizState === "TOPIC_SELECT") {
     return (
       <ScrollView contentContainerStyle={styles.container}>
-        <Text style={styles.title}>📚 MCQ - Topics</Text>
+        <View style={[styles.row, { justifyContent: "space-between" }]}>
+          <Text style={[styles.title, { marginBottom: 0 }]}>📚 MCQ - Topics</Text>
+          <View style={{ flexDirection: "row" }}>
+            {topics.length > 0 && (
+              <TouchableOpacity onPress={() => setQuizState("SEARCH")} style={[styles.smallBtnAlt, { marginRight: 6 }]}>
+                <Text>🔎 Search</Text>
+              </TouchableOpacity>
+            )}
+            <TouchableOpacity onPress={() => setQuizState("ANALYTICS")} style={styles.smallBtnAlt}>
+              <Text>📊 Analytics</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+
+        {!!message && <View style={styles.messageBox}><Text style={{ color: '#1E3A8A' }}>{message}</Text></View>}
+
+        {/* Resume banner: shown when a session was left via "← Menu" or restored from storage */}
+        {currentQuestions.length > 0 && (
+          <View style={[styles.card, { backgroundColor: "#EFF6FF", borderWidth: 1, borderColor: "#BFDBFE" }]}>
+            <Text style={styles.cardTitle}>{mock ? "Mock exam in progress" : "Session in progress"}</Text>
+            <Text style={{ color: "#475569" }}>
+              Question {currentQuestionIndex + 1} of {currentQuestions.length} · {Object.values(userResponses).filter(isAnswered).length} answered
+              {mock ? ` · ${formatClock(mock.deadline - now)} left` : ""}
+            </Text>
+            <View style={{ flexDirection: "row", marginTop: 4 }}>
+              <TouchableOpacity onPress={() => setQuizState(mock ? "MOCK" : "PRACTICE")} style={[styles.primaryBtn, { flex: 1, marginRight: 8, backgroundColor: "#2563EB" }]}>
+                <Text style={styles.primaryBtnText}>Resume</Text>
+              </TouchableOpacity>
+              <TouchableOpacity onPress={endSession} style={[styles.primaryBtn, { flex: 1, backgroundColor: "#6B7280" }]}>
+                <Text style={styles.primaryBtnText}>Discard</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        )}
 
         {/* 1. Hidden HTML input for file selection (WEB-ONLY) */}
         {Platform.OS === 'web' && (
@@ -349,7 +1233,7 @@ export default function App() {
                 type="file" 
                 ref={fileInputRef} 
                 onChange={handleWebFileChange} 
-                accept=".csv,.txt,.xls,.xlsx" 
+                accept=".csv,.txt,.xls,.xlsx,.zip,.json" 
             />
           </View>
         )}
@@ -368,8 +1252,16 @@ export default function App() {
               onPress={handleFileSelectPress} 
               style={[styles.primaryBtn, { backgroundColor: "#3B82F6", marginTop: 0 }]}
             >
-              <Text style={styles.primaryBtnText}>Select CSV / Excel File</Text>
+              <Text style={styles.primaryBtnText}>Select CSV / Excel / ZIP File</Text>
+            </TouchableOpacity>
+            {/* Topic packs shared from another phone as QR codes or a link */}
+            <TouchableOpacity
+              onPress={() => setIsScannerOpen(true)}
+              style={[styles.primaryBtn, { backgroundColor: "#EFF6FF", borderWidth: 1, borderColor: "#BFDBFE", marginTop: 0, marginBottom: 10 }]}
+            >
+              <Text style={[styles.primaryBtnText, { color: "#1D4ED8" }]}>Scan Topic Pack (QR / Link)</Text>
             </TouchableOpacity>
+            {isScannerOpen && <PackScanner onPack={receivePack} onClose={() => setIsScannerOpen(false)} />}
 
             {/* 3. Text Area/Info Box for manual entry (Universal method) */}
             {fileName ? (
@@ -377,7 +1269,38 @@ export default function App() {
                 <Text style={{ fontWeight: 'bold', color: '#065F46' }}>File Ready: {fileName}</Text>
                 <Text style={{ fontSize: 12, color: '#065F46' }}>Content is loaded and ready to save.</Text>
               </View>
-            ) : (
+            ) : null}
+
+            {/* Sheet picker (Excel workbooks only) */}
+            {workbook && (
+              <View style={{ marginBottom: 8 }}>
+                <Text style={{ fontWeight: '600', marginBottom: 6 }}>Sheet</Text>
+                <View style={{ flexDirection: 'row', flexWrap: 'wrap' }}>
+                  {workbook.sheetNames.map(sheet => {
+                    const active = !importAllSheets && sheet === selectedSheet;
+                    return (
+                      <TouchableOpacity
+                        key={sheet}
+                        onPress={() => { setSelectedSheet(sheet); setImportAllSheets(false); }}
+                        style={[styles.chip, active && styles.chipActive]}
+                      >
+                        <Text style={{ color: active ? '#fff' : '#374151' }}>{sheet} ({sheetQuestionCounts[sheet]})</Text>
+                      </TouchableOpacity>
+                    );
+                  })}
+                  {workbook.sheetNames.length > 1 && (
+                    <TouchableOpacity
+                      onPress={() => setImportAllSheets(prev => !prev)}
+                      style={[styles.chip, importAllSheets && styles.chipActive]}
+                    >
+                      <Text style={{ color: importAllSheets ? '#fff' : '#374151' }}>All sheets as separate topics</Text>
+                    </TouchableOpacity>
+                  )}
+                </View>
+              </View>
+            )}
+
+            {!fileName && (
               <TextInput 
                 value={csvContent} 
                 onChangeText={setCsvContent} 
@@ -388,22 +1311,234 @@ export default function App() {
               />
             )}
           </View>
+
+          {/* Backup preview: what a restore / topic bundle import will bring in */}
+          {pendingBackup && (
+            <View style={[styles.box, { marginBottom: 4, backgroundColor: '#F8FAFC', borderColor: '#E2E8F0' }]}>
+              <Text style={{ fontWeight: '600', color: '#0F172A' }}>
+                {pendingBackup.scope === "library" ? "Full library backup" : pendingBackup.pack ? "Topic pack" : "Topic bundle"}
+                {pendingBackup.exportedAt ? ` · ${new Date(pendingBackup.exportedAt).toLocaleString()}` : ""}
+              </Text>
+              <Text style={{ fontSize: 12, color: '#475569', marginTop: 2 }}>
+                {pendingBackup.topics.length} topic{pendingBackup.topics.length === 1 ? "" : "s"} · {pendingBackup.topics.reduce((n, t) => n + t.questions.length, 0)} questions · {pendingBackup.history.length} sessions of history
+              </Text>
+              {pendingBackup.scope === "library" && (
+                <Text style={{ fontSize: 12, color: '#B91C1C', marginTop: 2 }}>Restoring replaces all topics and progress on this device.</Text>
+              )}
+              {pendingBackup.pack && topicNameExists(newTopicName || pendingBackup.topics[0].topicName) && (
+                <Text style={{ fontSize: 12, color: '#B91C1C', marginTop: 2 }}>A topic with this name already exists; change the name above to import it alongside.</Text>
+              )}
+            </View>
+          )}
+
+          {/* Import preview: per-row diagnostics before saving */}
+          {importReport && (
+            <View style={[styles.box, { marginBottom: 4, backgroundColor: importReport.error ? '#FEF2F2' : '#F8FAFC', borderColor: importReport.error ? '#FCA5A5' : '#E2E8F0' }]}>
+              {importReport.error ? (
+                <Text style={{ color: '#B91C1C' }}>{importReport.error}</Text>
+              ) : (
+                <Text style={{ fontWeight: '600', color: '#0F172A' }}>
+                  {importReport.imported} question{importReport.imported === 1 ? "" : "s"} ready
+                  {importReport.skipped.length > 0 ? ` · ${importReport.skipped.length} row${importReport.skipped.length === 1 ? "" : "s"} skipped` : ""}
+                </Text>
+              )}
+              {importReport.skipped.slice(0, 20).map((s, i) => (
+                <Text key={`${s.line}-${i}`} style={{ fontSize: 12, color: '#B45309', marginTop: 2 }}>Line {s.line}: {s.reason}</Text>
+              ))}
+              {importReport.skipped.length > 20 && (
+                <Text style={{ fontSize: 12, color: '#6B7280', marginTop: 2 }}>…and {importReport.skipped.length - 20} more</Text>
+              )}
+              {importMissingImages.length > 0 && (
+                <Text style={{ fontSize: 12, color: '#B45309', marginTop: 2 }}>
+                  {importMissingImages.length} image{importMissingImages.length === 1 ? "" : "s"} not found{bundleFiles ? " in the zip" : " (import a .zip bundle with the image files)"}: {importMissingImages.slice(0, 5).join(", ")}{importMissingImages.length > 5 ? "…" : ""}
+                </Text>
+              )}
+            </View>
+          )}
+
+          {/* Existing topic: choose how to import into it and preview the diff */}
+          {importPreview.length > 0 && (
+            <View style={[styles.box, { marginTop: 8, marginBottom: 4, backgroundColor: '#FFFBEB', borderColor: '#FCD34D' }]}>
+              <Text style={{ fontWeight: '600', color: '#92400E', marginBottom: 6 }}>
+                {importPreview.length === 1 ? `'${importPreview[0].topicName}' already exists.` : `${importPreview.length} topics already exist.`} Import mode:
+              </Text>
+              <View style={{ flexDirection: 'row', flexWrap: 'wrap' }}>
+                {IMPORT_MODES.map(m => (
+                  <TouchableOpacity key={m.key} onPress={() => setImportMode(m.key)} style={[styles.chip, importMode === m.key && styles.chipActive]}>
+                    <Text style={{ color: importMode === m.key ? '#fff' : '#374151' }}>{m.label}</Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+              {importPreview.map(({ topicName, plan }) => (
+                <View key={topicName} style={{ marginTop: 4 }}>
+                  <Text style={{ fontSize: 12, fontWeight: '600', color: '#0F172A' }}>
+                    {importPreview.length > 1 ? `${topicName}: ` : ""}
+                    <Text style={{ color: '#15803D' }}>+{plan.added.length} added</Text>
+                    {" · "}<Text style={{ color: '#B45309' }}>~{plan.changed.length} changed</Text>
+                    {" · "}{plan.unchanged.length} unchanged
+                    {plan.removed.length > 0 && <Text style={{ color: '#B91C1C' }}>{` · −${plan.removed.length} removed`}</Text>}
+                    {plan.duplicates.length > 0 ? ` · ${plan.duplicates.length} duplicate${plan.duplicates.length === 1 ? "" : "s"} skipped` : ""}
+                  </Text>
+                  {importPreview.length === 1 && [
+                    ...plan.added.map(q => ({ mark: "+", color: '#15803D', q })),
+                    ...plan.changed.map(q => ({ mark: "~", color: '#B45309', q })),
+                    ...plan.removed.map(q => ({ mark: "−", color: '#B91C1C', q })),
+                  ].slice(0, 15).map(({ mark, color, q }, i) => (
+                    <View key={`${mark}-${i}`} style={{ flexDirection: 'row', marginTop: 2 }}>
+                      <Text style={{ fontSize: 12, color, width: 14 }}>{mark}</Text>
+                      <RichText text={q.q} numberOfLines={1} style={{ fontSize: 12, color }} containerStyle={{ flex: 1 }} />
+                    </View>
+                  ))}
+                </View>
+              ))}
+            </View>
+          )}
           
           <TouchableOpacity 
             onPress={handleImport} 
-            // Button is enabled if newTopicName is set (as requested)
-            style={[styles.primaryBtn, {backgroundColor: (newTopicName.trim()) ? "#10B981" : "#D1D5DB"}]}
-            disabled={!(newTopicName.trim())}
+            // Button is enabled if newTopicName is set (as requested); "All sheets" and backups name topics themselves
+            style={[styles.primaryBtn, {backgroundColor: (newTopicName.trim() || importAllSheets || pendingBackup) ? "#10B981" : "#D1D5DB"}]}
+            disabled={!(newTopicName.trim() || importAllSheets || pendingBackup)}
           >
-            <Text style={styles.primaryBtnText}>Save Topic</Text>
+            <Text style={styles.primaryBtnText}>
+              {pendingBackup ? (pendingBackup.scope === "library" ? "Restore Library" : "Import Topic") : (importPreview.length > 0 && !importAllSheets) ? "Update Topic" : "Save Topic"}
+            </Text>
           </TouchableOpacity>
         </View>
 
+        {/* Spaced repetition: due cards from every topic */}
+        {Object.keys(learning).length > 0 && (
+          <View style={styles.card}>
+            <Text style={styles.cardTitle}>Due today</Text>
+            <Text style={{ color: "#475569" }}>
+              {dueToday.length === 0
+                ? "Nothing due. Questions you answer come back here on their review date."
+                : `${dueToday.length} question${dueToday.length === 1 ? "" : "s"} due for review across all topics.`}
+            </Text>
+            {dueToday.length > 0 && (
+              <TouchableOpacity
+                onPress={() => startPractice(dueToday.slice(0, MAX_DUE_SESSION))}
+                style={[styles.primaryBtn, { backgroundColor: "#0EA5E9" }]}
+              >
+                <Text style={styles.primaryBtnText}>
+                  Practice {Math.min(dueToday.length, MAX_DUE_SESSION)} due{dueToday.length > MAX_DUE_SESSION ? " (most overdue first)" : ""}
+                </Text>
+              </TouchableOpacity>
+            )}
+          </View>
+        )}
+
         <View style={styles.card}>
           {/* Text changed to 'Available Topics' as requested */}
           <Text style={styles.cardTitle}>Available Topics</Text>
+
+          {/* Merge: pick the topic that receives the questions */}
+          {mergeSourceId && (() => {
+            const source = topics.find(t => t.id === mergeSourceId);
+            if (!source) return null;
+            return (
+              <View style={[styles.box, { marginBottom: 8, backgroundColor: '#EFF6FF', borderColor: '#BFDBFE' }]}>
+                <Text style={{ fontWeight: '600', color: '#1E3A8A', marginBottom: 6 }}>Merge '{source.topicName}' into:</Text>
+                <View style={{ flexDirection: 'row', flexWrap: 'wrap' }}>
+                  {topics.filter(t => t.id !== mergeSourceId).map(t => (
+                    <TouchableOpacity key={t.id} onPress={() => mergeTopics(mergeSourceId, t.id)} style={styles.chip}>
+                      <Text style={{ color: '#374151' }}>{t.topicName}</Text>
+                    </TouchableOpacity>
+                  ))}
+                  <TouchableOpacity onPress={() => setMergeSourceId(null)} style={[styles.chip, { borderColor: '#9CA3AF' }]}>
+                    <Text style={{ color: '#6B7280' }}>Cancel</Text>
+                  </TouchableOpacity>
+                </View>
+              </View>
+            );
+          })()}
           
-          {topics.length === 0 ? <Text style={{color:"#64748B"}}>No topics yet. Import content above.</Text> : topics.map(t => {
+          {topics.length > 0 && (
+            <View style={{ marginBottom: 8 }}>
+              <View style={{ flexDirection: 'row', alignItems: 'center' }}>
+                <TextInput
+                  value={topicQuery}
+                  onChangeText={setTopicQuery}
+                  placeholder="Search topics, subjects, tags, years…"
+                  style={[styles.input, { flex: 1, marginBottom: 0 }]}
+                />
+                <TouchableOpacity onPress={() => setShowTopicFilters(v => !v)} style={[styles.chip, { marginLeft: 6, marginBottom: 0 }, (showTopicFilters || hasActiveFilters(topicFilters)) && styles.chipActive]}>
+                  <Text style={{ color: (showTopicFilters || hasActiveFilters(topicFilters)) ? '#fff' : '#374151' }}>Filters</Text>
+                </TouchableOpacity>
+              </View>
+              {showTopicFilters && FILTER_FIELDS.filter(f => libraryFilterOptions[f.key].length > 0).map(f => (
+                <View key={f.key} style={{ marginTop: 6 }}>
+                  <Text style={{ fontSize: 12, fontWeight: '600', color: '#475569', marginBottom: 4 }}>{f.label}</Text>
+                  <View style={{ flexDirection: 'row', flexWrap: 'wrap' }}>
+                    {libraryFilterOptions[f.key].map(v => {
+                      const active = topicFilters[f.key].includes(v);
+                      return (
+                        <TouchableOpacity key={v} onPress={() => toggleTopicFilter(f.key, v)} style={[styles.chip, active && styles.chipActive]}>
+                          <Text style={{ color: active ? '#fff' : '#374151' }}>{f.key === 'tags' ? `#${v}` : f.key === 'difficulties' ? difficultyLabel(v) : v}</Text>
+                        </TouchableOpacity>
+                      );
+                    })}
+                  </View>
+                </View>
+              ))}
+              {showTopicFilters && FILTER_FIELDS.every(f => libraryFilterOptions[f.key].length === 0) && (
+                <Text style={{ fontSize: 12, color: '#64748B', marginTop: 6 }}>
+                  No subject, difficulty, year, source or tag columns in your topics yet. Add them to the CSV or set them in the question editor.
+                </Text>
+              )}
+              {isTopicFilterActive && (
+                <View style={{ flexDirection: 'row', alignItems: 'center', marginTop: 6 }}>
+                  <Text style={{ flex: 1, color: '#475569' }}>
+                    {matchingQuestions.length} matching question{matchingQuestions.length === 1 ? "" : "s"}
+                  </Text>
+                  <TouchableOpacity onPress={clearTopicFilters} style={{ marginRight: 8 }}>
+                    <Text style={{ color: '#2563EB', fontWeight: '600' }}>Clear</Text>
+                  </TouchableOpacity>
+                  {matchingQuestions.length > 0 && (
+                    <TouchableOpacity onPress={() => startPractice(shuffleArray(matchingQuestions))} style={styles.smallBtn}>
+                      <Text style={{ color: '#fff' }}>Practice all</Text>
+                    </TouchableOpacity>
+                  )}
+                </View>
+              )}
+            </View>
+          )}
+
+          {/* Bookmarked: a virtual topic built from the bookmarks; no edit menu */}
+          {bookmarks && (() => {
+            const matches = isTopicFilterActive
+              ? bookmarks.questions.filter(q => matchesFilters(q, topicFilters) && matchesQuery(q, topicQuery, bookmarks.topicName))
+              : bookmarks.questions;
+            if (matches.length === 0) return null;
+            const isSelected = selectedTopicIds.includes(bookmarks.id);
+            return (
+              <View style={[styles.row, { justifyContent: 'space-between', paddingBottom: 8, borderBottomWidth: 1, borderColor: '#F3F4F6' }]}>
+                <View style={{ flexDirection: 'row', alignItems: 'center', flex: 1 }}>
+                  <TouchableOpacity onPress={() => handleTopicToggle(bookmarks.id)} style={{width:24, height:24, borderRadius:6, borderWidth:2, borderColor:'#9CA3AF', backgroundColor: isSelected ? "#22C55E" : "#E5E7EB", justifyContent:'center', alignItems:'center', marginRight:10}}>
+                    <Text style={{color:'#fff', fontWeight:'bold'}}>{isSelected ? "✓" : ""}</Text>
+                  </TouchableOpacity>
+                  <View style={{ flex: 1 }}>
+                    <Text style={[styles.topicName, { color: '#B45309' }]}>{bookmarks.topicName}</Text>
+                    <Text style={{color:"#64748B"}}>
+                      {isTopicFilterActive ? `${matches.length} of ${bookmarks.questions.length} questions` : `${bookmarks.questions.length} questions`}
+                      {(() => { const noted = matches.filter(q => noteFor(annotations, q.id)).length; return noted > 0 ? ` · ${noted} with notes` : ""; })()}
+                    </Text>
+                  </View>
+                </View>
+                <TouchableOpacity onPress={() => startPractice(matches)} style={styles.smallBtn}><Text style={{color:"#fff"}}>Practice</Text></TouchableOpacity>
+              </View>
+            );
+          })()}
+
+          {topics.length === 0 ? <Text style={{color:"#64748B"}}>No topics yet. Import content above.</Text>
+            : topicGroups.length === 0 ? <Text style={{color:"#64748B"}}>No questions match the search.</Text>
+            : topicGroups.map(group => (
+            <View key={group.subject ?? ""}>
+            {/* Subject headings only once some topic has a subject */}
+            {(topicGroups.length > 1 || group.subject) && (
+              <Text style={styles.subjectHeading}>{group.subject || "Other"}</Text>
+            )}
+            {group.entries.map(({ topic: t, matches }) => {
             const isSelected = selectedTopicIds.includes(t.id);
             const checkboxBg = isSelected ? "#22C55E" : "#E5E7EB";
             const checkboxText = isSelected ? "✓" : "";
@@ -419,14 +1554,31 @@ export default function App() {
                   </TouchableOpacity>
 
                   <View style={{flex:1}}>
-                    <Text style={styles.topicName}>{t.topicName}</Text>
-                    <Text style={{color:"#64748B"}}>{t.questions.length} questions</Text>
+                    {renaming && renaming.id === t.id ? (
+                      <View style={{ flexDirection: 'row', alignItems: 'center' }}>
+                        <TextInput
+                          value={renaming.name}
+                          onChangeText={name => setRenaming(prev => ({ ...prev, name }))}
+                          onSubmitEditing={saveRename}
+                          autoFocus
+                          style={[styles.input, { flex: 1, marginBottom: 0, paddingVertical: 6 }]}
+                        />
+                        <TouchableOpacity onPress={saveRename} style={[styles.smallBtn, { marginLeft: 6 }]}><Text style={{color:"#fff"}}>Save</Text></TouchableOpacity>
+                        <TouchableOpacity onPress={() => setRenaming(null)} style={{ marginLeft: 6 }}><Text style={{ color: '#6B7280' }}>✕</Text></TouchableOpacity>
+                      </View>
+                    ) : (
+                      <Text style={styles.topicName}>{t.topicName}</Text>
+                    )}
+                    <Text style={{color:"#64748B"}}>
+                      {isTopicFilterActive ? `${matches.length} of ${t.questions.length} questions` : `${t.questions.length} questions`}
+                      {(() => { const due = t.questions.filter(q => isDue(learning[q.id])).length; return due > 0 ? ` · ${due} due` : ""; })()}
+                    </Text>
                   </View>
                 </View>
                 
                 {/* Action Buttons: Practice and 3-Dot Menu */}
                 <View style={{flexDirection:'row', alignItems:'center'}}>
-                  <TouchableOpacity onPress={() => startPractice(t.questions)} style={styles.smallBtn}><Text style={{color:"#fff"}}>Practice</Text></TouchableOpacity>
+                  <TouchableOpacity onPress={() => startPractice(matches)} style={styles.smallBtn}><Text style={{color:"#fff"}}>Practice</Text></TouchableOpacity>
                   
                   {/* 3-Dot Menu / Ellipsis Button */}
                   <View style={{ position: 'relative', marginLeft: 8 }}>
@@ -440,6 +1592,26 @@ export default function App() {
                       {/* Dropdown Menu (only visible if openMenuId matches current topic ID) */}
                       {isMenuOpen && (
                           <View style={styles.dropdownMenu}>
+                              <TouchableOpacity onPress={() => handleEditTopic(t.id)} style={styles.dropdownItem}>
+                                  <Text style={styles.dropdownTextNeutral}>Edit</Text>
+                              </TouchableOpacity>
+                              <TouchableOpacity onPress={() => startRename(t)} style={styles.dropdownItem}>
+                                  <Text style={styles.dropdownTextNeutral}>Rename</Text>
+                              </TouchableOpacity>
+                              {topics.length > 1 && (
+                                <TouchableOpacity onPress={() => startMerge(t.id)} style={styles.dropdownItem}>
+                                    <Text style={styles.dropdownTextNeutral}>Merge into…</Text>
+                                </TouchableOpacity>
+                              )}
+                              <TouchableOpacity onPress={() => handleExportTopic(t, "csv")} style={styles.dropdownItem}>
+                                  <Text style={styles.dropdownTextNeutral}>Export CSV</Text>
+                              </TouchableOpacity>
+                              <TouchableOpacity onPress={() => handleExportTopic(t, "json")} style={styles.dropdownItem}>
+                                  <Text style={styles.dropdownTextNeutral}>Export JSON</Text>
+                              </TouchableOpacity>
+                              <TouchableOpacity onPress={() => { setOpenMenuId(null); setSharingTopicId(t.id); }} style={styles.dropdownItem}>
+                                  <Text style={styles.dropdownTextNeutral}>Share QR / Link</Text>
+                              </TouchableOpacity>
                               <TouchableOpacity 
                                   onPress={() => handleDeleteTopic(t.id, t.topicName)} 
                                   style={styles.dropdownItem}
@@ -453,6 +1625,8 @@ export default function App() {
               </View>
             )
           })}
+            </View>
+          ))}
           
           {topics.length > 0 && 
             // New "Random questions" button logic from selected topics
@@ -460,24 +1634,162 @@ export default function App() {
               onPress={practiceRandomFromSelected} 
               style={[
                 styles.primaryBtn, 
-                {marginTop:12, backgroundColor: selectedTopicIds.length > 0 ? "#F59E0B" : "#D1D5DB"}
+                {marginTop:12, backgroundColor: selectedTopics.length > 0 ? "#F59E0B" : "#D1D5DB"}
               ]}
-              disabled={selectedTopicIds.length === 0}
+              disabled={selectedTopics.length === 0}
             >
                 <Text style={styles.primaryBtnText}>Random questions</Text>
             </TouchableOpacity>}
+
+          {sharingTopicId && topics.some(t => t.id === sharingTopicId) && (
+            <TopicPackModal topic={topics.find(t => t.id === sharingTopicId)} onClose={() => setSharingTopicId(null)} />
+          )}
+
+          {isBuilderOpen && (
+            <SessionBuilder
+              visible
+              topics={selectedTopics}
+              learning={learning}
+              initialConfig={hasActiveFilters(topicFilters) ? { ...sessionConfig, ...topicFilters } : sessionConfig}
+              onStart={startBuiltSession}
+              onClose={() => setIsBuilderOpen(false)}
+            />
+          )}
+        </View>
+
+        {topics.length > 0 && (
+          <View style={styles.card}>
+            <Text style={styles.cardTitle}>Backup</Text>
+            <Text style={{ fontSize: 12, color: "#6B7280" }}>
+              Save every topic with your learning and session history as one JSON file. Restore it by selecting the file in the Import card.
+            </Text>
+            <TouchableOpacity onPress={handleBackupLibrary} style={[styles.primaryBtn, { backgroundColor: "#475569" }]}>
+              <Text style={styles.primaryBtnText}>Back Up Library</Text>
+            </TouchableOpacity>
+          </View>
+        )}
+
+        {/* Sync with a self-hosted server (see server/) */}
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>Sync</Text>
+          {syncMeta.serverUrl ? (
+            <>
+              <Text style={{ fontSize: 12, color: "#6B7280" }}>
+                Topics, learning progress, session history, notes and exam papers sync with {syncMeta.serverUrl}.
+              </Text>
+              <Text style={[styles.syncStatus, syncMeta.lastError && { color: "#B91C1C" }]}>
+                {isSyncing ? "Syncing…"
+                  : syncMeta.lastError ? `Last sync failed: ${syncMeta.lastError}`
+                  : syncMeta.lastSyncedAt ? `Last synced ${new Date(syncMeta.lastSyncedAt).toLocaleString()}${syncReport ? ` · ${syncReport.pushed} sent, ${syncReport.pulled} received${syncReport.conflicts ? `, ${syncReport.conflicts} merged` : ""}` : ""}`
+                  : "Not synced yet."}
+              </Text>
+              <View style={{ flexDirection: "row" }}>
+                <TouchableOpacity
+                  onPress={() => runSync(syncMeta)}
+                  disabled={isSyncing}
+                  style={[styles.primaryBtn, { flex: 1, marginRight: 8, backgroundColor: isSyncing ? "#D1D5DB" : "#0EA5E9" }]}
+                >
+                  <Text style={styles.primaryBtnText}>Sync Now</Text>
+                </TouchableOpacity>
+                <TouchableOpacity onPress={turnOffSync} disabled={isSyncing} style={[styles.primaryBtn, { flex: 1, backgroundColor: "#E5E7EB" }]}>
+                  <Text style={[styles.primaryBtnText, { color: "#374151" }]}>Turn Off</Text>
+                </TouchableOpacity>
+              </View>
+            </>
+          ) : (
+            <>
+              <Text style={{ fontSize: 12, color: "#6B7280", marginBottom: 8 }}>
+                Keep this device and your others in step through a sync server you run yourself (the server/ folder of this project). Changes made offline are sent on the next sync.
+              </Text>
+              <TextInput
+                value={syncForm.serverUrl}
+                onChangeText={serverUrl => setSyncForm(prev => ({ ...prev, serverUrl }))}
+                placeholder="Server address, e.g. http://192.168.1.20:8787"
+                autoCapitalize="none"
+                autoCorrect={false}
+                keyboardType="url"
+                style={styles.input}
+              />
+              <TextInput
+                value={syncForm.token}
+                onChangeText={token => setSyncForm(prev => ({ ...prev, token }))}
+                placeholder="Sync token (if the server has one)"
+                autoCapitalize="none"
+                autoCorrect={false}
+                secureTextEntry
+                style={styles.input}
+              />
+              <TouchableOpacity
+                onPress={turnOnSync}
+                disabled={!syncForm.serverUrl.trim()}
+                style={[styles.primaryBtn, { backgroundColor: syncForm.serverUrl.trim() ? "#0EA5E9" : "#D1D5DB" }]}
+              >
+                <Text style={styles.primaryBtnText}>Turn On Sync</Text>
+              </TouchableOpacity>
+            </>
+          )}
         </View>
+
+        {topics.length > 0 && (
+          <View style={styles.card}>
+            <Text style={styles.cardTitle}>Mock Exam</Text>
+            <Text style={{ fontSize: 12, color: "#6B7280", marginBottom: 8 }}>
+              Timed test from the selected topics. Answers and explanations are revealed only after you submit; the exam is submitted automatically when time runs out.
+            </Text>
+            <View style={{ flexDirection: "row", alignItems: "center" }}>
+              <TextInput
+                value={mockMinutes}
+                onChangeText={setMockMinutes}
+                keyboardType="numeric"
+                placeholder={String(DEFAULT_MOCK_MINUTES)}
+                style={[styles.input, { width: 80, marginBottom: 0, marginRight: 8, textAlign: "center" }]}
+              />
+              <Text style={{ color: "#475569" }}>minutes</Text>
+            </View>
+            <TouchableOpacity
+              onPress={mockFromSelected}
+              style={[styles.primaryBtn, { backgroundColor: selectedTopics.length > 0 ? "#7C3AED" : "#D1D5DB" }]}
+              disabled={selectedTopics.length === 0}
+            >
+              <Text style={styles.primaryBtnText}>Start Mock Exam</Text>
+            </TouchableOpacity>
+            {/* Full papers with sections, drawn from the whole library */}
+            <TouchableOpacity onPress={() => setQuizState("BLUEPRINTS")} style={[styles.primaryBtn, { backgroundColor: "#EDE9FE" }]}>
+              <Text style={[styles.primaryBtnText, { color: "#5B21B6" }]}>Exam Papers (GATE pattern)</Text>
+            </TouchableOpacity>
+          </View>
+        )}
       </ScrollView>
     );
   }
 
-  if (quizState === "PRACTICE") {
+  // PRACTICE and MOCK share one screen; a mock hides feedback, explanations
+  // and scores until it is submitted, and shows the countdown instead.
+  if (quizState === "PRACTICE" || quizState === "MOCK") {
     // Destructure all score elements
-    const { finalScore, attempted, total, incorrects, unanswered, accuracy } = calculateScore();
-    const isAnswered = !!currentResponse.selectedOption;
+    const { finalScore, attempted, total, incorrects, unanswered, accuracy, rawMarks, negativeMarks, netScore, maxMarks } = calculateScore();
+    const answered = isAnswered(currentResponse);
+    const isMulti = questionType(currentQuestion) === "MSQ";
+    const isNat = questionType(currentQuestion) === "NAT";
     const questionNumber = currentQuestionIndex + 1;
     const totalQuestions = currentQuestions.length;
     const isLast = questionNumber === totalQuestions;
+    const showFeedback = !isMock;
+    const timeLeftMs = mock ? mock.deadline - now : 0;
+    const paletteTotals = paletteCounts(currentQuestions, userResponses);
+    const sectionIndex = sectionIndexOf(paperSections, currentQuestionIndex);
+    // Time on this question so far: earlier visits plus the current stretch
+    const questionTimeMs = (currentResponse.timeSpentMs || 0) + (shownRef.current ? Math.max(0, now - shownRef.current.at) : 0);
+    const questionTargetMs = paceTarget(currentQuestion);
+    const pace = PACE_LEVELS[paceLevel(questionTimeMs, questionTargetMs)];
+    const pacing = pacingStats(currentQuestions, userResponses, 3);
+    const bookmarked = isBookmarked(annotations, currentQuestion?.id);
+    const note = noteFor(annotations, currentQuestion?.id);
+    const isEditingNote = !!noteDraft && noteDraft.id === currentQuestion?.id;
+    const saveNote = () => {
+      setAnnotations(prev => setNote(prev, noteDraft.id, noteDraft.text));
+      setNoteDraft(null);
+    };
 
     return (
       // Changed background to white for the entire screen
@@ -490,32 +1802,76 @@ export default function App() {
             <Text style={{ color: '#374151', fontWeight: 'bold' }}>← Menu</Text>
           </TouchableOpacity>
 
-          {/* Question Counter */}
-          <Text style={styles.title}>Question {questionNumber} / {totalQuestions}</Text>
+          {/* Question Counter, or section tabs for a generated paper (plus countdown in a mock) */}
+          <View style={[{ alignItems: 'center' }, paperSections && { flex: 1, marginHorizontal: 6 }]}>
+            {paperSections ? (
+              <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={{ flexGrow: 1, justifyContent: 'center' }}>
+                {paperSections.map((section, i) => {
+                  const active = i === sectionIndex;
+                  return (
+                    <TouchableOpacity key={i} onPress={() => !active && goToQuestion(section.start)} style={[styles.sectionTab, active && styles.sectionTabActive]}>
+                      <Text style={{ fontWeight: '700', fontSize: 12, color: active ? '#fff' : '#1D4ED8' }} numberOfLines={1}>{section.name}</Text>
+                      <Text style={{ fontSize: 11, color: active ? '#DBEAFE' : '#64748B' }}>
+                        {active ? `Q ${questionNumber - section.start} / ${section.count}` : `${section.count} Q`}
+                      </Text>
+                    </TouchableOpacity>
+                  );
+                })}
+              </ScrollView>
+            ) : (
+              <Text style={[styles.title, isMock && { marginBottom: 0 }]}>Question {questionNumber} / {totalQuestions}</Text>
+            )}
+            {isMock && (
+              <Text style={[styles.timerText, timeLeftMs < 5 * 60 * 1000 && { color: '#DC2626' }]}>⏱ {formatClock(timeLeftMs)}</Text>
+            )}
+          </View>
 
-          {/* List Toggle (renamed) - Toggles the drawer on press */}
-          <TouchableOpacity onPress={() => setIsDrawerOpen(prev => !prev)} style={styles.smallBtnAlt}>
-            <Text>{isDrawerOpen ? 'Close List' : 'List'}</Text>
-          </TouchableOpacity>
+          <View style={{ flexDirection: 'row' }}>
+            {/* Virtual calculator, the only one allowed in the exam */}
+            <TouchableOpacity onPress={() => setIsCalculatorOpen(prev => !prev)} style={[styles.smallBtnAlt, { marginRight: 6 }, isCalculatorOpen && { backgroundColor: '#DBEAFE' }]}>
+              <Text>🖩</Text>
+            </TouchableOpacity>
+            {/* List Toggle (renamed) - Toggles the drawer on press */}
+            <TouchableOpacity onPress={() => setIsDrawerOpen(prev => !prev)} style={styles.smallBtnAlt}>
+              <Text>{isDrawerOpen ? 'Close List' : 'List'}</Text>
+            </TouchableOpacity>
+          </View>
         </View>
 
         {/* Scrollable Content Area: This section is now white and fills the space */}
         <ScrollView style={styles.questionScrollArea} contentContainerStyle={styles.scrollContentWrapper}>
           <View style={styles.questionContent}> 
+            <Text style={[styles.paceText, { color: pace.color }]}>
+              ⏱ {formatDuration(questionTimeMs)} of {formatDuration(questionTargetMs)} target{questionTimeMs > questionTargetMs ? ` · ${pace.label}` : ""}
+            </Text>
             {/* Question text not bold */}
-            <Text style={styles.question}>{currentQuestion?.q}</Text>
+            {isMulti && (
+              <Text style={styles.typeBadge}>MSQ · Select all correct options{isMock ? "" : ", then submit"}</Text>
+            )}
+            {isNat && (
+              <Text style={styles.typeBadge}>NAT · Enter a numerical answer</Text>
+            )}
+            <RichText text={currentQuestion?.q} style={styles.question} />
+            {currentQuestion?.image ? (
+              <QuestionImage source={imageSource(currentQuestion.image, images)} name={currentQuestion.image} style={{ marginTop: 10 }} />
+            ) : null}
             <View style={{marginTop:12}}>
               {currentQuestion?.options?.map((opt, idx) => {
                 const label = String.fromCharCode(65 + idx);
-                const isSelected = currentResponse.selectedOption === opt;
-                const isCorrectOption = checkAnswer(opt, currentQuestion);
+                const isSelected = isMulti
+                  ? (currentResponse.selectedOptions || []).includes(opt)
+                  : currentResponse.selectedOption === opt;
+                const isCorrectOpt = isCorrectOption(opt, currentQuestion);
+                const optImage = currentQuestion.optionImages?.[idx];
 
                 // Option visual feedback based on answer status
                 let bg = "#F8FAFC", border="#E2E8F0", color="#0F172A";
-                if (isAnswered) {
-                    if (isSelected && isCorrectOption) { bg="#DCFCE7"; border="#34D399"; color="#065F46"; }
-                    else if (isSelected && !currentResponse.isCorrect) { bg="#FFF1F2"; border="#FCA5A5"; color="#7F1D1D"; }
-                    else if (!isSelected && isCorrectOption) { bg="#ECFDF5"; border="#86EFAC"; color="#065F46"; }
+                if (answered && showFeedback) {
+                    if (isSelected && isCorrectOpt) { bg="#DCFCE7"; border="#34D399"; color="#065F46"; }
+                    else if (isSelected && !isCorrectOpt) { bg="#FFF1F2"; border="#FCA5A5"; color="#7F1D1D"; }
+                    else if (!isSelected && isCorrectOpt) { bg="#ECFDF5"; border="#86EFAC"; color="#065F46"; }
+                } else if (isSelected) {
+                    bg="#EFF6FF"; border="#93C5FD";
                 }
 
                 return (
@@ -524,15 +1880,67 @@ export default function App() {
                     onPress={() => handleOptionSelect(opt)} 
                     style={[styles.option, {backgroundColor:bg, borderColor:border}]}
                   >
+                    {isMulti && <Text style={{fontSize:18, marginRight:8, color:"#2563EB"}}>{isSelected ? "☑" : "☐"}</Text>}
                     <Text style={{fontWeight:"700", marginRight:8}}>{label}.</Text>
-                    <Text style={{flex:1, color}}>{opt}</Text>
+                    <View style={{flex:1}}>
+                      {/* Image-only options have a placeholder text used for grading only */}
+                      {!isImageOnlyOption(currentQuestion, idx) && <RichText text={opt} style={{color}} />}
+                      {optImage ? <QuestionImage source={imageSource(optImage, images)} name={optImage} maxHeight={160} style={{ marginTop: 4 }} /> : null}
+                    </View>
                   </TouchableOpacity>
                 );
               })}
             </View>
 
-            {/* Permanent explanation toggle UI - Always active */}
-            <View style={{ marginTop: 16 }}>
+            {/* NAT: numeric input in place of the option list */}
+            {isNat && (
+              <View style={{marginTop:12}}>
+                <TextInput
+                  value={currentResponse.natInput || ""}
+                  onChangeText={handleNatChange}
+                  onSubmitEditing={handleNatSubmit}
+                  editable={!answered || isMock}
+                  keyboardType={Platform.OS === "ios" ? "numbers-and-punctuation" : "numeric"}
+                  placeholder="Your answer"
+                  style={[styles.input, { fontSize: 18 }, answered && showFeedback && {
+                    backgroundColor: currentResponse.isCorrect ? "#DCFCE7" : "#FFF1F2",
+                    borderColor: currentResponse.isCorrect ? "#34D399" : "#FCA5A5",
+                  }]}
+                />
+                {isMock ? null : !answered ? (
+                  <TouchableOpacity
+                    onPress={handleNatSubmit}
+                    disabled={!(currentResponse.natInput || "").trim()}
+                    style={[styles.primaryBtn, { marginTop: 0, backgroundColor: (currentResponse.natInput || "").trim() ? "#2563EB" : "#D1D5DB" }]}
+                  >
+                    <Text style={styles.primaryBtnText}>Submit Answer</Text>
+                  </TouchableOpacity>
+                ) : (
+                  <Text style={{ fontWeight: "600", color: currentResponse.isCorrect ? "#059669" : "#DC2626" }}>
+                    {currentResponse.isCorrect ? "Correct" : "Incorrect"} · Answer: {natAnswerLabel(currentQuestion)}
+                  </Text>
+                )}
+              </View>
+            )}
+
+            {/* MSQ: explicit submit locks the selection and grades it */}
+            {isMulti && !answered && !isMock && (
+              <TouchableOpacity
+                onPress={handleMultiSubmit}
+                disabled={!(currentResponse.selectedOptions || []).length}
+                style={[styles.primaryBtn, { backgroundColor: (currentResponse.selectedOptions || []).length ? "#2563EB" : "#D1D5DB" }]}
+              >
+                <Text style={styles.primaryBtnText}>Submit Answer</Text>
+              </TouchableOpacity>
+            )}
+            {isMulti && answered && showFeedback && (
+              <Text style={{ marginTop: 4, fontWeight: "600", color: currentResponse.isCorrect ? "#059669" : "#DC2626" }}>
+                {currentResponse.isCorrect ? "Correct" : "Incorrect"} · Answer: {correctOptionLabels(currentQuestion)}
+              </Text>
+            )}
+
+            {/* Permanent explanation toggle UI - Always active (hidden during a mock) */}
+            {showFeedback && <View style={{ marginTop: 16 }}>
               <TouchableOpacity
                 onPress={() => {
                   setUserResponses(prev => ({
@@ -558,31 +1966,76 @@ export default function App() {
               {/* Explanation Content (Only appears if visible flag is true) */}
               {currentResponse.isExplanationVisible && currentQuestion.explanation && (
                 <View style={{ marginTop: 8, padding: 10, borderRadius: 8, backgroundColor: '#F1F5F9', borderWidth: 1, borderColor: '#CBD5E1' }}>
-                  <Text style={{ color: '#475569' }}>{currentQuestion.explanation}</Text>
+                  <RichText text={currentQuestion.explanation} style={{ color: '#475569' }} />
                 </View>
               )}
-            </View>
+            </View>}
+
+            {/* Bookmark and personal note, kept per question id across sessions */}
+            {currentQuestion?.id && (
+              <View style={{ marginTop: 12 }}>
+                <View style={{ flexDirection: 'row' }}>
+                  <TouchableOpacity
+                    onPress={() => setAnnotations(prev => toggleBookmark(prev, currentQuestion.id))}
+                    style={[styles.box, { flex: 1, marginRight: 8, alignItems: 'center', borderColor: bookmarked ? '#FCD34D' : '#E2E8F0', backgroundColor: bookmarked ? '#FFFBEB' : '#fff' }]}
+                  >
+                    <Text style={{ color: bookmarked ? '#B45309' : '#475569', fontWeight: '600' }}>{bookmarked ? "★ Bookmarked" : "☆ Bookmark"}</Text>
+                  </TouchableOpacity>
+                  <TouchableOpacity
+                    onPress={() => setNoteDraft(isEditingNote ? null : { id: currentQuestion.id, text: note })}
+                    style={[styles.box, { flex: 1, alignItems: 'center', borderColor: '#E2E8F0', backgroundColor: '#fff' }]}
+                  >
+                    <Text style={{ color: '#475569', fontWeight: '600' }}>{note ? "✎ Edit note" : "✎ Add note"}</Text>
+                  </TouchableOpacity>
+                </View>
+                {isEditingNote ? (
+                  <View style={{ marginTop: 8 }}>
+                    <TextInput
+                      value={noteDraft.text}
+                      onChangeText={text => setNoteDraft(prev => ({ ...prev, text }))}
+                      placeholder="Your note on this question"
+                      multiline
+                      autoFocus
+                      textAlignVertical="top"
+                      style={[styles.input, { minHeight: 70 }]}
+                    />
+                    <View style={{ flexDirection: 'row', justifyContent: 'flex-end' }}>
+                      <TouchableOpacity onPress={() => setNoteDraft(null)} style={{ paddingHorizontal: 12, paddingVertical: 8 }}>
+                        <Text style={{ color: '#6B7280' }}>Cancel</Text>
+                      </TouchableOpacity>
+                      <TouchableOpacity onPress={saveNote} style={styles.smallBtn}>
+                        <Text style={{ color: '#fff' }}>Save note</Text>
+                      </TouchableOpacity>
+                    </View>
+                  </View>
+                ) : note ? (
+                  <View style={styles.noteBox}>
+                    <Text style={{ fontSize: 12, fontWeight: '700', color: '#92400E', marginBottom: 2 }}>📝 My note</Text>
+                    <Text style={{ color: '#78350F' }}>{note}</Text>
+                  </View>
+                ) : null}
+              </View>
+            )}
           </View>
         </ScrollView>
         
         {/* Fixed Navigation Footer - Raised and Seamless */}
         <View style={styles.fixedFooter}>
           <View style={{paddingHorizontal: 16}}>
+            <TouchableOpacity
+              onPress={handleMarkForReview}
+              style={[styles.navBtn, { backgroundColor: currentResponse.markedForReview ? "#EDE9FE" : "#7C3AED", alignItems: "center", marginBottom: 8 }]}
+            >
+              <Text style={{ color: currentResponse.markedForReview ? "#5B21B6" : "#fff", fontWeight: "600" }}>
+                {currentResponse.markedForReview ? "⚑ Marked · Tap to Unmark" : "Mark for Review & Next"}
+              </Text>
+            </TouchableOpacity>
             <View style={{flexDirection:"row", justifyContent:"space-between"}}>
               {/* PREVIOUS BUTTON: Hides explanation on navigation */}
               <TouchableOpacity 
                 onPress={() => { 
                   if (currentQuestionIndex > 0) {
-                      const newIndex = currentQuestionIndex - 1;
-                      // Hide explanation for the new question index
-                      setUserResponses(prev => ({
-                        ...prev,
-                        [newIndex]: {
-                          ...(prev[newIndex] || {}),
-                          isExplanationVisible: false,
-                        }
-                      }));
-                      setCurrentQuestionIndex(newIndex);
+                      goToQuestion(currentQuestionIndex - 1);
                   } else { 
                       setQuizState("TOPIC_SELECT"); 
                   }
@@ -596,27 +2049,25 @@ export default function App() {
               <TouchableOpacity 
                 onPress={() => { 
                   if (isLast) { 
-                      setQuizState("SUMMARY"); 
+                      if (isMock) confirmSubmitMock();
+                      else { closeStretch(); setQuizState("SUMMARY"); }
                   } else {
-                      const newIndex = currentQuestionIndex + 1;
-                      // Hide explanation for the new question index
-                      setUserResponses(prev => ({
-                        ...prev,
-                        [newIndex]: {
-                          ...(prev[newIndex] || {}),
-                          isExplanationVisible: false,
-                        }
-                      }));
-                      setCurrentQuestionIndex(newIndex);
+                      goToQuestion(currentQuestionIndex + 1);
                   } 
                 }} 
                 style={[styles.navBtn, {backgroundColor:"#2563EB"}]}
               >
-                <Text style={{color:"#fff"}}>{isLast ? "Finish Session" : "Next"}</Text>
+                <Text style={{color:"#fff"}}>{isLast ? (isMock ? "Submit Exam" : "Finish Session") : "Next"}</Text>
               </TouchableOpacity>
             </View>
 
-            <Text style={{marginTop:10, color:"#475569", textAlign: 'center'}}>Score: {finalScore} / {attempted}</Text>
+            {isMock ? (
+              <Text style={{marginTop:10, color:"#475569", textAlign: 'center'}}>Answered: {attempted} / {total}</Text>
+            ) : (
+              <Text style={{marginTop:10, color:"#475569", textAlign: 'center'}}>
+                Marks: {formatMarks(netScore)} / {formatMarks(maxMarks)} (+{formatMarks(rawMarks)} −{formatMarks(negativeMarks)}) · Correct: {finalScore} / {attempted}
+              </Text>
+            )}
           </View>
         </View>
 
@@ -633,49 +2084,276 @@ export default function App() {
                     <Text style={styles.statLine}>Total Questions: <Text style={styles.statValue}>{total}</Text></Text>
                 </View>
 
+                {isMock ? (
+                <View style={[styles.statsColumn, { borderLeftWidth: 1, borderColor: '#E5E7EB', paddingLeft: 10 }]}>
+                    <Text style={styles.statLine}>Time left: <Text style={styles.statValue}>{formatClock(timeLeftMs)}</Text></Text>
+                    <TouchableOpacity onPress={confirmSubmitMock} style={[styles.smallBtn, { marginTop: 6, alignItems: 'center' }]}>
+                      <Text style={{ color: '#fff', fontWeight: '700' }}>Submit Exam</Text>
+                    </TouchableOpacity>
+                </View>
+                ) : (
                 <View style={[styles.statsColumn, { borderLeftWidth: 1, borderColor: '#E5E7EB', paddingLeft: 10 }]}>
                     <Text style={styles.statLine}>Correct: <Text style={[styles.statValue, { color: '#059669' }]}>{finalScore}</Text></Text>
                     <Text style={styles.statLine}>Incorrect: <Text style={[styles.statValue, { color: '#DC2626' }]}>{incorrects.length}</Text></Text>
                     <Text style={styles.statLine}>Accuracy: <Text style={styles.statValue}>{accuracy}%</Text></Text>
                 </View>
+                )}
               </View>
 
-              <Text style={{ fontWeight: "700", marginVertical: 8, marginTop: 15 }}>Jump To:</Text>
+              {showFeedback && <View style={styles.statsCard}>
+                <View style={styles.statsColumn}>
+                    <Text style={styles.statLine}>Raw marks: <Text style={[styles.statValue, { color: '#059669' }]}>+{formatMarks(rawMarks)}</Text></Text>
+                    <Text style={styles.statLine}>Negative: <Text style={[styles.statValue, { color: '#DC2626' }]}>−{formatMarks(negativeMarks)}</Text></Text>
+                </View>
+                <View style={[styles.statsColumn, { borderLeftWidth: 1, borderColor: '#E5E7EB', paddingLeft: 10 }]}>
+                    <Text style={styles.statLine}>Net score: <Text style={styles.statValue}>{formatMarks(netScore)}</Text></Text>
+                    <Text style={styles.statLine}>Out of: <Text style={styles.statValue}>{formatMarks(maxMarks)}</Text></Text>
+                </View>
+              </View>}
+
+              {/* Pacing; correct vs incorrect only where answers are revealed */}
+              {pacing.timedCount > 0 && (
+                <View style={[styles.statsCard, { flexDirection: 'column' }]}>
+                  <Text style={styles.statLine}>Time so far: <Text style={styles.statValue}>{formatDuration(pacing.totalMs)}</Text> · avg <Text style={styles.statValue}>{formatDuration(pacing.averageMs)}</Text></Text>
+                  {showFeedback && (
+                    <Text style={styles.statLine}>
+                      Avg correct: <Text style={[styles.statValue, { color: '#059669' }]}>{pacing.correctCount ? formatDuration(pacing.averageCorrectMs) : '—'}</Text>
+                      {'  '}Avg incorrect: <Text style={[styles.statValue, { color: '#DC2626' }]}>{pacing.incorrectCount ? formatDuration(pacing.averageIncorrectMs) : '—'}</Text>
+                    </Text>
+                  )}
+                  <Text style={[styles.statLine, { marginTop: 4 }]}>Slowest:</Text>
+                  <View style={{ flexDirection: 'row', flexWrap: 'wrap' }}>
+                    {pacing.slowest.map(t => (
+                      <TouchableOpacity key={t.index} onPress={() => { goToQuestion(t.index); setIsDrawerOpen(false); }} style={[styles.chip, { marginBottom: 0 }]}>
+                        <Text style={{ fontSize: 12, color: PACE_LEVELS[t.level].color }}>Q{t.index + 1} · {formatDuration(t.timeSpentMs)}</Text>
+                      </TouchableOpacity>
+                    ))}
+                  </View>
+                </View>
+              )}
+
+              {/* Palette legend with counts; tap a state to show only those questions */}
+              <View style={[styles.statsCard, { flexDirection: 'column' }]}>
+                {PALETTE_LEGEND.map(item => (
+                  <TouchableOpacity
+                    key={item.state}
+                    onPress={() => setPaletteFilter(f => (f === item.state ? null : item.state))}
+                    style={[styles.legendRow, paletteFilter === item.state && { backgroundColor: '#EFF6FF' }]}
+                  >
+                    <View style={[styles.legendSwatch, { backgroundColor: item.bg }]}>
+                      {item.badge && <View style={[styles.paletteBadge, { backgroundColor: item.badge }]} />}
+                    </View>
+                    <Text style={[styles.statLine, { flex: 1 }]}>{item.label}</Text>
+                    <Text style={styles.statValue}>{paletteTotals[item.state]}</Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+
+              <View style={{ flexDirection: 'row', alignItems: 'center', marginTop: 15, marginBottom: 8 }}>
+                <Text style={{ fontWeight: "700", flex: 1 }}>Jump To:</Text>
+                <TouchableOpacity onPress={() => setPaletteFilter(null)} style={[styles.chip, paletteFilter === null && styles.chipActive, { marginBottom: 0 }]}>
+                  <Text style={{ color: paletteFilter === null ? '#fff' : '#374151', fontSize: 12 }}>All</Text>
+                </TouchableOpacity>
+                <TouchableOpacity onPress={() => setPaletteFilter(f => (f === "MARKED" ? null : "MARKED"))} style={[styles.chip, paletteFilter === "MARKED" && styles.chipActive, { marginBottom: 0, marginRight: 0 }]}>
+                  <Text style={{ color: paletteFilter === "MARKED" ? '#fff' : '#374151', fontSize: 12 }}>Marked ({paletteTotals.MARKED + paletteTotals.ANSWERED_MARKED})</Text>
+                </TouchableOpacity>
+              </View>
               <View style={{flexDirection:"row", flexWrap:"wrap"}}>
                 {currentQuestions.map((q, i) => {
                   const resp = userResponses[i];
-                  let bg="#E5E7EB", color="#374151";
-                  if (resp?.selectedOption) { bg = resp.isCorrect ? "#059669" : "#DC2626"; color="#fff"; }
-                  if (i === currentQuestionIndex) { bg="#2563EB"; color="#fff"; }
-                  return <TouchableOpacity key={i} onPress={() => { setCurrentQuestionIndex(i); setIsDrawerOpen(false); }} style={{width:"18%", aspectRatio:1, margin:4, justifyContent:"center", alignItems:"center", backgroundColor:bg, borderRadius:8}}><Text style={{color, fontWeight:"700"}}>{i+1}</Text></TouchableOpacity>;
+                  const state = paletteState(resp);
+                  if (paletteFilter === "MARKED" ? !isMarkedState(state) : paletteFilter && paletteFilter !== state) return null;
+                  const look = paletteStyle(state);
+                  const isCurrent = i === currentQuestionIndex;
+                  // Practice also shows whether an answer was right; a mock never does
+                  const verdict = showFeedback && isAnswered(resp) ? (resp.isCorrect ? "✓" : "✗") : null;
+                  return (
+                    <TouchableOpacity
+                      key={i}
+                      onPress={() => { goToQuestion(i); setIsDrawerOpen(false); }}
+                      style={[styles.paletteCell, { backgroundColor: look.bg }, isCurrent && styles.paletteCellCurrent]}
+                    >
+                      <Text style={{color: look.color, fontWeight:"700"}}>{i+1}</Text>
+                      {look.badge && <View style={[styles.paletteBadge, { backgroundColor: look.badge }]} />}
+                      {verdict && <Text style={[styles.paletteVerdict, { color: resp.isCorrect ? "#BBF7D0" : "#FECACA" }]}>{verdict}</Text>}
+                    </TouchableOpacity>
+                  );
                 })}
               </View>
+
+              {/* With a filter on, list the matching questions so they can be told apart */}
+              {paletteFilter && currentQuestions.map((q, i) => {
+                const state = paletteState(userResponses[i]);
+                if (paletteFilter === "MARKED" ? !isMarkedState(state) : paletteFilter !== state) return null;
+                return (
+                  <TouchableOpacity key={i} onPress={() => { goToQuestion(i); setIsDrawerOpen(false); }} style={[styles.row, { marginTop: 6 }]}>
+                    <Text style={{ width: 36, fontWeight: "700", color: "#1D4ED8" }}>Q{i + 1}.</Text>
+                    <RichText text={q.q} numberOfLines={2} style={{ color: "#0F172A" }} containerStyle={{ flex: 1 }} />
+                  </TouchableOpacity>
+                );
+              })}
             </ScrollView>
           </View>
         )}
+
+        {/* e.g. the slots a generated paper could not fill */}
+        {!!message && <View style={[styles.messageBox, { position: "absolute", left: 16, right: 16, bottom: 90 }]}><Text style={{ color: '#1E3A8A' }}>{message}</Text></View>}
+
+        <Calculator
+          visible={isCalculatorOpen}
+          onClose={() => setIsCalculatorOpen(false)}
+          onUseResult={isNat && (isMock || !currentResponse.submitted) ? handleNatChange : undefined}
+        />
       </View>
     );
   }
 
   if (quizState === "SUMMARY") {
-    const { finalScore, attempted, total, incorrects } = calculateScore();
+    const { finalScore, attempted, total, incorrects, accuracy, rawMarks, negativeMarks, netScore, maxMarks } = calculateScore();
+    const timeTakenMs = mock?.submittedAt ? Math.min(mock.submittedAt, mock.deadline) - mock.startedAt : 0;
+    const timedAttempts = currentQuestions.map((q, i) => userResponses[i]).filter(r => isAnswered(r) && r.timeSpentMs);
+    const avgTimeMs = timedAttempts.length ? timedAttempts.reduce((sum, r) => sum + r.timeSpentMs, 0) / timedAttempts.length : 0;
+    const pacing = pacingStats(currentQuestions, userResponses);
     return (
       <ScrollView contentContainerStyle={styles.container}>
-        <Text style={styles.title}>Session Complete!</Text>
+        <Text style={styles.title}>{mock ? "Mock Exam Submitted" : "Session Complete!"}</Text>
+        {mock && (
+          <View style={styles.card}>
+            <Text style={{fontWeight:"700"}}>Time taken: {formatDuration(timeTakenMs)} of {formatDuration(mock.durationMs)}</Text>
+            {mock.autoSubmitted && <Text style={{marginTop:6, color:"#B45309"}}>Time ran out — the exam was submitted automatically.</Text>}
+            <Text style={{marginTop:6}}>Average per attempted question: {formatDuration(avgTimeMs)}</Text>
+          </View>
+        )}
         <View style={styles.card}>
           <Text style={{fontWeight:"700"}}>Total: {total}</Text>
           <Text style={{marginTop:6}}>Attempted: {attempted}</Text>
           <Text style={{marginTop:6}}>Correct: {finalScore}</Text>
-          <Text style={{marginTop:6}}>Accuracy: {attempted>0 ? Math.round((finalScore/attempted)*100) : 0}%</Text>
+          <Text style={{marginTop:6}}>Accuracy: {accuracy}%</Text>
+          <View style={{marginTop:10, paddingTop:10, borderTopWidth:1, borderColor:"#E5E7EB"}}>
+            <Text>Raw marks: <Text style={{fontWeight:"700", color:"#059669"}}>+{formatMarks(rawMarks)}</Text></Text>
+            <Text style={{marginTop:6}}>Negative marks: <Text style={{fontWeight:"700", color:"#DC2626"}}>−{formatMarks(negativeMarks)}</Text></Text>
+            <Text style={{marginTop:6, fontWeight:"700"}}>Net score: {formatMarks(netScore)} / {formatMarks(maxMarks)}</Text>
+          </View>
           <View style={{flexDirection:"row", marginTop:12}}>
-            <TouchableOpacity onPress={() => { setQuizState("TOPIC_SELECT"); }} style={[styles.primaryBtn, {flex:1, marginRight:8}]}><Text style={styles.primaryBtnText}>Back to Topics</Text></TouchableOpacity>
-            {incorrects.length>0 && <TouchableOpacity onPress={() => startPractice(incorrects)} style={[styles.primaryBtn, {flex:1, backgroundColor:"#EF4444"}]}><Text style={styles.primaryBtnText}>Review {incorrects.length}</Text></TouchableOpacity>}
+            <TouchableOpacity onPress={endSession} style={[styles.primaryBtn, {flex:1, marginRight:8}]}><Text style={styles.primaryBtnText}>Back to Topics</Text></TouchableOpacity>
+            {incorrects.length>0 && <TouchableOpacity onPress={() => startPractice(incorrects)} style={[styles.primaryBtn, {flex:1, backgroundColor:"#EF4444"}]}><Text style={styles.primaryBtnText}>Retry {incorrects.length} wrong</Text></TouchableOpacity>}
           </View>
+          <TouchableOpacity onPress={() => setQuizState("REVIEW")} style={[styles.primaryBtn, { backgroundColor: "#2563EB" }]}>
+            <Text style={styles.primaryBtnText}>Review answers</Text>
+          </TouchableOpacity>
         </View>
+
+        {/* Pacing against the per-mark target (see utils/pacing) */}
+        {pacing.timedCount > 0 && (
+          <View style={styles.card}>
+            <Text style={styles.cardTitle}>Pacing</Text>
+            <Text>Time on questions: <Text style={{fontWeight:"700"}}>{formatDuration(pacing.totalMs)}</Text> · average <Text style={{fontWeight:"700"}}>{formatDuration(pacing.averageMs)}</Text></Text>
+            <Text style={{marginTop:6}}>
+              Average when correct: <Text style={{fontWeight:"700", color:"#059669"}}>{pacing.correctCount ? formatDuration(pacing.averageCorrectMs) : "—"}</Text>
+              {"   "}when wrong: <Text style={{fontWeight:"700", color:"#DC2626"}}>{pacing.incorrectCount ? formatDuration(pacing.averageIncorrectMs) : "—"}</Text>
+            </Text>
+            <Text style={{marginTop:6, color: pacing.overTarget ? "#B45309" : "#059669"}}>
+              {pacing.overTarget ? `${pacing.overTarget} question${pacing.overTarget === 1 ? "" : "s"} over the target time` : "Every question within the target time"}
+            </Text>
+            <Text style={{marginTop:10, fontWeight:"600"}}>Slowest questions</Text>
+            {pacing.slowest.map(t => (
+              <View key={t.index} style={[styles.row, { justifyContent: "space-between", marginTop: 4 }]}>
+                <Text style={{ width: 36, color: "#0F172A" }}>Q{t.index + 1}.</Text>
+                <RichText text={t.question.q} numberOfLines={1} style={{ color: "#0F172A" }} containerStyle={{ flex: 1 }} />
+                <Text style={{ width: 110, textAlign: "right", fontWeight: "600", color: PACE_LEVELS[t.level].color }}>
+                  {formatDuration(t.timeSpentMs)} / {formatDuration(t.targetMs)}
+                </Text>
+              </View>
+            ))}
+          </View>
+        )}
+
+        {/* Time per question */}
+        {pacing.timedCount > 0 && (
+          <View style={styles.card}>
+            <Text style={styles.cardTitle}>Time per question</Text>
+            {currentQuestions.map((q, i) => {
+              const r = userResponses[i];
+              const status = !isAnswered(r) ? "Skipped" : r.isCorrect ? "Correct" : "Wrong";
+              const statusColor = !isAnswered(r) ? "#6B7280" : r.isCorrect ? "#059669" : "#DC2626";
+              const level = r?.timeSpentMs ? paceLevel(r.timeSpentMs, paceTarget(q)) : "ok";
+              return (
+                <View key={q.id || i} style={[styles.row, { justifyContent: "space-between", marginBottom: 4 }]}>
+                  <Text style={{ width: 36, color: "#0F172A" }}>Q{i + 1}.</Text>
+                  <RichText text={q.q} numberOfLines={1} style={{ color: "#0F172A" }} containerStyle={{ flex: 1 }} />
+                  <Text style={{ width: 70, textAlign: "right", color: statusColor }}>{status}</Text>
+                  <Text style={{ width: 70, textAlign: "right", fontWeight: "600", color: PACE_LEVELS[level].color }}>{formatDuration(r?.timeSpentMs)}</Text>
+                </View>
+              );
+            })}
+          </View>
+        )}
       </ScrollView>
     );
   }
 
+  if (quizState === "REVIEW") {
+    return (
+      <View style={{ flex: 1 }}>
+        <ReviewScreen
+          questions={currentQuestions}
+          responses={userResponses}
+          images={images}
+          notes={id => noteFor(annotations, id)}
+          onExport={handleExportReview}
+          onBack={() => setQuizState("SUMMARY")}
+        />
+        {!!message && <View style={[styles.messageBox, { position: "absolute", left: 16, right: 16, bottom: 90 }]}><Text style={{ color: '#1E3A8A' }}>{message}</Text></View>}
+      </View>
+    );
+  }
+
+  if (quizState === "ANALYTICS") {
+    return <AnalyticsScreen history={history} topics={topics} onBack={() => setQuizState("TOPIC_SELECT")} />;
+  }
+
+  if (quizState === "BLUEPRINTS") {
+    return (
+      <View style={{ flex: 1 }}>
+        <BlueprintScreen
+          blueprints={blueprints}
+          topics={topics}
+          onSave={saveBlueprint}
+          onDelete={deleteBlueprint}
+          onStart={startPaper}
+          onBack={() => setQuizState("TOPIC_SELECT")}
+        />
+        {!!message && <View style={[styles.messageBox, { position: "absolute", left: 16, right: 16, bottom: 30 }]}><Text style={{ color: '#1E3A8A' }}>{message}</Text></View>}
+      </View>
+    );
+  }
+
+  if (quizState === "SEARCH") {
+    return (
+      <SearchScreen
+        topics={topics}
+        query={searchQuery}
+        onQueryChange={setSearchQuery}
+        // A result opens in its topic, at that question, so Next/Prev browse its neighbours
+        onOpen={result => startPractice(result.topic.questions, result.index)}
+        onPractice={questions => startPractice(questions)}
+        onBack={() => setQuizState("TOPIC_SELECT")}
+      />
+    );
+  }
+
+  if (quizState === "EDIT_TOPIC") {
+    const topic = topics.find(t => t.id === editingTopicId);
+    if (!topic) return null;
+    return (
+      <TopicEditor
+        topic={topic}
+        onChange={questions => updateTopicQuestions(topic.id, questions)}
+        onBack={() => { setEditingTopicId(null); setQuizState("TOPIC_SELECT"); }}
+      />
+    );
+  }
+
   return null;
 }
 
@@ -703,7 +2381,7 @@ const styles = StyleSheet.create({
   },
   scrollContentWrapper: { 
     flexGrow: 1,
-    paddingBottom: 130, // Increased padding to clear the RAISED fixed footer
+    paddingBottom: 180, // Clears the RAISED fixed footer (incl. the Mark for Review row)
   },
   questionContent: { 
     paddingHorizontal: 16, 
@@ -729,16 +2407,27 @@ const styles = StyleSheet.create({
   title: { fontSize:22, fontWeight:"800", color:"#1D4ED8", marginBottom:12 },
   card: { backgroundColor:"#fff", padding:14, borderRadius:12, marginBottom:12, shadowColor:"#000", shadowOpacity:0.06, elevation:2 },
   cardTitle: { fontWeight:"700", marginBottom:8 },
+  syncStatus: { fontSize: 12, color: "#374151", marginTop: 6 },
   input: { borderWidth:1, borderColor:"#E5E7EB", padding:10, borderRadius:8, backgroundColor:"#fff", marginBottom:8, color: '#1F2937' },
   primaryBtn: { backgroundColor:"#10B981", padding:12, borderRadius:8, alignItems:"center", marginTop:8 },
   primaryBtnText: { color:"#fff", fontWeight:"700" },
   row: { flexDirection:"row", alignItems:"center", marginBottom:8 },
+  messageBox: { padding:10, borderRadius:8, backgroundColor:"#DBEAFE", marginBottom:12 },
+  chip: { paddingHorizontal:10, paddingVertical:6, borderRadius:16, borderWidth:1, borderColor:"#D1D5DB", backgroundColor:"#F9FAFB", marginRight:6, marginBottom:6 },
+  chipActive: { backgroundColor:"#2563EB", borderColor:"#2563EB" },
   topicName: { fontWeight:"700" },
+  subjectHeading: { fontSize:12, fontWeight:"700", color:"#475569", textTransform:"uppercase", letterSpacing:0.5, marginTop:8, marginBottom:6 },
   smallBtn: { backgroundColor:"#2563EB", padding:8, borderRadius:8 },
   smallBtnAlt: { padding:8, borderRadius:8, backgroundColor:"#EFF6FF", borderWidth:1, borderColor:"#BFDBFE" },
   question: { fontSize:18 }, 
+  timerText: { fontSize:14, fontWeight:"700", color:"#7C3AED" },
+  sectionTab: { alignItems:"center", paddingHorizontal:10, paddingVertical:4, borderRadius:8, backgroundColor:"#EFF6FF", marginHorizontal:2, maxWidth:140 },
+  sectionTabActive: { backgroundColor:"#2563EB" },
+  paceText: { fontSize:12, fontWeight:"600", textAlign:"right", marginBottom:6 },
+  typeBadge: { alignSelf:"flex-start", fontSize:12, fontWeight:"700", color:"#7C3AED", backgroundColor:"#F5F3FF", paddingHorizontal:8, paddingVertical:3, borderRadius:6, marginBottom:8 },
   option: { flexDirection:"row", alignItems:"center", padding:12, borderRadius:10, borderWidth:1, marginBottom:8 },
   box: { padding:10, borderRadius:8, borderWidth:1 },
+  noteBox: { marginTop:8, padding:10, borderRadius:8, backgroundColor:"#FFFBEB", borderWidth:1, borderColor:"#FDE68A" },
   navBtn: { paddingHorizontal:18, paddingVertical:10, borderRadius:8 },
   drawer: { 
     position:"absolute", 
@@ -767,6 +2456,12 @@ const styles = StyleSheet.create({
   statsColumn: {
     width: '49%', 
   },
+  legendRow: { flexDirection: 'row', alignItems: 'center', paddingVertical: 2, paddingHorizontal: 4, borderRadius: 6 },
+  legendSwatch: { width: 18, height: 18, borderRadius: 4, marginRight: 8 },
+  paletteCell: { width:"18%", aspectRatio:1, margin:4, justifyContent:"center", alignItems:"center", borderRadius:8, borderWidth:2, borderColor:"transparent" },
+  paletteCellCurrent: { borderColor:"#2563EB", borderWidth:3 },
+  paletteBadge: { position:"absolute", right:2, bottom:2, width:8, height:8, borderRadius:4, borderWidth:1, borderColor:"#fff" },
+  paletteVerdict: { position:"absolute", top:1, right:4, fontSize:11, fontWeight:"700" },
   statLine: { fontSize: 14, color: '#4B5563', lineHeight: 22 },
   statValue: { fontWeight: '700', color: '#1F2937' },
 
@@ -802,6 +2497,10 @@ const styles = StyleSheet.create({
   dropdownItem: {
     padding: 10,
   },
+  dropdownTextNeutral: {
+    color: '#1F2937',
+    fontWeight: '600',
+  },
   dropdownText: {
     color: '#EF4444',
     fontWeight: '600',
@@ -0,0 +1,127 @@
+import React, { useMemo } from 'react';
+import { Text, View, StyleSheet, ScrollView, TouchableOpacity } from 'react-native';
+import { summarizeHistory } from '../utils/analytics';
+import { formatMarks } from '../utils/scoring';
+import { formatDuration } from '../utils/time';
+
+const TREND_POINTS = 10;
+
+const accuracyColor = (accuracy) => (accuracy >= 70 ? '#16A34A' : accuracy >= 40 ? '#F59E0B' : '#DC2626');
+
+// Last few session accuracies as a row of bars (0-100%).
+const TrendBars = ({ trend }) => (
+  <View style={styles.trend}>
+    {trend.slice(-TREND_POINTS).map((p, i) => (
+      <View key={i} style={styles.trendSlot}>
+        <View style={[styles.trendBar, { height: `${Math.max(4, p.accuracy)}%`, backgroundColor: accuracyColor(p.accuracy) }]} />
+      </View>
+    ))}
+  </View>
+);
+
+const StatRow = ({ label, value, color }) => (
+  <View style={styles.statRow}>
+    <Text style={styles.statLabel}>{label}</Text>
+    <Text style={[styles.statValue, color && { color }]}>{value}</Text>
+  </View>
+);
+
+export default function AnalyticsScreen({ history, topics, onBack }) {
+  const stats = useMemo(() => summarizeHistory(history, topics), [history, topics]);
+  const recent = useMemo(() => [...history].sort((a, b) => b.completedAt - a.completedAt).slice(0, 10), [history]);
+
+  return (
+    <ScrollView contentContainerStyle={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity onPress={onBack} style={styles.backBtn}>
+          <Text style={{ color: '#374151', fontWeight: 'bold' }}>← Topics</Text>
+        </TouchableOpacity>
+        <Text style={styles.title}>📊 Analytics</Text>
+      </View>
+
+      {stats.sessions === 0 ? (
+        <View style={styles.card}>
+          <Text style={{ color: '#64748B' }}>No completed sessions yet. Finish a practice session or mock exam to see your progress here.</Text>
+        </View>
+      ) : (
+        <>
+          <View style={styles.card}>
+            <Text style={styles.cardTitle}>Overall</Text>
+            <StatRow label="Sessions completed" value={stats.sessions} />
+            <StatRow label="Questions attempted" value={stats.overall.attempted} />
+            <StatRow label="Accuracy" value={`${stats.overall.accuracy}%`} color={accuracyColor(stats.overall.accuracy)} />
+            <StatRow label="Negative marks lost" value={`−${formatMarks(stats.overall.negativeMarks)}`} color="#DC2626" />
+            <StatRow label="Avg time per question" value={stats.overall.avgTimeMs ? formatDuration(stats.overall.avgTimeMs) : '—'} />
+            <StatRow label="Avg time (correct / incorrect)" value={`${stats.timeCorrectMs ? formatDuration(stats.timeCorrectMs) : '—'} / ${stats.timeIncorrectMs ? formatDuration(stats.timeIncorrectMs) : '—'}`} />
+          </View>
+
+          <View style={styles.card}>
+            <Text style={styles.cardTitle}>Weakest topics</Text>
+            {stats.weakestTopics.length === 0 ? (
+              <Text style={styles.muted}>Attempt at least 5 questions in a topic to rank it.</Text>
+            ) : stats.weakestTopics.map(t => (
+              <StatRow key={t.topicId} label={`${t.name} (${t.attempted})`} value={`${t.accuracy}%`} color={accuracyColor(t.accuracy)} />
+            ))}
+          </View>
+
+          {stats.tags.length > 0 && (
+            <View style={styles.card}>
+              <Text style={styles.cardTitle}>Weakest tags</Text>
+              {stats.weakestTags.length === 0 ? (
+                <Text style={styles.muted}>Attempt at least 5 questions with a tag to rank it.</Text>
+              ) : stats.weakestTags.map(t => (
+                <StatRow key={t.tag} label={`#${t.tag} (${t.attempted})`} value={`${t.accuracy}%`} color={accuracyColor(t.accuracy)} />
+              ))}
+            </View>
+          )}
+
+          <View style={styles.card}>
+            <Text style={styles.cardTitle}>Accuracy trend by topic</Text>
+            <Text style={[styles.muted, { marginBottom: 8 }]}>One bar per session, oldest to newest (last {TREND_POINTS}).</Text>
+            {stats.topics.map(t => (
+              <View key={t.topicId} style={styles.topicBlock}>
+                <View style={styles.statRow}>
+                  <Text style={[styles.statLabel, { fontWeight: '700', color: '#0F172A' }]}>{t.name}</Text>
+                  <Text style={[styles.statValue, { color: accuracyColor(t.accuracy) }]}>{t.accuracy}%</Text>
+                </View>
+                <TrendBars trend={t.trend} />
+                <Text style={styles.muted}>
+                  {t.attempted} attempted · −{formatMarks(t.negativeMarks)} negative{t.avgTimeMs ? ` · ${formatDuration(t.avgTimeMs)}/question` : ''}
+                </Text>
+              </View>
+            ))}
+          </View>
+
+          <View style={styles.card}>
+            <Text style={styles.cardTitle}>Recent sessions</Text>
+            {recent.map(s => (
+              <View key={s.id} style={styles.statRow}>
+                <Text style={styles.statLabel}>
+                  {new Date(s.completedAt).toLocaleDateString()} · {s.mode === 'MOCK' ? 'Mock' : 'Practice'} · {s.score.total} Qs
+                </Text>
+                <Text style={styles.statValue}>{formatMarks(s.score.netScore)} / {formatMarks(s.score.maxMarks)}</Text>
+              </View>
+            ))}
+          </View>
+        </>
+      )}
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: { paddingTop: 60, paddingHorizontal: 16, paddingBottom: 60, backgroundColor: '#F3F4F6', minHeight: '100%' },
+  header: { flexDirection: 'row', alignItems: 'center', marginBottom: 12 },
+  backBtn: { paddingHorizontal: 12, paddingVertical: 6, backgroundColor: '#E5E7EB', borderRadius: 8, marginRight: 12 },
+  title: { fontSize: 22, fontWeight: '800', color: '#1D4ED8' },
+  card: { backgroundColor: '#fff', padding: 14, borderRadius: 12, marginBottom: 12, shadowColor: '#000', shadowOpacity: 0.06, elevation: 2 },
+  cardTitle: { fontWeight: '700', marginBottom: 8 },
+  muted: { fontSize: 12, color: '#64748B' },
+  statRow: { flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center', paddingVertical: 3 },
+  statLabel: { flex: 1, color: '#4B5563', marginRight: 8 },
+  statValue: { fontWeight: '700', color: '#1F2937' },
+  topicBlock: { paddingVertical: 8, borderTopWidth: 1, borderColor: '#F3F4F6' },
+  trend: { flexDirection: 'row', alignItems: 'flex-end', height: 36, marginVertical: 4 },
+  trendSlot: { width: 14, height: '100%', justifyContent: 'flex-end', marginRight: 4, backgroundColor: '#F3F4F6', borderRadius: 3 },
+  trendBar: { width: '100%', borderRadius: 3 },
+});
@@ -0,0 +1,284 @@
+import React, { useMemo, useState } from 'react';
+import { Text, View, StyleSheet, ScrollView, TouchableOpacity, TextInput, Switch } from 'react-native';
+import {
+  BUILT_IN_BLUEPRINTS, EMPTY_SOURCE, SLOT_MARKS, SLOT_TYPES,
+  blueprintTotals, copyBlueprint, describeShortfall, newBlueprint, newSection, newSlot, planPaper, sectionTotals,
+} from '../utils/blueprints';
+import { filterOptions } from '../utils/metadata';
+
+const Chip = ({ label, active, onPress }) => (
+  <TouchableOpacity onPress={onPress} style={[styles.chip, active && styles.chipActive]}>
+    <Text style={{ color: active ? '#fff' : '#374151', fontSize: 12 }}>{label}</Text>
+  </TouchableOpacity>
+);
+
+const toggle = (list = [], value) => (list.includes(value) ? list.filter(v => v !== value) : [...list, value]);
+
+const sourceLabel = (source, topics) => {
+  const names = (source?.topicIds || []).map(id => topics.find(t => t.id === id)?.topicName).filter(Boolean);
+  const parts = [...names, ...(source?.subjects || []), ...(source?.tags || []).map(t => `#${t}`)];
+  return parts.length ? parts.join(', ') : 'Any other question';
+};
+
+const summaryLine = (bp) => {
+  const t = blueprintTotals(bp);
+  return `${t.questions} questions · ${t.marks} marks · ${bp.minutes} min`;
+};
+
+/* ----------------- Editor ----------------- */
+
+const SlotEditor = ({ slot, topics, options, onChange, onRemove }) => {
+  const [showSource, setShowSource] = useState(false);
+  const set = (patch) => onChange({ ...slot, ...patch });
+  const source = { ...EMPTY_SOURCE, ...slot.source };
+  const setSource = (patch) => set({ source: { ...source, ...patch } });
+  return (
+    <View style={styles.slot}>
+      <View style={styles.row}>
+        {SLOT_TYPES.map(t => <Chip key={t} label={t} active={slot.type === t} onPress={() => set({ type: t })} />)}
+        {SLOT_MARKS.map(m => <Chip key={m} label={`${m} mark${m === 1 ? '' : 's'}`} active={slot.marks === m} onPress={() => set({ marks: m })} />)}
+        <TextInput
+          value={String(slot.count)}
+          onChangeText={v => set({ count: Math.max(0, parseInt(v, 10) || 0) })}
+          keyboardType="numeric"
+          style={styles.countInput}
+        />
+        <TouchableOpacity onPress={onRemove} style={{ marginLeft: 'auto', padding: 4 }}>
+          <Text style={{ color: '#DC2626', fontWeight: '700' }}>✕</Text>
+        </TouchableOpacity>
+      </View>
+      <TouchableOpacity onPress={() => setShowSource(s => !s)}>
+        <Text style={styles.muted} numberOfLines={showSource ? undefined : 1}>
+          From: {sourceLabel(source, topics)} {showSource ? '▲' : '▼'}
+        </Text>
+      </TouchableOpacity>
+      {showSource && (
+        <View style={{ marginTop: 4 }}>
+          <Text style={styles.sourceLabel}>Topics</Text>
+          <View style={styles.chips}>
+            {topics.map(t => <Chip key={t.id} label={t.topicName} active={source.topicIds.includes(t.id)} onPress={() => setSource({ topicIds: toggle(source.topicIds, t.id) })} />)}
+          </View>
+          {[...new Set([...options.subjects, ...source.subjects])].length > 0 && <Text style={styles.sourceLabel}>Subjects</Text>}
+          <View style={styles.chips}>
+            {[...new Set([...options.subjects, ...source.subjects])].map(s => <Chip key={s} label={s} active={source.subjects.includes(s)} onPress={() => setSource({ subjects: toggle(source.subjects, s) })} />)}
+          </View>
+          {[...new Set([...options.tags, ...source.tags])].length > 0 && <Text style={styles.sourceLabel}>Tags</Text>}
+          <View style={styles.chips}>
+            {[...new Set([...options.tags, ...source.tags])].map(t => <Chip key={t} label={`#${t}`} active={source.tags.includes(t)} onPress={() => setSource({ tags: toggle(source.tags, t) })} />)}
+          </View>
+        </View>
+      )}
+    </View>
+  );
+};
+
+const BlueprintEditor = ({ draft, topics, onChange, onSave, onCancel }) => {
+  const options = useMemo(() => filterOptions(topics.flatMap(t => t.questions)), [topics]);
+  const set = (patch) => onChange({ ...draft, ...patch });
+  const setSection = (si, patch) => set({ sections: draft.sections.map((s, i) => (i === si ? { ...s, ...patch } : s)) });
+  const setSlots = (si, slots) => setSection(si, { slots });
+  const totals = blueprintTotals(draft);
+
+  return (
+    <View style={styles.card}>
+      <Text style={styles.label}>Name</Text>
+      <TextInput value={draft.name} onChangeText={name => set({ name })} style={styles.input} />
+      <View style={[styles.row, { marginTop: 8 }]}>
+        <Text style={{ color: '#374151', marginRight: 8 }}>Duration</Text>
+        <TextInput
+          value={String(draft.minutes)}
+          onChangeText={v => set({ minutes: Math.max(0, parseInt(v, 10) || 0) })}
+          keyboardType="numeric"
+          style={styles.countInput}
+        />
+        <Text style={{ color: '#374151' }}>minutes</Text>
+        <View style={{ flex: 1 }} />
+        <Text style={{ color: '#374151', marginRight: 6 }}>Shuffle options</Text>
+        <Switch value={!!draft.shuffleOptions} onValueChange={v => set({ shuffleOptions: v })} />
+      </View>
+
+      {draft.sections.map((section, si) => {
+        const t = sectionTotals(section);
+        return (
+          <View key={si} style={styles.section}>
+            <View style={styles.row}>
+              <TextInput value={section.name} onChangeText={name => setSection(si, { name })} style={[styles.input, { flex: 1, marginRight: 8 }]} />
+              <Text style={styles.muted}>{t.questions} Q · {t.marks} marks</Text>
+              <TouchableOpacity onPress={() => set({ sections: draft.sections.filter((_, i) => i !== si) })} style={{ padding: 6 }}>
+                <Text style={{ color: '#DC2626', fontWeight: '700' }}>Remove</Text>
+              </TouchableOpacity>
+            </View>
+            {section.slots.map((slot, i) => (
+              <SlotEditor
+                key={i}
+                slot={slot}
+                topics={topics}
+                options={options}
+                onChange={next => setSlots(si, section.slots.map((s, j) => (j === i ? next : s)))}
+                onRemove={() => setSlots(si, section.slots.filter((_, j) => j !== i))}
+              />
+            ))}
+            <TouchableOpacity onPress={() => setSlots(si, [...section.slots, newSlot()])}>
+              <Text style={styles.link}>+ Add slot</Text>
+            </TouchableOpacity>
+          </View>
+        );
+      })}
+      <TouchableOpacity onPress={() => set({ sections: [...draft.sections, newSection(`Section ${draft.sections.length + 1}`)] })}>
+        <Text style={[styles.link, { marginTop: 8 }]}>+ Add section</Text>
+      </TouchableOpacity>
+
+      <Text style={[styles.muted, { marginTop: 10 }]}>Total: {totals.questions} questions · {totals.marks} marks</Text>
+      <View style={[styles.row, { marginTop: 10 }]}>
+        <TouchableOpacity onPress={onCancel} style={[styles.btn, { backgroundColor: '#6B7280', marginRight: 8 }]}>
+          <Text style={styles.btnText}>Cancel</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          onPress={onSave}
+          disabled={!draft.name.trim() || totals.questions === 0}
+          style={[styles.btn, { backgroundColor: draft.name.trim() && totals.questions ? '#2563EB' : '#D1D5DB' }]}
+        >
+          <Text style={styles.btnText}>Save blueprint</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+};
+
+/* ----------------- Preview ----------------- */
+
+const PaperPreview = ({ blueprint, topics }) => {
+  const plan = useMemo(() => planPaper(topics, blueprint), [topics, blueprint]);
+  const totals = blueprintTotals(blueprint);
+  return (
+    <View style={{ marginTop: 8 }}>
+      {plan.sections.map((section, si) => (
+        <View key={si} style={{ marginBottom: 6 }}>
+          <Text style={{ fontWeight: '700', color: '#1F2937' }}>{section.name}</Text>
+          {section.slots.map((s, i) => (
+            <View key={i} style={styles.row}>
+              <Text style={{ flex: 1, color: '#475569', fontSize: 12 }} numberOfLines={1}>
+                {s.count} × {s.marks}-mark {s.type} · {sourceLabel(s.source, topics)}
+              </Text>
+              <Text style={{ fontSize: 12, fontWeight: '700', color: s.filled < s.count ? '#DC2626' : '#059669' }}>
+                {s.filled}/{s.count}
+              </Text>
+            </View>
+          ))}
+        </View>
+      ))}
+      <Text style={{ fontWeight: '700', color: plan.shortfalls.length ? '#B45309' : '#059669' }}>
+        {plan.total} of {totals.questions} questions · {plan.marks} of {totals.marks} marks
+      </Text>
+      {plan.shortfalls.length > 0 && (
+        <Text style={[styles.muted, { color: '#B45309' }]}>
+          Short: {plan.shortfalls.map(describeShortfall).join('; ')}
+        </Text>
+      )}
+    </View>
+  );
+};
+
+/**
+ * Exam blueprints: named paper patterns with sections and typed, marked
+ * slots. Lists the built-in and saved blueprints, previews what the library
+ * can fill, and edits copies. onStart(blueprint) generates and starts the
+ * paper; onSave / onDelete change the user's blueprints.
+ */
+export default function BlueprintScreen({ blueprints, topics, onSave, onDelete, onStart, onBack }) {
+  const all = useMemo(() => [...BUILT_IN_BLUEPRINTS, ...blueprints], [blueprints]);
+  const [selectedId, setSelectedId] = useState(all[0]?.id);
+  const [draft, setDraft] = useState(null);
+
+  const edit = (bp) => { setDraft(bp); setSelectedId(null); };
+  const save = () => {
+    onSave({ ...draft, name: draft.name.trim() });
+    setSelectedId(draft.id);
+    setDraft(null);
+  };
+
+  return (
+    <ScrollView contentContainerStyle={styles.container} keyboardShouldPersistTaps="handled">
+      <View style={styles.header}>
+        <TouchableOpacity onPress={onBack} style={styles.backBtn}>
+          <Text style={{ color: '#374151', fontWeight: 'bold' }}>← Topics</Text>
+        </TouchableOpacity>
+        <Text style={styles.title}>Exam papers</Text>
+        <TouchableOpacity onPress={() => edit(newBlueprint())} style={styles.newBtn}>
+          <Text style={{ color: '#1D4ED8', fontWeight: '600' }}>+ New</Text>
+        </TouchableOpacity>
+      </View>
+      <Text style={[styles.muted, { marginBottom: 10 }]}>
+        A blueprint sets the sections of a paper and, for each, how many questions of every type and mark value to draw and from which topics or tags. Papers run as timed mock exams.
+      </Text>
+
+      {draft && (
+        <BlueprintEditor draft={draft} topics={topics} onChange={setDraft} onSave={save} onCancel={() => setDraft(null)} />
+      )}
+
+      {all.map(bp => {
+        const selected = bp.id === selectedId;
+        return (
+          <View key={bp.id} style={[styles.card, selected && { borderColor: '#2563EB' }]}>
+            <TouchableOpacity onPress={() => setSelectedId(selected ? null : bp.id)}>
+              <View style={styles.row}>
+                <Text style={{ flex: 1, fontWeight: '700', fontSize: 16, color: '#0F172A' }}>{bp.name}</Text>
+                {bp.builtIn && <Text style={styles.badge}>Built-in</Text>}
+              </View>
+              <Text style={styles.muted}>{summaryLine(bp)} · {bp.sections.map(s => s.name).join(' + ')}</Text>
+            </TouchableOpacity>
+
+            {selected && (
+              <>
+                <PaperPreview blueprint={bp} topics={topics} />
+                <View style={[styles.row, { marginTop: 10, flexWrap: 'wrap' }]}>
+                  <TouchableOpacity onPress={() => onStart(bp)} style={[styles.btn, { backgroundColor: '#7C3AED', marginRight: 8 }]}>
+                    <Text style={styles.btnText}>Start paper</Text>
+                  </TouchableOpacity>
+                  <TouchableOpacity onPress={() => edit(copyBlueprint(bp))} style={[styles.smallBtn, { marginRight: 6 }]}>
+                    <Text style={{ color: '#374151' }}>Duplicate</Text>
+                  </TouchableOpacity>
+                  {!bp.builtIn && (
+                    <>
+                      <TouchableOpacity onPress={() => edit(JSON.parse(JSON.stringify(bp)))} style={[styles.smallBtn, { marginRight: 6 }]}>
+                        <Text style={{ color: '#374151' }}>Edit</Text>
+                      </TouchableOpacity>
+                      <TouchableOpacity onPress={() => onDelete(bp)} style={styles.smallBtn}>
+                        <Text style={{ color: '#DC2626' }}>Delete</Text>
+                      </TouchableOpacity>
+                    </>
+                  )}
+                </View>
+              </>
+            )}
+          </View>
+        );
+      })}
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: { padding: 16, paddingTop: 50, backgroundColor: '#F3F4F6', flexGrow: 1 },
+  header: { flexDirection: 'row', alignItems: 'center', justifyContent: 'space-between', marginBottom: 8 },
+  backBtn: { paddingHorizontal: 12, paddingVertical: 6, backgroundColor: '#E5E7EB', borderRadius: 8 },
+  newBtn: { paddingHorizontal: 10, paddingVertical: 6, borderRadius: 8, backgroundColor: '#EFF6FF', borderWidth: 1, borderColor: '#BFDBFE' },
+  title: { fontSize: 20, fontWeight: '800', color: '#1D4ED8' },
+  muted: { fontSize: 12, color: '#64748B' },
+  card: { backgroundColor: '#fff', padding: 14, borderRadius: 12, marginBottom: 10, borderWidth: 1, borderColor: '#E5E7EB' },
+  badge: { fontSize: 11, fontWeight: '700', color: '#475569', backgroundColor: '#F1F5F9', paddingHorizontal: 6, paddingVertical: 2, borderRadius: 6, overflow: 'hidden' },
+  row: { flexDirection: 'row', alignItems: 'center' },
+  label: { fontWeight: '600', color: '#374151', marginBottom: 4 },
+  sourceLabel: { fontSize: 12, fontWeight: '600', color: '#475569', marginTop: 4, marginBottom: 4 },
+  input: { borderWidth: 1, borderColor: '#E5E7EB', borderRadius: 8, paddingHorizontal: 10, paddingVertical: 6, backgroundColor: '#fff' },
+  countInput: { borderWidth: 1, borderColor: '#E5E7EB', borderRadius: 8, paddingHorizontal: 6, paddingVertical: 4, width: 48, textAlign: 'center', marginRight: 6, marginBottom: 6 },
+  section: { marginTop: 12, paddingTop: 8, borderTopWidth: 1, borderColor: '#F3F4F6' },
+  slot: { marginTop: 6, padding: 8, borderRadius: 8, backgroundColor: '#F8FAFC' },
+  chips: { flexDirection: 'row', flexWrap: 'wrap' },
+  chip: { paddingHorizontal: 8, paddingVertical: 4, borderRadius: 14, borderWidth: 1, borderColor: '#D1D5DB', backgroundColor: '#F9FAFB', marginRight: 6, marginBottom: 6 },
+  chipActive: { backgroundColor: '#2563EB', borderColor: '#2563EB' },
+  link: { color: '#2563EB', fontWeight: '600', marginTop: 6 },
+  btn: { flex: 1, padding: 12, borderRadius: 8, alignItems: 'center' },
+  btnText: { color: '#fff', fontWeight: '700' },
+  smallBtn: { paddingHorizontal: 10, paddingVertical: 10, borderRadius: 8, backgroundColor: '#F3F4F6' },
+});
@@ -0,0 +1,186 @@
+import React, { useRef, useState } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, PanResponder, Dimensions } from 'react-native';
+import { ANGLE_MODES, evaluateExpression, formatResult } from '../utils/calculator';
+
+const PANEL_WIDTH = 320;
+
+// Keys insert text into the expression unless they name an action.
+// Layout follows the GATE virtual calculator, condensed to six columns.
+const KEYS = [
+  [{ label: 'sin', insert: 'sin(' }, { label: 'cos', insert: 'cos(' }, { label: 'tan', insert: 'tan(' }, { label: 'sinh', insert: 'sinh(' }, { label: 'cosh', insert: 'cosh(' }, { label: 'tanh', insert: 'tanh(' }],
+  [{ label: 'sin⁻¹', insert: 'asin(' }, { label: 'cos⁻¹', insert: 'acos(' }, { label: 'tan⁻¹', insert: 'atan(' }, { label: 'sinh⁻¹', insert: 'asinh(' }, { label: 'cosh⁻¹', insert: 'acosh(' }, { label: 'tanh⁻¹', insert: 'atanh(' }],
+  [{ label: 'π', insert: 'π' }, { label: 'e', insert: 'e' }, { label: 'n!', insert: '!' }, { label: 'logᵧx', insert: 'logb(' }, { label: 'log', insert: 'log(' }, { label: 'ln', insert: 'ln(' }],
+  [{ label: 'x²', insert: '^2' }, { label: 'x³', insert: '^3' }, { label: 'xʸ', insert: '^' }, { label: '√x', insert: '√(' }, { label: '∛x', insert: 'cbrt(' }, { label: 'ʸ√x', insert: 'root(' }],
+  [{ label: 'eˣ', insert: 'exp(' }, { label: '10ˣ', insert: '10^(' }, { label: '1/x', insert: '^(-1)' }, { label: '|x|', insert: 'abs(' }, { label: '%', insert: '%' }, { label: 'mod', insert: ' mod ' }],
+  [{ label: '7', insert: '7' }, { label: '8', insert: '8' }, { label: '9', insert: '9' }, { label: '(', insert: '(' }, { label: ')', insert: ')' }, { label: '⌫', action: 'back' }],
+  [{ label: '4', insert: '4' }, { label: '5', insert: '5' }, { label: '6', insert: '6' }, { label: '×', insert: '×' }, { label: '÷', insert: '÷' }, { label: 'C', action: 'clear' }],
+  [{ label: '1', insert: '1' }, { label: '2', insert: '2' }, { label: '3', insert: '3' }, { label: '+', insert: '+' }, { label: '−', insert: '−' }, { label: 'Ans', insert: 'Ans' }],
+  [{ label: '0', insert: '0' }, { label: '.', insert: '.' }, { label: ',', insert: ',' }, { label: '±', action: 'negate' }, { label: 'Exp', insert: 'E' }, { label: '=', action: 'equals' }],
+];
+
+const MEMORY_KEYS = ['MC', 'MR', 'MS', 'M+', 'M−'];
+
+// Keys that continue a finished result ("= then × 2") rather than start anew.
+const continuesResult = (insert) => /^[\^!%×÷+−]|^ mod /.test(insert);
+
+/**
+ * Floating scientific calculator. Drag it by its title bar. With
+ * `onUseResult`, a "Use" button passes the current result (as text) to the
+ * caller, e.g. to fill a NAT answer.
+ */
+export default function Calculator({ visible, onClose, onUseResult }) {
+  const [expr, setExpr] = useState('');
+  const [result, setResult] = useState(null); // { text, value } or { error }
+  const [justEvaluated, setJustEvaluated] = useState(false);
+  const [angle, setAngle] = useState('deg');
+  const [memory, setMemory] = useState(0);
+  const [ans, setAns] = useState(0);
+
+  const [position, setPosition] = useState(() => ({ x: Math.max(8, Dimensions.get('window').width - PANEL_WIDTH - 8), y: 90 }));
+  const positionRef = useRef(position);
+  positionRef.current = position;
+  const dragStart = useRef(position);
+  const drag = useRef(PanResponder.create({
+    onStartShouldSetPanResponder: () => true,
+    onMoveShouldSetPanResponder: () => true,
+    onPanResponderGrant: () => { dragStart.current = positionRef.current; },
+    onPanResponderMove: (evt, g) => {
+      const { width, height } = Dimensions.get('window');
+      setPosition({
+        x: Math.min(Math.max(0, dragStart.current.x + g.dx), Math.max(0, width - PANEL_WIDTH)),
+        y: Math.min(Math.max(0, dragStart.current.y + g.dy), Math.max(0, height - 80)),
+      });
+    },
+  })).current;
+
+  // Evaluates the current expression; null (and the error shown) when it fails.
+  const evaluate = () => {
+    try {
+      const value = evaluateExpression(expr, { angle, ans });
+      setResult({ value, text: formatResult(value) });
+      return value;
+    } catch (e) {
+      setResult({ error: e.message });
+      return null;
+    }
+  };
+
+  // The value memory keys work on: a fresh result, else the expression's value.
+  const currentValue = () => (justEvaluated && result && !result.error ? result.value : expr.trim() ? evaluate() : 0);
+
+  const press = (key) => {
+    if (key.action === 'clear') { setExpr(''); setResult(null); setJustEvaluated(false); return; }
+    if (key.action === 'back') { setExpr(e => e.replace(/( mod |[a-z]+\(|Ans|.)$/, '')); setJustEvaluated(false); return; }
+    if (key.action === 'negate') { setExpr(e => (e.trim() ? `−(${e})` : '−')); setJustEvaluated(false); return; }
+    if (key.action === 'equals') {
+      const value = evaluate();
+      if (value !== null) { setAns(value); setJustEvaluated(true); }
+      return;
+    }
+    // After "=", operators carry on from the result; anything else starts over.
+    if (justEvaluated) {
+      setExpr(continuesResult(key.insert) && result && !result.error ? `Ans${key.insert}` : key.insert);
+      setJustEvaluated(false);
+      return;
+    }
+    setExpr(e => e + key.insert);
+  };
+
+  const pressMemory = (key) => {
+    if (key === 'MC') { setMemory(0); return; }
+    if (key === 'MR') { setExpr(e => (justEvaluated ? formatResult(memory) : e + formatResult(memory))); setJustEvaluated(false); return; }
+    const value = currentValue();
+    if (value === null) return;
+    if (key === 'MS') setMemory(value);
+    else if (key === 'M+') setMemory(m => m + value);
+    else setMemory(m => m - value);
+  };
+
+  const useResult = () => {
+    const value = justEvaluated && result && !result.error ? result.value : evaluate();
+    if (value === null) return;
+    setAns(value);
+    setJustEvaluated(true);
+    onUseResult(formatResult(value));
+  };
+
+  if (!visible) return null;
+
+  return (
+    <View style={[styles.panel, { left: position.x, top: position.y }]}>
+      <View style={styles.titleBar} {...drag.panHandlers}>
+        <Text style={styles.title}>⠿ Scientific Calculator</Text>
+        <TouchableOpacity onPress={onClose} hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}>
+          <Text style={styles.close}>✕</Text>
+        </TouchableOpacity>
+      </View>
+
+      <View style={styles.display}>
+        <Text style={styles.expr} numberOfLines={2}>{expr || ' '}</Text>
+        <Text style={[styles.result, result?.error && { color: '#DC2626', fontSize: 16 }]} numberOfLines={1}>
+          {result ? (result.error || result.text) : '0'}
+        </Text>
+        <View style={styles.indicators}>
+          {memory !== 0 && <Text style={styles.indicator}>M</Text>}
+          <Text style={styles.indicator}>{angle === 'deg' ? 'DEG' : 'RAD'}</Text>
+        </View>
+      </View>
+
+      <View style={styles.row}>
+        {ANGLE_MODES.map(a => (
+          <TouchableOpacity key={a} onPress={() => setAngle(a)} style={[styles.modeKey, angle === a && styles.modeKeyActive]}>
+            <Text style={{ color: angle === a ? '#fff' : '#374151', fontSize: 12, fontWeight: '600' }}>{a === 'deg' ? 'Deg' : 'Rad'}</Text>
+          </TouchableOpacity>
+        ))}
+        {MEMORY_KEYS.map(k => (
+          <TouchableOpacity key={k} onPress={() => pressMemory(k)} style={[styles.key, styles.memoryKey]}>
+            <Text style={styles.keyTextSmall}>{k}</Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      {KEYS.map((row, r) => (
+        <View key={r} style={styles.row}>
+          {row.map(key => (
+            <TouchableOpacity
+              key={key.label}
+              onPress={() => press(key)}
+              style={[styles.key, r < 5 && styles.fnKey, key.action === 'equals' && styles.equalsKey, key.action === 'clear' && styles.clearKey]}
+            >
+              <Text style={[r < 5 ? styles.keyTextSmall : styles.keyText, (key.action === 'equals' || key.action === 'clear') && { color: '#fff' }]}>{key.label}</Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+      ))}
+
+      {onUseResult && (
+        <TouchableOpacity onPress={useResult} style={styles.useBtn}>
+          <Text style={{ color: '#fff', fontWeight: '700' }}>Use result as answer</Text>
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  panel: { position: 'absolute', width: PANEL_WIDTH, backgroundColor: '#E2E8F0', borderRadius: 10, padding: 6, zIndex: 50, elevation: 12, shadowColor: '#000', shadowOpacity: 0.25, shadowRadius: 10, shadowOffset: { width: 0, height: 4 } },
+  titleBar: { flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center', paddingHorizontal: 6, paddingVertical: 6 },
+  title: { fontWeight: '700', color: '#1E293B' },
+  close: { fontWeight: '700', color: '#475569', fontSize: 16 },
+  display: { backgroundColor: '#fff', borderRadius: 6, padding: 8, marginBottom: 6, minHeight: 64 },
+  expr: { color: '#475569', fontSize: 14 },
+  result: { color: '#0F172A', fontSize: 22, fontWeight: '700', textAlign: 'right' },
+  indicators: { flexDirection: 'row', position: 'absolute', left: 8, bottom: 4 },
+  indicator: { fontSize: 10, fontWeight: '700', color: '#64748B', marginRight: 6 },
+  row: { flexDirection: 'row', marginBottom: 4 },
+  key: { flex: 1, marginHorizontal: 2, paddingVertical: 9, borderRadius: 6, backgroundColor: '#fff', alignItems: 'center', justifyContent: 'center' },
+  fnKey: { backgroundColor: '#F1F5F9', paddingVertical: 7 },
+  memoryKey: { backgroundColor: '#F8FAFC', paddingVertical: 6 },
+  equalsKey: { backgroundColor: '#2563EB' },
+  clearKey: { backgroundColor: '#EF4444' },
+  modeKey: { paddingHorizontal: 8, paddingVertical: 6, marginHorizontal: 2, borderRadius: 6, backgroundColor: '#F8FAFC' },
+  modeKeyActive: { backgroundColor: '#2563EB' },
+  keyText: { fontSize: 16, fontWeight: '600', color: '#0F172A' },
+  keyTextSmall: { fontSize: 12, fontWeight: '600', color: '#1E293B' },
+  useBtn: { marginTop: 2, marginHorizontal: 2, padding: 10, borderRadius: 6, backgroundColor: '#10B981', alignItems: 'center' },
+});
@@ -0,0 +1,135 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Text, View, StyleSheet, TouchableOpacity, TextInput, Modal } from 'react-native';
+import { collectPackPart, decodeTopicPack, missingParts, parsePackPart } from '../utils/packs';
+
+// Camera scanning needs expo-camera; without it (or without permission) a
+// pack link can still be pasted.
+let ExpoCamera;
+try {
+  ExpoCamera = require('expo-camera');
+} catch (e) {
+  ExpoCamera = null;
+}
+
+/**
+ * Scans a topic pack from one or more QR codes, in any order, or takes a
+ * pasted link. Calls onPack({ topicName, questions }) once the pack is
+ * complete and verified.
+ */
+export default function PackScanner({ onPack, onClose }) {
+  const [permission, setPermission] = useState(ExpoCamera ? 'asking' : 'unavailable');
+  const [collected, setCollected] = useState(null);
+  // Part numbers still to scan; worked out on each scan, not while rendering.
+  const [missing, setMissing] = useState([]);
+  // Mirrors `collected` so codes scanned in quick succession all count.
+  const collectedRef = useRef(null);
+  const [error, setError] = useState('');
+  const [pasted, setPasted] = useState('');
+  // The camera reports the same code many times a second.
+  const lastScan = useRef(null);
+  const done = useRef(false);
+
+  useEffect(() => {
+    if (!ExpoCamera) return;
+    let cancelled = false;
+    ExpoCamera.Camera.requestCameraPermissionsAsync()
+      .then(({ granted }) => { if (!cancelled) setPermission(granted ? 'granted' : 'denied'); })
+      .catch(() => { if (!cancelled) setPermission('unavailable'); });
+    return () => { cancelled = true; };
+  }, []);
+
+  const accept = (text) => {
+    if (done.current) return;
+    const part = parsePackPart(text);
+    if (!part) { setError('That is not a topic pack code.'); return; }
+    try {
+      const next = collectPackPart(collectedRef.current, part);
+      const stillMissing = missingParts(next);
+      collectedRef.current = next;
+      setCollected(next);
+      setMissing(stillMissing);
+      setError('');
+      if (stillMissing.length > 0) return;
+      const pack = decodeTopicPack(next);
+      done.current = true;
+      onPack(pack);
+    } catch (e) {
+      // A bad pack cannot be fixed by scanning more of it; start over.
+      collectedRef.current = null;
+      setCollected(null);
+      setMissing([]);
+      setError(e.message);
+    }
+  };
+
+  const onScanned = ({ data }) => {
+    if (data === lastScan.current) return;
+    lastScan.current = data;
+    accept(data);
+  };
+
+  const CameraView = ExpoCamera?.CameraView;
+
+  return (
+    <Modal visible transparent animationType="slide" onRequestClose={onClose}>
+      <View style={styles.backdrop}>
+        <View style={styles.sheet}>
+          <Text style={styles.title}>Receive a topic pack</Text>
+
+          <View style={styles.cameraBox}>
+            {permission === 'granted' && CameraView ? (
+              <CameraView style={{ flex: 1 }} facing="back" barcodeScannerSettings={{ barcodeTypes: ['qr'] }} onBarcodeScanned={onScanned} />
+            ) : (
+              <Text style={[styles.muted, { textAlign: 'center', padding: 16 }]}>
+                {permission === 'asking' ? 'Asking for camera access…'
+                  : permission === 'denied' ? 'Camera access was denied. Paste the pack link below instead.'
+                  : 'Scanning needs the camera (expo-camera). Paste the pack link below instead.'}
+              </Text>
+            )}
+          </View>
+
+          {collected && (
+            <Text style={{ marginTop: 8, fontWeight: '700', color: '#1F2937' }}>
+              Scanned {collected.total - missing.length} of {collected.total} codes
+              {missing.length > 0 ? ` · still needed: ${missing.join(', ')}` : ''}
+            </Text>
+          )}
+          {!!error && <Text style={{ marginTop: 8, color: '#DC2626' }}>{error}</Text>}
+
+          <Text style={[styles.label, { marginTop: 12 }]}>Or paste a pack link</Text>
+          <View style={styles.row}>
+            <TextInput
+              value={pasted}
+              onChangeText={setPasted}
+              placeholder="gatemcq://pack?d=GMCQ1…"
+              autoCapitalize="none"
+              autoCorrect={false}
+              style={[styles.input, { flex: 1, marginRight: 8 }]}
+            />
+            <TouchableOpacity onPress={() => accept(pasted)} disabled={!pasted.trim()} style={[styles.smallBtn, { backgroundColor: pasted.trim() ? '#2563EB' : '#D1D5DB' }]}>
+              <Text style={styles.btnText}>Open</Text>
+            </TouchableOpacity>
+          </View>
+
+          <TouchableOpacity onPress={onClose} style={[styles.btn, { backgroundColor: '#6B7280', marginTop: 12 }]}>
+            <Text style={styles.btnText}>Cancel</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  backdrop: { flex: 1, justifyContent: 'flex-end', backgroundColor: 'rgba(15,23,42,0.4)' },
+  sheet: { backgroundColor: '#fff', borderTopLeftRadius: 16, borderTopRightRadius: 16, padding: 16, paddingBottom: 28 },
+  title: { fontSize: 20, fontWeight: '800', color: '#1D4ED8' },
+  muted: { fontSize: 12, color: '#64748B' },
+  label: { fontWeight: '600', color: '#374151', marginBottom: 4 },
+  cameraBox: { height: 260, marginTop: 12, borderRadius: 12, overflow: 'hidden', backgroundColor: '#F1F5F9', justifyContent: 'center' },
+  row: { flexDirection: 'row', alignItems: 'center' },
+  input: { borderWidth: 1, borderColor: '#E5E7EB', borderRadius: 8, paddingHorizontal: 10, paddingVertical: 8 },
+  smallBtn: { paddingHorizontal: 14, paddingVertical: 10, borderRadius: 8 },
+  btn: { padding: 12, borderRadius: 8, alignItems: 'center' },
+  btnText: { color: '#fff', fontWeight: '700' },
+});
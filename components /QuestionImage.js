@@ -0,0 +1,126 @@
+import React, { useRef, useState } from 'react';
+import { View, Text, Image, Modal, StyleSheet, TouchableOpacity, PanResponder } from 'react-native';
+
+const MAX_SCALE = 5;
+const DOUBLE_TAP_MS = 300;
+
+const clamp = (n, min, max) => Math.min(max, Math.max(min, n));
+const distance = ([a, b]) => Math.hypot(a.pageX - b.pageX, a.pageY - b.pageY);
+
+// Full-screen viewer: pinch to zoom, drag to pan when zoomed, double tap to
+// toggle zoom. The buttons do the same for mouse users on web.
+const ZoomView = ({ source, onClose }) => {
+  const [view, setView] = useState({ scale: 1, x: 0, y: 0 });
+  const viewRef = useRef(view);
+  viewRef.current = view;
+  const gesture = useRef({ start: view, pinchDistance: null, lastTap: 0 });
+
+  const zoomTo = (scale) => setView(v => {
+    const s = clamp(scale, 1, MAX_SCALE);
+    return s === 1 ? { scale: 1, x: 0, y: 0 } : { ...v, scale: s };
+  });
+
+  const responder = useRef(PanResponder.create({
+    onStartShouldSetPanResponder: () => true,
+    onMoveShouldSetPanResponder: () => true,
+    onPanResponderGrant: () => {
+      gesture.current.start = viewRef.current;
+      gesture.current.pinchDistance = null;
+    },
+    onPanResponderMove: (evt, g) => {
+      const touches = evt.nativeEvent.touches || [];
+      const g0 = gesture.current;
+      if (touches.length >= 2) {
+        const d = distance(touches);
+        if (!g0.pinchDistance) {
+          g0.pinchDistance = d;
+          g0.start = viewRef.current;
+          return;
+        }
+        const scale = clamp(g0.start.scale * (d / g0.pinchDistance), 1, MAX_SCALE);
+        setView(v => (scale === 1 ? { scale: 1, x: 0, y: 0 } : { ...v, scale }));
+      } else if (!g0.pinchDistance && g0.start.scale > 1) {
+        setView(v => ({ ...v, x: g0.start.x + g.dx, y: g0.start.y + g.dy }));
+      }
+    },
+    onPanResponderRelease: (evt, g) => {
+      const g0 = gesture.current;
+      const isTap = Math.abs(g.dx) < 5 && Math.abs(g.dy) < 5 && !g0.pinchDistance;
+      if (isTap) {
+        const now = Date.now();
+        if (now - g0.lastTap < DOUBLE_TAP_MS) {
+          setView(v => (v.scale > 1 ? { scale: 1, x: 0, y: 0 } : { scale: 2.5, x: 0, y: 0 }));
+          g0.lastTap = 0;
+        } else {
+          g0.lastTap = now;
+        }
+      }
+      g0.pinchDistance = null;
+    },
+  })).current;
+
+  return (
+    <View style={styles.viewer}>
+      <View style={styles.viewport} {...responder.panHandlers}>
+        <Image
+          source={source}
+          resizeMode="contain"
+          style={[styles.full, { transform: [{ translateX: view.x }, { translateY: view.y }, { scale: view.scale }] }]}
+        />
+      </View>
+      <View style={styles.toolbar}>
+        <TouchableOpacity onPress={() => zoomTo(view.scale / 1.5)} style={styles.toolBtn}><Text style={styles.toolText}>−</Text></TouchableOpacity>
+        <TouchableOpacity onPress={() => zoomTo(1)} style={styles.toolBtn}><Text style={styles.toolText}>{Math.round(view.scale * 100)}%</Text></TouchableOpacity>
+        <TouchableOpacity onPress={() => zoomTo(view.scale * 1.5)} style={styles.toolBtn}><Text style={styles.toolText}>+</Text></TouchableOpacity>
+        <TouchableOpacity onPress={onClose} style={[styles.toolBtn, { backgroundColor: '#EF4444' }]}><Text style={styles.toolText}>Close</Text></TouchableOpacity>
+      </View>
+    </View>
+  );
+};
+
+/**
+ * A question or option image (see utils/images). Shown at full width; tap to
+ * open it full screen with pinch-to-zoom. `source` null with a `name` shows
+ * a placeholder for an image that was not found on import.
+ */
+export default function QuestionImage({ source, name, style, maxHeight = 260 }) {
+  const [aspect, setAspect] = useState(4 / 3);
+  const [open, setOpen] = useState(false);
+
+  if (!source) {
+    return (
+      <View style={[styles.missing, style]}>
+        <Text style={{ color: '#92400E', fontSize: 12 }}>Image not available{name ? `: ${name}` : ''}</Text>
+      </View>
+    );
+  }
+
+  const onLoad = (e) => {
+    const { width, height } = e.nativeEvent?.source || {};
+    if (width && height) setAspect(width / height);
+  };
+
+  return (
+    <>
+      <TouchableOpacity onPress={() => setOpen(true)} activeOpacity={0.8} style={style}>
+        <Image source={source} onLoad={onLoad} resizeMode="contain" style={[styles.thumb, { aspectRatio: aspect, maxHeight }]} />
+        <Text style={styles.hint}>Tap to zoom</Text>
+      </TouchableOpacity>
+      <Modal visible={open} transparent animationType="fade" onRequestClose={() => setOpen(false)}>
+        {open && <ZoomView source={source} onClose={() => setOpen(false)} />}
+      </Modal>
+    </>
+  );
+}
+
+const styles = StyleSheet.create({
+  thumb: { width: '100%', borderRadius: 8, backgroundColor: '#F8FAFC' },
+  hint: { fontSize: 11, color: '#94A3B8', textAlign: 'right', marginTop: 2 },
+  missing: { padding: 10, borderRadius: 8, borderWidth: 1, borderStyle: 'dashed', borderColor: '#FCD34D', backgroundColor: '#FFFBEB' },
+  viewer: { flex: 1, backgroundColor: 'rgba(0,0,0,0.92)' },
+  viewport: { flex: 1, overflow: 'hidden' },
+  full: { width: '100%', height: '100%' },
+  toolbar: { flexDirection: 'row', justifyContent: 'center', paddingVertical: 16, paddingBottom: 32 },
+  toolBtn: { paddingHorizontal: 16, paddingVertical: 10, borderRadius: 8, backgroundColor: '#334155', marginHorizontal: 6 },
+  toolText: { color: '#fff', fontWeight: '700' },
+});
@@ -0,0 +1,175 @@
+import React, { useMemo, useState } from 'react';
+import { Text, View, StyleSheet, ScrollView, TouchableOpacity } from 'react-native';
+import { REVIEW_FILTERS, filterReviewItems, formatMarksDelta, pickedOptionIndexes, reviewCounts, reviewItems } from '../utils/review';
+import { correctOptionIndexes, questionType } from '../utils/answers';
+import { isImageOnlyOption } from '../utils/questions';
+import { imageSource } from '../utils/images';
+import { formatDuration } from '../utils/time';
+import RichText from './RichText';
+import QuestionImage from './QuestionImage';
+
+const STATUS = {
+  correct: { label: 'Correct', color: '#059669', bg: '#DCFCE7' },
+  incorrect: { label: 'Incorrect', color: '#DC2626', bg: '#FFF1F2' },
+  unanswered: { label: 'Unanswered', color: '#6B7280', bg: '#F3F4F6' },
+};
+
+// Option colours: the key in green, a wrong pick in red.
+const optionLook = (isKey, isPicked) => {
+  if (isKey) return { backgroundColor: isPicked ? '#DCFCE7' : '#ECFDF5', borderColor: isPicked ? '#34D399' : '#86EFAC' };
+  if (isPicked) return { backgroundColor: '#FFF1F2', borderColor: '#FCA5A5' };
+  return { backgroundColor: '#F8FAFC', borderColor: '#E2E8F0' };
+};
+
+const ReviewCard = ({ item, images, note }) => {
+  const { question: q } = item;
+  const picked = pickedOptionIndexes(q, item.response);
+  const key = questionType(q) === 'NAT' ? [] : correctOptionIndexes(q);
+  const status = STATUS[item.status];
+  return (
+    <View style={styles.card}>
+      <View style={[styles.row, { justifyContent: 'space-between', marginBottom: 8 }]}>
+        <Text style={styles.qNumber}>Q{item.index + 1} · {questionType(q)}{item.marked ? '  ⚑' : ''}</Text>
+        <Text style={[styles.badge, { color: status.color, backgroundColor: status.bg }]}>{status.label} · {formatMarksDelta(item.marks)}</Text>
+      </View>
+
+      <RichText text={q.q} style={styles.question} />
+      {q.image ? <QuestionImage source={imageSource(q.image, images)} name={q.image} style={{ marginTop: 8 }} /> : null}
+
+      <View style={{ marginTop: 10 }}>
+        {(q.options || []).map((opt, i) => (
+          <View key={i} style={[styles.option, optionLook(key.includes(i), picked.includes(i))]}>
+            <Text style={{ fontWeight: '700', marginRight: 8 }}>{String.fromCharCode(65 + i)}.</Text>
+            <View style={{ flex: 1 }}>
+              {!isImageOnlyOption(q, i) && <RichText text={opt} style={{ color: '#0F172A' }} />}
+              {q.optionImages?.[i] ? <QuestionImage source={imageSource(q.optionImages[i], images)} name={q.optionImages[i]} maxHeight={140} style={{ marginTop: 4 }} /> : null}
+            </View>
+            {picked.includes(i) && <Text style={styles.pickTag}>Your pick</Text>}
+          </View>
+        ))}
+      </View>
+
+      <View style={styles.answerBox}>
+        <Text style={styles.answerLine}>
+          Your answer: <Text style={{ fontWeight: '700', color: status.color }}>{item.answer || '—'}</Text>
+          {'   '}Correct: <Text style={{ fontWeight: '700', color: '#059669' }}>{item.correctAnswer}</Text>
+        </Text>
+        <Text style={styles.answerLine}>
+          Time spent: <Text style={{ fontWeight: '700' }}>{item.timeSpentMs ? formatDuration(item.timeSpentMs) : '—'}</Text>
+          {'   '}Marks: <Text style={{ fontWeight: '700', color: item.marks > 0 ? '#059669' : item.marks < 0 ? '#DC2626' : '#374151' }}>{formatMarksDelta(item.marks)}</Text>
+        </Text>
+      </View>
+
+      {q.explanation ? (
+        <View style={styles.explanation}>
+          <Text style={styles.sectionLabel}>Explanation</Text>
+          <RichText text={q.explanation} style={{ color: '#475569' }} />
+        </View>
+      ) : null}
+      {note ? (
+        <View style={[styles.explanation, { backgroundColor: '#FFFBEB', borderColor: '#FDE68A' }]}>
+          <Text style={[styles.sectionLabel, { color: '#92400E' }]}>📝 My note</Text>
+          <Text style={{ color: '#78350F' }}>{note}</Text>
+        </View>
+      ) : null}
+    </View>
+  );
+};
+
+/**
+ * Read-only walk through a finished session, one question at a time, with
+ * filters by result. `notes(questionId)` returns the user's note, if any.
+ * onExport(filterKey) saves the printable report of the filtered questions.
+ */
+export default function ReviewScreen({ questions, responses, images, notes, onExport, onBack }) {
+  const items = useMemo(() => reviewItems(questions, responses), [questions, responses]);
+  const counts = useMemo(() => reviewCounts(items), [items]);
+  const [filter, setFilter] = useState('all');
+  const [position, setPosition] = useState(0);
+  const shown = useMemo(() => filterReviewItems(items, filter), [items, filter]);
+  const at = Math.max(0, Math.min(position, shown.length - 1));
+  const item = shown[at];
+
+  const chooseFilter = (key) => { setFilter(key); setPosition(0); };
+
+  return (
+    <View style={styles.screen}>
+      <View style={styles.header}>
+        <TouchableOpacity onPress={onBack} style={styles.backBtn}>
+          <Text style={{ color: '#374151', fontWeight: 'bold' }}>← Summary</Text>
+        </TouchableOpacity>
+        <Text style={styles.title}>Review</Text>
+        <TouchableOpacity onPress={() => onExport(filter)} style={styles.exportBtn}>
+          <Text style={{ color: '#1D4ED8', fontWeight: '600' }}>Export report</Text>
+        </TouchableOpacity>
+      </View>
+
+      <View style={styles.chips}>
+        {REVIEW_FILTERS.map(f => (
+          <TouchableOpacity key={f.key} onPress={() => chooseFilter(f.key)} style={[styles.chip, filter === f.key && styles.chipActive]}>
+            <Text style={{ color: filter === f.key ? '#fff' : '#374151' }}>{f.label} ({counts[f.key]})</Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      {/* Question numbers in the current filter; tap to jump */}
+      {shown.length > 0 && (
+        <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.strip} contentContainerStyle={{ paddingHorizontal: 12 }}>
+          {shown.map((it, i) => (
+            <TouchableOpacity
+              key={it.index}
+              onPress={() => setPosition(i)}
+              style={[styles.stripCell, { backgroundColor: STATUS[it.status].bg, borderColor: i === at ? '#2563EB' : 'transparent' }]}
+            >
+              <Text style={{ color: STATUS[it.status].color, fontWeight: '700' }}>{it.index + 1}</Text>
+            </TouchableOpacity>
+          ))}
+        </ScrollView>
+      )}
+
+      <ScrollView style={{ flex: 1 }} contentContainerStyle={{ padding: 12, paddingBottom: 24 }}>
+        {item
+          ? <ReviewCard item={item} images={images} note={notes(item.question.id)} />
+          : <Text style={{ color: '#64748B', textAlign: 'center', marginTop: 24 }}>No questions in this filter.</Text>}
+      </ScrollView>
+
+      {shown.length > 0 && (
+        <View style={styles.footer}>
+          <TouchableOpacity onPress={() => setPosition(at - 1)} disabled={at === 0} style={[styles.navBtn, { backgroundColor: at === 0 ? '#E5E7EB' : '#2563EB' }]}>
+            <Text style={{ color: at === 0 ? '#9CA3AF' : '#fff', fontWeight: '700' }}>Previous</Text>
+          </TouchableOpacity>
+          <Text style={{ color: '#475569' }}>{at + 1} / {shown.length}</Text>
+          <TouchableOpacity onPress={() => setPosition(at + 1)} disabled={at >= shown.length - 1} style={[styles.navBtn, { backgroundColor: at >= shown.length - 1 ? '#E5E7EB' : '#2563EB' }]}>
+            <Text style={{ color: at >= shown.length - 1 ? '#9CA3AF' : '#fff', fontWeight: '700' }}>Next</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  screen: { flex: 1, backgroundColor: '#F3F4F6', paddingTop: 50 },
+  header: { flexDirection: 'row', alignItems: 'center', justifyContent: 'space-between', paddingHorizontal: 12, marginBottom: 8 },
+  backBtn: { paddingHorizontal: 12, paddingVertical: 6, backgroundColor: '#E5E7EB', borderRadius: 8 },
+  exportBtn: { paddingHorizontal: 10, paddingVertical: 6, borderRadius: 8, backgroundColor: '#EFF6FF', borderWidth: 1, borderColor: '#BFDBFE' },
+  title: { fontSize: 20, fontWeight: '800', color: '#1D4ED8' },
+  chips: { flexDirection: 'row', flexWrap: 'wrap', paddingHorizontal: 12 },
+  chip: { paddingHorizontal: 10, paddingVertical: 6, borderRadius: 16, borderWidth: 1, borderColor: '#D1D5DB', backgroundColor: '#F9FAFB', marginRight: 6, marginBottom: 6 },
+  chipActive: { backgroundColor: '#2563EB', borderColor: '#2563EB' },
+  strip: { flexGrow: 0, marginBottom: 4 },
+  stripCell: { width: 36, height: 36, borderRadius: 8, borderWidth: 2, alignItems: 'center', justifyContent: 'center', marginRight: 6 },
+  row: { flexDirection: 'row', alignItems: 'center' },
+  card: { backgroundColor: '#fff', padding: 14, borderRadius: 12, shadowColor: '#000', shadowOpacity: 0.06, elevation: 2 },
+  qNumber: { fontWeight: '700', color: '#1D4ED8' },
+  badge: { fontSize: 12, fontWeight: '700', paddingHorizontal: 8, paddingVertical: 3, borderRadius: 6, overflow: 'hidden' },
+  question: { fontSize: 17, color: '#0F172A' },
+  option: { flexDirection: 'row', alignItems: 'center', padding: 10, borderRadius: 10, borderWidth: 1, marginBottom: 6 },
+  pickTag: { fontSize: 11, fontWeight: '700', color: '#1D4ED8', marginLeft: 6 },
+  answerBox: { marginTop: 6, padding: 10, borderRadius: 8, backgroundColor: '#F8FAFC' },
+  answerLine: { color: '#374151', lineHeight: 22 },
+  explanation: { marginTop: 10, padding: 10, borderRadius: 8, backgroundColor: '#F1F5F9', borderWidth: 1, borderColor: '#CBD5E1' },
+  sectionLabel: { fontSize: 12, fontWeight: '700', color: '#475569', marginBottom: 4 },
+  footer: { flexDirection: 'row', alignItems: 'center', justifyContent: 'space-between', padding: 12, paddingBottom: 24, backgroundColor: '#fff', borderTopWidth: 1, borderColor: '#E5E7EB' },
+  navBtn: { paddingHorizontal: 18, paddingVertical: 10, borderRadius: 8 },
+});
@@ -0,0 +1,275 @@
+import React, { useMemo } from 'react';
+import { Text, View, StyleSheet, ScrollView, Platform } from 'react-native';
+import {
+  parseBlocks, parseInline, parseLatex, mathToPlain, richTextToPlain,
+  toSuperscript, toSubscript, BIG_OPERATORS, INTEGRALS,
+} from '../utils/richtext';
+
+const MONO = Platform.select({ ios: 'Menlo', default: 'monospace' });
+const SCRIPT_SCALE = 0.7;
+
+/* ----------------- Inline math (inside a Text) ----------------- */
+// Scripts use Unicode super/subscripts where every character has one, and a
+// small raised/lowered inline View otherwise. Fractions and matrices are
+// written linearly (a/b, [1 2; 3 4]); display math draws them properly.
+
+const scriptView = (node, size, raise) => (
+  <View style={{ transform: [{ translateY: raise ? -size * 0.35 : size * 0.2 }] }}>
+    <Text style={{ fontSize: Math.round(size * SCRIPT_SCALE) }}>{inlineMath([node], size * SCRIPT_SCALE)}</Text>
+  </View>
+);
+
+const inlineMath = (nodes, size) => nodes.map((n, i) => {
+  switch (n.t) {
+    case 'text':
+      return <Text key={i} style={n.italic ? styles.italic : null}>{n.fn ? `${n.v} ` : n.v}</Text>;
+    case 'group':
+      return <Text key={i}>{inlineMath(n.c, size)}</Text>;
+    case 'bold':
+      return <Text key={i} style={styles.bold}>{inlineMath(n.c, size)}</Text>;
+    case 'supsub': {
+      const fn = n.base && n.base.fn;
+      const script = (node, toUnicode, raise) => {
+        const unicode = toUnicode(mathToPlain([node]).replace(/ /g, ''));
+        return unicode !== null ? unicode : scriptView(node, size, raise);
+      };
+      return (
+        <Text key={i}>
+          {fn ? n.base.v : inlineMath([n.base], size)}
+          {n.sub && script(n.sub, toSubscript, false)}
+          {n.sup && script(n.sup, toSuperscript, true)}
+          {fn ? ' ' : ''}
+        </Text>
+      );
+    }
+    default:
+      return <Text key={i}>{mathToPlain([n])}</Text>;
+  }
+});
+
+/* ----------------- Display math (Views) ----------------- */
+
+// Brackets drawn with borders so they stretch to the content's height.
+const Delimiter = ({ char, side, color, size }) => {
+  if (!char) return null;
+  const left = side === 'left';
+  if (char === '{' || char === '}') {
+    return <Text style={{ fontSize: size * 1.8, color, fontWeight: '200', alignSelf: 'center' }}>{char}</Text>;
+  }
+  const edge = left ? 'Left' : 'Right';
+  const look = { alignSelf: 'stretch', width: 6, borderColor: color, [`border${edge}Width`]: 1.5, marginVertical: 2 };
+  if (char === '(' || char === ')') {
+    Object.assign(look, { [`borderTop${edge}Radius`]: 8, [`borderBottom${edge}Radius`]: 8 });
+  } else if (char === '[' || char === ']') {
+    Object.assign(look, { borderTopWidth: 1.5, borderBottomWidth: 1.5 });
+  } else if (char === '‖') {
+    Object.assign(look, { width: 4, borderLeftWidth: 1.5, borderRightWidth: 1.5 });
+  } else {
+    look.width = 3;
+  }
+  return <View style={look} />;
+};
+
+const MathRow = ({ nodes, size, color }) => (
+  <View style={styles.mathRow}>
+    {nodes.map((n, i) => <MathNode key={i} node={n} size={size} color={color} />)}
+  </View>
+);
+
+const MathNode = ({ node: n, size, color }) => {
+  const text = (value, extra) => <Text style={[{ fontSize: size, color }, extra]}>{value}</Text>;
+  const small = size * SCRIPT_SCALE;
+
+  switch (n.t) {
+    case 'text':
+      return text(n.fn ? `${n.v} ` : n.v, n.italic && styles.italic);
+    case 'group':
+      return <MathRow nodes={n.c} size={size} color={color} />;
+    case 'bold':
+      return text(mathToPlain(n.c), styles.bold);
+    case 'accent':
+      return text(mathToPlain([n]), styles.italic);
+    case 'frac':
+      return (
+        <View style={styles.frac}>
+          <MathRow nodes={[n.num]} size={size * 0.9} color={color} />
+          <View style={[styles.fracBar, { backgroundColor: color }]} />
+          <MathRow nodes={[n.den]} size={size * 0.9} color={color} />
+        </View>
+      );
+    case 'sqrt':
+      return (
+        <View style={styles.mathRow}>
+          {n.index && <Text style={{ fontSize: size * 0.55, color, alignSelf: 'flex-start' }}>{mathToPlain([n.index])}</Text>}
+          {text('√', { fontSize: size * 1.3 })}
+          <View style={{ borderTopWidth: 1, borderColor: color, paddingTop: 2, paddingHorizontal: 2 }}>
+            <MathRow nodes={[n.body]} size={size} color={color} />
+          </View>
+        </View>
+      );
+    case 'supsub': {
+      const base = n.base || { t: 'text', v: '' };
+      const symbol = base.t === 'text' ? base.v.trim() : null;
+      if (symbol && BIG_OPERATORS.has(symbol)) {
+        // ∑, ∏, lim, max ...: limits above and below
+        return (
+          <View style={styles.limits}>
+            {n.sup && <MathRow nodes={[n.sup]} size={small} color={color} />}
+            {text(symbol, symbol.length === 1 && { fontSize: size * 1.5 })}
+            {n.sub && <MathRow nodes={[n.sub]} size={small} color={color} />}
+          </View>
+        );
+      }
+      const tall = INTEGRALS.has(symbol);
+      return (
+        <View style={styles.mathRow}>
+          {tall ? text(symbol, { fontSize: size * 1.6 }) : <MathNode node={{ ...base, fn: false }} size={size} color={color} />}
+          <View style={{ justifyContent: 'space-between', marginLeft: 1 }}>
+            {n.sup ? <MathRow nodes={[n.sup]} size={small} color={color} /> : <View style={{ height: small }} />}
+            {n.sub ? <MathRow nodes={[n.sub]} size={small} color={color} /> : <View style={{ height: small * 0.6 }} />}
+          </View>
+          {base.fn && text(' ')}
+        </View>
+      );
+    }
+    case 'matrix': {
+      const columns = Math.max(...n.rows.map(r => r.length));
+      // Column by column, so cells in a column line up.
+      return (
+        <View style={styles.mathRow}>
+          <Delimiter char={n.open} side="left" color={color} size={size * n.rows.length} />
+          <View style={{ flexDirection: 'row', paddingHorizontal: 2 }}>
+            {Array.from({ length: columns }, (_, c) => (
+              <View key={c} style={{ alignItems: n.env === 'cases' ? 'flex-start' : 'center', marginHorizontal: 6 }}>
+                {n.rows.map((row, r) => (
+                  <View key={r} style={{ minHeight: size * 1.6, justifyContent: 'center' }}>
+                    <MathRow nodes={row[c] || []} size={size} color={color} />
+                  </View>
+                ))}
+              </View>
+            ))}
+          </View>
+          <Delimiter char={n.close} side="right" color={color} size={size * n.rows.length} />
+        </View>
+      );
+    }
+    default:
+      return null;
+  }
+};
+
+const MathBlock = ({ tex, size, color }) => {
+  const nodes = useMemo(() => parseLatex(tex), [tex]);
+  return (
+    <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.mathBlock}>
+      <MathRow nodes={nodes} size={size} color={color} />
+    </ScrollView>
+  );
+};
+
+/* ----------------- Markdown ----------------- */
+
+const inline = (segments, size) => segments.map((seg, i) => {
+  switch (seg.type) {
+    case 'bold': return <Text key={i} style={styles.bold}>{inline(seg.children, size)}</Text>;
+    case 'italic': return <Text key={i} style={styles.italic}>{inline(seg.children, size)}</Text>;
+    case 'code': return <Text key={i} style={styles.code}>{seg.text}</Text>;
+    case 'math': return <Text key={i}>{inlineMath(parseLatex(seg.tex), size)}</Text>;
+    default: return seg.text;
+  }
+});
+
+// A paragraph is one Text, except that $$...$$ inside it breaks out as a block.
+const Paragraph = ({ text, style, size, color }) => {
+  const runs = [];
+  parseInline(text).forEach(seg => {
+    if (seg.type === 'math' && seg.display) runs.push(seg);
+    else if (runs.length && Array.isArray(runs[runs.length - 1])) runs[runs.length - 1].push(seg);
+    else runs.push([seg]);
+  });
+  return runs.map((run, i) => (Array.isArray(run)
+    ? <Text key={i} style={style}>{inline(run, size)}</Text>
+    : <MathBlock key={i} tex={run.tex} size={size} color={color} />));
+};
+
+const Block = ({ block, style, size, color }) => {
+  switch (block.type) {
+    case 'math':
+      return <MathBlock tex={block.tex} size={size} color={color} />;
+    case 'code':
+      return (
+        <View style={styles.codeBlock}>
+          <Text style={[style, styles.mono, { fontSize: size * 0.9 }]}>{block.text}</Text>
+        </View>
+      );
+    case 'list':
+      return block.items.map((item, i) => (
+        <View key={i} style={styles.listItem}>
+          <Text style={[style, styles.bullet]}>{block.ordered ? `${block.start + i}.` : '•'}</Text>
+          <Text style={[style, { flex: 1 }]}>{inline(parseInline(item), size)}</Text>
+        </View>
+      ));
+    case 'table':
+      return (
+        <View style={[styles.table, { borderColor: '#CBD5E1' }]}>
+          {[block.header, ...block.rows].map((row, r) => (
+            <View key={r} style={[styles.tableRow, r === 0 && styles.tableHeader]}>
+              {block.header.map((_, c) => (
+                <Text key={c} style={[style, styles.tableCell, { textAlign: block.align[c] || 'left' }, r === 0 && styles.bold]}>
+                  {inline(parseInline(row[c] || ''), size)}
+                </Text>
+              ))}
+            </View>
+          ))}
+        </View>
+      );
+    default:
+      return <Paragraph text={block.text} style={style} size={size} color={color} />;
+  }
+};
+
+/**
+ * Renders question content: Markdown (bold, italic, code, lists, tables) and
+ * LaTeX math. `style` is the text style; `containerStyle` lays out the block.
+ * With `numberOfLines` it renders a single Text with math as Unicode, for
+ * list rows and previews.
+ */
+export default function RichText({ text, style, containerStyle, numberOfLines }) {
+  const blocks = useMemo(() => (numberOfLines ? null : parseBlocks(text)), [text, numberOfLines]);
+  const flat = StyleSheet.flatten(style) || {};
+  const size = flat.fontSize || 14;
+  const color = flat.color || '#0F172A';
+
+  if (numberOfLines) {
+    return <Text style={[style, containerStyle]} numberOfLines={numberOfLines}>{richTextToPlain(text)}</Text>;
+  }
+  return (
+    <View style={containerStyle}>
+      {blocks.map((block, i) => (
+        <View key={i} style={i > 0 && styles.blockGap}>
+          <Block block={block} style={style} size={size} color={color} />
+        </View>
+      ))}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  bold: { fontWeight: '700' },
+  italic: { fontStyle: 'italic' },
+  mono: { fontFamily: MONO },
+  code: { fontFamily: MONO, backgroundColor: '#F1F5F9' },
+  blockGap: { marginTop: 6 },
+  codeBlock: { backgroundColor: '#F1F5F9', borderRadius: 6, padding: 8 },
+  listItem: { flexDirection: 'row', marginTop: 2 },
+  bullet: { width: 22 },
+  table: { borderWidth: 1, borderRadius: 4 },
+  tableRow: { flexDirection: 'row', borderTopWidth: StyleSheet.hairlineWidth, borderColor: '#CBD5E1' },
+  tableHeader: { backgroundColor: '#F1F5F9', borderTopWidth: 0 },
+  tableCell: { flex: 1, paddingHorizontal: 6, paddingVertical: 4 },
+  mathBlock: { flexGrow: 1, justifyContent: 'center', paddingVertical: 4 },
+  mathRow: { flexDirection: 'row', alignItems: 'center' },
+  frac: { alignItems: 'center', marginHorizontal: 3 },
+  fracBar: { height: 1, alignSelf: 'stretch', marginVertical: 2 },
+  limits: { alignItems: 'center', marginHorizontal: 2 },
+});
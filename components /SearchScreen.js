@@ -0,0 +1,107 @@
+import React, { useDeferredValue, useMemo } from 'react';
+import { Text, View, StyleSheet, ScrollView, TouchableOpacity, TextInput } from 'react-native';
+import { MIN_QUERY_LENGTH, SNIPPET_RADIUS, highlightSegments, parseSearchQuery, searchLibrary } from '../utils/search';
+import RichText from './RichText';
+
+const MAX_SHOWN = 100;
+
+const letter = (i) => String.fromCharCode(65 + i);
+
+const Highlighted = ({ text, terms, radius, style, numberOfLines }) => (
+  <Text style={style} numberOfLines={numberOfLines}>
+    {highlightSegments(text, terms, radius).map((seg, i) => (
+      seg.match ? <Text key={i} style={styles.mark}>{seg.text}</Text> : seg.text
+    ))}
+  </Text>
+);
+
+const hitLabel = (hit) => (hit.field === 'option' ? `Option ${letter(hit.index)}` : 'Explanation');
+
+/**
+ * Search over question text, options and explanations of every topic, with
+ * matches highlighted. onOpen(result) opens a result within its topic;
+ * onPractice(questions) practises the whole result set.
+ */
+export default function SearchScreen({ topics, query, onQueryChange, onOpen, onPractice, onBack }) {
+  // Typing stays responsive on large libraries; results catch up.
+  const deferredQuery = useDeferredValue(query);
+  const terms = useMemo(() => parseSearchQuery(deferredQuery), [deferredQuery]);
+  const results = useMemo(() => searchLibrary(topics, deferredQuery), [topics, deferredQuery]);
+  const totalQuestions = useMemo(() => topics.reduce((n, t) => n + t.questions.length, 0), [topics]);
+
+  return (
+    <ScrollView contentContainerStyle={styles.container} keyboardShouldPersistTaps="handled">
+      <View style={styles.header}>
+        <TouchableOpacity onPress={onBack} style={styles.backBtn}>
+          <Text style={{ color: '#374151', fontWeight: 'bold' }}>← Topics</Text>
+        </TouchableOpacity>
+        <Text style={styles.title}>🔎 Search</Text>
+      </View>
+
+      <TextInput
+        value={query}
+        onChangeText={onQueryChange}
+        placeholder={`Search ${totalQuestions} questions, options and explanations`}
+        autoFocus
+        autoCorrect={false}
+        style={styles.input}
+      />
+      <Text style={styles.hint}>All words must appear; use "quotes" for an exact phrase.</Text>
+
+      {terms.length > 0 && (
+        <View style={[styles.row, { marginVertical: 8 }]}>
+          <Text style={{ flex: 1, color: '#475569' }}>
+            {results.length === 0 ? 'No matches' : `${results.length} question${results.length === 1 ? '' : 's'}`}
+            {results.length > MAX_SHOWN ? ` · showing the best ${MAX_SHOWN}` : ''}
+          </Text>
+          {results.length > 0 && (
+            <TouchableOpacity onPress={() => onPractice(results.map(r => r.question))} style={styles.practiceBtn}>
+              <Text style={{ color: '#fff', fontWeight: '700' }}>Practice {results.length}</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      )}
+      {query.trim().length > 0 && terms.length === 0 && (
+        <Text style={[styles.hint, { marginTop: 8 }]}>Type at least {MIN_QUERY_LENGTH} characters.</Text>
+      )}
+
+      {results.slice(0, MAX_SHOWN).map(result => {
+        const questionHit = result.hits.find(h => h.field === 'question');
+        const otherHits = result.hits.filter(h => h.field !== 'question');
+        return (
+          <TouchableOpacity key={`${result.topic.id}-${result.index}`} onPress={() => onOpen(result)} style={styles.card}>
+            <Text style={styles.meta}>{result.topic.topicName} · Q{result.index + 1}</Text>
+            {questionHit
+              ? <Highlighted text={questionHit.text} terms={terms} radius={SNIPPET_RADIUS * 2} style={styles.question} />
+              : <RichText text={result.question.q} numberOfLines={2} style={styles.question} />}
+            {otherHits.slice(0, 3).map((hit, i) => (
+              <View key={i} style={styles.hitRow}>
+                <Text style={styles.hitLabel}>{hitLabel(hit)}</Text>
+                <Highlighted text={hit.text} terms={terms} radius={SNIPPET_RADIUS} style={styles.hitText} />
+              </View>
+            ))}
+            {otherHits.length > 3 && <Text style={styles.meta}>+{otherHits.length - 3} more</Text>}
+          </TouchableOpacity>
+        );
+      })}
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: { paddingTop: 60, paddingHorizontal: 16, paddingBottom: 60, backgroundColor: '#F3F4F6', minHeight: '100%' },
+  header: { flexDirection: 'row', alignItems: 'center', marginBottom: 12 },
+  backBtn: { paddingHorizontal: 12, paddingVertical: 6, backgroundColor: '#E5E7EB', borderRadius: 8, marginRight: 12 },
+  title: { fontSize: 22, fontWeight: '800', color: '#1D4ED8' },
+  input: { borderWidth: 1, borderColor: '#E5E7EB', padding: 10, borderRadius: 8, backgroundColor: '#fff', color: '#1F2937' },
+  hint: { fontSize: 12, color: '#64748B', marginTop: 4 },
+  row: { flexDirection: 'row', alignItems: 'center' },
+  practiceBtn: { backgroundColor: '#2563EB', paddingHorizontal: 12, paddingVertical: 8, borderRadius: 8 },
+  card: { backgroundColor: '#fff', padding: 12, borderRadius: 12, marginBottom: 10, shadowColor: '#000', shadowOpacity: 0.06, elevation: 2 },
+  meta: { fontSize: 12, color: '#64748B', marginBottom: 4 },
+  question: { color: '#0F172A', fontSize: 15 },
+  hitRow: { flexDirection: 'row', marginTop: 6 },
+  hitLabel: { width: 86, fontSize: 12, fontWeight: '600', color: '#475569' },
+  hitText: { flex: 1, fontSize: 13, color: '#334155' },
+  mark: { backgroundColor: '#FDE68A', color: '#0F172A', fontWeight: '700' },
+});
@@ -0,0 +1,156 @@
+import React, { useMemo, useState } from 'react';
+import { Text, View, StyleSheet, ScrollView, TouchableOpacity, TextInput, Modal, Switch } from 'react-native';
+import { ALLOCATIONS, STATUS_FILTERS, planSession, sessionFilterOptions } from '../utils/session';
+import { FILTER_FIELDS, difficultyLabel } from '../utils/metadata';
+
+const COUNT_PRESETS = [10, 20, 30, 65];
+
+const Chip = ({ label, active, onPress }) => (
+  <TouchableOpacity onPress={onPress} style={[styles.chip, active && styles.chipActive]}>
+    <Text style={{ color: active ? '#fff' : '#374151' }}>{label}</Text>
+  </TouchableOpacity>
+);
+
+const toggle = (list, value) => (list.includes(value) ? list.filter(v => v !== value) : [...list, value]);
+
+// Values on offer plus any already selected (e.g. carried over from the topic
+// list filter), so a selection can always be seen and cleared.
+const chipValues = (available, selected = []) => [...available, ...selected.filter(v => !available.includes(v))];
+
+/**
+ * Bottom sheet for setting up a random practice session from the ticked
+ * topics. Calls onStart(config) with the settings; App builds the session
+ * with buildSession so the preview and the result always agree.
+ */
+export default function SessionBuilder({ visible, topics, learning, initialConfig, onStart, onClose }) {
+  const [config, setConfig] = useState(initialConfig);
+  const set = (patch) => setConfig(c => ({ ...c, ...patch }));
+
+  const filters = useMemo(() => sessionFilterOptions(topics), [topics]);
+  const plan = useMemo(() => planSession(topics, config, learning), [topics, config, learning]);
+  const perTopic = config.allocation === 'weights' || config.allocation === 'quotas';
+
+  return (
+    <Modal visible={visible} transparent animationType="slide" onRequestClose={onClose}>
+      <View style={styles.backdrop}>
+        <View style={styles.sheet}>
+          <Text style={styles.title}>Session setup</Text>
+          <Text style={styles.muted}>{topics.length} topic{topics.length === 1 ? '' : 's'} selected</Text>
+
+          <ScrollView style={{ marginTop: 8 }}>
+            {config.allocation !== 'quotas' && (
+              <>
+                <Text style={styles.label}>Number of questions</Text>
+                <View style={styles.chips}>
+                  {COUNT_PRESETS.map(n => <Chip key={n} label={String(n)} active={config.count === n} onPress={() => set({ count: n })} />)}
+                  <Chip label="All" active={config.count === 'all'} onPress={() => set({ count: 'all' })} />
+                  <TextInput
+                    value={config.count === 'all' || COUNT_PRESETS.includes(config.count) ? '' : String(config.count)}
+                    onChangeText={v => set({ count: parseInt(v, 10) || 0 })}
+                    placeholder="Other"
+                    keyboardType="numeric"
+                    style={styles.countInput}
+                  />
+                </View>
+              </>
+            )}
+
+            <Text style={styles.label}>Share between topics</Text>
+            <View style={styles.chips}>
+              {ALLOCATIONS.map(a => <Chip key={a.key} label={a.label} active={config.allocation === a.key} onPress={() => set({ allocation: a.key })} />)}
+            </View>
+            {perTopic && plan.pools.map(p => (
+              <View key={p.topic.id} style={styles.topicRow}>
+                <Text style={{ flex: 1, color: '#1F2937' }} numberOfLines={1}>{p.topic.topicName}</Text>
+                <Text style={[styles.muted, { marginRight: 8 }]}>{p.questions.length} available</Text>
+                <TextInput
+                  value={config.perTopic[p.topic.id] !== undefined ? String(config.perTopic[p.topic.id]) : ''}
+                  onChangeText={v => set({ perTopic: { ...config.perTopic, [p.topic.id]: v === '' ? undefined : Math.max(0, parseFloat(v) || 0) } })}
+                  placeholder={config.allocation === 'quotas' ? String(p.questions.length) : '1'}
+                  keyboardType="numeric"
+                  style={styles.smallInput}
+                />
+              </View>
+            ))}
+
+            {filters.types.length > 1 && (
+              <>
+                <Text style={styles.label}>Question types</Text>
+                <View style={styles.chips}>
+                  {filters.types.map(t => <Chip key={t} label={t} active={config.types.includes(t)} onPress={() => set({ types: toggle(config.types, t) })} />)}
+                </View>
+              </>
+            )}
+
+            {FILTER_FIELDS.map(f => ({ ...f, values: chipValues(filters[f.key], config[f.key]) })).filter(f => f.values.length > 0).map(f => (
+              <React.Fragment key={f.key}>
+                <Text style={styles.label}>{f.label}</Text>
+                <View style={styles.chips}>
+                  {f.values.map(v => (
+                    <Chip
+                      key={v}
+                      label={f.key === 'tags' ? `#${v}` : f.key === 'difficulties' ? difficultyLabel(v) : v}
+                      active={(config[f.key] || []).includes(v)}
+                      onPress={() => set({ [f.key]: toggle(config[f.key] || [], v) })}
+                    />
+                  ))}
+                </View>
+              </React.Fragment>
+            ))}
+
+            <Text style={styles.label}>Include</Text>
+            <View style={styles.chips}>
+              {STATUS_FILTERS.map(s => <Chip key={s.key} label={s.label} active={config.status === s.key} onPress={() => set({ status: s.key })} />)}
+            </View>
+
+            <View style={[styles.topicRow, { marginTop: 8 }]}>
+              <Text style={{ flex: 1, color: '#1F2937' }}>Shuffle option order</Text>
+              <Switch value={config.shuffleOptions} onValueChange={v => set({ shuffleOptions: v })} />
+            </View>
+          </ScrollView>
+
+          <View style={styles.summary}>
+            <Text style={{ fontWeight: '700', color: plan.total ? '#0F172A' : '#B91C1C' }}>
+              {plan.total ? `${plan.total} question${plan.total === 1 ? '' : 's'}` : 'No questions match these settings'}
+            </Text>
+            {plan.total > 0 && topics.length > 1 && (
+              <Text style={styles.muted} numberOfLines={2}>
+                {plan.pools.filter(p => p.count > 0).map(p => `${p.topic.topicName} ${p.count}`).join(' · ')}
+              </Text>
+            )}
+          </View>
+
+          <View style={{ flexDirection: 'row' }}>
+            <TouchableOpacity onPress={onClose} style={[styles.btn, { backgroundColor: '#6B7280', marginRight: 8 }]}>
+              <Text style={styles.btnText}>Cancel</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              onPress={() => onStart(config)}
+              disabled={plan.total === 0}
+              style={[styles.btn, { backgroundColor: plan.total ? '#F59E0B' : '#D1D5DB' }]}
+            >
+              <Text style={styles.btnText}>Start Practice</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  backdrop: { flex: 1, justifyContent: 'flex-end', backgroundColor: 'rgba(15,23,42,0.4)' },
+  sheet: { maxHeight: '88%', backgroundColor: '#fff', borderTopLeftRadius: 16, borderTopRightRadius: 16, padding: 16, paddingBottom: 28 },
+  title: { fontSize: 20, fontWeight: '800', color: '#1D4ED8' },
+  muted: { fontSize: 12, color: '#64748B' },
+  label: { fontWeight: '600', color: '#374151', marginTop: 10, marginBottom: 6 },
+  chips: { flexDirection: 'row', flexWrap: 'wrap', alignItems: 'center' },
+  chip: { paddingHorizontal: 10, paddingVertical: 6, borderRadius: 16, borderWidth: 1, borderColor: '#D1D5DB', backgroundColor: '#F9FAFB', marginRight: 6, marginBottom: 6 },
+  chipActive: { backgroundColor: '#2563EB', borderColor: '#2563EB' },
+  countInput: { borderWidth: 1, borderColor: '#E5E7EB', borderRadius: 16, paddingHorizontal: 10, paddingVertical: 5, width: 70, marginBottom: 6 },
+  topicRow: { flexDirection: 'row', alignItems: 'center', paddingVertical: 4 },
+  smallInput: { borderWidth: 1, borderColor: '#E5E7EB', borderRadius: 8, paddingHorizontal: 8, paddingVertical: 4, width: 56, textAlign: 'center' },
+  summary: { borderTopWidth: 1, borderColor: '#F3F4F6', paddingVertical: 10, marginTop: 8 },
+  btn: { flex: 1, padding: 12, borderRadius: 8, alignItems: 'center' },
+  btnText: { color: '#fff', fontWeight: '700' },
+});
@@ -0,0 +1,336 @@
+import React, { useState } from 'react';
+import { Text, View, StyleSheet, ScrollView, TouchableOpacity, TextInput } from 'react-native';
+import { QUESTION_TYPES, answerKeyFor, correctOptionIndexes, natAnswerLabel, questionType } from '../utils/answers';
+import { makeId, validateQuestion } from '../utils/questions';
+import { parseMarksValue } from '../utils/scoring';
+import { DIFFICULTIES, difficultyLabel, formatTags, metadataSummary, parseTags, parseYear } from '../utils/metadata';
+import { confirmAction } from '../utils/confirm';
+import RichText from './RichText';
+
+const letter = (i) => String.fromCharCode(65 + i);
+
+// Editable form state for one question. Correct options are tracked by index
+// so adding/removing options keeps the answer key pointing at the same text.
+const toDraft = (question) => {
+  const type = questionType(question);
+  return {
+    q: question.q || '',
+    type,
+    options: type === 'NAT' ? ['', ''] : [...(question.options || ['', ''])],
+    // Imported option images stay with their option through edits
+    optionImages: type === 'NAT' ? [] : [...(question.optionImages || [])],
+    correctIdx: type === 'NAT' ? [] : correctOptionIndexes(question),
+    natAnswer: type === 'NAT' ? String(question.correct ?? '') : '',
+    explanation: question.explanation || '',
+    marks: question.marks !== undefined ? String(question.marks) : '',
+    negative: question.negative !== undefined ? String(question.negative) : '',
+    subject: question.subject || '',
+    subtopic: question.subtopic || '',
+    tags: formatTags(question.tags),
+    difficulty: question.difficulty || '',
+    year: question.year !== undefined ? String(question.year) : '',
+    source: question.source || '',
+  };
+};
+
+const BLANK_QUESTION = { q: '', type: 'MCQ', options: ['', '', '', ''], correct: '' };
+
+/**
+ * Builds the question from a draft. Returns { question } or { error };
+ * errors use the same wording as import diagnostics (validateQuestion).
+ */
+const fromDraft = (draft, original) => {
+  const marks = parseMarksValue(draft.marks);
+  const negative = parseMarksValue(draft.negative);
+  if (Number.isNaN(marks)) return { error: `Invalid marks value "${draft.marks}"` };
+  if (Number.isNaN(negative)) return { error: `Invalid negative value "${draft.negative}"` };
+  const year = parseYear(draft.year);
+  if (Number.isNaN(year)) return { error: `Invalid year "${draft.year}"` };
+
+  const isNat = draft.type === 'NAT';
+  const options = isNat ? [] : draft.options.map(o => o.trim());
+  const correct = isNat ? draft.natAnswer.trim() : answerKeyFor({ type: draft.type, options }, draft.correctIdx);
+  if (correct === null) return { error: 'The answer key would be ambiguous: give the options distinct texts' };
+  const { marks: _m, negative: _n, optionImages: _i, subject: _s, subtopic: _st, tags: _t, difficulty: _d, year: _y, source: _so, ...rest } = original;
+  const question = {
+    ...rest,
+    q: draft.q.trim(),
+    type: draft.type,
+    options,
+    correct,
+    explanation: draft.explanation.trim(),
+  };
+  const optionImages = draft.options.map((_, i) => draft.optionImages[i] || '');
+  if (!isNat && optionImages.some(Boolean)) question.optionImages = optionImages;
+  if (marks !== undefined) question.marks = marks;
+  if (negative !== undefined) question.negative = negative;
+  ['subject', 'subtopic', 'source'].forEach(key => { if (draft[key].trim()) question[key] = draft[key].trim(); });
+  const tags = parseTags(draft.tags);
+  if (tags.length) question.tags = tags;
+  if (draft.difficulty) question.difficulty = draft.difficulty;
+  if (year !== undefined) question.year = year;
+  const reason = validateQuestion(question);
+  return reason ? { error: reason } : { question };
+};
+
+const QuestionForm = ({ initial, onSave, onCancel }) => {
+  const [draft, setDraft] = useState(() => toDraft(initial));
+  const [error, setError] = useState(null);
+  const update = (patch) => { setDraft(d => ({ ...d, ...patch })); setError(null); };
+
+  const setType = (type) => {
+    // MCQ allows one correct option; keep the first when switching from MSQ.
+    const correctIdx = type === 'MCQ' ? draft.correctIdx.slice(0, 1) : draft.correctIdx;
+    update({ type, correctIdx });
+  };
+
+  const toggleCorrect = (i) => {
+    if (draft.type === 'MCQ') { update({ correctIdx: [i] }); return; }
+    const next = draft.correctIdx.includes(i) ? draft.correctIdx.filter(x => x !== i) : [...draft.correctIdx, i];
+    update({ correctIdx: next.sort((a, b) => a - b) });
+  };
+
+  const removeOption = (i) => update({
+    options: draft.options.filter((_, j) => j !== i),
+    optionImages: draft.optionImages.filter((_, j) => j !== i),
+    correctIdx: draft.correctIdx.filter(x => x !== i).map(x => (x > i ? x - 1 : x)),
+  });
+
+  const save = () => {
+    const { question, error: err } = fromDraft(draft, initial);
+    if (err) { setError(err); return; }
+    onSave(question);
+  };
+
+  return (
+    <View style={styles.card}>
+      <Text style={styles.label}>Question</Text>
+      <TextInput value={draft.q} onChangeText={q => update({ q })} multiline style={[styles.input, { minHeight: 80 }]} textAlignVertical="top" placeholder="Question text ($math$, **bold**, lists and tables allowed)" />
+      {/[$\\*`|]/.test(draft.q) && (
+        <View style={styles.preview}>
+          <Text style={styles.previewLabel}>Preview</Text>
+          <RichText text={draft.q} style={{ color: '#0F172A' }} />
+        </View>
+      )}
+
+      <Text style={styles.label}>Type</Text>
+      <View style={styles.chips}>
+        {QUESTION_TYPES.map(t => (
+          <TouchableOpacity key={t} onPress={() => setType(t)} style={[styles.chip, draft.type === t && styles.chipActive]}>
+            <Text style={{ color: draft.type === t ? '#fff' : '#374151' }}>{t}</Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      {draft.type === 'NAT' ? (
+        <>
+          <Text style={styles.label}>Answer (value or min:max range)</Text>
+          <TextInput value={draft.natAnswer} onChangeText={natAnswer => update({ natAnswer })} style={styles.input} placeholder="e.g. 2.5 or 2.45:2.55" />
+        </>
+      ) : (
+        <>
+          <Text style={styles.label}>Options · tap a letter to mark {draft.type === 'MSQ' ? 'the correct options' : 'the correct option'}</Text>
+          {draft.options.map((opt, i) => {
+            const isCorrect = draft.correctIdx.includes(i);
+            return (
+              <View key={i} style={styles.optionRow}>
+                <TouchableOpacity onPress={() => toggleCorrect(i)} style={[styles.letter, isCorrect && styles.letterCorrect]}>
+                  <Text style={{ color: isCorrect ? '#fff' : '#374151', fontWeight: '700' }}>{letter(i)}</Text>
+                </TouchableOpacity>
+                <TextInput
+                  value={opt}
+                  onChangeText={text => update({ options: draft.options.map((o, j) => (j === i ? text : o)) })}
+                  style={[styles.input, { flex: 1, marginBottom: 0 }]}
+                  placeholder={`Option ${letter(i)}`}
+                />
+                {draft.optionImages[i] ? <Text style={{ marginLeft: 6 }}>🖼</Text> : null}
+                <TouchableOpacity onPress={() => removeOption(i)} style={styles.iconBtn} disabled={draft.options.length <= 2}>
+                  <Text style={{ color: draft.options.length <= 2 ? '#D1D5DB' : '#EF4444', fontWeight: '700' }}>✕</Text>
+                </TouchableOpacity>
+              </View>
+            );
+          })}
+          <TouchableOpacity onPress={() => update({ options: [...draft.options, ''] })} style={styles.linkBtn}>
+            <Text style={styles.linkText}>+ Add option</Text>
+          </TouchableOpacity>
+        </>
+      )}
+
+      <Text style={styles.label}>Explanation</Text>
+      <TextInput value={draft.explanation} onChangeText={explanation => update({ explanation })} multiline style={[styles.input, { minHeight: 60 }]} textAlignVertical="top" placeholder="Optional" />
+
+      <View style={{ flexDirection: 'row' }}>
+        <View style={{ flex: 1, marginRight: 8 }}>
+          <Text style={styles.label}>Marks</Text>
+          <TextInput value={draft.marks} onChangeText={marks => update({ marks })} style={styles.input} placeholder="1" keyboardType="numeric" />
+        </View>
+        <View style={{ flex: 1 }}>
+          <Text style={styles.label}>Negative marks</Text>
+          <TextInput value={draft.negative} onChangeText={negative => update({ negative })} style={styles.input} placeholder={draft.type === 'MCQ' ? 'marks / 3' : '0'} />
+        </View>
+      </View>
+
+      <Text style={styles.label}>Difficulty</Text>
+      <View style={styles.chips}>
+        {DIFFICULTIES.map(d => (
+          <TouchableOpacity key={d} onPress={() => update({ difficulty: draft.difficulty === d ? '' : d })} style={[styles.chip, draft.difficulty === d && styles.chipActive]}>
+            <Text style={{ color: draft.difficulty === d ? '#fff' : '#374151' }}>{difficultyLabel(d)}</Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      <View style={{ flexDirection: 'row' }}>
+        <View style={{ flex: 1, marginRight: 8 }}>
+          <Text style={styles.label}>Subject</Text>
+          <TextInput value={draft.subject} onChangeText={subject => update({ subject })} style={styles.input} placeholder="e.g. Computer Networks" />
+        </View>
+        <View style={{ flex: 1 }}>
+          <Text style={styles.label}>Subtopic</Text>
+          <TextInput value={draft.subtopic} onChangeText={subtopic => update({ subtopic })} style={styles.input} placeholder="e.g. TCP" />
+        </View>
+      </View>
+
+      <View style={{ flexDirection: 'row' }}>
+        <View style={{ flex: 2, marginRight: 8 }}>
+          <Text style={styles.label}>Source</Text>
+          <TextInput value={draft.source} onChangeText={source => update({ source })} style={styles.input} placeholder="e.g. GATE" />
+        </View>
+        <View style={{ flex: 1 }}>
+          <Text style={styles.label}>Year</Text>
+          <TextInput value={draft.year} onChangeText={year => update({ year })} style={styles.input} placeholder="2019" keyboardType="numeric" />
+        </View>
+      </View>
+
+      <Text style={styles.label}>Tags</Text>
+      <TextInput value={draft.tags} onChangeText={tags => update({ tags })} style={styles.input} placeholder="Comma separated, e.g. flow-control, sliding-window" />
+
+      {error && <Text style={styles.error}>{error}</Text>}
+
+      <View style={{ flexDirection: 'row', marginTop: 4 }}>
+        <TouchableOpacity onPress={onCancel} style={[styles.btn, { backgroundColor: '#6B7280', marginRight: 8 }]}>
+          <Text style={styles.btnText}>Cancel</Text>
+        </TouchableOpacity>
+        <TouchableOpacity onPress={save} style={[styles.btn, { backgroundColor: '#10B981' }]}>
+          <Text style={styles.btnText}>Save Question</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+};
+
+/**
+ * Question list for one topic with add / edit / reorder / duplicate / delete.
+ * Every change is passed straight to onChange(questions); question ids are
+ * kept on edit so learning history stays attached.
+ */
+export default function TopicEditor({ topic, onChange, onBack }) {
+  // null: list view; -1: adding a new question; otherwise index being edited
+  const [editing, setEditing] = useState(null);
+  const questions = topic.questions;
+
+  const move = (i, delta) => {
+    const j = i + delta;
+    if (j < 0 || j >= questions.length) return;
+    const next = questions.slice();
+    [next[i], next[j]] = [next[j], next[i]];
+    onChange(next);
+  };
+
+  const duplicate = (i) => {
+    const copy = { ...questions[i], id: makeId('q') };
+    onChange([...questions.slice(0, i + 1), copy, ...questions.slice(i + 1)]);
+  };
+
+  const remove = (i) => confirmAction({
+    title: 'Delete question',
+    message: `Delete question ${i + 1}?`,
+    confirmText: 'Delete',
+    destructive: true,
+    onConfirm: () => onChange(questions.filter((_, j) => j !== i)),
+  });
+
+  const save = (question) => {
+    if (editing === -1) onChange([...questions, { ...question, id: makeId('q') }]);
+    else onChange(questions.map((q, j) => (j === editing ? question : q)));
+    setEditing(null);
+  };
+
+  if (editing !== null) {
+    return (
+      <ScrollView contentContainerStyle={styles.container}>
+        <Text style={styles.title}>{editing === -1 ? 'New Question' : `Edit Question ${editing + 1}`}</Text>
+        <QuestionForm initial={editing === -1 ? BLANK_QUESTION : questions[editing]} onSave={save} onCancel={() => setEditing(null)} />
+      </ScrollView>
+    );
+  }
+
+  return (
+    <ScrollView contentContainerStyle={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity onPress={onBack} style={styles.backBtn}>
+          <Text style={{ color: '#374151', fontWeight: 'bold' }}>← Topics</Text>
+        </TouchableOpacity>
+        <Text style={[styles.title, { flex: 1, marginBottom: 0 }]} numberOfLines={1}>✏️ {topic.topicName}</Text>
+      </View>
+
+      <TouchableOpacity onPress={() => setEditing(-1)} style={[styles.btn, { backgroundColor: '#2563EB', marginBottom: 12, flex: 0 }]}>
+        <Text style={styles.btnText}>+ Add Question</Text>
+      </TouchableOpacity>
+
+      {questions.map((q, i) => (
+        <View key={q.id || i} style={styles.card}>
+          <View style={{ flexDirection: 'row', alignItems: 'flex-start' }}>
+            <Text style={styles.number}>{i + 1}.</Text>
+            <View style={{ flex: 1 }}>
+              <RichText text={q.q} numberOfLines={3} style={{ color: '#0F172A' }} />
+              <Text style={styles.meta}>
+                {questionType(q)} · Answer: {questionType(q) === 'NAT' ? natAnswerLabel(q) : correctOptionIndexes(q).map(letter).join(', ')}
+                {q.marks !== undefined ? ` · ${q.marks} mark${q.marks === 1 ? '' : 's'}` : ''}
+              </Text>
+              {metadataSummary(q) ? <Text style={styles.meta} numberOfLines={1}>{metadataSummary(q)}</Text> : null}
+            </View>
+          </View>
+          <View style={styles.actions}>
+            <TouchableOpacity onPress={() => move(i, -1)} style={styles.actionBtn} disabled={i === 0}><Text style={[styles.actionText, i === 0 && styles.disabled]}>↑</Text></TouchableOpacity>
+            <TouchableOpacity onPress={() => move(i, 1)} style={styles.actionBtn} disabled={i === questions.length - 1}><Text style={[styles.actionText, i === questions.length - 1 && styles.disabled]}>↓</Text></TouchableOpacity>
+            <TouchableOpacity onPress={() => setEditing(i)} style={styles.actionBtn}><Text style={styles.actionText}>Edit</Text></TouchableOpacity>
+            <TouchableOpacity onPress={() => duplicate(i)} style={styles.actionBtn}><Text style={styles.actionText}>Duplicate</Text></TouchableOpacity>
+            <TouchableOpacity onPress={() => remove(i)} style={styles.actionBtn} disabled={questions.length <= 1}>
+              <Text style={[styles.actionText, { color: '#EF4444' }, questions.length <= 1 && styles.disabled]}>Delete</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      ))}
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: { paddingTop: 60, paddingHorizontal: 16, paddingBottom: 60, backgroundColor: '#F3F4F6', minHeight: '100%' },
+  header: { flexDirection: 'row', alignItems: 'center', marginBottom: 12 },
+  backBtn: { paddingHorizontal: 12, paddingVertical: 6, backgroundColor: '#E5E7EB', borderRadius: 8, marginRight: 12 },
+  title: { fontSize: 22, fontWeight: '800', color: '#1D4ED8', marginBottom: 12 },
+  card: { backgroundColor: '#fff', padding: 14, borderRadius: 12, marginBottom: 12, shadowColor: '#000', shadowOpacity: 0.06, elevation: 2 },
+  label: { fontWeight: '600', color: '#374151', marginBottom: 4, marginTop: 4 },
+  input: { borderWidth: 1, borderColor: '#E5E7EB', padding: 10, borderRadius: 8, backgroundColor: '#fff', marginBottom: 8, color: '#1F2937' },
+  chips: { flexDirection: 'row', marginBottom: 8 },
+  chip: { paddingHorizontal: 12, paddingVertical: 6, borderRadius: 16, borderWidth: 1, borderColor: '#D1D5DB', backgroundColor: '#F9FAFB', marginRight: 6 },
+  chipActive: { backgroundColor: '#2563EB', borderColor: '#2563EB' },
+  optionRow: { flexDirection: 'row', alignItems: 'center', marginBottom: 8 },
+  letter: { width: 32, height: 32, borderRadius: 16, borderWidth: 1, borderColor: '#D1D5DB', alignItems: 'center', justifyContent: 'center', marginRight: 8 },
+  letterCorrect: { backgroundColor: '#16A34A', borderColor: '#16A34A' },
+  iconBtn: { padding: 8, marginLeft: 4 },
+  linkBtn: { paddingVertical: 6, marginBottom: 4 },
+  linkText: { color: '#2563EB', fontWeight: '600' },
+  error: { color: '#B91C1C', marginBottom: 6 },
+  preview: { borderWidth: 1, borderColor: '#E5E7EB', borderStyle: 'dashed', borderRadius: 8, padding: 8, marginBottom: 8 },
+  previewLabel: { fontSize: 11, color: '#64748B', marginBottom: 4 },
+  btn: { flex: 1, padding: 12, borderRadius: 8, alignItems: 'center' },
+  btnText: { color: '#fff', fontWeight: '700' },
+  number: { fontWeight: '700', marginRight: 8, color: '#1D4ED8' },
+  meta: { fontSize: 12, color: '#64748B', marginTop: 4 },
+  actions: { flexDirection: 'row', flexWrap: 'wrap', marginTop: 8, borderTopWidth: 1, borderColor: '#F3F4F6', paddingTop: 6 },
+  actionBtn: { paddingVertical: 4, paddingHorizontal: 8, marginRight: 4 },
+  actionText: { color: '#2563EB', fontWeight: '600' },
+  disabled: { color: '#D1D5DB' },
+});
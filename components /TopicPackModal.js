@@ -0,0 +1,119 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { Text, View, StyleSheet, TouchableOpacity, TextInput, Modal, Share, Platform } from 'react-native';
+import { encodeTopicPack, MAX_PACK_LENGTH, packLink, packParts } from '../utils/packs';
+
+// QR codes are drawn with react-native-qrcode-svg (on react-native-svg).
+// Optional like the other native modules: without it the link is still shown.
+let QRCode;
+try {
+  QRCode = require('react-native-qrcode-svg').default;
+} catch (e) {
+  QRCode = null;
+}
+
+const QR_SIZE = 240;
+// Multi-part packs cycle through their codes so the other phone can scan them
+// in one go; tapping a code stops the cycle.
+const CYCLE_MS = 1500;
+
+/**
+ * Shares a topic as a pack: a QR code (or a sequence of them) for another
+ * phone to scan from the Import card, and a deep link that opens the app on
+ * the import preview.
+ */
+export default function TopicPackModal({ topic, onClose }) {
+  const pack = useMemo(() => encodeTopicPack(topic), [topic]);
+  const parts = useMemo(() => packParts(pack), [pack]);
+  const link = useMemo(() => packLink(pack), [pack]);
+  const [part, setPart] = useState(0);
+  const [cycling, setCycling] = useState(parts.length > 1);
+
+  useEffect(() => {
+    if (!cycling || parts.length < 2) return;
+    const id = setInterval(() => setPart(p => (p + 1) % parts.length), CYCLE_MS);
+    return () => clearInterval(id);
+  }, [cycling, parts.length]);
+
+  const step = (delta) => {
+    setCycling(false);
+    setPart(p => (p + delta + parts.length) % parts.length);
+  };
+
+  const shareLink = async () => {
+    try {
+      await Share.share(Platform.OS === 'ios' ? { url: link } : { message: link, title: topic.topicName });
+    } catch (e) {
+      // No share sheet (e.g. some browsers): the link below can be copied by hand.
+    }
+  };
+
+  return (
+    <Modal visible transparent animationType="slide" onRequestClose={onClose}>
+      <View style={styles.backdrop}>
+        <View style={styles.sheet}>
+          <Text style={styles.title}>Share “{topic.topicName}”</Text>
+          <Text style={styles.muted}>
+            {topic.questions.length} questions · {parts.length === 1 ? 'one QR code' : `${parts.length} QR codes, scan them in any order`}
+          </Text>
+          {pack.data.length > MAX_PACK_LENGTH && (
+            <Text style={[styles.muted, { color: '#B45309', marginTop: 4 }]}>
+              This topic is too large to be received as a pack; share it as JSON instead.
+            </Text>
+          )}
+          {pack.droppedImages > 0 && (
+            <Text style={[styles.muted, { color: '#B45309', marginTop: 4 }]}>
+              {pack.droppedImages} image{pack.droppedImages === 1 ? ' is' : 's are'} left out; share the topic as JSON to include images.
+            </Text>
+          )}
+
+          <View style={styles.qrBox}>
+            {QRCode ? (
+              <TouchableOpacity activeOpacity={1} onPress={() => setCycling(c => !c)}>
+                <QRCode value={parts[part]} size={QR_SIZE} ecl="L" />
+              </TouchableOpacity>
+            ) : (
+              <Text style={[styles.muted, { textAlign: 'center' }]}>QR codes need react-native-qrcode-svg; share the link instead.</Text>
+            )}
+          </View>
+
+          {QRCode && parts.length > 1 && (
+            <View style={styles.row}>
+              <TouchableOpacity onPress={() => step(-1)} style={styles.stepBtn}><Text style={styles.stepText}>‹</Text></TouchableOpacity>
+              <Text style={{ flex: 1, textAlign: 'center', fontWeight: '700', color: '#1F2937' }}>
+                Code {part + 1} of {parts.length}{cycling ? ' · cycling' : ''}
+              </Text>
+              <TouchableOpacity onPress={() => step(1)} style={styles.stepBtn}><Text style={styles.stepText}>›</Text></TouchableOpacity>
+            </View>
+          )}
+
+          <Text style={[styles.label, { marginTop: 12 }]}>Link</Text>
+          <TextInput value={link} editable={false} selectTextOnFocus numberOfLines={2} multiline style={styles.linkBox} />
+
+          <View style={[styles.row, { marginTop: 12 }]}>
+            <TouchableOpacity onPress={onClose} style={[styles.btn, { backgroundColor: '#6B7280', marginRight: 8 }]}>
+              <Text style={styles.btnText}>Close</Text>
+            </TouchableOpacity>
+            <TouchableOpacity onPress={shareLink} style={[styles.btn, { backgroundColor: '#2563EB' }]}>
+              <Text style={styles.btnText}>Share link</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  backdrop: { flex: 1, justifyContent: 'flex-end', backgroundColor: 'rgba(15,23,42,0.4)' },
+  sheet: { backgroundColor: '#fff', borderTopLeftRadius: 16, borderTopRightRadius: 16, padding: 16, paddingBottom: 28 },
+  title: { fontSize: 20, fontWeight: '800', color: '#1D4ED8' },
+  muted: { fontSize: 12, color: '#64748B' },
+  label: { fontWeight: '600', color: '#374151', marginBottom: 4 },
+  qrBox: { alignItems: 'center', justifyContent: 'center', minHeight: QR_SIZE + 24, padding: 12, marginTop: 12, backgroundColor: '#fff', borderRadius: 12, borderWidth: 1, borderColor: '#E5E7EB' },
+  row: { flexDirection: 'row', alignItems: 'center', marginTop: 8 },
+  stepBtn: { width: 44, height: 36, borderRadius: 8, backgroundColor: '#EFF6FF', alignItems: 'center', justifyContent: 'center' },
+  stepText: { fontSize: 22, fontWeight: '700', color: '#1D4ED8' },
+  linkBox: { borderWidth: 1, borderColor: '#E5E7EB', borderRadius: 8, padding: 8, fontSize: 11, color: '#475569', maxHeight: 60 },
+  btn: { flex: 1, padding: 12, borderRadius: 8, alignItems: 'center' },
+  btnText: { color: '#fff', fontWeight: '700' },
+});
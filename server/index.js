@@ -0,0 +1,25 @@
+import path from "node:path";
+import { createSyncServer } from "./server.js";
+
+// Settings come from the environment:
+//   PORT        (default 8787)
+//   HOST        (default 0.0.0.0, so phones on the same network can connect)
+//   DATA_FILE   (default ./data/sync.json)
+//   SYNC_TOKEN  shared secret; leave unset only on a trusted network
+
+const port = Number(process.env.PORT) || 8787;
+const host = process.env.HOST || "0.0.0.0";
+const dataFile = path.resolve(process.env.DATA_FILE || "data/sync.json");
+const token = process.env.SYNC_TOKEN || "";
+
+const server = createSyncServer({ dataFile, token });
+server.listen(port, host, () => {
+  console.log(`GATE MCQ sync server on http://${host}:${port} (data: ${dataFile})`);
+  if (!token) console.log("No SYNC_TOKEN set: anyone who can reach this port can read and write the data.");
+});
+
+const shutdown = () => {
+  server.close(() => server.store.flush().then(() => process.exit(0)));
+};
+process.on("SIGINT", shutdown);
+process.on("SIGTERM", shutdown);
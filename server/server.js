@@ -0,0 +1,100 @@
+import http from "node:http";
+import { invalidChange, openStore } from "./store.js";
+
+/* ----------------- Sync server ----------------- */
+// Plain HTTP + JSON, for the app's sync client (utils/sync.js):
+//   GET  /health      -> { ok, records, seq }
+//   POST /sync/pull   { since }               -> { changes, cursor, more }
+//   POST /sync/push   { deviceId, changes }   -> { accepted, conflicts, cursor }
+// With a token configured, /sync/* requires "Authorization: Bearer <token>".
+// CORS is open so the web build can sync from any origin.
+
+const DEFAULT_MAX_BODY = 50 * 1024 * 1024; // first syncs carry every stored image
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const CORS_HEADERS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type, Authorization",
+};
+
+const send = (res, status, body) => {
+  res.writeHead(status, { ...CORS_HEADERS, "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+};
+
+const readJson = (req, maxBytes) => new Promise((resolve, reject) => {
+  let size = 0;
+  const chunks = [];
+  req.on("data", chunk => {
+    size += chunk.length;
+    if (size > maxBytes) {
+      reject(new HttpError(413, "Request is too large."));
+      req.destroy();
+      return;
+    }
+    chunks.push(chunk);
+  });
+  req.on("end", () => {
+    try {
+      resolve(chunks.length ? JSON.parse(Buffer.concat(chunks).toString("utf8")) : {});
+    } catch (e) {
+      reject(new HttpError(400, "Body is not valid JSON."));
+    }
+  });
+  req.on("error", reject);
+});
+
+/**
+ * Creates the server (not yet listening). `dataFile` is the JSON store;
+ * `token`, when set, is the shared secret clients must send.
+ */
+export const createSyncServer = ({ dataFile, token = "", maxBodyBytes = DEFAULT_MAX_BODY }) => {
+  const store = openStore(dataFile);
+
+  const routes = {
+    "GET /health": async () => ({ ok: true, records: store.size, seq: store.seq }),
+    "POST /sync/pull": async (body) => {
+      const since = Number(body.since) || 0;
+      return store.pull(since);
+    },
+    "POST /sync/push": async (body) => {
+      if (!Array.isArray(body.changes)) throw new HttpError(400, "changes must be a list.");
+      body.changes.forEach((change, i) => {
+        const problem = invalidChange(change);
+        if (problem) throw new HttpError(400, `Change ${i + 1}: ${problem}.`);
+      });
+      const result = await store.push(body.deviceId, body.changes);
+      return { ...result, cursor: store.seq };
+    },
+  };
+
+  const server = http.createServer(async (req, res) => {
+    try {
+      if (req.method === "OPTIONS") {
+        res.writeHead(204, CORS_HEADERS);
+        res.end();
+        return;
+      }
+      const { pathname } = new URL(req.url, "http://localhost");
+      const route = routes[`${req.method} ${pathname.replace(/\/+$/, "") || "/"}`];
+      if (!route) throw new HttpError(404, "Not found.");
+      if (token && pathname.startsWith("/sync/") && req.headers.authorization !== `Bearer ${token}`) {
+        throw new HttpError(401, "Invalid or missing sync token.");
+      }
+      const body = req.method === "POST" ? await readJson(req, maxBodyBytes) : {};
+      send(res, 200, await route(body || {}));
+    } catch (err) {
+      if (!(err instanceof HttpError)) console.error(err);
+      send(res, err instanceof HttpError ? err.status : 500, { error: err instanceof HttpError ? err.message : "Internal server error." });
+    }
+  });
+  server.store = store;
+  return server;
+};
@@ -0,0 +1,103 @@
+import fs from "node:fs";
+import path from "node:path";
+
+/* ----------------- Record store ----------------- */
+// Every record the clients sync, in one JSON file:
+//   { seq, records: { "collection/id": { collection, id, rev, seq, updatedAt,
+//                                        deviceId, deleted, data } } }
+// `rev` counts the accepted writes of one record; `seq` numbers every
+// accepted write across the store, so clients can pull "everything after N".
+// Deletions stay as tombstones so devices that were offline still learn of
+// them. The file is rewritten (via a temporary file and rename) after each
+// push, before the push is answered; a push whose write fails changes nothing.
+
+export const PULL_LIMIT = 500;
+
+const NAME = /^[A-Za-z0-9_-]{1,40}$/;
+const MAX_ID_LENGTH = 200;
+
+const key = (collection, id) => `${collection}/${id}`;
+
+/** Why a pushed change is malformed, or null when it is fine. */
+export const invalidChange = (change) => {
+  if (!change || typeof change !== "object") return "change must be an object";
+  if (typeof change.collection !== "string" || !NAME.test(change.collection)) return "invalid collection";
+  if (typeof change.id !== "string" || !change.id || change.id.length > MAX_ID_LENGTH) return "invalid id";
+  if (!Number.isInteger(change.baseRev) || change.baseRev < 0) return "baseRev must be a whole number";
+  if (!change.deleted && change.data === undefined) return "data is missing";
+  return null;
+};
+
+export const openStore = (file) => {
+  let state = { seq: 0, records: {} };
+  if (fs.existsSync(file)) {
+    state = JSON.parse(fs.readFileSync(file, "utf8"));
+  }
+  const write = async (next) => {
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    const tmp = `${file}.tmp`;
+    await fs.promises.writeFile(tmp, JSON.stringify(next));
+    await fs.promises.rename(tmp, file);
+  };
+  // Pushes run one at a time, each against the state the previous one left.
+  // A failed push rejects on its own and the queue carries on.
+  let queue = Promise.resolve();
+  const enqueue = (task) => {
+    const result = queue.then(task);
+    queue = result.catch(() => {});
+    return result;
+  };
+
+  return {
+    get seq() { return state.seq; },
+    get size() { return Object.keys(state.records).length; },
+
+    /** Records written after `since`, oldest first: { changes, cursor, more }. */
+    pull(since = 0, limit = PULL_LIMIT) {
+      const newer = Object.values(state.records).filter(r => r.seq > since).sort((a, b) => a.seq - b.seq);
+      const changes = newer.slice(0, limit);
+      return { changes, cursor: changes.length ? changes[changes.length - 1].seq : Math.max(since, 0), more: newer.length > limit };
+    },
+
+    /**
+     * Applies changes whose baseRev matches the stored revision (0 for a new
+     * record). Returns { accepted: [{ collection, id, rev, seq }], conflicts:
+     * [current record] } once the result is on disk.
+     */
+    push(deviceId, changes) {
+      return enqueue(async () => {
+        const accepted = [];
+        const conflicts = [];
+        // Built on a copy and only swapped in once it is on disk.
+        const next = { seq: state.seq, records: { ...state.records } };
+        changes.forEach(change => {
+          const current = next.records[key(change.collection, change.id)];
+          if (current && current.rev !== change.baseRev) {
+            conflicts.push(current);
+            return;
+          }
+          const record = {
+            collection: change.collection,
+            id: change.id,
+            rev: (current?.rev || 0) + 1,
+            seq: ++next.seq,
+            updatedAt: Number(change.updatedAt) || Date.now(),
+            deviceId: typeof deviceId === "string" ? deviceId : null,
+            deleted: !!change.deleted,
+            data: change.deleted ? null : change.data,
+          };
+          next.records[key(record.collection, record.id)] = record;
+          accepted.push({ collection: record.collection, id: record.id, rev: record.rev, seq: record.seq });
+        });
+        if (accepted.length > 0) {
+          await write(next);
+          state = next;
+        }
+        return { accepted, conflicts };
+      });
+    },
+
+    /** Resolves once every queued write is on disk. */
+    flush: () => queue,
+  };
+};
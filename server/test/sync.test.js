@@ -0,0 +1,274 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { createSyncServer } from "../server.js";
+import { EMPTY_SYNC_META, httpTransport, localChanges, rebaseOnSync, stateToRecords, syncOnce } from "../../utils/sync.js";
+
+// Every test talks to a real server on a free local port, each with its own
+// data file so tests do not see each other's records.
+
+const TOKEN = "test-token";
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "gate-mcq-sync-"));
+const servers = [];
+
+const startServer = async (options = {}) => {
+  const dataFile = options.dataFile || path.join(tmpDir, `sync-${servers.length}.json`);
+  const server = createSyncServer({ dataFile, token: TOKEN, ...options });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  servers.push(server);
+  return { server, dataFile, url: `http://127.0.0.1:${server.address().port}` };
+};
+
+const stopServer = (server) => new Promise(resolve => server.close(resolve));
+
+after(async () => {
+  await Promise.all(servers.filter(s => s.listening).map(stopServer));
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+const emptyState = () => ({ topics: [], learning: {}, history: [], annotations: {}, blueprints: [], images: {} });
+
+const topic = (id, name, questions) => ({ id, topicName: name, questions });
+const question = (id, q) => ({ id, q, type: "MCQ", options: ["a", "b", "c", "d"], correct: "A" });
+
+// A device: app state plus sync meta, synced through the HTTP transport.
+const device = (url, state = emptyState()) => {
+  const d = { state, meta: { ...EMPTY_SYNC_META, serverUrl: url, token: TOKEN } };
+  d.sync = async (now = Date.now()) => {
+    const result = await syncOnce({ state: d.state, meta: d.meta, transport: httpTransport({ serverUrl: url, token: TOKEN }), now });
+    d.state = result.state;
+    d.meta = result.meta;
+    return result.report;
+  };
+  return d;
+};
+
+const post = (url, body, token = TOKEN) => fetch(url, {
+  method: "POST",
+  headers: { "Content-Type": "application/json", ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+  body: JSON.stringify(body),
+});
+
+/* ----------------- Server protocol ----------------- */
+
+test("push assigns revisions and refuses writes based on an old one", async () => {
+  const { url } = await startServer();
+  const change = { collection: "topics", id: "t1", baseRev: 0, data: { id: "t1" } };
+
+  let res = await (await post(`${url}/sync/push`, { deviceId: "a", changes: [change] })).json();
+  assert.deepEqual(res.accepted.map(a => a.rev), [1]);
+
+  res = await (await post(`${url}/sync/push`, { deviceId: "a", changes: [{ ...change, baseRev: 1, data: { id: "t1", v: 2 } }] })).json();
+  assert.deepEqual(res.accepted.map(a => a.rev), [2]);
+
+  // A second device still on revision 1 is told about revision 2 instead.
+  res = await (await post(`${url}/sync/push`, { deviceId: "b", changes: [{ ...change, baseRev: 1, data: { id: "t1", v: 3 } }] })).json();
+  assert.equal(res.accepted.length, 0);
+  assert.equal(res.conflicts[0].rev, 2);
+  assert.deepEqual(res.conflicts[0].data, { id: "t1", v: 2 });
+});
+
+test("pull pages through changes in order", async () => {
+  const { server, url } = await startServer();
+  const changes = Array.from({ length: 12 }, (_, i) => ({ collection: "learning", id: `q${i}`, baseRev: 0, data: { attempts: i } }));
+  await post(`${url}/sync/push`, { deviceId: "a", changes });
+
+  const firstPage = server.store.pull(0, 5);
+  assert.equal(firstPage.changes.length, 5);
+  assert.equal(firstPage.more, true);
+
+  const res = await (await post(`${url}/sync/pull`, { since: firstPage.cursor })).json();
+  assert.deepEqual(res.changes.map(c => c.id), changes.slice(5).map(c => c.id));
+  assert.equal(res.more, false);
+  assert.equal(res.cursor, 12);
+});
+
+test("rejects missing tokens and malformed changes", async () => {
+  const { url } = await startServer();
+  assert.equal((await post(`${url}/sync/pull`, { since: 0 }, null)).status, 401);
+  assert.equal((await post(`${url}/sync/pull`, { since: 0 }, "wrong")).status, 401);
+
+  const bad = await post(`${url}/sync/push`, { changes: [{ collection: "../etc", id: "x", baseRev: 0, data: 1 }] });
+  assert.equal(bad.status, 400);
+  assert.match((await bad.json()).error, /invalid collection/);
+
+  const health = await fetch(`${url}/health`);
+  assert.equal(health.status, 200);
+});
+
+test("records survive a server restart", async () => {
+  const { server, url, dataFile } = await startServer();
+  await post(`${url}/sync/push`, { deviceId: "a", changes: [{ collection: "topics", id: "t1", baseRev: 0, data: { id: "t1" } }] });
+  await stopServer(server);
+
+  const restarted = await startServer({ dataFile });
+  const res = await (await post(`${restarted.url}/sync/pull`, { since: 0 })).json();
+  assert.deepEqual(res.changes.map(c => [c.id, c.rev]), [["t1", 1]]);
+});
+
+test("a failed write leaves the store unchanged and later pushes work", async () => {
+  const { server, url, dataFile } = await startServer();
+  const change = { collection: "topics", id: "t1", baseRev: 0, data: { id: "t1" } };
+  // A directory where the temporary file should go makes the write fail.
+  fs.mkdirSync(`${dataFile}.tmp`);
+  const failed = await post(`${url}/sync/push`, { deviceId: "a", changes: [change] });
+  assert.equal(failed.status, 500);
+  assert.equal(server.store.seq, 0);
+  assert.equal(server.store.size, 0);
+
+  fs.rmdirSync(`${dataFile}.tmp`);
+  const res = await (await post(`${url}/sync/push`, { deviceId: "a", changes: [change] })).json();
+  assert.deepEqual(res.accepted.map(a => [a.rev, a.seq]), [[1, 1]]);
+  await server.store.flush();
+});
+
+/* ----------------- Client sync ----------------- */
+
+test("a topic and its progress move from one device to another", async () => {
+  const { url } = await startServer();
+  const phone = device(url, {
+    ...emptyState(),
+    topics: [topic("t1", "Networks", [question("q1", "TCP?"), question("q2", "UDP?")])],
+    learning: { q1: { attempts: 1, lastSeen: 100 } },
+    history: [{ id: "s1", completedAt: 100, items: [] }],
+    images: { "img:abc": "data:image/png;base64,AAAA" },
+  });
+  const laptop = device(url);
+
+  const pushed = await phone.sync();
+  assert.equal(pushed.pushed, 4);
+
+  const pulled = await laptop.sync();
+  assert.equal(pulled.pulled, 4);
+  assert.deepEqual(laptop.state.topics, phone.state.topics);
+  assert.deepEqual(laptop.state.learning, phone.state.learning);
+  assert.deepEqual(laptop.state.history, phone.state.history);
+  assert.deepEqual(laptop.state.images, phone.state.images);
+
+  // Nothing left to do on either side.
+  assert.equal(localChanges(stateToRecords(phone.state), phone.meta.known).length, 0);
+  assert.deepEqual(await laptop.sync(), { pulled: 0, pushed: 0, conflicts: 0 });
+});
+
+test("offline changes on both devices are merged", async () => {
+  const { url } = await startServer();
+  const phone = device(url, { ...emptyState(), topics: [topic("t1", "OS", [question("q1", "Paging?")])], learning: { q1: { attempts: 1, lastSeen: 100 } } });
+  const laptop = device(url);
+  await phone.sync(1000);
+  await laptop.sync(1100);
+
+  // Offline: the phone reviews q1 twice more and adds a question; the laptop
+  // reviews q1 once and adds a different question.
+  phone.state = {
+    ...phone.state,
+    topics: [topic("t1", "OS", [question("q1", "Paging?"), question("q2", "Segmentation?")])],
+    learning: { q1: { attempts: 3, lastSeen: 300 } },
+  };
+  laptop.state = {
+    ...laptop.state,
+    topics: [topic("t1", "OS", [question("q1", "Paging?"), question("q3", "Thrashing?")])],
+    learning: { q1: { attempts: 2, lastSeen: 400 } },
+  };
+
+  await laptop.sync(2000);
+  const report = await phone.sync(3000);
+  assert.ok(report.conflicts >= 2);
+  await laptop.sync(4000);
+
+  for (const d of [phone, laptop]) {
+    assert.deepEqual(d.state.topics[0].questions.map(q => q.id).sort(), ["q1", "q2", "q3"]);
+    assert.equal(d.state.learning.q1.attempts, 3);
+  }
+});
+
+test("the later edit wins even when the other device syncs last", async () => {
+  const { url } = await startServer();
+  const phone = device(url, {
+    ...emptyState(),
+    topics: [{ ...topic("t1", "OS", [question("q1", "Paging?")]), updatedAt: 1 }],
+    blueprints: [{ id: "b1", name: "Mock", updatedAt: 1 }],
+  });
+  const laptop = device(url);
+  await phone.sync(1000);
+  await laptop.sync(1000);
+
+  // The laptop edits first and syncs first; the phone's edit is older but
+  // reaches the server last.
+  laptop.state = {
+    ...laptop.state,
+    topics: [{ ...topic("t1", "OS", [question("q1", "Paging (laptop)?")]), updatedAt: 300 }],
+    blueprints: [{ id: "b1", name: "Laptop mock", updatedAt: 300 }],
+  };
+  phone.state = {
+    ...phone.state,
+    topics: [{ ...topic("t1", "OS", [question("q1", "Paging (phone)?")]), updatedAt: 200 }],
+    blueprints: [{ id: "b1", name: "Phone mock", updatedAt: 200 }],
+  };
+  await laptop.sync(2000);
+  await phone.sync(3000);
+  await laptop.sync(4000);
+
+  for (const d of [phone, laptop]) {
+    assert.equal(d.state.topics[0].questions[0].q, "Paging (laptop)?");
+    assert.equal(d.state.blueprints[0].name, "Laptop mock");
+  }
+});
+
+test("changes made while a sync runs are put on top of its result", async () => {
+  const { url } = await startServer();
+  const laptop = device(url, { ...emptyState(), learning: { q1: { attempts: 1 } }, topics: [topic("t1", "OS", [question("q1", "Paging?")])] });
+  await laptop.sync(1000);
+  const phone = device(url);
+  await phone.sync(1000);
+  laptop.state = { ...laptop.state, learning: { q1: { attempts: 2 }, q2: { attempts: 1 } } };
+  await laptop.sync(2000);
+
+  // The phone deletes the topic while its sync pulls the laptop's reviews.
+  const before = phone.state;
+  const result = await syncOnce({ state: before, meta: phone.meta, transport: httpTransport({ serverUrl: url, token: TOKEN }), now: 3000 });
+  const current = { ...before, topics: [] };
+  phone.state = rebaseOnSync(before, current, result.state);
+  phone.meta = result.meta;
+
+  assert.deepEqual(phone.state.topics, []);
+  assert.deepEqual(phone.state.learning, { q1: { attempts: 2 }, q2: { attempts: 1 } });
+  // Only the deletion is left to send; the pulled records are not re-sent.
+  assert.deepEqual(localChanges(stateToRecords(phone.state), phone.meta.known).map(c => [c.id, c.deleted]), [["t1", true]]);
+  assert.deepEqual(await phone.sync(4000), { pulled: 0, pushed: 1, conflicts: 0 });
+});
+
+test("deletions propagate, but an edit on another device wins over a delete", async () => {
+  const { url } = await startServer();
+  const phone = device(url, {
+    ...emptyState(),
+    annotations: { q1: { bookmarked: true, updatedAt: 1 }, q2: { note: "old", updatedAt: 1 } },
+  });
+  const laptop = device(url);
+  await phone.sync(1000);
+  await laptop.sync(1000);
+
+  // The phone removes both; meanwhile the laptop edits the note on q2.
+  phone.state = { ...phone.state, annotations: {} };
+  laptop.state = { ...laptop.state, annotations: { ...laptop.state.annotations, q2: { note: "new", updatedAt: 50 } } };
+  await phone.sync(2000);
+  await laptop.sync(3000);
+  await phone.sync(4000);
+
+  for (const d of [phone, laptop]) {
+    assert.equal(d.state.annotations.q1, undefined);
+    assert.deepEqual(d.state.annotations.q2, { note: "new", updatedAt: 50 });
+  }
+});
+
+test("an unreachable server leaves local state and pending changes alone", async () => {
+  const { server, url } = await startServer();
+  const phone = device(url, { ...emptyState(), learning: { q1: { attempts: 1 } } });
+  await stopServer(server);
+
+  const before = phone.state;
+  await assert.rejects(phone.sync(), /Cannot reach the sync server/);
+  assert.equal(phone.state, before);
+  assert.equal(localChanges(stateToRecords(phone.state), phone.meta.known).length, 1);
+});
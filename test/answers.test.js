@@ -0,0 +1,37 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { answerKeyFor, checkAnswer, correctOptionIndexes, validateAnswerKey } from "../utils/answers.js";
+
+// What the question editor does: save a key for the ticked options, then
+// read it back when the question is graded or opened again.
+const roundTrip = (question, indexes) => {
+  const saved = { ...question, correct: answerKeyFor(question, indexes) };
+  return { saved, indexes: correctOptionIndexes(saved) };
+};
+
+test("an answer key saved for options named like letters reads back the same", () => {
+  const mcq = { type: "MCQ", options: ["B", "C", "Java", "Python"] };
+  const { saved, indexes } = roundTrip(mcq, [2]);
+  assert.deepEqual(indexes, [2]);
+  assert.equal(checkAnswer("Java", saved), true);
+  assert.equal(checkAnswer("C", saved), false);
+  assert.equal(validateAnswerKey(saved), null);
+
+  const msq = { type: "MSQ", options: ["A", "D", "x", "y"] };
+  assert.deepEqual(roundTrip(msq, [1, 3]).indexes, [1, 3]);
+  assert.deepEqual(roundTrip(msq, [0]).indexes, [0]);
+});
+
+test("keys fall back to letters when option texts cannot be told apart", () => {
+  const q = { type: "MSQ", options: ["1; 2", "3", "4, 5", "6"] };
+  const { saved, indexes } = roundTrip(q, [0, 2]);
+  assert.equal(saved.correct, "A;C");
+  assert.deepEqual(indexes, [0, 2]);
+  // Duplicate options that are also letters cannot be keyed unambiguously.
+  assert.equal(answerKeyFor({ type: "MCQ", options: ["B", "B", "A"] }, [1]), null);
+});
+
+test("letter keys from imports still resolve", () => {
+  assert.deepEqual(correctOptionIndexes({ type: "MSQ", options: ["w", "x", "y", "z"], correct: "AC" }), [0, 2]);
+  assert.deepEqual(correctOptionIndexes({ options: ["w", "x"], correct: "(b)" }), [1]);
+});
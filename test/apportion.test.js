@@ -0,0 +1,26 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { apportion } from "../utils/apportion.js";
+
+const sum = (counts) => counts.reduce((a, b) => a + b, 0);
+
+test("a small topic still gets its share next to a large one", () => {
+  assert.deepEqual(apportion(10, [3, 30], [3, 30]), [1, 9]);
+});
+
+test("shares follow the weights and add up to the total", () => {
+  assert.deepEqual(apportion(12, [1, 1, 1], [10, 10, 10]), [4, 4, 4]);
+  assert.deepEqual(apportion(10, [1, 1, 1], [10, 10, 10]).sort(), [3, 3, 4]);
+  assert.equal(sum(apportion(7, [5, 2, 9, 1], [20, 20, 20, 20])), 7);
+});
+
+test("a pool never gets more than its size; the surplus goes to the others", () => {
+  assert.deepEqual(apportion(10, [1, 1], [2, 30]), [2, 8]);
+  assert.deepEqual(apportion(100, [1, 1], [2, 3]), [2, 3]);
+  assert.deepEqual(apportion(Infinity, [3, 30], [3, 30]), [3, 30]);
+});
+
+test("empty pools and zero weights get nothing", () => {
+  assert.deepEqual(apportion(5, [1, 0, 1], [0, 10, 10]), [0, 0, 5]);
+  assert.deepEqual(apportion(5, [0, 0], [10, 10]), [0, 0]);
+});
@@ -0,0 +1,92 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { MATH_ERROR, SYNTAX_ERROR, evaluateExpression, formatResult } from "../utils/calculator.js";
+
+const calc = (expr, options) => evaluateExpression(expr, options);
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-12, `${actual} is not ${expected}`);
+
+test("operators follow the usual precedence and ^ groups to the right", () => {
+  assert.equal(calc("2+3*4"), 14);
+  assert.equal(calc("(2+3)*4"), 20);
+  assert.equal(calc("10-4-3"), 3);
+  assert.equal(calc("24/4/2"), 3);
+  assert.equal(calc("2^3^2"), 512);
+  assert.equal(calc("2*3^2"), 18);
+  assert.equal(calc("7 mod 3 + 1"), 2);
+  assert.equal(calc("3!^2"), 36);
+  assert.equal(calc("50%*4"), 2);
+});
+
+test("unary minus binds looser than ^", () => {
+  assert.equal(calc("-2^2"), -4);
+  assert.equal(calc("(-2)^2"), 4);
+  assert.equal(calc("2^-1"), 0.5);
+  assert.equal(calc("3--2"), 5);
+  assert.equal(calc("2*-3"), -6);
+});
+
+test("degree mode gives exact values at multiples of 90", () => {
+  assert.equal(calc("sin(180)"), 0);
+  assert.equal(calc("cos(90)"), 0);
+  assert.equal(calc("cos(180)"), -1);
+  assert.equal(calc("sin(-90)"), -1);
+  assert.equal(calc("tan(180)"), 0);
+  assert.throws(() => calc("tan(90)"), { message: MATH_ERROR });
+  close(calc("sin(30)"), 0.5);
+  close(calc("asin(1)"), 90);
+  close(calc("sin(pi/6)", { angle: "rad" }), 0.5);
+});
+
+test("odd roots of negative numbers are real; even roots are errors", () => {
+  assert.equal(calc("cbrt(-27)"), -3);
+  assert.equal(calc("root(3, -8)"), -2);
+  close(calc("(-8)^(1/3)"), -2);
+  assert.throws(() => calc("root(2, -4)"), { message: MATH_ERROR });
+  assert.throws(() => calc("sqrt(-1)"), { message: MATH_ERROR });
+  assert.throws(() => calc("(-8)^(1/2)"), { message: MATH_ERROR });
+});
+
+test("multiplication may be implied", () => {
+  close(calc("2π"), 2 * Math.PI);
+  assert.equal(calc("3(4+1)"), 15);
+  assert.equal(calc("(1+2)(3+4)"), 21);
+  close(calc("2sin(30)"), 1);
+  assert.equal(calc("2Ans", { ans: 4 }), 8);
+});
+
+test("a function name may be followed by a bare number", () => {
+  close(calc("ln2"), Math.LN2);
+  assert.equal(calc("sin30"), calc("sin(30)"));
+  assert.equal(calc("log2(8)"), 3);
+  close(calc("2ln2"), 2 * Math.LN2);
+  close(calc("lne"), 1);
+});
+
+test("an e between digits is an exponent, as E is", () => {
+  assert.equal(calc("1e3"), 1000);
+  assert.equal(calc("1E3"), 1000);
+  assert.equal(calc("2.5e-2"), 0.025);
+  close(calc("2e"), 2 * Math.E);
+});
+
+test("bad input is a syntax error, impossible maths a math error", () => {
+  assert.throws(() => calc(""), { message: SYNTAX_ERROR });
+  assert.throws(() => calc("2+"), { message: SYNTAX_ERROR });
+  assert.throws(() => calc("1..2"), { message: SYNTAX_ERROR });
+  assert.throws(() => calc("foo(2)"), { message: SYNTAX_ERROR });
+  assert.throws(() => calc("1/0"), { message: MATH_ERROR });
+  assert.throws(() => calc("ln(0)"), { message: MATH_ERROR });
+  assert.throws(() => calc("171!"), { message: MATH_ERROR });
+  // Closing parentheses missing at the very end are forgiven.
+  assert.equal(calc("sin(30"), calc("sin(30)"));
+});
+
+test("formatResult shows up to 10 significant digits without -0", () => {
+  assert.equal(formatResult(0.1 + 0.2), "0.3");
+  assert.equal(formatResult(2 / 3), "0.6666666667");
+  assert.equal(formatResult(-0), "0");
+  assert.equal(formatResult(1e-16), "0");
+  assert.equal(formatResult(12345678901), "1.23456789E10");
+  assert.equal(formatResult(0.000000000123), "1.23E-10");
+  assert.equal(formatResult(-42), "-42");
+});
@@ -0,0 +1,86 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createCSVParser, parseCSV, parseCSVRows, toCSV } from "../utils/csv.js";
+
+test("quoted fields keep commas, line breaks and doubled quotes", () => {
+  const { rows, lines, error } = parseCSVRows('a,"b, c","line 1\nline 2","say ""hi"""\nnext,row,x,y\n');
+  assert.equal(error, undefined);
+  assert.deepEqual(rows, [["a", "b, c", "line 1\nline 2", 'say "hi"'], ["next", "row", "x", "y"]]);
+  // The second record starts after the line break inside the quotes.
+  assert.deepEqual(lines, [1, 3]);
+});
+
+test("CRLF, bare CR and a BOM are read like plain LF", () => {
+  const expected = [["Question", "Correct"], ["2+2?", "4"]];
+  assert.deepEqual(parseCSVRows("Question,Correct\r\n2+2?,4\r\n").rows, expected);
+  assert.deepEqual(parseCSVRows("Question,Correct\r2+2?,4").rows, expected);
+  assert.deepEqual(parseCSVRows("\uFEFFQuestion,Correct\n2+2?,4").rows, expected);
+  // A CRLF inside quotes becomes a single line break.
+  assert.deepEqual(parseCSVRows('"a\r\nb"\r\n').rows, [["a\nb"]]);
+});
+
+test("the streaming parser gives the same records however the input is split", () => {
+  const text = '\uFEFFa,"b\r\n""c"""\r\nd,e\r\n';
+  const records = [];
+  const parser = createCSVParser({ onRecord: (fields, line) => records.push([fields, line]) });
+  [...text].forEach(ch => parser.write(ch));
+  assert.deepEqual(parser.end(), {});
+  assert.deepEqual(records, [[["a", 'b\n"c"'], 1], [["d", "e"], 3]]);
+});
+
+test("semicolon and tab delimiters are detected from the first line", () => {
+  assert.equal(parseCSVRows("a;b;c\n1;2;3").delimiter, ";");
+  assert.equal(parseCSVRows("a\tb\n1\t2").delimiter, "\t");
+  assert.equal(parseCSVRows('"x;y",b\n1,2').delimiter, ",");
+});
+
+test("an unterminated quote is reported and its record skipped", () => {
+  const { rows, error } = parseCSVRows('a,b\n1,"never closed\n2,3\n');
+  assert.match(error, /Unterminated quoted field starting on line 2/);
+  assert.deepEqual(rows[1], ["1", "never closed\n2,3\n"]);
+
+  const report = parseCSV('Question,Option A,Option B,Correct\nOne?,x,y,A\nTwo?,"x,y,B\n');
+  assert.equal(report.imported, 1);
+  assert.deepEqual(report.skipped, [{ line: 3, reason: "Unterminated quoted field starting on line 3" }]);
+});
+
+test("the import report lists skipped rows with their line and reason", () => {
+  const csv = [
+    "Question,Option A,Option B,Correct Answer,Marks,Type",
+    "Fine?,yes,no,A,1,MCQ",
+    "",
+    ",yes,no,A,1,MCQ",
+    "Too few?,yes,,A,1,MCQ",
+    "No key?,yes,no,,1,MCQ",
+    "Bad marks?,yes,no,A,lots,MCQ",
+    "Bad type?,yes,no,A,1,Essay",
+    "Extra?,yes,no,A,1,MCQ,surplus",
+    '"Multi',
+    'line?",yes,no,B,2,MCQ',
+  ].join("\r\n");
+  const report = parseCSV(csv);
+  assert.equal(report.error, null);
+  assert.equal(report.delimiter, ",");
+  assert.deepEqual(report.questions.map(q => q.q), ["Fine?", "Multi\nline?"]);
+  assert.equal(report.imported, 2);
+  assert.deepEqual(report.skipped, [
+    { line: 4, reason: "Missing question text" },
+    { line: 5, reason: "Needs at least 2 options (found 1)" },
+    { line: 6, reason: "Missing correct answer" },
+    { line: 7, reason: 'Invalid marks value "lots"' },
+    { line: 8, reason: 'Unknown question type "Essay"' },
+    { line: 9, reason: "Too many columns (expected 6, found 7)" },
+  ]);
+});
+
+test("file-level problems come back as an error", () => {
+  assert.equal(parseCSV("   ").error, "No content to import.");
+  assert.match(parseCSV("Foo,Bar\n1,2").error, /No "Question" column/);
+});
+
+test("toCSV quotes only what needs it and parses back unchanged", () => {
+  const rows = [["plain", "with, comma", 'with "quote"', "two\nlines"]];
+  const text = toCSV(rows);
+  assert.equal(text, 'plain,"with, comma","with ""quote""","two\nlines"\r\n');
+  assert.deepEqual(parseCSVRows(text).rows, rows);
+});
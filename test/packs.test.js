@@ -0,0 +1,71 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { deflateSync, strToU8 } from "fflate";
+import {
+  MAX_PACK_PARTS, MAX_UNPACKED_BYTES, collectPackPart, crc32, decodeTopicPack, encodeTopicPack, missingParts, packLink, packParts, parsePackPart,
+} from "../utils/packs.js";
+import { bytesToBase64 } from "../utils/images.js";
+
+const topic = {
+  topicName: "Networks",
+  questions: [
+    { id: "q1", q: "Port of HTTPS?", type: "MCQ", options: ["80", "443"], correct: "B", explanation: "", marks: 1, tags: ["tcp"] },
+    { id: "q2", q: "Bits in IPv4?", type: "NAT", options: [], correct: "32", explanation: "" },
+  ],
+};
+
+const collect = (parts) => parts.map(parsePackPart).reduce(collectPackPart, null);
+
+// A pack built by hand around arbitrary JSON, as a crafted link would be.
+const craftedPack = (json) => {
+  const raw = strToU8(JSON.stringify(json));
+  const data = bytesToBase64(deflateSync(raw)).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+  return collect([`GMCQ1.${crc32(raw)}.1.1.${data}`]);
+};
+
+test("a topic comes back from its parts, scanned in any order", () => {
+  const pack = encodeTopicPack(topic);
+  const parts = packParts(pack, 40);
+  assert.ok(parts.length > 2);
+  const collected = collect([...parts].reverse());
+  assert.deepEqual(missingParts(collected), []);
+  const { topicName, questions, skipped } = decodeTopicPack(collected);
+  assert.equal(topicName, "Networks");
+  assert.equal(skipped, 0);
+  assert.deepEqual(questions.map(q => [q.q, q.type, q.correct]), [["Port of HTTPS?", "MCQ", "B"], ["Bits in IPv4?", "NAT", "32"]]);
+  assert.equal(questions[0].id, undefined);
+  assert.deepEqual(decodeTopicPack(collect([packLink(pack)])).questions, questions);
+});
+
+test("part counts beyond the limit are refused", () => {
+  assert.equal(parsePackPart("GMCQ1.00000000.1.4294967296.AAAA"), null);
+  assert.equal(parsePackPart(`GMCQ1.00000000.1.${MAX_PACK_PARTS + 1}.AAAA`), null);
+  assert.ok(parsePackPart(`GMCQ1.00000000.1.${MAX_PACK_PARTS}.AAAA`));
+});
+
+test("a pack that inflates past the limit is refused", () => {
+  const collected = craftedPack({ n: "Bomb", q: [{ q: "x".repeat(MAX_UNPACKED_BYTES), options: ["a", "b"], correct: "A" }] });
+  assert.throws(() => decodeTopicPack(collected), { message: "The pack is too large to import." });
+});
+
+test("invalid questions and fields of the wrong kind are left out", () => {
+  const { questions, skipped } = decodeTopicPack(craftedPack({
+    n: "Crafted",
+    q: [
+      { q: "Options as text?", options: "abcd", correct: "A" },
+      { q: "Fine?", options: ["x", "y"], correct: "A", tags: "oops", marks: [1], year: { y: 1 }, onPress: "x" },
+      { q: "Infinite marks?", options: ["x", "y"], correct: "A", marks: "1/0" },
+      { q: 42, options: ["x", "y"], correct: "A" },
+      { q: "No key?", options: ["x", "y"], correct: "C" },
+      null,
+    ],
+  }));
+  assert.equal(skipped, 5);
+  assert.equal(questions.length, 1);
+  assert.deepEqual(questions[0], { q: "Fine?", type: "MCQ", options: ["x", "y"], correct: "A", explanation: "" });
+});
+
+test("a pack without a name or valid questions is refused", () => {
+  assert.throws(() => decodeTopicPack(craftedPack({ n: "Empty", q: [{ q: "", options: ["a", "b"], correct: "A" }] })), { message: "The pack contains no questions." });
+  assert.throws(() => decodeTopicPack(craftedPack({ n: { x: 1 }, q: topic.questions })), { message: "The pack contains no questions." });
+});
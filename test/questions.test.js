@@ -0,0 +1,46 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { questionsToRows, rowsToReport } from "../utils/questions.js";
+import { parseCSV, toCSV } from "../utils/csv.js";
+
+const question = {
+  id: "q1",
+  q: "Which gate is shown?",
+  type: "MCQ",
+  options: ["AND", "Image B", "XOR", "Image D"],
+  optionImages: ["", "img:b", "", "img:d"],
+  correct: "C",
+  explanation: "Truth table",
+  marks: 2,
+  negative: 0.66,
+  image: "img:circuit",
+  subject: "Digital Logic",
+  subtopic: "Gates",
+  tags: ["gates", "boolean"],
+  difficulty: "medium",
+  year: 2021,
+  source: "GATE CS",
+};
+
+test("a question with metadata and option images survives export and re-import", () => {
+  const rows = questionsToRows([question, { id: "q2", q: "Plain?", options: ["x", "y"], correct: "A" }]);
+  const report = rowsToReport(rows);
+  assert.deepEqual(report.skipped, []);
+  assert.deepEqual(report.questions[0], question);
+  assert.deepEqual(report.questions[1], { id: "q2", q: "Plain?", type: "MCQ", options: ["x", "y"], correct: "A", explanation: "" });
+});
+
+test("the exported CSV imports back to the same questions", () => {
+  const report = parseCSV(toCSV(questionsToRows([question])));
+  assert.equal(report.error, null);
+  assert.deepEqual(report.questions, [question]);
+});
+
+test("every exported row has one value per header", () => {
+  const [headers, ...rows] = questionsToRows([question, { q: "Plain?", options: ["x", "y"], correct: "A" }]);
+  rows.forEach(row => assert.equal(row.length, headers.length));
+  const row = Object.fromEntries(headers.map((h, i) => [h, rows[0][i]]));
+  assert.equal(row.Tags, "gates, boolean");
+  assert.equal(row["Option D Image"], "img:d");
+  assert.equal(row.Subject, "Digital Logic");
+});
@@ -0,0 +1,23 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseMarksValue } from "../utils/scoring.js";
+import { validateQuestion } from "../utils/questions.js";
+
+test("marks cells parse to their absolute value", () => {
+  assert.equal(parseMarksValue("2"), 2);
+  assert.equal(parseMarksValue("-2/3"), 2 / 3);
+  assert.equal(parseMarksValue(" 0.66 "), 0.66);
+  assert.equal(parseMarksValue(""), undefined);
+  assert.ok(Number.isNaN(parseMarksValue("two")));
+});
+
+test("marks that are not finite are rejected", () => {
+  assert.ok(Number.isNaN(parseMarksValue("1/0")));
+  assert.ok(Number.isNaN(parseMarksValue("0/0")));
+  assert.ok(Number.isNaN(parseMarksValue("9".repeat(400))));
+
+  const question = { q: "2+2?", options: ["3", "4"], correct: "B" };
+  assert.equal(validateQuestion({ ...question, marks: 2, negative: 0.66 }), null);
+  assert.equal(validateQuestion({ ...question, marks: Infinity }), "Marks must be greater than 0");
+  assert.equal(validateQuestion({ ...question, negative: Infinity }), "Negative marks must be a number");
+});
@@ -0,0 +1,11 @@
+// Resolve hook: a relative import with no extension is tried as "<name>.js".
+export const resolve = async (specifier, context, nextResolve) => {
+  if (/^\.{1,2}\//.test(specifier) && !/\.[cm]?js$/.test(specifier)) {
+    try {
+      return await nextResolve(`${specifier}.js`, context);
+    } catch (e) {
+      // Not a file with that name; resolve as written.
+    }
+  }
+  return nextResolve(specifier, context);
+};
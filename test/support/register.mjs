@@ -0,0 +1,5 @@
+import { register } from "node:module";
+
+// The app's modules import each other without file extensions (Metro resolves
+// them). This lets plain Node do the same for the tests.
+register("./extensionless.mjs", import.meta.url);
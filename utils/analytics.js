@@ -0,0 +1,129 @@
+import { isAnswered } from "./answers";
+import { questionMarks, questionPenalty } from "./scoring";
+
+/* ----------------- Session history & analytics ----------------- */
+// Every finished session is stored as a compact record, built from the same
+// scoreSession() result the SUMMARY screen shows:
+//   { id, completedAt, mode, durationMs, score, items: [{ questionId, topicId,
+//     tags, answered, isCorrect, timeSpentMs, marks, penalty }] }
+// The analytics screen aggregates these records; nothing here reads live state.
+
+export const MAX_HISTORY = 500;
+// Topics/tags with fewer attempts than this are not ranked as "weakest".
+export const MIN_ATTEMPTS_FOR_RANKING = 5;
+
+/** Map of question id -> topic, for tagging session items with their topic. */
+export const topicIndex = (topics) => {
+  const index = {};
+  topics.forEach(t => t.questions.forEach(q => { index[q.id] = t; }));
+  return index;
+};
+
+export const buildSessionRecord = ({ id, questions, responses, score, mock, topics, completedAt = Date.now() }) => {
+  const byQuestion = topicIndex(topics);
+  return {
+    id,
+    completedAt,
+    mode: mock ? "MOCK" : "PRACTICE",
+    durationMs: mock?.submittedAt ? Math.min(mock.submittedAt, mock.deadline) - mock.startedAt : null,
+    score: {
+      total: score.total,
+      attempted: score.attempted,
+      corrects: score.corrects,
+      accuracy: score.accuracy,
+      rawMarks: score.rawMarks,
+      negativeMarks: score.negativeMarks,
+      netScore: score.netScore,
+      maxMarks: score.maxMarks,
+    },
+    items: questions.map((q, i) => {
+      const r = responses[i];
+      const answered = isAnswered(r);
+      return {
+        questionId: q.id,
+        topicId: byQuestion[q.id]?.id || null,
+        tags: q.tags || [],
+        answered,
+        isCorrect: answered && !!r.isCorrect,
+        timeSpentMs: r?.timeSpentMs || 0,
+        marks: questionMarks(q),
+        penalty: answered && !r.isCorrect ? questionPenalty(q) : 0,
+      };
+    }),
+  };
+};
+
+const emptyBucket = () => ({ attempted: 0, corrects: 0, negativeMarks: 0, timeMs: 0, timedCount: 0 });
+
+const addItem = (bucket, item) => {
+  if (!item.answered) return;
+  bucket.attempted++;
+  if (item.isCorrect) bucket.corrects++;
+  bucket.negativeMarks += item.penalty;
+  if (item.timeSpentMs > 0) { bucket.timeMs += item.timeSpentMs; bucket.timedCount++; }
+};
+
+const finish = (bucket) => ({
+  attempted: bucket.attempted,
+  corrects: bucket.corrects,
+  accuracy: bucket.attempted ? Math.round((bucket.corrects / bucket.attempted) * 100) : 0,
+  negativeMarks: Math.round(bucket.negativeMarks * 100) / 100,
+  avgTimeMs: bucket.timedCount ? bucket.timeMs / bucket.timedCount : 0,
+});
+
+/**
+ * Aggregates session history for the analytics screen:
+ * { sessions, overall, timeCorrectMs, timeIncorrectMs, topics, weakestTopics, tags, weakestTags }.
+ * topics[] carry a `trend` of per-session accuracy, oldest first.
+ */
+export const summarizeHistory = (history, topics) => {
+  const overall = emptyBucket();
+  const correctTime = emptyBucket();
+  const incorrectTime = emptyBucket();
+  const perTopic = {};
+  const perTag = {};
+
+  [...history].sort((a, b) => a.completedAt - b.completedAt).forEach(session => {
+    const sessionTopics = {};
+    session.items.forEach(item => {
+      addItem(overall, item);
+      if (item.answered) addItem(item.isCorrect ? correctTime : incorrectTime, item);
+      if (item.topicId) {
+        perTopic[item.topicId] = perTopic[item.topicId] || { ...emptyBucket(), trend: [] };
+        addItem(perTopic[item.topicId], item);
+        sessionTopics[item.topicId] = sessionTopics[item.topicId] || emptyBucket();
+        addItem(sessionTopics[item.topicId], item);
+      }
+      (item.tags || []).forEach(tag => {
+        perTag[tag] = perTag[tag] || emptyBucket();
+        addItem(perTag[tag], item);
+      });
+    });
+    Object.entries(sessionTopics).forEach(([topicId, b]) => {
+      if (b.attempted) perTopic[topicId].trend.push({ at: session.completedAt, accuracy: finish(b).accuracy });
+    });
+  });
+
+  const names = Object.fromEntries(topics.map(t => [t.id, t.topicName]));
+  const topicStats = Object.entries(perTopic)
+    .map(([topicId, b]) => ({ topicId, name: names[topicId] || "Deleted topic", ...finish(b), trend: b.trend }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+  const tagStats = Object.entries(perTag)
+    .map(([tag, b]) => ({ tag, ...finish(b) }))
+    .sort((a, b) => a.tag.localeCompare(b.tag));
+  const weakest = (list) => list
+    .filter(s => s.attempted >= MIN_ATTEMPTS_FOR_RANKING)
+    .sort((a, b) => a.accuracy - b.accuracy)
+    .slice(0, 5);
+
+  return {
+    sessions: history.length,
+    overall: finish(overall),
+    timeCorrectMs: finish(correctTime).avgTimeMs,
+    timeIncorrectMs: finish(incorrectTime).avgTimeMs,
+    topics: topicStats,
+    weakestTopics: weakest(topicStats),
+    tags: tagStats,
+    weakestTags: weakest(tagStats),
+  };
+};
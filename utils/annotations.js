@@ -0,0 +1,48 @@
+/* ----------------- Bookmarks and notes ----------------- */
+// Personal annotations, keyed by permanent question id like learning cards:
+//   { [questionId]: { bookmarked?: true, note?: string, updatedAt } }
+// An entry with neither a bookmark nor a note is removed, so the map only
+// holds questions the user actually marked. Entries survive edits, merges and
+// re-imports because those keep question ids.
+
+export const BOOKMARKS_TOPIC_ID = "bookmarks";
+export const BOOKMARKS_TOPIC_NAME = "⭐ Bookmarked";
+
+const withEntry = (annotations, id, patch) => {
+  const entry = { ...annotations[id], ...patch, updatedAt: Date.now() };
+  if (!entry.bookmarked) delete entry.bookmarked;
+  if (!entry.note) delete entry.note;
+  const next = { ...annotations };
+  if (entry.bookmarked || entry.note) next[id] = entry;
+  else delete next[id];
+  return next;
+};
+
+export const isBookmarked = (annotations, id) => !!annotations[id]?.bookmarked;
+
+export const noteFor = (annotations, id) => annotations[id]?.note || "";
+
+/** Returns a new map with the question's bookmark switched on or off. */
+export const toggleBookmark = (annotations, id) => withEntry(annotations, id, { bookmarked: !isBookmarked(annotations, id) });
+
+/** Returns a new map with the question's note set; blank text removes it. */
+export const setNote = (annotations, id, note) => withEntry(annotations, id, { note: String(note ?? "").trim() });
+
+/**
+ * The "Bookmarked" virtual topic: every bookmarked question in the library,
+ * in library order, or null when there are none. It is built on the fly and
+ * never saved, so it cannot drift from the real topics.
+ */
+export const bookmarksTopic = (topics, annotations) => {
+  const seen = new Set();
+  const questions = topics.flatMap(t => t.questions).filter(q => {
+    if (!isBookmarked(annotations, q.id) || seen.has(q.id)) return false;
+    seen.add(q.id);
+    return true;
+  });
+  return questions.length ? { id: BOOKMARKS_TOPIC_ID, topicName: BOOKMARKS_TOPIC_NAME, questions, virtual: true } : null;
+};
+
+/** The entries for the given question ids (for topic backups). */
+export const annotationsFor = (questions, annotations) =>
+  Object.fromEntries(questions.filter(q => annotations[q.id]).map(q => [q.id, annotations[q.id]]));
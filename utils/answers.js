@@ -0,0 +1,167 @@
+/* ----------------- Answer checking ----------------- */
+// Question types:
+//   MCQ - exactly one correct option. `correct` is a letter ("B") or the option text.
+//   MSQ - one or more correct options, graded all-or-nothing. `correct` lists
+//         letters or option texts separated by ';', ',' or '|' ("A;C"), or
+//         run together ("AC").
+//   NAT - numerical answer typed in by the user. `correct` is a value ("4.5")
+//         or an inclusive range ("2.45:2.55" or "2.45 to 2.55"); no options.
+// Questions imported before types existed have no `type` and are MCQs.
+// A session copy may have its options shuffled (see utils/session): then
+// `optionOrder[i]` is the original index of the option shown at position i,
+// and letter keys still refer to the original order.
+
+export const QUESTION_TYPES = ["MCQ", "MSQ", "NAT"];
+
+export const questionType = (question) => question?.type || "MCQ";
+
+/** Normalises a type cell ("msq", "Multiple Select", ...); null if unknown. */
+export const parseQuestionType = (value) => {
+  const v = String(value ?? "").trim().toLowerCase().replace(/[^a-z]/g, "");
+  if (!v || v === "mcq" || v === "single" || v === "singlecorrect" || v === "multiplechoice") return "MCQ";
+  if (v === "msq" || v === "multi" || v === "multiple" || v === "multipleselect" || v === "multiplecorrect") return "MSQ";
+  if (v === "nat" || v === "numerical" || v === "numeric" || v === "integer" || v === "numericalanswer") return "NAT";
+  return null;
+};
+
+const parseNumber = (text) => {
+  const t = String(text ?? "").trim().replace(/−/g, "-");
+  if (!/^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(t)) return NaN;
+  return Number(t);
+};
+
+/**
+ * Parses a NAT answer key into an inclusive { min, max } range.
+ * Accepts "4.5", "2.45:2.55" and "2.45 to 2.55"; returns null if invalid.
+ */
+export const parseNatRange = (correct) => {
+  const text = String(correct ?? "").trim();
+  const parts = text.split(/\s*:\s*|\s+to\s+/i);
+  if (parts.length > 2) return null;
+  const [min, max] = parts.length === 2 ? parts.map(parseNumber) : [parseNumber(text), parseNumber(text)];
+  if (Number.isNaN(min) || Number.isNaN(max) || min > max) return null;
+  return { min, max };
+};
+
+/** Human-readable NAT answer key, e.g. "2.45 to 2.55". */
+export const natAnswerLabel = (question) => {
+  const range = parseNatRange(question?.correct);
+  if (!range) return String(question?.correct ?? "");
+  return range.min === range.max ? String(range.min) : `${range.min} to ${range.max}`;
+};
+
+// Absorbs binary floating point error (0.1 + 0.2) without widening ranges noticeably.
+const natTolerance = (x) => 1e-9 * Math.max(1, Math.abs(x));
+
+const checkNat = (value, question) => {
+  const range = parseNatRange(question.correct);
+  const n = parseNumber(value);
+  if (!range || Number.isNaN(n)) return false;
+  return n >= range.min - natTolerance(range.min) && n <= range.max + natTolerance(range.max);
+};
+
+// "A", "(a)", "a.", "Option B" -> letter index; otherwise -1.
+const letterIndex = (token) => {
+  const m = String(token).trim().match(/^\(?(?:option\s*)?([a-z])\)?\.?$/i);
+  return m ? m[1].toUpperCase().charCodeAt(0) - 65 : -1;
+};
+
+/**
+ * Indexes of the correct options, in option order (display order for a
+ * shuffled copy). Whole-text matches win over letter keys, so an option
+ * literally called "A" still works.
+ */
+export const correctOptionIndexes = (question) => {
+  const order = question?.optionOrder;
+  if (order) {
+    const { optionOrder, ...original } = question;
+    original.options = [];
+    order.forEach((from, shown) => { original.options[from] = question.options[shown]; });
+    return correctOptionIndexes(original).map(i => order.indexOf(i)).sort((a, b) => a - b);
+  }
+  const options = question?.options || [];
+  const correct = String(question?.correct ?? "").trim();
+  if (!correct || questionType(question) === "NAT") return [];
+
+  const whole = options.indexOf(correct);
+  if (whole !== -1) return [whole];
+
+  const resolve = (token) => {
+    const t = token.trim();
+    const byText = options.indexOf(t);
+    if (byText !== -1) return byText;
+    const idx = letterIndex(t);
+    return idx >= 0 && idx < options.length ? idx : -1;
+  };
+
+  let tokens = correct.split(/[;,|]/).filter(t => t.trim());
+  if (questionType(question) === "MSQ" && tokens.length === 1 && /^[a-z]{2,}$/i.test(correct)) {
+    tokens = correct.split("");
+  }
+  const indexes = tokens.map(resolve);
+  if (indexes.some(i => i === -1)) return [];
+  return [...new Set(indexes)].sort((a, b) => a - b);
+};
+
+/**
+ * The `correct` value for the options at `indexes` of an MCQ/MSQ, written so
+ * correctOptionIndexes reads back exactly those options: the option texts
+ * when that is unambiguous, letters otherwise. Letters alone are not enough,
+ * since options literally called "B" or "D" win over letter keys. Null when
+ * neither reads back (duplicate options that are also letters).
+ */
+export const answerKeyFor = (question, indexes) => {
+  const picked = [...new Set(indexes)].sort((a, b) => a - b);
+  const options = question?.options || [];
+  const candidates = [
+    picked.map(i => options[i]).join(";"),
+    picked.map(i => String.fromCharCode(65 + i)).join(";"),
+  ];
+  return candidates.find(key => {
+    const read = correctOptionIndexes({ ...question, optionOrder: undefined, correct: key });
+    return read.length === picked.length && read.every((i, k) => i === picked[k]);
+  }) ?? null;
+};
+
+/** Option texts of the correct answer(s). */
+export const correctOptions = (question) =>
+  correctOptionIndexes(question).map(i => question.options[i]);
+
+/**
+ * Grades a selection: an option string for MCQ, an array of option strings
+ * for MSQ, the typed value for NAT. MSQ is all-or-nothing: every correct
+ * option and nothing else.
+ */
+export const checkAnswer = (selection, question) => {
+  if (!question || selection == null) return false;
+  if (questionType(question) === "NAT") return checkNat(selection, question);
+  const correct = correctOptions(question);
+  if (questionType(question) === "MSQ") {
+    const picked = new Set(Array.isArray(selection) ? selection : [selection]);
+    return picked.size === correct.length && correct.every(o => picked.has(o));
+  }
+  return correct.length === 1 && selection === correct[0];
+};
+
+/** True when the option is (part of) the correct answer. */
+export const isCorrectOption = (option, question) => correctOptions(question).includes(option);
+
+/**
+ * A response counts as answered once it can be graded: an MCQ option is
+ * chosen, or an MSQ selection / NAT value has been submitted.
+ */
+export const isAnswered = (response) => !!(response?.selectedOption || response?.submitted);
+
+/**
+ * Checks that a question's answer key makes sense for its type.
+ * Returns a reason string, or null when valid.
+ */
+export const validateAnswerKey = (question) => {
+  if (questionType(question) === "NAT") {
+    return parseNatRange(question.correct) ? null : `NAT answer "${question.correct}" is not a number or min:max range`;
+  }
+  const count = correctOptionIndexes(question).length;
+  if (count === 0) return `Correct answer "${question.correct}" does not match any option`;
+  if (questionType(question) === "MCQ" && count > 1) return "MCQ has more than one correct option (use type MSQ)";
+  return null;
+};
@@ -0,0 +1,34 @@
+/* ----------------- Sharing a count between pools ----------------- */
+// Kept free of imports so the tests can load it under plain Node.
+
+/**
+ * Shares `total` between pools in proportion to `weights`, never giving a
+ * pool more than its size (the surplus goes to the others). Each pool gets
+ * its exact share rounded down, and the ones left over go to the largest
+ * remainders, so a small pool is not starved by a large one.
+ */
+export const apportion = (total, weights, sizes) => {
+  const counts = sizes.map(() => 0);
+  let remaining = Math.min(total, sizes.reduce((a, b) => a + b, 0));
+  let open = sizes.map((size, i) => i).filter(i => sizes[i] > 0 && weights[i] > 0);
+  const weightOf = (pools) => pools.reduce((a, i) => a + weights[i], 0);
+  // Pools whose share reaches their size are filled first; the rest is
+  // shared again between the others.
+  for (;;) {
+    const sum = weightOf(open);
+    const full = open.filter(i => (remaining * weights[i]) / sum >= sizes[i]);
+    if (full.length === 0) break;
+    full.forEach(i => { counts[i] = sizes[i]; remaining -= sizes[i]; });
+    open = open.filter(i => !full.includes(i));
+  }
+  if (open.length === 0) return counts;
+  const sum = weightOf(open);
+  const exact = open.map(i => ({ i, share: (remaining * weights[i]) / sum }));
+  exact.forEach(({ i, share }) => { counts[i] = Math.floor(share); });
+  const left = remaining - exact.reduce((a, { i }) => a + counts[i], 0);
+  exact
+    .sort((a, b) => (b.share - Math.floor(b.share)) - (a.share - Math.floor(a.share)))
+    .slice(0, left)
+    .forEach(({ i }) => { counts[i] += 1; });
+  return counts;
+};
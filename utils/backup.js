@@ -0,0 +1,75 @@
+import { SCHEMA_VERSION, migrateState } from "./storage";
+import { imagesFor } from "./images";
+import { annotationsFor } from "./annotations";
+
+/* ----------------- JSON backups ----------------- */
+// Two scopes share one versioned format:
+//   "library" - every topic plus all learning and session history and the
+//               user's exam blueprints (full backup)
+//   "topic"   - one topic plus the history that belongs to its questions
+// Both carry the question images they use (see utils/images) and the
+// bookmarks and notes on their questions (see utils/annotations).
+// `schemaVersion` is the storage schema the data was written with, so a backup
+// from an older build is migrated exactly like old on-device data.
+
+export const BACKUP_FORMAT = "gate-mcq-backup";
+export const BACKUP_VERSION = 1;
+
+const envelope = (scope, data) => ({
+  format: BACKUP_FORMAT,
+  version: BACKUP_VERSION,
+  schemaVersion: SCHEMA_VERSION,
+  scope,
+  exportedAt: new Date().toISOString(),
+  ...data,
+});
+
+export const buildLibraryBackup = ({ topics, learning, history, images = {}, annotations = {}, blueprints = [] }) =>
+  envelope("library", { topics, learning, history, images, annotations, blueprints });
+
+/** One topic with the learning cards and session items for its questions. */
+export const buildTopicBackup = (topic, { learning, history, images = {}, annotations = {} }) => {
+  const ids = new Set(topic.questions.map(q => q.id));
+  const topicLearning = Object.fromEntries(Object.entries(learning).filter(([id]) => ids.has(id)));
+  const topicHistory = history
+    .map(s => ({ ...s, items: s.items.filter(item => ids.has(item.questionId)) }))
+    .filter(s => s.items.length > 0);
+  return envelope("topic", { topics: [topic], learning: topicLearning, history: topicHistory, images: imagesFor(topic.questions, images), annotations: annotationsFor(topic.questions, annotations) });
+};
+
+/**
+ * Parses and validates a backup file. Returns
+ * { scope, exportedAt, topics, learning, history, images, annotations, blueprints }
+ * migrated to the current schema, or throws an Error with a user-facing message.
+ */
+export const parseBackup = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new Error("File is not valid JSON.");
+  }
+  if (!data || data.format !== BACKUP_FORMAT) throw new Error("Not a GATE MCQ backup file.");
+  if (data.version > BACKUP_VERSION || data.schemaVersion > SCHEMA_VERSION) {
+    throw new Error("This backup was made by a newer version of the app.");
+  }
+  if (!Array.isArray(data.topics)) throw new Error("Backup contains no topics.");
+  const migrated = migrateState({
+    topics: data.topics,
+    learning: data.learning || {},
+    history: data.history || [],
+    images: data.images || {},
+    annotations: data.annotations || {},
+    blueprints: Array.isArray(data.blueprints) ? data.blueprints : [],
+  }, data.schemaVersion || 0);
+  return {
+    scope: data.scope === "topic" ? "topic" : "library",
+    exportedAt: data.exportedAt || null,
+    topics: migrated.topics,
+    learning: migrated.learning,
+    history: migrated.history,
+    images: migrated.images,
+    annotations: migrated.annotations,
+    blueprints: migrated.blueprints,
+  };
+};
@@ -0,0 +1,183 @@
+import { questionType } from "./answers";
+import { questionMarks } from "./scoring";
+import { shuffleArray, shuffleOptions } from "./session";
+import { makeId } from "./questions";
+
+/* ----------------- Exam blueprints ----------------- */
+// A blueprint describes a paper the way the exam does:
+//   { id, name, minutes, shuffleOptions, sections: [{ name, slots }] }
+// and each slot asks for `count` questions of one type carrying `marks`:
+//   { type: "MCQ" | "MSQ" | "NAT", marks, count, source }
+// `source` says where the slot's questions come from:
+//   { topicIds: [], subjects: [], tags: [] }
+// Any listed topic, subject or tag qualifies. A slot with an empty source is
+// "open": it takes questions that no sourced slot of the blueprint asks for,
+// so aptitude questions do not end up in the subject section.
+// Built-in blueprints are read-only; the user edits copies of them.
+
+export const SLOT_TYPES = ["MCQ", "MSQ", "NAT"];
+export const SLOT_MARKS = [1, 2];
+
+export const EMPTY_SOURCE = { topicIds: [], subjects: [], tags: [] };
+
+const slot = (type, marks, count, source = EMPTY_SOURCE) => ({ type, marks, count, source });
+
+const GA_SOURCE = { topicIds: [], subjects: ["General Aptitude"], tags: ["aptitude", "GA"] };
+
+export const BUILT_IN_BLUEPRINTS = [
+  {
+    id: "builtin-cs-full",
+    name: "CS full paper",
+    builtIn: true,
+    minutes: 180,
+    shuffleOptions: true,
+    sections: [
+      { name: "General Aptitude", slots: [slot("MCQ", 1, 5, GA_SOURCE), slot("MCQ", 2, 5, GA_SOURCE)] },
+      {
+        name: "Computer Science",
+        slots: [
+          slot("MCQ", 1, 10), slot("MSQ", 1, 5), slot("NAT", 1, 10),
+          slot("MCQ", 2, 15), slot("MSQ", 2, 5), slot("NAT", 2, 10),
+        ],
+      },
+    ],
+  },
+  {
+    id: "builtin-ec-mini",
+    name: "EC mini mock",
+    builtIn: true,
+    minutes: 60,
+    shuffleOptions: true,
+    sections: [
+      { name: "General Aptitude", slots: [slot("MCQ", 1, 2, GA_SOURCE), slot("MCQ", 2, 2, GA_SOURCE)] },
+      {
+        name: "Electronics",
+        slots: [slot("MCQ", 1, 5), slot("NAT", 1, 3), slot("MCQ", 2, 4), slot("MSQ", 2, 1), slot("NAT", 2, 3)],
+      },
+    ],
+  },
+];
+
+export const newSlot = () => slot("MCQ", 1, 5);
+
+export const newSection = (name = "Section") => ({ name, slots: [newSlot()] });
+
+/** An editable copy; built-ins are duplicated under a new id. */
+export const copyBlueprint = (blueprint, name = `${blueprint.name} (copy)`) => {
+  const { builtIn, ...rest } = JSON.parse(JSON.stringify(blueprint));
+  return { ...rest, id: makeId("bp"), name };
+};
+
+export const newBlueprint = () => ({
+  id: makeId("bp"),
+  name: "My paper",
+  minutes: 180,
+  shuffleOptions: true,
+  sections: [newSection("General Aptitude"), newSection("Subject")],
+});
+
+const slotMarks = (s) => s.count * s.marks;
+
+/** { questions, marks } for a section or a whole blueprint. */
+export const sectionTotals = (section) => ({
+  questions: section.slots.reduce((a, s) => a + s.count, 0),
+  marks: section.slots.reduce((a, s) => a + slotMarks(s), 0),
+});
+
+export const blueprintTotals = (blueprint) =>
+  blueprint.sections.map(sectionTotals).reduce((a, t) => ({ questions: a.questions + t.questions, marks: a.marks + t.marks }), { questions: 0, marks: 0 });
+
+const isOpen = (source = EMPTY_SOURCE) =>
+  !(source.topicIds?.length || source.subjects?.length || source.tags?.length);
+
+const lower = (list = []) => list.map(v => String(v).toLowerCase());
+
+// Whether a question (from `topicId`) comes from the source.
+const fromSource = (q, topicId, source) => {
+  if (source.topicIds?.includes(topicId)) return true;
+  if (q.subject && lower(source.subjects).includes(String(q.subject).toLowerCase())) return true;
+  const tags = lower(source.tags);
+  return (q.tags || []).some(t => tags.includes(String(t).toLowerCase()));
+};
+
+// Questions with their own marks only fill slots of that value; questions
+// without them take the slot's.
+const fitsSlot = (q, s) =>
+  questionType(q) === s.type && (q.marks === undefined || q.marks === "" || questionMarks(q) === s.marks);
+
+/**
+ * What the blueprint would draw from the library, without picking:
+ * { sections: [{ name, slots: [{ ...slot, available, filled }] }], shortfalls, total, marks }.
+ * `shortfalls` lists every slot with fewer questions than asked for:
+ * { section, slot, type, marks, wanted, got }. Slots are served in order and
+ * never share a question, so `available` is what is left for that slot.
+ */
+export const planPaper = (topics, blueprint, random = null) => {
+  const entries = [];
+  const seen = new Set();
+  topics.forEach(t => t.questions.forEach(q => {
+    const key = q.id || q;
+    if (seen.has(key)) return;
+    seen.add(key);
+    entries.push({ q, topicId: t.id });
+  }));
+  const sourced = blueprint.sections.flatMap(sec => sec.slots).filter(s => !isOpen(s.source));
+  const claimed = new Set(entries.filter(e => sourced.some(s => fromSource(e.q, e.topicId, s.source))).map(e => e.q));
+
+  const used = new Set();
+  const shortfalls = [];
+  let total = 0, marks = 0;
+  const sections = blueprint.sections.map((sec, si) => ({
+    name: sec.name,
+    slots: sec.slots.map((s, i) => {
+      const candidates = entries.filter(e => !used.has(e.q) && fitsSlot(e.q, s) &&
+        (isOpen(s.source) ? !claimed.has(e.q) : fromSource(e.q, e.topicId, s.source)));
+      // Questions whose own marks match go first; the rest in random order when picking.
+      const exact = candidates.filter(e => e.q.marks !== undefined && e.q.marks !== "");
+      const loose = candidates.filter(e => !exact.includes(e));
+      const order = random ? [...shuffleArray(exact, random), ...shuffleArray(loose, random)] : [...exact, ...loose];
+      const picked = order.slice(0, Math.max(0, s.count)).map(e => e.q);
+      picked.forEach(q => used.add(q));
+      if (picked.length < s.count) {
+        shortfalls.push({ section: sec.name, sectionIndex: si, slot: i, type: s.type, marks: s.marks, wanted: s.count, got: picked.length });
+      }
+      total += picked.length;
+      marks += picked.length * s.marks;
+      return { ...s, available: candidates.length, filled: picked.length, picked };
+    }),
+  }));
+  return { sections, shortfalls, total, marks };
+};
+
+/** "Computer Science: 2-mark NAT 6 of 10" */
+export const describeShortfall = (f) => `${f.section}: ${f.marks}-mark ${f.type} ${f.got} of ${f.wanted}`;
+
+/**
+ * Assembles a paper: { questions, sections, shortfalls }. Questions come
+ * section by section and slot by slot (random within a slot), carry the
+ * slot's marks, and have their options shuffled when the blueprint says so.
+ * `sections` is [{ name, start, count, marks }] with `start` the index of
+ * the section's first question in `questions`; empty sections are left out.
+ */
+export const generatePaper = (topics, blueprint, random = Math.random) => {
+  const plan = planPaper(topics, blueprint, random);
+  const questions = [];
+  const sections = [];
+  plan.sections.forEach(sec => {
+    const start = questions.length;
+    let sectionMarks = 0;
+    sec.slots.forEach(s => {
+      s.picked.forEach(q => {
+        const withMarks = { ...q, marks: s.marks };
+        questions.push(blueprint.shuffleOptions ? shuffleOptions(withMarks, random) : withMarks);
+        sectionMarks += s.marks;
+      });
+    });
+    if (questions.length > start) sections.push({ name: sec.name, start, count: questions.length - start, marks: sectionMarks });
+  });
+  return { questions, sections, shortfalls: plan.shortfalls };
+};
+
+/** Index into `sections` of the section holding question `index`, or -1. */
+export const sectionIndexOf = (sections, index) =>
+  (sections || []).findIndex(s => index >= s.start && index < s.start + s.count);
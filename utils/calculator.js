@@ -0,0 +1,252 @@
+/* ----------------- Virtual calculator ----------------- */
+// Expression evaluator for the on-screen calculator, modelled on the GATE
+// virtual calculator. No eval(): the expression is tokenised and parsed by
+// recursive descent with the usual precedence, lowest first:
+//   + -   * / mod   unary -   ^ (right-assoc)   ! %   function calls
+// Multiplication may be implied: "2π", "3(4+1)", "2sin(30)", "(1+2)(3+4)".
+// Functions take their argument in parentheses, or a bare number or
+// constant right after the name ("ln2", "sin30"); logb(b, x) and root(n, x)
+// take two. "1E3" and "1e3" are 1000 (an "e" between digits is an exponent;
+// "2e" is still 2 times e). Trigonometry works in degrees or radians.
+
+export const ANGLE_MODES = ["deg", "rad"];
+
+// Errors the display shows as they are, like the real calculator.
+export const SYNTAX_ERROR = "Syntax error";
+export const MATH_ERROR = "Math error";
+
+const fail = (message) => { throw new Error(message); };
+
+const finite = (n) => (Number.isFinite(n) ? n : fail(MATH_ERROR));
+
+const factorial = (n) => {
+  if (!Number.isInteger(n) || n < 0 || n > 170) fail(MATH_ERROR);
+  let r = 1;
+  for (let i = 2; i <= n; i++) r *= i;
+  return r;
+};
+
+// In degree mode, multiples of 90° give exact values (sin 180 = 0, not 1.2e-16).
+const degreeTrig = (fn, deg) => {
+  const r = ((deg % 360) + 360) % 360;
+  if (r % 90 === 0) {
+    const q = r / 90;
+    if (fn === "sin") return [0, 1, 0, -1][q];
+    if (fn === "cos") return [1, 0, -1, 0][q];
+    if (q % 2 === 1) fail(MATH_ERROR); // tan 90, tan 270
+    return 0;
+  }
+  return Math[fn]((deg * Math.PI) / 180);
+};
+
+const inverse = (fn, x, angle) => {
+  const v = Math[fn](x);
+  if (Number.isNaN(v)) fail(MATH_ERROR);
+  return angle === "deg" ? (v * 180) / Math.PI : v;
+};
+
+// name -> [argument count, implementation(args, angle)]
+const FUNCTIONS = {
+  sin: [1, ([x], a) => (a === "deg" ? degreeTrig("sin", x) : Math.sin(x))],
+  cos: [1, ([x], a) => (a === "deg" ? degreeTrig("cos", x) : Math.cos(x))],
+  tan: [1, ([x], a) => (a === "deg" ? degreeTrig("tan", x) : Math.tan(x))],
+  asin: [1, ([x], a) => inverse("asin", x, a)],
+  acos: [1, ([x], a) => inverse("acos", x, a)],
+  atan: [1, ([x], a) => inverse("atan", x, a)],
+  sinh: [1, ([x]) => Math.sinh(x)],
+  cosh: [1, ([x]) => Math.cosh(x)],
+  tanh: [1, ([x]) => Math.tanh(x)],
+  asinh: [1, ([x]) => Math.asinh(x)],
+  acosh: [1, ([x]) => (x < 1 ? fail(MATH_ERROR) : Math.acosh(x))],
+  atanh: [1, ([x]) => (Math.abs(x) >= 1 ? fail(MATH_ERROR) : Math.atanh(x))],
+  log: [1, ([x]) => (x <= 0 ? fail(MATH_ERROR) : Math.log10(x))],
+  ln: [1, ([x]) => (x <= 0 ? fail(MATH_ERROR) : Math.log(x))],
+  log2: [1, ([x]) => (x <= 0 ? fail(MATH_ERROR) : Math.log2(x))],
+  logb: [2, ([b, x]) => (b <= 0 || b === 1 || x <= 0 ? fail(MATH_ERROR) : Math.log(x) / Math.log(b))],
+  exp: [1, ([x]) => Math.exp(x)],
+  sqrt: [1, ([x]) => (x < 0 ? fail(MATH_ERROR) : Math.sqrt(x))],
+  cbrt: [1, ([x]) => Math.cbrt(x)],
+  // n-th root; odd roots of negative numbers are real
+  root: [2, ([n, x]) => {
+    if (n === 0) fail(MATH_ERROR);
+    if (x < 0) return Number.isInteger(n) && Math.abs(n) % 2 === 1 ? -Math.pow(-x, 1 / n) : fail(MATH_ERROR);
+    return Math.pow(x, 1 / n);
+  }],
+  abs: [1, ([x]) => Math.abs(x)],
+};
+
+const CONSTANTS = { "π": Math.PI, pi: Math.PI, e: Math.E };
+
+// Display symbols the keypad inserts, normalised before tokenising.
+const normalize = (expr) =>
+  String(expr ?? "")
+    .replace(/×/g, "*")
+    .replace(/÷/g, "/")
+    .replace(/[−–]/g, "-")
+    .replace(/√/g, "sqrt")
+    .replace(/\s+/g, "");
+
+const tokenize = (expr) => {
+  const tokens = [];
+  const s = normalize(expr);
+  let i = 0;
+  while (i < s.length) {
+    const rest = s.slice(i);
+    const number = rest.match(/^(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?/);
+    if (number) {
+      if (rest[number[0].length] === ".") fail(SYNTAX_ERROR); // "1..2", "1.2.3"
+      tokens.push({ t: "num", v: Number(number[0]) });
+      i += number[0].length;
+      continue;
+    }
+    const word = rest.match(/^(π|[a-z][a-z0-9]*)/i);
+    if (word) {
+      // Longest known name first, so "ln2" is ln 2 and "log2" is log2.
+      const w = word[0];
+      let name = null;
+      for (let len = w.length; len > 0 && !name; len--) {
+        const candidate = w.slice(0, len);
+        if (FUNCTIONS[candidate] || candidate in CONSTANTS || candidate === "mod" || candidate === "Ans") name = candidate;
+      }
+      if (!name) fail(SYNTAX_ERROR);
+      tokens.push(name === "mod" ? { t: "op", v: "mod" } : FUNCTIONS[name] ? { t: "fn", v: name } : { t: "const", v: name });
+      i += name.length;
+      continue;
+    }
+    if ("+-*/^()!%,".includes(s[i])) {
+      tokens.push({ t: "op", v: s[i] });
+      i += 1;
+      continue;
+    }
+    fail(SYNTAX_ERROR);
+  }
+  return tokens;
+};
+
+/**
+ * Evaluates a calculator expression. `angle` is "deg" or "rad"; `ans` is
+ * the previous result (the Ans key). Returns a finite number or throws an
+ * Error whose message is SYNTAX_ERROR or MATH_ERROR.
+ */
+export const evaluateExpression = (expr, { angle = "deg", ans = 0 } = {}) => {
+  const tokens = tokenize(expr);
+  if (tokens.length === 0) fail(SYNTAX_ERROR);
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const isOp = (v) => peek()?.t === "op" && peek().v === v;
+  const expect = (v) => (isOp(v) ? pos++ : fail(SYNTAX_ERROR));
+  // A token that can start an operand, for implied multiplication.
+  const startsOperand = () => {
+    const tok = peek();
+    return !!tok && (tok.t === "num" || tok.t === "const" || tok.t === "fn" || (tok.t === "op" && tok.v === "("));
+  };
+
+  const primary = () => {
+    const tok = peek();
+    if (!tok) fail(SYNTAX_ERROR);
+    pos++;
+    if (tok.t === "num") return tok.v;
+    if (tok.t === "const") return tok.v === "Ans" ? ans : CONSTANTS[tok.v];
+    if (tok.t === "fn") {
+      const [arity, impl] = FUNCTIONS[tok.v];
+      // "ln2": a one-argument function applied to the number right after it.
+      if (arity === 1 && (peek()?.t === "num" || peek()?.t === "const")) return finite(impl([primary()], angle));
+      expect("(");
+      // Here and for plain parentheses, closing ones missing at the very end
+      // are forgiven, as on the exam calculator: "sin(30" is sin(30).
+      const args = [expression()];
+      while (isOp(",")) { pos++; args.push(expression()); }
+      if (peek()) expect(")");
+      if (args.length !== arity) fail(SYNTAX_ERROR);
+      return finite(impl(args, angle));
+    }
+    if (tok.v === "(") {
+      const v = expression();
+      if (peek()) expect(")");
+      return v;
+    }
+    return fail(SYNTAX_ERROR);
+  };
+
+  const postfix = () => {
+    let v = primary();
+    for (;;) {
+      if (isOp("!")) { pos++; v = factorial(v); }
+      else if (isOp("%")) { pos++; v /= 100; }
+      else return v;
+    }
+  };
+
+  const power = () => {
+    const base = postfix();
+    if (!isOp("^")) return base;
+    pos++;
+    const exponent = unary();
+    if (base === 0 && exponent < 0) fail(MATH_ERROR);
+    // Negative base: only real for integer exponents or odd roots (x^(1/3)).
+    if (base < 0 && !Number.isInteger(exponent)) {
+      const inverseExp = 1 / exponent;
+      if (Number.isInteger(Math.round(inverseExp * 1e9) / 1e9) && Math.round(inverseExp) % 2 !== 0) {
+        return -Math.pow(-base, exponent);
+      }
+      fail(MATH_ERROR);
+    }
+    return finite(Math.pow(base, exponent));
+  };
+
+  const unary = () => {
+    if (isOp("-")) { pos++; return -unary(); }
+    if (isOp("+")) { pos++; return unary(); }
+    return power();
+  };
+
+  const term = () => {
+    let v = unary();
+    for (;;) {
+      if (isOp("*")) { pos++; v *= unary(); }
+      else if (isOp("/")) {
+        pos++;
+        const d = unary();
+        if (d === 0) fail(MATH_ERROR);
+        v /= d;
+      } else if (isOp("mod")) {
+        pos++;
+        const d = unary();
+        if (d === 0) fail(MATH_ERROR);
+        v = ((v % d) + d) % d;
+      } else if (startsOperand()) {
+        v *= unary();
+      } else {
+        return v;
+      }
+    }
+  };
+
+  const expression = () => {
+    let v = term();
+    for (;;) {
+      if (isOp("+")) { pos++; v += term(); }
+      else if (isOp("-")) { pos++; v -= term(); }
+      else return v;
+    }
+  };
+
+  const value = expression();
+  if (pos !== tokens.length) fail(SYNTAX_ERROR);
+  return finite(value);
+};
+
+/**
+ * Result as the display shows it: up to 10 significant digits, exponent
+ * notation outside 1e-9..1e10, and no "-0". The same text is pasted into a
+ * NAT answer, so it never contains grouping separators.
+ */
+export const formatResult = (n) => {
+  if (Object.is(n, -0) || Math.abs(n) < 1e-15) return "0";
+  const abs = Math.abs(n);
+  if (abs >= 1e10 || abs < 1e-9) {
+    const [mantissa, exponent] = n.toExponential(9).split("e");
+    return `${String(Number(mantissa))}E${Number(exponent)}`;
+  }
+  return String(Number(n.toPrecision(10)));
+};
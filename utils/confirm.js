@@ -0,0 +1,16 @@
+import { Alert, Platform } from "react-native";
+
+/* ----------------- Confirmation dialogs ----------------- */
+// Alert.alert has no buttons on react-native-web, so the browser's confirm()
+// is used there instead. Calls onConfirm only if the user agrees.
+
+export const confirmAction = ({ title, message, confirmText = "OK", destructive = false, onConfirm }) => {
+  if (Platform.OS === "web") {
+    if (window.confirm(`${title}\n\n${message}`)) onConfirm();
+    return;
+  }
+  Alert.alert(title, message, [
+    { text: "Cancel", style: "cancel" },
+    { text: confirmText, style: destructive ? "destructive" : "default", onPress: onConfirm },
+  ]);
+};
@@ -0,0 +1,172 @@
+import { rowsToReport } from "./questions";
+
+/* ----------------- CSV parsing (RFC 4180) ----------------- */
+// A character-level state machine, so quoted fields may contain delimiters,
+// doubled quotes ("") and line breaks. Input can be fed in chunks through
+// createCSVParser(); parseCSVRows() is the one-shot helper for whole strings.
+//
+// Beyond RFC 4180 we also accept a UTF-8 BOM, bare \r or \n line endings,
+// and ';' or tab as the delimiter (Excel uses ';' in many locales).
+
+export const DELIMITERS = [",", ";", "\t"];
+
+/**
+ * Picks the delimiter that occurs most often (outside quotes) in the first
+ * line of text. Ties and lines without any candidate fall back to ','.
+ */
+export const detectDelimiter = (text) => {
+  const counts = { ",": 0, ";": 0, "\t": 0 };
+  let inQuotes = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === '"') inQuotes = !inQuotes;
+    else if (!inQuotes && (ch === "\n" || ch === "\r")) break;
+    else if (!inQuotes && ch in counts) counts[ch]++;
+  }
+  return DELIMITERS.reduce((best, d) => (counts[d] > counts[best] ? d : best), ",");
+};
+
+/**
+ * Streaming parser. Call write(chunk) any number of times, then end().
+ * onRecord(fields, line) fires once per record, where `line` is the 1-based
+ * physical line on which the record starts. end() returns { error } if the
+ * input finished inside a quoted field, otherwise {}.
+ */
+export const createCSVParser = ({ delimiter = ",", onRecord }) => {
+  let field = "";
+  let fields = [];
+  let inQuotes = false;
+  let quoteInQuoted = false; // saw '"' inside a quoted field; next char decides
+  let pendingCR = false;     // saw '\r'; swallow a following '\n'
+  let atStart = true;        // no characters consumed yet (for the BOM)
+  let line = 1;
+  let recordLine = 1;
+  let fieldStarted = false;  // the current record has at least one character
+
+  const endField = () => {
+    fields.push(field);
+    field = "";
+  };
+
+  const endRecord = () => {
+    endField();
+    onRecord(fields, recordLine);
+    fields = [];
+    fieldStarted = false;
+  };
+
+  const newline = () => {
+    line++;
+    recordLine = line;
+  };
+
+  const write = (chunk) => {
+    for (let i = 0; i < chunk.length; i++) {
+      let ch = chunk[i];
+      if (atStart) {
+        atStart = false;
+        if (ch === "\uFEFF") continue;
+      }
+      if (pendingCR) {
+        pendingCR = false;
+        if (ch === "\n") continue;
+      }
+
+      if (inQuotes) {
+        if (quoteInQuoted) {
+          quoteInQuoted = false;
+          if (ch === '"') { field += '"'; continue; }
+          // The previous quote closed the field; handle ch as unquoted below.
+          inQuotes = false;
+        } else if (ch === '"') {
+          quoteInQuoted = true;
+          continue;
+        } else {
+          if (ch === "\r" || ch === "\n") {
+            line++;
+            if (ch === "\r") { pendingCR = true; ch = "\n"; }
+          }
+          field += ch;
+          continue;
+        }
+      }
+
+      if (ch === '"' && field.length === 0) {
+        inQuotes = true;
+        fieldStarted = true;
+      } else if (ch === delimiter) {
+        fieldStarted = true;
+        endField();
+      } else if (ch === "\r" || ch === "\n") {
+        if (ch === "\r") pendingCR = true;
+        if (fieldStarted || field.length > 0) endRecord();
+        else { fields = []; }
+        newline();
+      } else {
+        fieldStarted = true;
+        field += ch;
+      }
+    }
+  };
+
+  const end = () => {
+    if (inQuotes && !quoteInQuoted) {
+      // Unterminated quote: report it, but keep what was read so far.
+      endRecord();
+      return { error: `Unterminated quoted field starting on line ${recordLine}` };
+    }
+    if (fieldStarted || field.length > 0) endRecord();
+    return {};
+  };
+
+  return { write, end };
+};
+
+/**
+ * Parses a whole CSV string into records.
+ * Returns { rows, lines, delimiter, error } where lines[i] is the starting
+ * line of rows[i]. Blank lines produce no record.
+ */
+export const parseCSVRows = (text, delimiter = detectDelimiter(text || "")) => {
+  const rows = [];
+  const lines = [];
+  const parser = createCSVParser({
+    delimiter,
+    onRecord: (fields, line) => { rows.push(fields); lines.push(line); },
+  });
+  parser.write(text || "");
+  const { error } = parser.end();
+  return { rows, lines, delimiter, error };
+};
+
+/**
+ * Parses CSV text into questions plus an import report:
+ * { questions, imported, skipped: [{ line, reason }], delimiter, error }.
+ * `error` is set when nothing could be imported for a file-level reason
+ * (empty input, no question column, ...).
+ */
+export const parseCSV = (csvText) => {
+  if (!csvText || !csvText.trim()) {
+    return { questions: [], imported: 0, skipped: [], delimiter: ",", error: "No content to import." };
+  }
+  const { rows, lines, delimiter, error } = parseCSVRows(csvText);
+  // An unterminated quote swallows the rest of the file into one field, so
+  // that record is reported rather than imported.
+  const brokenLine = error ? lines.pop() : null;
+  if (error) rows.pop();
+  const report = rowsToReport(rows, lines);
+  if (error) report.skipped.push({ line: brokenLine, reason: error });
+  return { ...report, delimiter };
+};
+
+/* ----------------- CSV writing ----------------- */
+
+// Quotes a field only when it has to: delimiter, quote or line break inside.
+export const formatCSVField = (value, delimiter = ",") => {
+  const s = String(value ?? "");
+  return s.includes(delimiter) || /["\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+/** Serialises rows with CRLF line endings (RFC 4180). */
+export const toCSV = (rows, delimiter = ",") =>
+  rows.map(r => r.map(v => formatCSVField(v, delimiter)).join(delimiter)).join("\r\n") + "\r\n";
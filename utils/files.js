@@ -0,0 +1,53 @@
+import { Platform } from "react-native";
+
+/* ----------------- Saving files ----------------- */
+// Web: triggers a browser download. Native: writes the file to the cache
+// directory and opens the share sheet, from which it can be saved to Files /
+// Drive or sent to someone. Like the document picker, the native modules are
+// optional so the app still loads where they are not installed.
+
+let FileSystem;
+try {
+  FileSystem = require('expo-file-system/legacy');
+} catch (e) {
+  FileSystem = null;
+}
+
+let Sharing;
+try {
+  Sharing = require('expo-sharing');
+} catch (e) {
+  Sharing = null;
+}
+
+/** Makes a name safe for every platform's file system. */
+export const safeFileName = (name) =>
+  String(name || "export").replace(/[\\/:*?"<>|]+/g, "_").replace(/\s+/g, " ").trim() || "export";
+
+/**
+ * Saves text content under `fileName`. Resolves to a short status message;
+ * rejects with an Error when the platform cannot save files.
+ */
+export const saveTextFile = async (fileName, text, mimeType) => {
+  if (Platform.OS === "web") {
+    const blob = new Blob([text], { type: `${mimeType};charset=utf-8` });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+    return `Downloaded ${fileName}`;
+  }
+
+  if (!FileSystem) throw new Error("Saving files is only available in the built app.");
+  const uri = `${FileSystem.cacheDirectory}${fileName}`;
+  await FileSystem.writeAsStringAsync(uri, text, { encoding: FileSystem.EncodingType.UTF8 });
+  if (Sharing && (await Sharing.isAvailableAsync())) {
+    await Sharing.shareAsync(uri, { mimeType, dialogTitle: fileName });
+    return `Shared ${fileName}`;
+  }
+  return `Saved to ${uri}`;
+};
@@ -0,0 +1,145 @@
+import { unzipSync, strFromU8 } from "fflate";
+
+/* ----------------- Question images ----------------- */
+// A question may have `image` and per-option `optionImages` (aligned with
+// `options`). In the CSV these are a relative file name, a data: URI or an
+// http(s) URL. On import, files and data URIs are moved into the image store
+// (a persisted { key: dataUri } map, see utils/storage) and the question keeps
+// an "img:<hash>" reference, so the large strings are stored once and the
+// topics slice stays small. URLs are kept as they are.
+
+export const IMAGE_REF_PREFIX = "img:";
+
+const MIME_TYPES = { png: "image/png", jpg: "image/jpeg", jpeg: "image/jpeg", gif: "image/gif", webp: "image/webp", svg: "image/svg+xml", bmp: "image/bmp" };
+
+export const isBundleName = (name) => /\.zip$/i.test(name || "");
+export const isImageFileName = (name) => /\.(png|jpe?g|gif|webp|svg|bmp)$/i.test(name || "");
+
+const extension = (name) => String(name).split(".").pop().toLowerCase();
+
+const B64 = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+
+/** Base64 for a Uint8Array (no btoa dependency, so it runs on every engine). */
+export const bytesToBase64 = (bytes) => {
+  let out = "";
+  let i = 0;
+  for (; i + 2 < bytes.length; i += 3) {
+    const n = (bytes[i] << 16) | (bytes[i + 1] << 8) | bytes[i + 2];
+    out += B64[n >> 18] + B64[(n >> 12) & 63] + B64[(n >> 6) & 63] + B64[n & 63];
+  }
+  if (i < bytes.length) {
+    const n = (bytes[i] << 16) | ((bytes[i + 1] || 0) << 8);
+    out += B64[n >> 18] + B64[(n >> 12) & 63] + (i + 1 < bytes.length ? B64[(n >> 6) & 63] : "=") + "=";
+  }
+  return out;
+};
+
+// Paths compare case-insensitively with "./" and backslashes normalised.
+const normalizePath = (path) => String(path || "").trim().replace(/\\/g, "/").replace(/^(\.\/)+/, "").toLowerCase();
+const baseName = (path) => normalizePath(path).split("/").pop();
+
+/**
+ * Reads a zip bundle: one .csv file plus the images it refers to.
+ * Returns { csvName, csvText, files } where files maps normalised paths to
+ * data URIs. Throws an Error with a user-facing message.
+ */
+export const readBundle = (data) => {
+  let entries;
+  try {
+    entries = unzipSync(data instanceof Uint8Array ? data : new Uint8Array(data));
+  } catch (e) {
+    throw new Error("File is not a readable zip archive.");
+  }
+  const names = Object.keys(entries).filter(n => !n.endsWith("/") && !/(^|\/)(__MACOSX|\.)/.test(n));
+  const csvNames = names.filter(n => /\.(csv|txt)$/i.test(n));
+  if (csvNames.length === 0) throw new Error("The zip contains no .csv file.");
+  // The shallowest CSV wins (a bundle may carry notes in subfolders).
+  const csvName = csvNames.sort((a, b) => a.split("/").length - b.split("/").length)[0];
+  const csvDir = csvName.includes("/") ? normalizePath(csvName.slice(0, csvName.lastIndexOf("/") + 1)) : "";
+  const files = {};
+  names.filter(isImageFileName).forEach(name => {
+    const uri = `data:${MIME_TYPES[extension(name)]};base64,${bytesToBase64(entries[name])}`;
+    const path = normalizePath(name);
+    files[path] = uri;
+    // Paths in the CSV are relative to the CSV's own folder.
+    if (csvDir && path.startsWith(csvDir)) files[path.slice(csvDir.length)] = uri;
+  });
+  return { csvName, csvText: strFromU8(entries[csvName]), files };
+};
+
+// FNV-1a, enough to give identical images the same store key.
+const hashString = (s) => {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < s.length; i++) {
+    h ^= s.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0).toString(36) + s.length.toString(36);
+};
+
+const isDataUri = (ref) => /^data:image\//i.test(ref || "");
+const isUrl = (ref) => /^(https?:|file:|content:|blob:)/i.test(ref || "");
+export const isImageRef = (ref) => String(ref || "").startsWith(IMAGE_REF_PREFIX);
+
+/**
+ * Moves question images into the store. `files` are the images of a zip
+ * bundle (from readBundle), if any. Returns { questions, images, missing }:
+ * `images` are the new store entries and `missing` lists file names that
+ * could not be found (those questions keep the name and show a placeholder).
+ */
+export const extractImages = (questions, files = {}) => {
+  const images = {};
+  const missing = new Set();
+  const store = (ref) => {
+    if (!ref || isImageRef(ref) || isUrl(ref)) return ref;
+    const uri = isDataUri(ref) ? ref : files[normalizePath(ref)] || files[baseName(ref)];
+    if (!uri) { missing.add(ref); return ref; }
+    const key = IMAGE_REF_PREFIX + hashString(uri);
+    images[key] = uri;
+    return key;
+  };
+  const out = questions.map(q => {
+    if (!q.image && !q.optionImages) return q;
+    const next = { ...q };
+    if (q.image) next.image = store(q.image);
+    if (q.optionImages) next.optionImages = q.optionImages.map(store);
+    return next;
+  });
+  return { questions: out, images, missing: [...missing] };
+};
+
+/** Image source for <Image>, or null when the reference cannot be shown. */
+export const imageSource = (ref, images) => {
+  if (!ref) return null;
+  if (isImageRef(ref)) return images[ref] ? { uri: images[ref] } : null;
+  if (isDataUri(ref) || isUrl(ref)) return { uri: ref };
+  return null;
+};
+
+const questionRefs = (q) => [q.image, ...(q.optionImages || [])].filter(isImageRef);
+
+/** Store entries used by the given questions (for backups of one topic). */
+export const imagesFor = (questions, images) => {
+  const out = {};
+  questions.forEach(q => questionRefs(q).forEach(ref => { if (images[ref]) out[ref] = images[ref]; }));
+  return out;
+};
+
+/**
+ * Drops store entries no question in `topics` (or `extraQuestions`, e.g. a
+ * running session) refers to. Returns `images` itself when nothing changed.
+ */
+export const pruneImages = (images, topics, extraQuestions = []) => {
+  const used = new Set([...topics.flatMap(t => t.questions), ...extraQuestions].flatMap(questionRefs));
+  const keys = Object.keys(images);
+  if (keys.every(k => used.has(k))) return images;
+  return Object.fromEntries(keys.filter(k => used.has(k)).map(k => [k, images[k]]));
+};
+
+/** Replaces store references with data URIs, for exports that must stand alone. */
+export const inlineImages = (questions, images) =>
+  questions.map(q => {
+    if (!questionRefs(q).length) return q;
+    const inline = (ref) => (isImageRef(ref) && images[ref] ? images[ref] : ref);
+    return { ...q, ...(q.image ? { image: inline(q.image) } : {}), ...(q.optionImages ? { optionImages: q.optionImages.map(inline) } : {}) };
+  });
@@ -0,0 +1,128 @@
+import { assignQuestionIds } from "./questions";
+
+/* ----------------- Importing into an existing topic ----------------- */
+// Import modes when the topic name is already taken:
+//   "append"  - add every incoming question after the existing ones
+//   "replace" - the topic becomes exactly the incoming questions
+//   "merge"   - update matching questions in place, append the new ones
+// Questions match on id (re-importing an exported CSV) or else on normalised
+// question text. A matched question keeps its id, so its learning card and
+// session history stay attached after "replace" and "merge".
+
+export const IMPORT_MODES = [
+  { key: "append", label: "Append" },
+  { key: "replace", label: "Replace" },
+  { key: "merge", label: "Merge (skip duplicates)" },
+];
+
+/** Case, whitespace and trailing punctuation do not make a question different. */
+export const normalizeQuestionText = (text) =>
+  String(text ?? "")
+    .normalize("NFKC")
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+    .replace(/[\s.?:;,!]+$/, "")
+    .trim();
+
+// Comparable form of a question's content; ids and empty fields are ignored.
+const contentKey = (q) =>
+  JSON.stringify(
+    Object.keys(q)
+      .filter(k => k !== "id" && q[k] !== undefined && q[k] !== "")
+      .sort()
+      .map(k => [k, q[k]])
+  );
+
+const matcher = (questions) => {
+  const byId = new Map();
+  const byText = new Map();
+  questions.forEach((q, i) => {
+    if (q.id) byId.set(q.id, i);
+    const key = normalizeQuestionText(q.q);
+    if (!byText.has(key)) byText.set(key, i);
+  });
+  return (q) => {
+    if (q.id && byId.has(q.id)) return byId.get(q.id);
+    const i = byText.get(normalizeQuestionText(q.q));
+    return i === undefined ? -1 : i;
+  };
+};
+
+/**
+ * Works out what importing `incoming` into `existing` would do. Returns
+ * { questions, added, changed, unchanged, removed, duplicates } where
+ * `questions` is the topic's resulting list and the others are the questions
+ * in each bucket (for the preview). `taken` is the set of ids already used in
+ * the library; new questions get fresh ids that avoid it.
+ */
+export const planImport = (existing, incoming, mode, taken = new Set()) => {
+  const plan = { questions: [], added: [], changed: [], unchanged: [], removed: [], duplicates: [] };
+
+  if (mode === "append") {
+    // Every incoming question is new, even if it repeats an existing one.
+    const fresh = assignQuestionIds(incoming.map(({ id, ...q }) => q), taken);
+    plan.added = fresh;
+    plan.questions = [...existing, ...fresh];
+    return plan;
+  }
+
+  const match = matcher(existing);
+  const updates = new Map(); // existing index -> incoming question
+  const newOnes = [];
+  const seenText = new Set();
+  incoming.forEach(q => {
+    const key = normalizeQuestionText(q.q);
+    if (seenText.has(key)) { plan.duplicates.push(q); return; }
+    seenText.add(key);
+    const i = match(q);
+    if (i === -1) newOnes.push(q);
+    else if (updates.has(i)) plan.duplicates.push(q);
+    else updates.set(i, q);
+  });
+
+  const existingIds = new Set(existing.map(q => q.id));
+  const fresh = assignQuestionIds(newOnes, new Set([...taken, ...existingIds]));
+  plan.added = fresh;
+
+  const updated = (q, i) => {
+    const next = { ...updates.get(i), id: q.id };
+    if (contentKey(next) === contentKey(q)) { plan.unchanged.push(q); return q; }
+    plan.changed.push(next);
+    return next;
+  };
+
+  if (mode === "replace") {
+    // Incoming order wins; existing questions without a match are dropped.
+    const kept = new Map();
+    existing.forEach((q, i) => {
+      if (updates.has(i)) kept.set(updates.get(i), updated(q, i));
+      else plan.removed.push(q);
+    });
+    let f = 0;
+    plan.questions = incoming
+      .filter(q => !plan.duplicates.includes(q))
+      .map(q => (kept.has(q) ? kept.get(q) : fresh[f++]));
+    return plan;
+  }
+
+  plan.questions = [...existing.map((q, i) => (updates.has(i) ? updated(q, i) : q)), ...fresh];
+  return plan;
+};
+
+/**
+ * Moves `source` questions into `target`, skipping ones `target` already has
+ * (same id or normalised text). Returns { questions, added, duplicates }.
+ */
+export const mergeTopicQuestions = (target, source) => {
+  const match = matcher(target);
+  const seenText = new Set(target.map(q => normalizeQuestionText(q.q)));
+  const added = [];
+  const duplicates = [];
+  source.forEach(q => {
+    const key = normalizeQuestionText(q.q);
+    if (match(q) !== -1 || seenText.has(key)) { duplicates.push(q); return; }
+    seenText.add(key);
+    added.push(q);
+  });
+  return { questions: [...target, ...added], added, duplicates };
+};
@@ -0,0 +1,152 @@
+/* ----------------- Question metadata ----------------- */
+// Optional fields a question may carry besides its content:
+//   subject, subtopic, source  - free text ("Computer Networks", "TCP", "GATE")
+//   tags                       - array of strings
+//   difficulty                 - "easy" | "medium" | "hard"
+//   year                       - number
+// They come from CSV/Excel columns or the editor. Topics themselves stay flat
+// ({ id, topicName, questions }); a topic's subject is derived from its
+// questions, so grouping follows the data without a second place to edit it.
+
+export const DIFFICULTIES = ["easy", "medium", "hard"];
+
+const DIFFICULTY_ALIASES = {
+  e: "easy", easy: "easy", simple: "easy", low: "easy", "1": "easy",
+  m: "medium", medium: "medium", moderate: "medium", average: "medium", normal: "medium", "2": "medium",
+  h: "hard", hard: "hard", difficult: "hard", tough: "hard", high: "hard", "3": "hard",
+};
+
+/** "Hard", "H", "3" -> "hard"; "" -> undefined; anything else -> null. */
+export const parseDifficulty = (value) => {
+  const v = String(value ?? "").trim().toLowerCase();
+  if (!v) return undefined;
+  return DIFFICULTY_ALIASES[v] || null;
+};
+
+/** "2019" -> 2019; "" -> undefined; anything that is not a plausible year -> NaN. */
+export const parseYear = (value) => {
+  const v = String(value ?? "").trim();
+  if (!v) return undefined;
+  return /^\d{4}$/.test(v) ? Number(v) : NaN;
+};
+
+/**
+ * Tags from a cell: separated by commas, semicolons or "|", with an optional
+ * leading "#". Duplicates (ignoring case) are dropped; the first spelling wins.
+ */
+export const parseTags = (value) => {
+  const seen = new Set();
+  const tags = [];
+  String(value ?? "").split(/[,;|]/).forEach(raw => {
+    const tag = raw.trim().replace(/^#+/, "").trim();
+    if (!tag || seen.has(tag.toLowerCase())) return;
+    seen.add(tag.toLowerCase());
+    tags.push(tag);
+  });
+  return tags;
+};
+
+export const formatTags = (tags) => (tags || []).join(", ");
+
+export const difficultyLabel = (d) => (d ? d.charAt(0).toUpperCase() + d.slice(1) : "");
+
+/** One-line summary such as "Networks › TCP · Hard · GATE 2019 · #flow-control". */
+export const metadataSummary = (q) =>
+  [
+    [q.subject, q.subtopic].filter(Boolean).join(" › "),
+    difficultyLabel(q.difficulty),
+    [q.source, q.year].filter(v => v !== undefined && v !== "").join(" "),
+    (q.tags || []).map(t => `#${t}`).join(" "),
+  ].filter(Boolean).join(" · ");
+
+/* ----------------- Filtering ----------------- */
+
+// Filter keys (as used in filter objects and the session config) and the
+// question field each one looks at, in the order the chips are shown.
+export const FILTER_FIELDS = [
+  { key: "subjects", field: "subject", label: "Subject" },
+  { key: "subtopics", field: "subtopic", label: "Subtopic" },
+  { key: "difficulties", field: "difficulty", label: "Difficulty" },
+  { key: "sources", field: "source", label: "Source" },
+  { key: "years", field: "year", label: "Year" },
+  { key: "tags", field: "tags", label: "Tags" },
+];
+
+export const EMPTY_FILTERS = Object.fromEntries(FILTER_FIELDS.map(f => [f.key, []]));
+
+// A question's values for a field, as strings (tags can be several).
+const fieldValues = (q, field) => {
+  const v = q[field];
+  if (v === undefined || v === null || v === "") return [];
+  return Array.isArray(v) ? v.map(String) : [String(v)];
+};
+
+const sortValues = (field, values) => {
+  if (field === "difficulty") return DIFFICULTIES.filter(d => values.includes(d));
+  if (field === "year") return values.sort((a, b) => b - a);
+  return values.sort((a, b) => a.localeCompare(b));
+};
+
+/** The values present in `questions` for every filter key, for filter chips. */
+export const filterOptions = (questions) => {
+  const sets = Object.fromEntries(FILTER_FIELDS.map(f => [f.key, new Set()]));
+  questions.forEach(q => FILTER_FIELDS.forEach(f => fieldValues(q, f.field).forEach(v => sets[f.key].add(v))));
+  return Object.fromEntries(FILTER_FIELDS.map(f => [f.key, sortValues(f.field, [...sets[f.key]])]));
+};
+
+/** True when any filter key has a value selected. */
+export const hasActiveFilters = (filters) => FILTER_FIELDS.some(f => (filters[f.key] || []).length > 0);
+
+/**
+ * Within a key the selected values are alternatives (2018 or 2019); across
+ * keys they must all hold (2019 and hard). Missing keys do not filter.
+ */
+export const matchesFilters = (q, filters) =>
+  FILTER_FIELDS.every(f => {
+    const selected = filters[f.key] || [];
+    return selected.length === 0 || fieldValues(q, f.field).some(v => selected.includes(v));
+  });
+
+const fold = (s) => String(s ?? "").normalize("NFKD").replace(/[\u0300-\u036f]/g, "").toLowerCase();
+
+/**
+ * Search over the question text and its metadata. Every word of `query` must
+ * appear somewhere ("gate 2019 networks hard"); `context` is extra text that
+ * also counts, such as the topic name.
+ */
+export const matchesQuery = (q, query, context = "") => {
+  const words = fold(query).split(/\s+/).filter(Boolean);
+  if (words.length === 0) return true;
+  const haystack = fold([context, q.q, ...FILTER_FIELDS.flatMap(f => fieldValues(q, f.field))].join(" \n "));
+  return words.every(w => haystack.includes(w));
+};
+
+/* ----------------- Subjects ----------------- */
+
+/** The subject most of a topic's questions have, or null when none has one. */
+export const topicSubject = (topic) => {
+  const counts = new Map();
+  topic.questions.forEach(q => {
+    if (q.subject) counts.set(q.subject, (counts.get(q.subject) || 0) + 1);
+  });
+  let best = null;
+  counts.forEach((n, subject) => { if (!best || n > counts.get(best)) best = subject; });
+  return best;
+};
+
+/**
+ * Topics grouped by subject: [{ subject, topics }], subjects alphabetically,
+ * topics keeping their library order, and topics without a subject last
+ * (subject null).
+ */
+export const groupTopicsBySubject = (topics) => {
+  const groups = new Map();
+  topics.forEach(t => {
+    const subject = topicSubject(t);
+    if (!groups.has(subject)) groups.set(subject, []);
+    groups.get(subject).push(t);
+  });
+  return [...groups.entries()]
+    .sort(([a], [b]) => (a === null) - (b === null) || String(a).localeCompare(String(b)))
+    .map(([subject, list]) => ({ subject, topics: list }));
+};
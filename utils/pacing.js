@@ -0,0 +1,62 @@
+import { isAnswered } from "./answers";
+import { questionMarks } from "./scoring";
+
+/* ----------------- Pacing ----------------- */
+// Time on each question is kept in userResponses[i].timeSpentMs (App adds to
+// it whenever the question leaves the screen). Pacing compares that with a
+// target per mark: a GATE paper gives 180 minutes for 100 marks (108 s per
+// mark), and the target keeps about a sixth of that back for a final pass,
+// so 90 s per mark.
+
+export const TARGET_MS_PER_MARK = 90 * 1000;
+
+// Past the target but within this factor of it counts as "slow", beyond as "over".
+const SLOW_FACTOR = 1.5;
+
+export const PACE_LEVELS = {
+  ok: { label: "On pace", color: "#059669" },
+  slow: { label: "Slow", color: "#D97706" },
+  over: { label: "Well over target", color: "#DC2626" },
+};
+
+/** Target time for a question: 1 mark → 1m 30s, 2 marks → 3m. */
+export const paceTarget = (question) => questionMarks(question) * TARGET_MS_PER_MARK;
+
+/** "ok", "slow" or "over" for time spent against a target. */
+export const paceLevel = (spentMs, targetMs) =>
+  spentMs <= targetMs ? "ok" : spentMs <= targetMs * SLOW_FACTOR ? "slow" : "over";
+
+const average = (list) => (list.length ? list.reduce((a, b) => a + b, 0) / list.length : 0);
+
+/**
+ * Timing figures for a session: { totalMs, timedCount, averageMs,
+ * averageCorrectMs, averageIncorrectMs, correctCount, incorrectCount,
+ * overTarget, slowest }. Only questions with recorded time count.
+ * `slowest` holds up to `limit` entries { index, question, timeSpentMs,
+ * targetMs, level }, longest first.
+ */
+export const pacingStats = (questions, responses, limit = 5) => {
+  const timed = questions
+    .map((question, index) => {
+      const timeSpentMs = responses[index]?.timeSpentMs || 0;
+      const targetMs = paceTarget(question);
+      return { index, question, response: responses[index], timeSpentMs, targetMs, level: paceLevel(timeSpentMs, targetMs) };
+    })
+    .filter(t => t.timeSpentMs > 0);
+  const correct = timed.filter(t => isAnswered(t.response) && t.response.isCorrect).map(t => t.timeSpentMs);
+  const incorrect = timed.filter(t => isAnswered(t.response) && !t.response.isCorrect).map(t => t.timeSpentMs);
+  return {
+    totalMs: timed.reduce((a, t) => a + t.timeSpentMs, 0),
+    timedCount: timed.length,
+    averageMs: average(timed.map(t => t.timeSpentMs)),
+    averageCorrectMs: average(correct),
+    averageIncorrectMs: average(incorrect),
+    correctCount: correct.length,
+    incorrectCount: incorrect.length,
+    overTarget: timed.filter(t => t.level !== "ok").length,
+    slowest: [...timed]
+      .sort((a, b) => b.timeSpentMs - a.timeSpentMs)
+      .slice(0, limit)
+      .map(({ response, ...t }) => t),
+  };
+};
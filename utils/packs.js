@@ -0,0 +1,230 @@
+import { deflateSync, Inflate, strFromU8, strToU8 } from "fflate";
+import { bytesToBase64, IMAGE_REF_PREFIX } from "./images";
+import { questionsToRows, rowsToReport } from "./questions";
+
+/* ----------------- Topic packs ----------------- */
+// A topic pack is a topic squeezed into short text that survives links and
+// QR codes: JSON, deflated, then base64url. Every piece of it reads
+//   GMCQ1.<crc>.<part>.<parts>.<data>
+// where <crc> is the CRC-32 (hex) of the uncompressed JSON. It both names the
+// pack, so parts of different packs are never mixed while scanning, and
+// verifies the result once all parts are in. A deep link carries the whole
+// pack as part 1 of 1: gatemcq://pack?d=GMCQ1.…
+//
+// Packs hold text only. Images from the image store are far too large for a
+// QR code, so their refs are dropped (image URLs stay); the share screen says
+// how many were left out. Question ids are dropped too: the receiving phone
+// gives the questions its own.
+//
+// A pack can arrive from any link or QR code, so unpacking trusts none of it:
+// inflating stops at MAX_UNPACKED_BYTES, and every question goes through the
+// same checks as a CSV row before it is offered for import.
+
+export const PACK_PREFIX = "GMCQ1";
+export const PACK_LINK_BASE = "gatemcq://pack?d=";
+
+// Characters of data per QR code. Well under the format's limit so the codes
+// stay sparse enough to scan off another phone's screen.
+export const QR_CHUNK_SIZE = 700;
+
+// Longest pack accepted, in characters of data (a topic of several thousand
+// questions). Codes claiming more parts than this needs are refused, since
+// the part count comes from whatever text was scanned or pasted.
+export const MAX_PACK_LENGTH = 1000000;
+export const MAX_PACK_PARTS = Math.ceil(MAX_PACK_LENGTH / QR_CHUNK_SIZE);
+// Largest unpacked JSON, in bytes; deflate can expand a short pack a
+// thousandfold.
+export const MAX_UNPACKED_BYTES = 16 * 1024 * 1024;
+// Compressed bytes fed to the inflater at a time, so it stops soon after
+// the limit instead of inflating everything first.
+const INFLATE_STEP = 1024;
+
+/* ----------------- Encoding helpers ----------------- */
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/** CRC-32 of a Uint8Array as 8 hex digits. */
+export const crc32 = (bytes) => {
+  let c = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+  return ((c ^ 0xffffffff) >>> 0).toString(16).padStart(8, "0");
+};
+
+const toBase64Url = (bytes) => bytesToBase64(bytes).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+
+const B64URL = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_";
+const B64URL_INDEX = Object.fromEntries([...B64URL].map((c, i) => [c, i]));
+
+const fromBase64Url = (text) => {
+  const clean = text.replace(/=+$/, "");
+  const bytes = new Uint8Array(Math.floor((clean.length * 3) / 4));
+  let bits = 0, value = 0, at = 0;
+  for (const ch of clean) {
+    const v = B64URL_INDEX[ch];
+    if (v === undefined) throw new Error("The pack contains invalid characters.");
+    value = (value << 6) | v;
+    bits += 6;
+    if (bits >= 8) {
+      bits -= 8;
+      bytes[at++] = (value >> bits) & 0xff;
+    }
+  }
+  return bytes.subarray(0, at);
+};
+
+/* ----------------- Packing ----------------- */
+
+const isStoredImage = (ref) => typeof ref === "string" && ref.startsWith(IMAGE_REF_PREFIX);
+
+// The question as it travels: no id, no stored-image refs, no empty fields.
+const packQuestion = (question) => {
+  const { id, image, optionImages, ...q } = question;
+  const out = Object.fromEntries(Object.entries(q).filter(([, v]) => v !== undefined && v !== null && v !== ""));
+  if (image && !isStoredImage(image)) out.image = image;
+  if (optionImages?.some(ref => ref && !isStoredImage(ref))) out.optionImages = optionImages.map(ref => (isStoredImage(ref) ? "" : ref));
+  return out;
+};
+
+const droppedImageCount = (questions) =>
+  questions.reduce((n, q) => n + [q.image, ...(q.optionImages || [])].filter(isStoredImage).length, 0);
+
+/**
+ * Packs a topic: { crc, data, droppedImages }. `data` is the compressed
+ * topic as base64url; split it with packParts or link it with packLink.
+ */
+export const encodeTopicPack = (topic) => {
+  const json = JSON.stringify({ n: topic.topicName, q: topic.questions.map(packQuestion) });
+  const raw = strToU8(json);
+  return { crc: crc32(raw), data: toBase64Url(deflateSync(raw, { level: 9 })), droppedImages: droppedImageCount(topic.questions) };
+};
+
+/** The pack as QR code texts, in scanning order. */
+export const packParts = (pack, chunkSize = QR_CHUNK_SIZE) => {
+  const total = Math.max(1, Math.ceil(pack.data.length / chunkSize));
+  return Array.from({ length: total }, (_, i) =>
+    [PACK_PREFIX, pack.crc, i + 1, total, pack.data.slice(i * chunkSize, (i + 1) * chunkSize)].join("."));
+};
+
+/** A deep link that opens the app on the pack's import preview. */
+export const packLink = (pack) => `${PACK_LINK_BASE}${packParts(pack, Infinity)[0]}`;
+
+/* ----------------- Unpacking ----------------- */
+
+const DAMAGED = "The pack is damaged and cannot be read.";
+const TOO_LARGE = "The pack is too large to import.";
+
+// inflateSync with a cap on the output size.
+const inflateLimited = (bytes, limit) => {
+  if (bytes.length === 0) throw new Error(DAMAGED);
+  const chunks = [];
+  let size = 0;
+  const inflater = new Inflate((chunk) => {
+    size += chunk.length;
+    if (size > limit) throw new Error(TOO_LARGE);
+    chunks.push(chunk);
+  });
+  for (let i = 0; i < bytes.length; i += INFLATE_STEP) {
+    inflater.push(bytes.subarray(i, i + INFLATE_STEP), i + INFLATE_STEP >= bytes.length);
+  }
+  const out = new Uint8Array(size);
+  let at = 0;
+  chunks.forEach(chunk => { out.set(chunk, at); at += chunk.length; });
+  return out;
+};
+
+// Fields a packed question may carry (see packQuestion), by expected kind.
+// Anything else, or of another kind, is dropped before validation.
+const TEXT_FIELDS = ["q", "type", "correct", "explanation", "image", "subject", "subtopic", "source", "difficulty"];
+const LIST_FIELDS = ["options", "optionImages", "tags"];
+const VALUE_FIELDS = ["marks", "negative", "year"];
+
+const plainQuestion = (raw) => {
+  const q = {};
+  if (!raw || typeof raw !== "object") return q;
+  TEXT_FIELDS.forEach(key => { if (typeof raw[key] === "string") q[key] = raw[key]; });
+  LIST_FIELDS.forEach(key => { if (Array.isArray(raw[key]) && raw[key].every(v => typeof v === "string")) q[key] = raw[key]; });
+  VALUE_FIELDS.forEach(key => { if (typeof raw[key] === "number" || typeof raw[key] === "string") q[key] = raw[key]; });
+  return q;
+};
+
+// Each question is checked as the CSV row it would export to, one at a time
+// so a question with thousands of options does not widen every row.
+const checkedQuestions = (list) => {
+  const questions = [];
+  let skipped = 0;
+  list.forEach(raw => {
+    const report = rowsToReport(questionsToRows([plainQuestion(raw)]));
+    questions.push(...report.questions);
+    if (report.questions.length === 0) skipped++;
+  });
+  return { questions, skipped };
+};
+
+/**
+ * Reads one part from scanned or pasted text: a bare part or any link with
+ * it in a `d` parameter. Returns { crc, index, total, data } or null when the
+ * text is not a pack part.
+ */
+export const parsePackPart = (text) => {
+  let s = String(text ?? "").trim();
+  const param = s.match(/[?&]d=([^&#\s]+)/);
+  if (param) {
+    try { s = decodeURIComponent(param[1]); } catch (e) { return null; }
+  }
+  const m = s.match(/^GMCQ1\.([0-9a-f]{8})\.(\d+)\.(\d+)\.([A-Za-z0-9_-]*)$/);
+  if (!m) return null;
+  const index = Number(m[2]), total = Number(m[3]);
+  if (index < 1 || index > total || total > MAX_PACK_PARTS || m[4].length > MAX_PACK_LENGTH) return null;
+  return { crc: m[1], index, total, data: m[4] };
+};
+
+/**
+ * Adds a part to the parts collected so far ({ crc, total, parts } or null)
+ * and returns the new collection. A part of another pack starts over.
+ */
+export const collectPackPart = (collected, part) => {
+  const base = collected && collected.crc === part.crc && collected.total === part.total
+    ? collected
+    : { crc: part.crc, total: part.total, parts: {} };
+  return { ...base, parts: { ...base.parts, [part.index]: part.data } };
+};
+
+/** Part numbers still missing from a collection. */
+export const missingParts = (collected) =>
+  Array.from({ length: collected.total }, (_, i) => i + 1).filter(i => collected.parts[i] === undefined);
+
+/**
+ * Unpacks a complete collection into { topicName, questions, skipped }, where
+ * `skipped` counts questions left out as invalid. Throws an Error with a
+ * user-facing message when parts are missing, the data is damaged or too
+ * large, or the checksum does not match.
+ */
+export const decodeTopicPack = (collected) => {
+  if (missingParts(collected).length > 0) throw new Error("Some parts of the pack have not been scanned yet.");
+  const data = Array.from({ length: collected.total }, (_, i) => collected.parts[i + 1]).join("");
+  let raw;
+  try {
+    raw = inflateLimited(fromBase64Url(data), MAX_UNPACKED_BYTES);
+  } catch (e) {
+    throw new Error(e.message === TOO_LARGE ? TOO_LARGE : DAMAGED);
+  }
+  if (crc32(raw) !== collected.crc) throw new Error("The pack failed its checksum; scan or copy it again.");
+  let parsed;
+  try {
+    parsed = JSON.parse(strFromU8(raw));
+  } catch (e) {
+    throw new Error(DAMAGED);
+  }
+  const topicName = typeof parsed?.n === "string" ? parsed.n.trim() : "";
+  const { questions, skipped } = checkedQuestions(Array.isArray(parsed?.q) ? parsed.q : []);
+  if (!topicName || questions.length === 0) throw new Error("The pack contains no questions.");
+  return { topicName, questions, skipped };
+};
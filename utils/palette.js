@@ -0,0 +1,41 @@
+import { isAnswered } from "./answers";
+
+/* ----------------- Question palette ----------------- */
+// The five question states of the GATE exam interface. Each response in
+// userResponses may carry `visited` (the question has been shown) and
+// `markedForReview`; the state is derived from those and the answer.
+
+export const PALETTE = {
+  NOT_VISITED: "NOT_VISITED",
+  NOT_ANSWERED: "NOT_ANSWERED",
+  ANSWERED: "ANSWERED",
+  MARKED: "MARKED",
+  ANSWERED_MARKED: "ANSWERED_MARKED",
+};
+
+// Display order, labels and colours follow the official exam interface.
+export const PALETTE_LEGEND = [
+  { state: PALETTE.NOT_VISITED, label: "Not Visited", bg: "#E5E7EB", color: "#374151" },
+  { state: PALETTE.NOT_ANSWERED, label: "Not Answered", bg: "#EA580C", color: "#fff" },
+  { state: PALETTE.ANSWERED, label: "Answered", bg: "#16A34A", color: "#fff" },
+  { state: PALETTE.MARKED, label: "Marked for Review", bg: "#7C3AED", color: "#fff" },
+  { state: PALETTE.ANSWERED_MARKED, label: "Answered & Marked for Review", bg: "#7C3AED", color: "#fff", badge: "#16A34A" },
+];
+
+export const paletteStyle = (state) => PALETTE_LEGEND.find(l => l.state === state);
+
+export const paletteState = (response) => {
+  const answered = isAnswered(response);
+  if (response?.markedForReview) return answered ? PALETTE.ANSWERED_MARKED : PALETTE.MARKED;
+  if (answered) return PALETTE.ANSWERED;
+  return response?.visited ? PALETTE.NOT_ANSWERED : PALETTE.NOT_VISITED;
+};
+
+export const isMarkedState = (state) => state === PALETTE.MARKED || state === PALETTE.ANSWERED_MARKED;
+
+/** Number of questions in each palette state, keyed by state. */
+export const paletteCounts = (questions, responses) => {
+  const counts = Object.fromEntries(Object.values(PALETTE).map(s => [s, 0]));
+  questions.forEach((q, i) => { counts[paletteState(responses[i])]++; });
+  return counts;
+};
@@ -0,0 +1,265 @@
+import { parseMarksValue } from "./scoring";
+import { parseQuestionType, validateAnswerKey } from "./answers";
+import { parseDifficulty, parseTags, parseYear, formatTags } from "./metadata";
+
+/* ----------------- Question rows ----------------- */
+// Turns a table of cells (first row = headers) into question objects. Every
+// import source — pasted CSV, .csv/.txt files and Excel sheets — ends up here,
+// so a column recognised for one is recognised for all of them.
+
+export const mapHeader = (header) => {
+  const h = String(header ?? "").trim().toLowerCase().replace(/[^a-z0-9]/g, "");
+  // Checked first: "Negative Marks" must not fall through to "marks".
+  if (h.includes("negative") || h.includes("penalty")) return "negative";
+  if (/^(marks?|maxmarks|points|weightage)$/.test(h)) return "marks";
+  if (h === "type" || h === "qtype" || h.includes("questiontype")) return "type";
+  if (h === "id" || h === "questionid") return "id";
+  // Image columns before options: "Option A Image" must not become an option.
+  if (/image|diagram|figure/.test(h)) {
+    const opt = h.match(/^(?:option)?([a-z]|\d+)(?:image|diagram|figure)$/) || h.match(/^(?:image|diagram|figure)(?:option)?([a-z]|\d+)$/);
+    if (!opt) return "image";
+    const index = /\d/.test(opt[1]) ? Number(opt[1]) - 1 : opt[1].charCodeAt(0) - 97;
+    return `optionImage${index}`;
+  }
+  // Metadata (see utils/metadata): exact names, so "Question Source" or a
+  // "Difficulty Notes" column is not mistaken for one.
+  if (h === "subject") return "subject";
+  if (/^(subtopic|subtopicname|chapter|unit)$/.test(h)) return "subtopic";
+  if (/^(tags?|keywords?|labels?)$/.test(h)) return "tags";
+  if (/^(difficulty|difficultylevel|level)$/.test(h)) return "difficulty";
+  if (/^(year|examyear)$/.test(h)) return "year";
+  if (/^(source|exam|reference)$/.test(h)) return "source";
+  if (h.includes("optiona") || h.includes("option1")) return "option1";
+  if (h.includes("optionb") || h.includes("option2")) return "option2";
+  if (h.includes("optionc") || h.includes("option3")) return "option3";
+  if (h.includes("optiond") || h.includes("option4")) return "option4";
+  if (/^option([e-z]|\d+)$/.test(h)) return "option";
+  if (h.includes("question")) return "q";
+  if (h.includes("correctanswer") || h.includes("correct")) return "correct";
+  if (h.includes("explanation")) return "explanation";
+  return null;
+};
+
+/**
+ * Text for an option that is only an image. Answers are matched on option
+ * text, so each one needs its own; the practice screen does not show it.
+ */
+export const imageOptionText = (index) => `Image ${String.fromCharCode(65 + index)}`;
+
+/** True when option `i` is only an image (its text is the placeholder). */
+export const isImageOnlyOption = (question, i) =>
+  !!question?.optionImages?.[i] &&
+  question.options[i] === imageOptionText(question.optionOrder ? question.optionOrder[i] : i);
+
+/**
+ * Builds one question from a row of cell values, given the mapped headers.
+ * Returns { question } or, when the row cannot be imported, { reason }.
+ */
+export const rowToQuestion = (headerMap, values) => {
+  const question = {};
+  // Option slots in column order; an option image goes to the slot with its letter.
+  const optionTexts = [];
+  const optionImages = [];
+  for (let j = 0; j < headerMap.length; j++) {
+    const mappedKey = headerMap[j];
+    const value = String(values[j] ?? "").trim();
+    if (mappedKey === "q") {
+      question.q = value;
+    } else if (mappedKey && mappedKey.startsWith("optionImage")) {
+      if (value) optionImages[Number(mappedKey.slice("optionImage".length))] = value;
+    } else if (mappedKey && mappedKey.startsWith("option")) {
+      optionTexts.push(value);
+    } else if (mappedKey === "image") {
+      if (value) question.image = value;
+    } else if (mappedKey === "correct") {
+      question.correct = value;
+    } else if (mappedKey === "explanation") {
+      question.explanation = value;
+    } else if (mappedKey === "id") {
+      if (value) question.id = value;
+    } else if (mappedKey === "type") {
+      const type = parseQuestionType(value);
+      if (!type) return { reason: `Unknown question type "${value}"` };
+      question.type = type;
+    } else if (mappedKey === "subject" || mappedKey === "subtopic" || mappedKey === "source") {
+      if (value) question[mappedKey] = value;
+    } else if (mappedKey === "tags") {
+      const tags = parseTags(value);
+      if (tags.length) question.tags = tags;
+    } else if (mappedKey === "difficulty") {
+      const difficulty = parseDifficulty(value);
+      if (difficulty === null) return { reason: `Unknown difficulty "${value}" (use Easy, Medium or Hard)` };
+      if (difficulty) question.difficulty = difficulty;
+    } else if (mappedKey === "year") {
+      const year = parseYear(value);
+      if (Number.isNaN(year)) return { reason: `Invalid year "${value}"` };
+      if (year !== undefined) question.year = year;
+    } else if (mappedKey === "marks" || mappedKey === "negative") {
+      const n = parseMarksValue(value);
+      if (Number.isNaN(n)) return { reason: `Invalid ${mappedKey} value "${value}"` };
+      if (n !== undefined) question[mappedKey] = n;
+    }
+  }
+  question.type = question.type || "MCQ";
+  // Blank option cells are dropped unless the option is an image.
+  const options = [];
+  const images = [];
+  for (let i = 0; i < Math.max(optionTexts.length, optionImages.length); i++) {
+    const text = optionTexts[i] || "";
+    if (!text && !optionImages[i]) continue;
+    options.push(text || imageOptionText(options.length));
+    images.push(optionImages[i] || "");
+  }
+  question.options = options;
+  if (images.some(Boolean)) question.optionImages = images;
+  const reason = validateQuestion(question);
+  if (reason) return { reason };
+  // NAT questions are answered by typing a value; any option cells are ignored.
+  if (question.type === "NAT") {
+    question.options = [];
+    delete question.optionImages;
+  }
+  return { question };
+};
+
+/**
+ * The rules every question must satisfy, whether it comes from an import or
+ * the in-app editor. Returns the first problem as a reason string, or null.
+ */
+export const validateQuestion = (question) => {
+  const type = question.type || "MCQ";
+  const options = question.options || [];
+  if (!String(question.q ?? "").trim()) return "Missing question text";
+  if (type !== "NAT" && options.length < 2) return `Needs at least 2 options (found ${options.length})`;
+  if (type !== "NAT" && options.some(o => !String(o ?? "").trim())) return "Options cannot be empty";
+  if (!String(question.correct ?? "").trim()) return "Missing correct answer";
+  if (question.marks !== undefined && !(Number.isFinite(question.marks) && question.marks > 0)) return "Marks must be greater than 0";
+  if (question.negative !== undefined && !(Number.isFinite(question.negative) && question.negative >= 0)) return "Negative marks must be a number";
+  return validateAnswerKey({ ...question, type });
+};
+
+const isBlankRow = (values) => values.every(v => !String(v ?? "").trim());
+
+/**
+ * Converts a 2D array of cells (rows[0] = headers) into questions plus a
+ * per-row report: { questions, imported, skipped: [{ line, reason }], error }.
+ * `lines[i]` is the source line/row number of rows[i] (defaults to i + 1).
+ * Blank rows are ignored silently.
+ */
+export const rowsToReport = (rows, lines) => {
+  const lineOf = (i) => (lines && lines[i] != null ? lines[i] : i + 1);
+  const report = { questions: [], imported: 0, skipped: [], error: null };
+  const headerIndex = (rows || []).findIndex(r => r && !isBlankRow(r));
+  if (headerIndex === -1) {
+    report.error = "No header row found.";
+    return report;
+  }
+
+  const headerRow = rows[headerIndex];
+  const headerMap = headerRow.map(mapHeader);
+  if (!headerMap.includes("q")) {
+    report.error = `No "Question" column in the header row (line ${lineOf(headerIndex)}).`;
+    return report;
+  }
+
+  for (let i = headerIndex + 1; i < rows.length; i++) {
+    const values = rows[i] || [];
+    if (isBlankRow(values)) continue;
+    const extra = values.slice(headerRow.length);
+    if (extra.some(v => String(v ?? "").trim())) {
+      report.skipped.push({ line: lineOf(i), reason: `Too many columns (expected ${headerRow.length}, found ${values.length})` });
+      continue;
+    }
+    const { question, reason } = rowToQuestion(headerMap, values);
+    if (question) report.questions.push(question);
+    else report.skipped.push({ line: lineOf(i), reason });
+  }
+  report.imported = report.questions.length;
+  return report;
+};
+
+/** Questions only, for callers that do not need the report. */
+export const rowsToQuestions = (rows, lines) => rowsToReport(rows, lines).questions;
+
+/* ----------------- Export ----------------- */
+
+const optionHeader = (i) => `Option ${String.fromCharCode(65 + i)}`;
+const optionImageHeader = (i) => `Option ${String.fromCharCode(65 + i)} Image`;
+// Metadata columns, exported only when some question has a value.
+const METADATA_COLUMNS = [["subject", "Subject"], ["subtopic", "Subtopic"], ["tags", "Tags"], ["difficulty", "Difficulty"], ["year", "Year"], ["source", "Source"]];
+
+/**
+ * The inverse of rowsToReport: a header row plus one row per question, using
+ * header names mapHeader recognises, so exported files re-import unchanged.
+ * Option columns are sized to the question with the most options.
+ */
+export const questionsToRows = (questions) => {
+  const optionCount = Math.max(0, ...questions.map(q => (q.options || []).length));
+  const hasImages = questions.some(q => q.image);
+  const optionImageCount = Math.max(0, ...questions.map(q => (q.optionImages || []).length));
+  const metadata = METADATA_COLUMNS.filter(([key]) => questions.some(q => q[key] !== undefined && q[key] !== "" && !(Array.isArray(q[key]) && !q[key].length)));
+  const headers = ["ID", "Question", "Type"];
+  for (let i = 0; i < optionCount; i++) headers.push(optionHeader(i));
+  headers.push("Correct Answer", "Explanation", "Marks", "Negative Marks");
+  if (hasImages) headers.push("Image");
+  metadata.forEach(([, header]) => headers.push(header));
+  for (let i = 0; i < optionImageCount; i++) headers.push(optionImageHeader(i));
+
+  const rows = questions.map(q => {
+    const options = [];
+    for (let i = 0; i < optionCount; i++) {
+      const text = q.options?.[i] ?? "";
+      // Image-only options export blank; the import gives them their text back.
+      options.push(q.optionImages?.[i] && text === imageOptionText(i) ? "" : text);
+    }
+    const optionImages = [];
+    for (let i = 0; i < optionImageCount; i++) optionImages.push(q.optionImages?.[i] || "");
+    // Same column order as the headers above.
+    return [
+      q.id || "",
+      q.q,
+      q.type || "MCQ",
+      ...options,
+      q.correct,
+      q.explanation || "",
+      q.marks !== undefined ? String(q.marks) : "",
+      q.negative !== undefined ? String(q.negative) : "",
+      ...(hasImages ? [q.image || ""] : []),
+      ...metadata.map(([key]) => (key === "tags" ? formatTags(q.tags) : q[key] !== undefined ? String(q[key]) : "")),
+      ...optionImages,
+    ];
+  });
+  return [headers, ...rows];
+};
+
+/* ----------------- Question ids ----------------- */
+// Questions get a permanent id when they enter the library. Learning history,
+// bookmarks and the like are keyed by it, so it must never be regenerated.
+
+let idCounter = 0;
+
+/** Unique id such as "q-lx2k9a1f-3-8hz0": time, counter and random suffix. */
+export const makeId = (prefix) =>
+  `${prefix}-${Date.now().toString(36)}-${(idCounter++).toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+
+/**
+ * Gives every question without an id a new one. Returns new objects.
+ * Ids listed in `taken` (a Set), or repeated within `questions`, are replaced
+ * too, so re-importing an exported file never duplicates an id.
+ */
+export const assignQuestionIds = (questions, taken = new Set()) => {
+  const seen = new Set(taken);
+  return questions.map(q => {
+    if (q.id && !seen.has(q.id)) {
+      seen.add(q.id);
+      return q;
+    }
+    const id = makeId("q");
+    seen.add(id);
+    return { ...q, id };
+  });
+};
+
+/** Set of every question id in the library. */
+export const libraryQuestionIds = (topics) =>
+  new Set(topics.flatMap(t => t.questions.map(q => q.id)));
@@ -0,0 +1,142 @@
+import { correctOptionIndexes, isAnswered, natAnswerLabel, questionType } from "./answers";
+import { formatMarks, questionMarks, questionPenalty } from "./scoring";
+import { richTextToPlain } from "./richtext";
+import { isImageOnlyOption } from "./questions";
+import { formatDuration } from "./time";
+
+/* ----------------- Post-session review ----------------- */
+// Read-only walk through a finished session: for each question what was
+// answered, the key, the marks it gained or lost and the time spent on it.
+// Works on the session as it is kept in App (questions + userResponses by
+// index), so options appear in the order they were shown.
+
+export const REVIEW_FILTERS = [
+  { key: "all", label: "All" },
+  { key: "correct", label: "Correct" },
+  { key: "incorrect", label: "Incorrect" },
+  { key: "unanswered", label: "Unanswered" },
+  { key: "marked", label: "Marked" },
+];
+
+const letter = (i) => String.fromCharCode(65 + i);
+
+/** Indexes of the options the response picked, in option order. */
+export const pickedOptionIndexes = (question, response) => {
+  if (!response || questionType(question) === "NAT") return [];
+  const picked = questionType(question) === "MSQ" ? response.selectedOptions || [] : [response.selectedOption];
+  return (question.options || []).map((o, i) => (picked.includes(o) ? i : -1)).filter(i => i !== -1);
+};
+
+/** "B", "A, C" or the typed NAT value; "" when unanswered. */
+export const answerLabel = (question, response) => {
+  if (!isAnswered(response)) return "";
+  if (questionType(question) === "NAT") return String(response.natInput ?? "").trim();
+  return pickedOptionIndexes(question, response).map(letter).join(", ");
+};
+
+export const correctAnswerLabel = (question) =>
+  questionType(question) === "NAT" ? natAnswerLabel(question) : correctOptionIndexes(question).map(letter).join(", ");
+
+/**
+ * One entry per question: { index, question, response, status, marked,
+ * answer, correctAnswer, marks, timeSpentMs }. `status` is "correct",
+ * "incorrect" or "unanswered"; `marks` is what the question added to the net
+ * score (negative for a penalty).
+ */
+export const reviewItems = (questions, responses) =>
+  questions.map((question, index) => {
+    const response = responses[index] || {};
+    const answered = isAnswered(response);
+    const status = !answered ? "unanswered" : response.isCorrect ? "correct" : "incorrect";
+    return {
+      index,
+      question,
+      response,
+      status,
+      marked: !!response.markedForReview,
+      answer: answerLabel(question, response),
+      correctAnswer: correctAnswerLabel(question),
+      marks: status === "correct" ? questionMarks(question) : status === "incorrect" ? -questionPenalty(question) : 0,
+      timeSpentMs: response.timeSpentMs || 0,
+    };
+  });
+
+export const filterReviewItems = (items, key) =>
+  key === "all" ? items : key === "marked" ? items.filter(i => i.marked) : items.filter(i => i.status === key);
+
+/** Counts per filter key, for the filter chips. */
+export const reviewCounts = (items) =>
+  Object.fromEntries(REVIEW_FILTERS.map(f => [f.key, filterReviewItems(items, f.key).length]));
+
+/** "+2", "−0.67" or "0". */
+export const formatMarksDelta = (marks) =>
+  marks > 0 ? `+${formatMarks(marks)}` : marks < 0 ? `−${formatMarks(-marks)}` : "0";
+
+/* ----------------- Printable report ----------------- */
+
+const escapeHtml = (s) =>
+  String(s ?? "").replace(/[&<>"']/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c]));
+
+// Plain text keeps the report readable anywhere; line breaks survive.
+const html = (text) => escapeHtml(richTextToPlain(String(text ?? ""))).replace(/\n/g, "<br>");
+
+const STATUS_TEXT = { correct: "Correct", incorrect: "Incorrect", unanswered: "Unanswered" };
+
+const REPORT_CSS = `
+body { font-family: -apple-system, "Segoe UI", Roboto, Arial, sans-serif; color: #0f172a; margin: 24px; font-size: 14px; }
+h1 { font-size: 20px; margin: 0 0 4px; }
+.sub { color: #64748b; margin-bottom: 16px; }
+table.summary { border-collapse: collapse; margin-bottom: 20px; }
+table.summary td { padding: 3px 16px 3px 0; }
+.q { border: 1px solid #cbd5e1; border-radius: 6px; padding: 10px 12px; margin-bottom: 12px; page-break-inside: avoid; }
+.head { display: flex; justify-content: space-between; font-weight: 600; margin-bottom: 6px; }
+.correct { color: #059669; } .incorrect { color: #dc2626; } .unanswered { color: #6b7280; }
+ol { margin: 6px 0; padding-left: 22px; } li.key { font-weight: 600; }
+.meta { color: #475569; font-size: 12px; margin-top: 6px; }
+.expl { background: #f1f5f9; border-radius: 4px; padding: 6px 8px; margin-top: 6px; }
+img { max-width: 100%; max-height: 240px; display: block; margin: 6px 0; }
+@media print { body { margin: 0; } }
+`;
+
+/**
+ * A self-contained HTML report of the review, ready to open in a browser
+ * and print (or save as PDF). `score` is scoreSession's result; `imageUri`
+ * maps a question image reference to a URI, or null to leave images out.
+ */
+export const buildReviewReport = ({ title, items, score, filterLabel, completedAt = Date.now(), imageUri = () => null }) => {
+  const img = (ref) => {
+    const uri = ref && imageUri(ref);
+    return uri ? `<img src="${escapeHtml(uri)}" alt="">` : "";
+  };
+  const questions = items.map(item => {
+    const { question: q } = item;
+    const picked = pickedOptionIndexes(q, item.response);
+    const key = questionType(q) === "NAT" ? [] : correctOptionIndexes(q);
+    const options = (q.options || []).map((o, i) => {
+      const marks = [key.includes(i) ? "✓" : "", picked.includes(i) ? "← your answer" : ""].filter(Boolean).join(" ");
+      const text = isImageOnlyOption(q, i) ? "" : html(o);
+      return `<li${key.includes(i) ? ' class="key"' : ""}>${text}${img(q.optionImages?.[i])}${marks ? ` <span class="${picked.includes(i) && !key.includes(i) ? "incorrect" : "correct"}">${marks}</span>` : ""}</li>`;
+    }).join("");
+    return `<div class="q">
+<div class="head"><span>Q${item.index + 1}${item.marked ? " ⚑" : ""}</span><span class="${item.status}">${STATUS_TEXT[item.status]} · ${formatMarksDelta(item.marks)}</span></div>
+<div>${html(q.q)}</div>${img(q.image)}
+${options ? `<ol type="A">${options}</ol>` : ""}
+<div class="meta">Your answer: <b>${escapeHtml(item.answer || "—")}</b> · Correct: <b>${escapeHtml(item.correctAnswer)}</b>${item.timeSpentMs ? ` · Time: ${formatDuration(item.timeSpentMs)}` : ""}</div>
+${q.explanation ? `<div class="expl">${html(q.explanation)}</div>` : ""}
+</div>`;
+  }).join("\n");
+
+  return `<!DOCTYPE html>
+<html><head><meta charset="utf-8"><title>${escapeHtml(title)}</title><style>${REPORT_CSS}</style></head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<div class="sub">${escapeHtml(new Date(completedAt).toLocaleString())}${filterLabel ? ` · ${escapeHtml(filterLabel)} questions only` : ""}</div>
+<table class="summary">
+<tr><td>Questions</td><td><b>${score.total}</b></td><td>Attempted</td><td><b>${score.attempted}</b></td></tr>
+<tr><td>Correct</td><td><b>${score.corrects}</b></td><td>Accuracy</td><td><b>${score.accuracy}%</b></td></tr>
+<tr><td>Marks</td><td><b>+${formatMarks(score.rawMarks)} / −${formatMarks(score.negativeMarks)}</b></td><td>Net score</td><td><b>${formatMarks(score.netScore)} / ${formatMarks(score.maxMarks)}</b></td></tr>
+</table>
+${questions}
+</body></html>
+`;
+};
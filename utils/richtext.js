@@ -0,0 +1,513 @@
+/* ----------------- Rich text: Markdown + LaTeX ----------------- */
+// Question text, options and explanations may contain a small Markdown subset
+// (paragraphs, **bold**, *italic*, `code`, fenced code, lists, pipe tables)
+// and LaTeX math: $inline$, \(inline\), $$display$$ and \[display\].
+// Everything here is plain parsing so it works offline on every platform;
+// components /RichText.js draws the result with Text and View.
+
+/* ----------------- Markdown blocks ----------------- */
+
+const TABLE_SEPARATOR = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+const LIST_ITEM = /^\s*([-*+]|\d+[.)])\s+(.*)$/;
+
+const splitTableRow = (line) =>
+  line.trim().replace(/^\|/, "").replace(/\|$/, "").split("|").map(c => c.trim());
+
+const tableAlign = (cell) => {
+  const s = cell.trim();
+  if (s.startsWith(":") && s.endsWith(":")) return "center";
+  if (s.endsWith(":")) return "right";
+  return "left";
+};
+
+// Collects a $$...$$ or \[...\] block that starts on lines[i].
+const readDisplayMath = (lines, i, open, close) => {
+  const first = lines[i].trim().slice(open.length);
+  const end = first.indexOf(close);
+  if (end !== -1) return { tex: first.slice(0, end), next: i + 1 };
+  const body = [first];
+  for (let j = i + 1; j < lines.length; j++) {
+    const k = lines[j].indexOf(close);
+    if (k !== -1) {
+      body.push(lines[j].slice(0, k));
+      return { tex: body.join("\n"), next: j + 1 };
+    }
+    body.push(lines[j]);
+  }
+  return null; // unterminated: treat the line as text
+};
+
+/**
+ * Splits text into blocks: { type: "paragraph", text } | { type: "code", text }
+ * | { type: "math", tex } | { type: "list", ordered, start, items: [text] }
+ * | { type: "table", header: [text], align: [..], rows: [[text]] }.
+ * Single line breaks inside a paragraph are kept.
+ */
+export const parseBlocks = (src) => {
+  const lines = String(src ?? "").replace(/\r\n?/g, "\n").split("\n");
+  const blocks = [];
+  let para = [];
+  const flush = () => {
+    if (para.length) blocks.push({ type: "paragraph", text: para.join("\n") });
+    para = [];
+  };
+
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+    const trimmed = line.trim();
+
+    if (trimmed.startsWith("```")) {
+      const body = [];
+      let j = i + 1;
+      while (j < lines.length && !lines[j].trim().startsWith("```")) body.push(lines[j++]);
+      flush();
+      blocks.push({ type: "code", text: body.join("\n") });
+      i = j + 1;
+      continue;
+    }
+
+    const display = trimmed.startsWith("$$") ? ["$$", "$$"] : trimmed.startsWith("\\[") ? ["\\[", "\\]"] : null;
+    if (display) {
+      const math = readDisplayMath(lines, i, display[0], display[1]);
+      if (math) {
+        flush();
+        blocks.push({ type: "math", tex: math.tex.trim() });
+        i = math.next;
+        continue;
+      }
+    }
+
+    if (trimmed.startsWith("|") && i + 1 < lines.length && TABLE_SEPARATOR.test(lines[i + 1])) {
+      flush();
+      const header = splitTableRow(line);
+      const align = splitTableRow(lines[i + 1]).map(tableAlign);
+      const rows = [];
+      let j = i + 2;
+      while (j < lines.length && lines[j].trim().startsWith("|")) rows.push(splitTableRow(lines[j++]));
+      blocks.push({ type: "table", header, align, rows });
+      i = j;
+      continue;
+    }
+
+    const item = line.match(LIST_ITEM);
+    if (item) {
+      flush();
+      const ordered = /\d/.test(item[1]);
+      const items = [];
+      let j = i;
+      let m;
+      while (j < lines.length && (m = lines[j].match(LIST_ITEM)) && /\d/.test(m[1]) === ordered) {
+        items.push(m[2]);
+        j++;
+      }
+      blocks.push({ type: "list", ordered, start: ordered ? parseInt(item[1], 10) : 1, items });
+      i = j;
+      continue;
+    }
+
+    if (!trimmed) flush();
+    else para.push(line);
+    i++;
+  }
+  flush();
+  return blocks;
+};
+
+/* ----------------- Inline Markdown ----------------- */
+
+const isSpace = (c) => c === undefined || /\s/.test(c);
+const isWordChar = (c) => c !== undefined && /[A-Za-z0-9]/.test(c);
+
+// Closing $ for inline math: not preceded by a space or backslash, and not
+// followed by a digit, so "costs $5 or $10" stays text.
+const findMathClose = (s, from) => {
+  for (let k = from; k < s.length; k++) {
+    if (s[k] === "\\") { k++; continue; }
+    if (s[k] === "$") return !isSpace(s[k - 1]) && !/\d/.test(s[k + 1] || "") ? k : -1;
+  }
+  return -1;
+};
+
+/**
+ * Parses inline Markdown and math into segments:
+ * { type: "text", text } | { type: "bold"|"italic", children } |
+ * { type: "code", text } | { type: "math", tex, display }.
+ */
+export const parseInline = (src) => {
+  const s = String(src ?? "");
+  const out = [];
+  let text = "";
+  const push = (seg) => {
+    if (text) out.push({ type: "text", text });
+    text = "";
+    out.push(seg);
+  };
+
+  let i = 0;
+  while (i < s.length) {
+    const c = s[i];
+    const rest = s.slice(i);
+
+    if (c === "\\" && (s[i + 1] === "$" || s[i + 1] === "*" || s[i + 1] === "`")) {
+      text += s[i + 1];
+      i += 2;
+      continue;
+    }
+    if (c === "`") {
+      const end = s.indexOf("`", i + 1);
+      if (end > i) { push({ type: "code", text: s.slice(i + 1, end) }); i = end + 1; continue; }
+    }
+    if (rest.startsWith("$$")) {
+      const end = s.indexOf("$$", i + 2);
+      if (end > i + 2) { push({ type: "math", tex: s.slice(i + 2, end).trim(), display: true }); i = end + 2; continue; }
+    }
+    if (c === "$" && !isSpace(s[i + 1])) {
+      const end = findMathClose(s, i + 1);
+      if (end !== -1) { push({ type: "math", tex: s.slice(i + 1, end), display: false }); i = end + 1; continue; }
+    }
+    if (rest.startsWith("\\(") || rest.startsWith("\\[")) {
+      const close = rest[1] === "(" ? "\\)" : "\\]";
+      const end = s.indexOf(close, i + 2);
+      if (end !== -1) { push({ type: "math", tex: s.slice(i + 2, end).trim(), display: close === "\\]" }); i = end + 2; continue; }
+    }
+    if (rest.startsWith("**") && !isSpace(s[i + 2])) {
+      const end = s.indexOf("**", i + 2);
+      if (end > i + 2 && !isSpace(s[end - 1])) { push({ type: "bold", children: parseInline(s.slice(i + 2, end)) }); i = end + 2; continue; }
+    }
+    if (c === "*" && !rest.startsWith("**") && !isSpace(s[i + 1]) && !isWordChar(s[i - 1])) {
+      let end = i + 1;
+      while ((end = s.indexOf("*", end)) !== -1 && (s[end + 1] === "*" || isSpace(s[end - 1]) || isWordChar(s[end + 1]))) end++;
+      if (end > i + 1) { push({ type: "italic", children: parseInline(s.slice(i + 1, end)) }); i = end + 1; continue; }
+    }
+    text += c;
+    i++;
+  }
+  if (text) out.push({ type: "text", text });
+  return out;
+};
+
+/* ----------------- LaTeX ----------------- */
+
+const SYMBOLS = {
+  alpha: "α", beta: "β", gamma: "γ", delta: "δ", epsilon: "ϵ", varepsilon: "ε", zeta: "ζ", eta: "η",
+  theta: "θ", vartheta: "ϑ", iota: "ι", kappa: "κ", lambda: "λ", mu: "μ", nu: "ν", xi: "ξ", pi: "π",
+  varpi: "ϖ", rho: "ρ", varrho: "ϱ", sigma: "σ", varsigma: "ς", tau: "τ", upsilon: "υ", phi: "ϕ",
+  varphi: "φ", chi: "χ", psi: "ψ", omega: "ω",
+  Gamma: "Γ", Delta: "Δ", Theta: "Θ", Lambda: "Λ", Xi: "Ξ", Pi: "Π", Sigma: "Σ", Upsilon: "Υ",
+  Phi: "Φ", Psi: "Ψ", Omega: "Ω",
+  times: "×", cdot: "⋅", div: "÷", pm: "±", mp: "∓", ast: "∗", star: "⋆", circ: "∘", bullet: "∙",
+  le: "≤", leq: "≤", ge: "≥", geq: "≥", ne: "≠", neq: "≠", approx: "≈", equiv: "≡", sim: "∼",
+  simeq: "≃", cong: "≅", propto: "∝", ll: "≪", gg: "≫", prec: "≺", succ: "≻",
+  to: "→", rightarrow: "→", leftarrow: "←", leftrightarrow: "↔", Rightarrow: "⇒", Leftarrow: "⇐",
+  Leftrightarrow: "⇔", implies: "⟹", iff: "⟺", mapsto: "↦", uparrow: "↑", downarrow: "↓",
+  longrightarrow: "⟶", longleftarrow: "⟵",
+  in: "∈", notin: "∉", ni: "∋", subset: "⊂", subseteq: "⊆", supset: "⊃", supseteq: "⊇",
+  cup: "∪", cap: "∩", setminus: "∖", emptyset: "∅", varnothing: "∅", forall: "∀", exists: "∃",
+  nexists: "∄", neg: "¬", lnot: "¬", land: "∧", wedge: "∧", lor: "∨", vee: "∨", oplus: "⊕",
+  otimes: "⊗", odot: "⊙", top: "⊤", bot: "⊥", perp: "⊥", parallel: "∥", mid: "∣", nmid: "∤",
+  vdash: "⊢", models: "⊨",
+  infty: "∞", partial: "∂", nabla: "∇", hbar: "ℏ", ell: "ℓ", Re: "ℜ", Im: "ℑ", aleph: "ℵ",
+  angle: "∠", triangle: "△", square: "□", degree: "°", prime: "′", therefore: "∴", because: "∵",
+  ldots: "…", cdots: "⋯", vdots: "⋮", ddots: "⋱", dots: "…",
+  sum: "∑", prod: "∏", coprod: "∐", int: "∫", iint: "∬", iiint: "∭", oint: "∮",
+  bigcup: "⋃", bigcap: "⋂", bigoplus: "⨁", bigvee: "⋁", bigwedge: "⋀",
+  langle: "⟨", rangle: "⟩", lceil: "⌈", rceil: "⌉", lfloor: "⌊", rfloor: "⌋", vert: "|", Vert: "‖",
+  lbrace: "{", rbrace: "}", backslash: "\\", "|": "‖", "{": "{", "}": "}", "%": "%", "$": "$",
+  "#": "#", "&": "&", "_": "_",
+  ",": " ", ":": " ", ";": " ", "!": "", " ": " ", quad: " ", qquad: "  ",
+};
+
+// Operators drawn with limits above/below in display math.
+export const BIG_OPERATORS = new Set(["∑", "∏", "∐", "⋃", "⋂", "⨁", "⋁", "⋀", "lim", "max", "min", "sup", "inf"]);
+export const INTEGRALS = new Set(["∫", "∬", "∭", "∮"]);
+
+const FUNCTIONS = new Set([
+  "sin", "cos", "tan", "sec", "csc", "cot", "sinh", "cosh", "tanh", "arcsin", "arccos", "arctan",
+  "log", "ln", "lg", "exp", "lim", "max", "min", "sup", "inf", "det", "gcd", "lcm", "deg", "dim",
+  "ker", "arg", "Pr", "rank", "tr",
+]);
+
+const ACCENTS = {
+  bar: "̅", overline: "̅", hat: "̂", widehat: "̂", tilde: "̃",
+  widetilde: "̃", vec: "⃗", dot: "̇", ddot: "̈", underline: "̲",
+};
+
+const BLACKBOARD = { R: "ℝ", N: "ℕ", Z: "ℤ", Q: "ℚ", C: "ℂ", P: "ℙ" };
+
+// Spaced out like LaTeX does: "a = b", "a + b" (but "−1" stays unary).
+const RELATIONS = new Set(["=", "<", ">", "≤", "≥", "≠", "≈", "≡", "∼", "≃", "≅", "∝", "→", "←", "↔", "⇒", "⇐", "⇔", "⟹", "⟺", "↦", "∈", "∉", "⊂", "⊆", "⊃", "⊇", "⊢", "⊨", "≪", "≫"]);
+const BINARY = new Set(["+", "−", "×", "⋅", "÷", "±", "∓", "∪", "∩", "∖", "⊕", "⊗", "∧", "∨"]);
+
+const ENV_DELIMITERS = {
+  matrix: ["", ""], pmatrix: ["(", ")"], bmatrix: ["[", "]"], Bmatrix: ["{", "}"],
+  vmatrix: ["|", "|"], Vmatrix: ["‖", "‖"], cases: ["{", ""], array: ["", ""],
+  aligned: ["", ""], align: ["", ""], "align*": ["", ""], gathered: ["", ""],
+};
+
+const tokenize = (src) => {
+  const tokens = [];
+  const s = String(src ?? "");
+  let i = 0;
+  while (i < s.length) {
+    const c = s[i];
+    if (c === "\\") {
+      const m = s.slice(i + 1).match(/^[A-Za-z]+\*?/);
+      if (m) { tokens.push({ cmd: m[0] }); i += 1 + m[0].length; }
+      else if (s[i + 1] === "\\") { tokens.push({ rowBreak: true }); i += 2; }
+      else { tokens.push({ cmd: s[i + 1] || "" }); i += 2; }
+      continue;
+    }
+    if (/\s/.test(c)) { tokens.push({ space: true }); i++; continue; }
+    tokens.push({ ch: c });
+    i++;
+  }
+  return tokens;
+};
+
+/**
+ * Parses LaTeX math into nodes:
+ * { t: "text", v, italic?, roman? } | { t: "group", c } |
+ * { t: "supsub", base, sup?, sub? } | { t: "frac", num, den, bar } |
+ * { t: "sqrt", body, index? } | { t: "matrix", rows, open, close } |
+ * { t: "accent", body, mark } | { t: "bold", c }.
+ * Unknown commands are shown by name rather than failing.
+ */
+export const parseLatex = (src) => {
+  const tokens = tokenize(src);
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const skipSpaces = () => { while (peek() && peek().space) pos++; };
+
+  // Raw text of a {...} argument (for \text, \begin and friends).
+  const readRaw = () => {
+    skipSpaces();
+    if (!peek() || peek().ch !== "{") {
+      const t = tokens[pos++];
+      return t ? (t.ch ?? t.cmd ?? "") : "";
+    }
+    pos++;
+    let depth = 1;
+    let out = "";
+    while (pos < tokens.length) {
+      const t = tokens[pos++];
+      if (t.ch === "{") depth++;
+      if (t.ch === "}" && --depth === 0) break;
+      out += t.space ? " " : t.rowBreak ? "\\\\" : t.cmd !== undefined ? (SYMBOLS[t.cmd] ?? t.cmd) : t.ch;
+    }
+    return out;
+  };
+
+  // [...] argument, e.g. the index of \sqrt[3]{x}, parsed on its own.
+  const readOptional = () => {
+    skipSpaces();
+    if (!peek() || peek().ch !== "[") return null;
+    pos++;
+    let raw = "";
+    while (pos < tokens.length && tokens[pos].ch !== "]") {
+      const t = tokens[pos++];
+      raw += t.space ? " " : t.rowBreak ? "\\\\" : t.cmd !== undefined ? `\\${t.cmd} ` : t.ch;
+    }
+    pos++;
+    return parseLatex(raw);
+  };
+
+  const parseArg = () => {
+    skipSpaces();
+    const t = peek();
+    if (!t) return { t: "group", c: [] };
+    if (t.ch === "{") {
+      pos++;
+      const c = parseList(tok => tok.ch === "}");
+      pos++;
+      return { t: "group", c };
+    }
+    return parseAtom() || { t: "group", c: [] };
+  };
+
+  const delimiter = () => {
+    skipSpaces();
+    const t = tokens[pos++];
+    if (!t || t.ch === ".") return null;
+    return { t: "text", v: t.cmd !== undefined ? (SYMBOLS[t.cmd] ?? t.cmd) : t.ch };
+  };
+
+  const parseEnvironment = () => {
+    const env = readRaw();
+    if (env === "array") readRaw(); // column spec
+    const rows = [[]];
+    const isEnd = tok => tok.cmd === "end";
+    while (pos < tokens.length) {
+      const cell = parseList(tok => tok.ch === "&" || tok.rowBreak || isEnd(tok));
+      rows[rows.length - 1].push(cell);
+      const t = tokens[pos++];
+      if (!t || isEnd(t)) { readRaw(); break; }
+      if (t.rowBreak) rows.push([]);
+    }
+    // A trailing \\ leaves an empty last row behind.
+    const last = rows[rows.length - 1];
+    if (rows.length > 1 && last.length === 1 && last[0].length === 0) rows.pop();
+    const [open, close] = ENV_DELIMITERS[env] || ["", ""];
+    return { t: "matrix", rows, open, close, env };
+  };
+
+  const parseCommand = (cmd) => {
+    if (cmd === "frac" || cmd === "dfrac" || cmd === "tfrac") return { t: "frac", num: parseArg(), den: parseArg(), bar: true };
+    if (cmd === "binom") {
+      const num = parseArg();
+      const den = parseArg();
+      return { t: "matrix", rows: [[[num]], [[den]]], open: "(", close: ")" };
+    }
+    if (cmd === "sqrt") {
+      const index = readOptional();
+      return { t: "sqrt", body: parseArg(), index: index ? { t: "group", c: index } : null };
+    }
+    if (["text", "textrm", "mathrm", "operatorname", "mbox", "textit", "mathit", "mathsf", "texttt"].includes(cmd)) {
+      return { t: "text", v: readRaw(), roman: true };
+    }
+    if (cmd === "mathbb") return { t: "text", v: readRaw().replace(/[A-Z]/g, ch => BLACKBOARD[ch] || ch), roman: true };
+    if (cmd === "mathcal" || cmd === "mathscr") return { t: "text", v: readRaw(), roman: true };
+    if (["mathbf", "textbf", "boldsymbol", "bm"].includes(cmd)) return { t: "bold", c: [parseArg()] };
+    if (ACCENTS[cmd]) return { t: "accent", body: parseArg(), mark: ACCENTS[cmd] };
+    if (/^(left|right|[Bb]igg?[lr]?|middle)$/.test(cmd)) return delimiter();
+    if (cmd === "begin") return parseEnvironment();
+    if (cmd === "end") { readRaw(); return null; }
+    if (cmd === "mod" || cmd === "bmod") return { t: "text", v: " mod ", roman: true };
+    if (cmd === "pmod") return { t: "group", c: [{ t: "text", v: " (mod ", roman: true }, parseArg(), { t: "text", v: ")" }] };
+    if (cmd === "displaystyle" || cmd === "textstyle" || cmd === "limits" || cmd === "nolimits") return null;
+    if (FUNCTIONS.has(cmd)) return { t: "text", v: cmd, roman: true, fn: true };
+    if (SYMBOLS[cmd] !== undefined) return { t: "text", v: SYMBOLS[cmd] };
+    return { t: "text", v: cmd, roman: true };
+  };
+
+  const parseAtom = () => {
+    const t = tokens[pos++];
+    if (!t || t.space) return null;
+    if (t.rowBreak) return { t: "text", v: " " };
+    if (t.cmd !== undefined) return parseCommand(t.cmd);
+    if (t.ch === "{") {
+      const c = parseList(tok => tok.ch === "}");
+      pos++;
+      return { t: "group", c };
+    }
+    if (t.ch === "}") return null;
+    if (t.ch === "~") return { t: "text", v: " " };
+    if (t.ch === "'") return { t: "text", v: "′" };
+    if (t.ch === "-") return { t: "text", v: "−" };
+    return /[A-Za-z]/.test(t.ch) ? { t: "text", v: t.ch, italic: true } : { t: "text", v: t.ch };
+  };
+
+  const parseList = (isStop) => {
+    const out = [];
+    while (pos < tokens.length && !isStop(peek())) {
+      const t = peek();
+      if (t.ch === "^" || t.ch === "_") {
+        pos++;
+        const prev = out.length && out[out.length - 1].t === "supsub" ? out.pop() : { t: "supsub", base: out.pop() || { t: "text", v: "" } };
+        prev[t.ch === "^" ? "sup" : "sub"] = parseArg();
+        out.push(prev);
+        continue;
+      }
+      const atom = parseAtom();
+      if (!atom) continue;
+      if (atom.t === "text" && !atom.roman) {
+        const prev = out[out.length - 1];
+        const afterOperand = prev && !(prev.t === "text" && (prev.op || /[([{,]$/.test(prev.v)));
+        if (RELATIONS.has(atom.v) || (BINARY.has(atom.v) && afterOperand)) {
+          atom.v = ` ${atom.v} `;
+          atom.op = true;
+        }
+      }
+      out.push(atom);
+    }
+    return out;
+  };
+
+  return parseList(() => false);
+};
+
+/* ----------------- Plain text ----------------- */
+
+const SUPERSCRIPTS = {
+  0: "⁰", 1: "¹", 2: "²", 3: "³", 4: "⁴", 5: "⁵", 6: "⁶", 7: "⁷", 8: "⁸", 9: "⁹",
+  "+": "⁺", "−": "⁻", "-": "⁻", "=": "⁼", "(": "⁽", ")": "⁾", n: "ⁿ", i: "ⁱ", x: "ˣ", y: "ʸ",
+  T: "ᵀ", "′": "′", "*": "*", "∗": "*", k: "ᵏ", m: "ᵐ", t: "ᵗ", a: "ᵃ", b: "ᵇ", c: "ᶜ", d: "ᵈ", e: "ᵉ",
+};
+const SUBSCRIPTS = {
+  0: "₀", 1: "₁", 2: "₂", 3: "₃", 4: "₄", 5: "₅", 6: "₆", 7: "₇", 8: "₈", 9: "₉",
+  "+": "₊", "−": "₋", "-": "₋", "=": "₌", "(": "₍", ")": "₎", a: "ₐ", e: "ₑ", o: "ₒ", x: "ₓ",
+  h: "ₕ", k: "ₖ", l: "ₗ", m: "ₘ", n: "ₙ", p: "ₚ", s: "ₛ", t: "ₜ", i: "ᵢ", j: "ⱼ", r: "ᵣ", u: "ᵤ", v: "ᵥ",
+};
+
+const mapAll = (text, table) => {
+  let out = "";
+  for (const ch of text) {
+    if (table[ch] === undefined) return null;
+    out += table[ch];
+  }
+  return out;
+};
+
+/** Unicode superscript/subscript form of `text`, or null if a character has none. */
+export const toSuperscript = (text) => mapAll(text, SUPERSCRIPTS);
+export const toSubscript = (text) => mapAll(text, SUBSCRIPTS);
+
+/** True when `text` reads as one unit (x, 12, α) and needs no brackets. */
+export const isAtomic = (text) => Array.from(text).length === 1 || /^\d+(\.\d+)?$/.test(text);
+
+const accentText = (text, mark) => Array.from(text).map(ch => (/\s/.test(ch) ? ch : ch + mark)).join("");
+
+const bracket = (text) => (isAtomic(text) ? text : `(${text})`);
+
+/** Flattens math nodes into a single line of Unicode text. */
+export const mathToPlain = (nodes) => {
+  const one = (n) => {
+    if (!n) return "";
+    switch (n.t) {
+      case "text": return n.fn ? `${n.v} ` : n.v;
+      case "group":
+      case "bold": return mathToPlain(n.c);
+      case "supsub": {
+        const fn = n.base && n.base.fn;
+        let out = fn ? n.base.v : one(n.base);
+        // Scripts are set tight: no operator spacing.
+        if (n.sub) { const s = one(n.sub).replace(/ /g, ""); out += toSubscript(s) ?? `_${bracket(s)}`; }
+        if (n.sup) { const s = one(n.sup).replace(/ /g, ""); out += toSuperscript(s) ?? `^${bracket(s)}`; }
+        return fn ? `${out} ` : out;
+      }
+      case "frac": return `${bracket(one(n.num))}/${bracket(one(n.den))}`;
+      case "sqrt": {
+        const index = n.index ? (toSuperscript(one(n.index)) ?? "") : "";
+        return `${index}√${bracket(one(n.body))}`;
+      }
+      case "accent": return accentText(one(n.body), n.mark);
+      case "matrix": {
+        const rows = n.rows.map(r => r.map(cell => mathToPlain(cell)).join(n.env === "cases" ? ", " : " "));
+        return `${n.open || ""}${rows.join("; ")}${n.close || ""}`;
+      }
+      default: return "";
+    }
+  };
+  return (nodes || []).map(one).join("");
+};
+
+const inlineToPlain = (segments) => segments.map(seg => {
+  if (seg.type === "text" || seg.type === "code") return seg.text;
+  if (seg.type === "math") return mathToPlain(parseLatex(seg.tex));
+  return inlineToPlain(seg.children);
+}).join("");
+
+/**
+ * Rich text as one line of plain Unicode (for lists, search and exports):
+ * Markdown markers are dropped and math is converted to symbols.
+ */
+export const richTextToPlain = (src) =>
+  parseBlocks(src).map(block => {
+    switch (block.type) {
+      case "math": return mathToPlain(parseLatex(block.tex));
+      case "code": return block.text;
+      case "list": return block.items.map(item => inlineToPlain(parseInline(item))).join("; ");
+      case "table": return [block.header, ...block.rows].map(r => r.map(c => inlineToPlain(parseInline(c))).join(" | ")).join("; ");
+      default: return inlineToPlain(parseInline(block.text));
+    }
+  }).join(" ").replace(/\s+/g, " ").trim();
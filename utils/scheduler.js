@@ -0,0 +1,72 @@
+/* ----------------- Spaced repetition (SM-2) ----------------- */
+// Learning history is a map of question id -> card:
+//   { attempts, corrects, lastSeen, lastResult, ease, interval, repetitions, due }
+// Times are epoch ms; `interval` is in days. Cards are created the first time
+// a question is answered, so unseen questions are never "due".
+//
+// Grading is binary (right/wrong), mapped onto SM-2 qualities: a correct
+// answer counts as 4 ("correct after some thought"), a wrong one as 1.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MIN_EASE = 1.3;
+const DEFAULT_EASE = 2.5;
+
+export const newCard = () => ({
+  attempts: 0,
+  corrects: 0,
+  lastSeen: null,
+  lastResult: null,
+  ease: DEFAULT_EASE,
+  interval: 0,
+  repetitions: 0,
+  due: null,
+});
+
+/** Returns the card after one review. Does not mutate `card`. */
+export const reviewCard = (card, isCorrect, now = Date.now()) => {
+  const c = { ...newCard(), ...card };
+  const quality = isCorrect ? 4 : 1;
+
+  let { repetitions, interval, ease } = c;
+  if (quality >= 3) {
+    repetitions += 1;
+    interval = repetitions === 1 ? 1 : repetitions === 2 ? 6 : Math.round(interval * ease);
+  } else {
+    // Lapse: start the ladder again, due tomorrow.
+    repetitions = 0;
+    interval = 1;
+  }
+  ease = Math.max(MIN_EASE, ease + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)));
+
+  return {
+    ...c,
+    attempts: c.attempts + 1,
+    corrects: c.corrects + (isCorrect ? 1 : 0),
+    lastSeen: now,
+    lastResult: isCorrect ? "correct" : "incorrect",
+    ease: Math.round(ease * 100) / 100,
+    interval,
+    repetitions,
+    due: now + interval * DAY_MS,
+  };
+};
+
+const endOfDay = (now) => {
+  const d = new Date(now);
+  d.setHours(23, 59, 59, 999);
+  return d.getTime();
+};
+
+/** True when the card is due any time today (or overdue). */
+export const isDue = (card, now = Date.now()) => !!card?.due && card.due <= endOfDay(now);
+
+/**
+ * Due questions across all topics, most overdue first.
+ * Each entry is the question itself; `limit` caps the session size.
+ */
+export const dueQuestions = (topics, learning, now = Date.now(), limit = Infinity) =>
+  topics
+    .flatMap(t => t.questions)
+    .filter(q => q.id && isDue(learning[q.id], now))
+    .sort((a, b) => learning[a.id].due - learning[b.id].due)
+    .slice(0, limit);
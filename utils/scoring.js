@@ -0,0 +1,77 @@
+import { isAnswered, questionType } from "./answers";
+
+/* ----------------- Scoring ----------------- */
+// GATE marking scheme: each question carries 1 or 2 marks (default 1). A wrong
+// MCQ answer costs one third of its marks; MSQ and NAT questions have no
+// negative marking. Both can be overridden per question with the optional
+// `marks` / `negative` import columns. Unanswered questions score 0.
+
+export const DEFAULT_MARKS = 1;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/** Marks awarded for a correct answer. */
+export const questionMarks = (question) => {
+  const m = Number(question?.marks);
+  return Number.isFinite(m) && m > 0 ? m : DEFAULT_MARKS;
+};
+
+/** Marks deducted for a wrong answer, as a positive number. */
+export const questionPenalty = (question) => {
+  const n = Number(question?.negative);
+  if (question?.negative !== undefined && question?.negative !== "" && Number.isFinite(n)) return Math.abs(n);
+  return questionType(question) === "MCQ" ? questionMarks(question) / 3 : 0;
+};
+
+/**
+ * Parses a marks cell such as "2", "0.66", "-2/3" or "1/3".
+ * Returns the absolute value, undefined for an empty cell, or NaN when invalid
+ * or not finite.
+ */
+export const parseMarksValue = (value) => {
+  const s = String(value ?? "").trim().replace(/^[-−+]/, "");
+  if (!s) return undefined;
+  const frac = s.match(/^(\d+(?:\.\d+)?)\s*\/\s*(\d+(?:\.\d+)?)$/);
+  const n = frac ? Number(frac[1]) / Number(frac[2]) : /^\d+(?:\.\d+)?$/.test(s) ? Number(s) : NaN;
+  // "1/0" and overlong digit strings are not marks either.
+  return Number.isFinite(n) ? n : NaN;
+};
+
+/** Rounds to two decimals for display, dropping trailing zeros. */
+export const formatMarks = (n) => String(round2(n || 0));
+
+/**
+ * Scores a session. `responses` is keyed by question index, as userResponses.
+ * Returns counts, the list of incorrectly answered questions, and
+ * { rawMarks, negativeMarks, netScore, maxMarks } in marks.
+ */
+export const scoreSession = (questions, responses) => {
+  let attempted = 0, corrects = 0, rawMarks = 0, negativeMarks = 0, maxMarks = 0;
+  const incorrects = [];
+  questions.forEach((q, i) => {
+    maxMarks += questionMarks(q);
+    const r = responses[i];
+    if (!isAnswered(r)) return;
+    attempted++;
+    if (r.isCorrect) {
+      corrects++;
+      rawMarks += questionMarks(q);
+    } else {
+      incorrects.push(q);
+      negativeMarks += questionPenalty(q);
+    }
+  });
+  const total = questions.length;
+  return {
+    total,
+    attempted,
+    unanswered: total - attempted,
+    corrects,
+    incorrects,
+    accuracy: attempted > 0 ? Math.round((corrects / attempted) * 100) : 0,
+    rawMarks: round2(rawMarks),
+    negativeMarks: round2(negativeMarks),
+    netScore: round2(rawMarks - negativeMarks),
+    maxMarks: round2(maxMarks),
+  };
+};
@@ -0,0 +1,122 @@
+import { richTextToPlain } from "./richtext";
+import { isImageOnlyOption } from "./questions";
+
+/* ----------------- Library search ----------------- */
+// Full-text search over question text, options and explanations of every
+// topic. The query is split into words ("tcp window scaling") and "quoted
+// phrases"; a question matches when each of them appears in one of its
+// fields. Matching ignores case and accents and runs on the plain-text form
+// of the content, so "x^2" in LaTeX is found as "x²" is displayed.
+
+export const MIN_QUERY_LENGTH = 2;
+export const SNIPPET_RADIUS = 60;
+
+/** Words and quoted phrases of a query, folded; terms shorter than two characters are dropped. */
+export const parseSearchQuery = (query) => {
+  const terms = [];
+  String(query ?? "").replace(/"([^"]*)"|(\S+)/g, (_, phrase, word) => {
+    const term = fold(phrase ?? word).trim().replace(/\s+/g, " ");
+    if (term.length >= MIN_QUERY_LENGTH && !terms.includes(term)) terms.push(term);
+    return "";
+  });
+  return terms;
+};
+
+// Folding can change the length of a string (é -> e + accent), so it keeps a
+// map from each folded character back to its index in the original text.
+const foldWithMap = (text) => {
+  let folded = "";
+  const map = [];
+  for (let i = 0; i < text.length; i++) {
+    const f = text[i].normalize("NFKD").replace(/[\u0300-\u036f]/g, "").toLowerCase();
+    for (let k = 0; k < f.length; k++) {
+      folded += f[k];
+      map.push(i);
+    }
+  }
+  map.push(text.length);
+  return { folded, map };
+};
+
+const fold = (text) => foldWithMap(String(text ?? "")).folded;
+
+/** [start, end) ranges of `text` where any term occurs, merged and sorted. */
+export const matchRanges = (text, terms) => {
+  const { folded, map } = foldWithMap(String(text ?? ""));
+  const ranges = [];
+  terms.forEach(term => {
+    for (let at = folded.indexOf(term); at !== -1; at = folded.indexOf(term, at + term.length)) {
+      ranges.push([map[at], map[at + term.length - 1] + 1]);
+    }
+  });
+  ranges.sort((a, b) => a[0] - b[0]);
+  return ranges.reduce((out, r) => {
+    const last = out[out.length - 1];
+    if (last && r[0] <= last[1]) last[1] = Math.max(last[1], r[1]);
+    else out.push([...r]);
+    return out;
+  }, []);
+};
+
+/**
+ * `text` cut into [{ text, match }] pieces for highlighting. With `radius`,
+ * only the part around the first match is kept (ellipses mark the cuts).
+ */
+export const highlightSegments = (text, terms, radius) => {
+  let source = String(text ?? "");
+  let ranges = matchRanges(source, terms);
+  if (radius && ranges.length && source.length > radius * 2) {
+    const start = Math.max(0, ranges[0][0] - radius);
+    const end = Math.min(source.length, ranges[0][1] + radius);
+    const prefix = start > 0 ? "…" : "";
+    source = prefix + source.slice(start, end) + (end < source.length ? "…" : "");
+    const shift = prefix.length - start;
+    ranges = ranges
+      .filter(([s, e]) => s >= start && e <= end)
+      .map(([s, e]) => [s + shift, e + shift]);
+  }
+  const segments = [];
+  let pos = 0;
+  ranges.forEach(([s, e]) => {
+    if (s > pos) segments.push({ text: source.slice(pos, s), match: false });
+    segments.push({ text: source.slice(s, e), match: true });
+    pos = e;
+  });
+  if (pos < source.length) segments.push({ text: source.slice(pos), match: false });
+  return segments;
+};
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Searchable fields of a question, as plain text. Weights rank results:
+// a hit in the question counts most, one in the explanation least.
+const questionFields = (q) => [
+  { field: "question", text: richTextToPlain(q.q || ""), weight: 3 },
+  // Image-only options have placeholder text, which is not worth finding.
+  ...(q.options || []).map((o, i) => ({ field: "option", index: i, text: isImageOnlyOption(q, i) ? "" : richTextToPlain(String(o ?? "")), weight: 2 })),
+  { field: "explanation", text: richTextToPlain(q.explanation || ""), weight: 1 },
+];
+
+/**
+ * Searches every topic. Returns results best first:
+ * [{ topic, question, index, score, hits }], where `index` is the question's
+ * position in its topic and `hits` are the fields that matched
+ * ({ field: "question" | "option" | "explanation", index?, text }).
+ */
+export const searchLibrary = (topics, query) => {
+  const terms = parseSearchQuery(query);
+  if (terms.length === 0) return [];
+  const results = [];
+  topics.forEach(topic => {
+    topic.questions.forEach((question, index) => {
+      const fields = questionFields(question).map(f => ({ ...f, folded: fold(f.text) }));
+      if (!terms.every(term => fields.some(f => f.folded.includes(term)))) return;
+      const hits = fields.filter(f => terms.some(term => f.folded.includes(term)));
+      let score = hits.reduce((sum, f) => sum + f.weight * terms.filter(term => f.folded.includes(term)).length, 0);
+      // Whole-word hits outrank hits inside longer words.
+      score += terms.filter(term => fields.some(f => new RegExp(`(^|\\W)${escapeRegExp(term)}($|\\W)`).test(f.folded))).length;
+      results.push({ topic, question, index, score, hits: hits.map(({ field, index: i, text }) => ({ field, index: i, text })) });
+    });
+  });
+  return results.sort((a, b) => b.score - a.score);
+};
@@ -0,0 +1,114 @@
+import { questionType } from "./answers";
+import { apportion } from "./apportion";
+import { EMPTY_FILTERS, filterOptions, matchesFilters } from "./metadata";
+
+/* ----------------- Session builder ----------------- */
+// Picks the questions for a random practice session from the ticked topics:
+// filter (type, metadata, attempt status), share the requested count
+// between topics, then shuffle questions and, optionally, their options.
+
+export const ALLOCATIONS = [
+  { key: "proportional", label: "Proportional" },
+  { key: "equal", label: "Equal" },
+  { key: "weights", label: "Weights" },
+  { key: "quotas", label: "Quotas" },
+];
+
+export const STATUS_FILTERS = [
+  { key: "all", label: "All questions" },
+  { key: "unattempted", label: "Only unattempted" },
+  { key: "wrong", label: "Only previously wrong" },
+];
+
+export const DEFAULT_SESSION_CONFIG = {
+  count: 20,           // total questions; ignored for "quotas"
+  allocation: "proportional",
+  perTopic: {},        // topicId -> weight or quota
+  types: [],           // empty = every type
+  ...EMPTY_FILTERS,    // subjects, difficulties, years, tags ... (see utils/metadata)
+  status: "all",
+  shuffleOptions: true,
+};
+
+/** Fisher-Yates shuffle; returns a new array. */
+export const shuffleArray = (array, random = Math.random) => {
+  const a = array.slice();
+  for (let i = a.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [a[i], a[j]] = [a[j], a[i]];
+  }
+  return a;
+};
+
+/** Types and metadata values present in the topics, for the filter chips. */
+export const sessionFilterOptions = (topics) => {
+  const questions = topics.flatMap(t => t.questions);
+  return { types: [...new Set(questions.map(questionType))], ...filterOptions(questions) };
+};
+
+const matches = (q, config, learning) => {
+  if (config.types.length && !config.types.includes(questionType(q))) return false;
+  if (!matchesFilters(q, config)) return false;
+  const card = learning[q.id];
+  if (config.status === "unattempted") return !card || !card.attempts;
+  if (config.status === "wrong") return !!card && card.lastResult === "incorrect";
+  return true;
+};
+
+/**
+ * What a session with `config` would contain, without picking questions:
+ * { pools: [{ topic, questions, count }], total }.
+ */
+export const planSession = (topics, config, learning = {}) => {
+  const pools = topics.map(topic => ({ topic, questions: topic.questions.filter(q => matches(q, config, learning)) }));
+  const sizes = pools.map(p => p.questions.length);
+  const setting = (p) => Math.max(0, Number(config.perTopic[p.topic.id] ?? (config.allocation === "quotas" ? p.questions.length : 1)) || 0);
+  let counts;
+  if (config.allocation === "quotas") {
+    counts = pools.map((p, i) => Math.min(setting(p), sizes[i]));
+  } else {
+    const weights = pools.map((p, i) =>
+      config.allocation === "equal" ? 1 : config.allocation === "weights" ? setting(p) : sizes[i]);
+    const total = config.count === "all" ? Infinity : Math.max(0, Number(config.count) || 0);
+    counts = apportion(total, weights, sizes);
+  }
+  const planned = pools.map((p, i) => ({ ...p, count: counts[i] }));
+  return { pools: planned, total: counts.reduce((a, b) => a + b, 0) };
+};
+
+/** The question with its options in their original order. */
+export const unshuffleOptions = (question) => {
+  if (!question.optionOrder) return question;
+  const { optionOrder, ...q } = question;
+  const options = [];
+  const optionImages = [];
+  optionOrder.forEach((from, shown) => {
+    options[from] = question.options[shown];
+    if (question.optionImages) optionImages[from] = question.optionImages[shown];
+  });
+  return { ...q, options, ...(question.optionImages ? { optionImages } : {}) };
+};
+
+/**
+ * A copy of the question with its options in random order. Grading still
+ * works because answers.js resolves keys through `optionOrder`.
+ */
+export const shuffleOptions = (question, random = Math.random) => {
+  const base = unshuffleOptions(question);
+  if (questionType(base) === "NAT" || (base.options || []).length < 2) return base;
+  const order = shuffleArray(base.options.map((_, i) => i), random);
+  return {
+    ...base,
+    options: order.map(i => base.options[i]),
+    ...(base.optionImages ? { optionImages: order.map(i => base.optionImages[i]) } : {}),
+    optionOrder: order,
+  };
+};
+
+/** Picks and shuffles the session's questions according to planSession. */
+export const buildSession = (topics, config, learning = {}, random = Math.random) => {
+  const { pools } = planSession(topics, config, learning);
+  const picked = pools.flatMap(p => shuffleArray(p.questions, random).slice(0, p.count));
+  const questions = shuffleArray(picked, random);
+  return config.shuffleOptions ? questions.map(q => shuffleOptions(q, random)) : questions;
+};
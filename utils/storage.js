@@ -0,0 +1,242 @@
+/* ----------------- Persistent storage ----------------- */
+// Everything the app keeps between launches goes through this module.
+// Each slice lives under its own key so saving one answer does not rewrite
+// the whole question library. A separate meta key records the schema version;
+// on load, older data is run through `migrations` in order and written back.
+// Images are the exception to one key per slice: each gets a key of its own
+// (see saveImages), since a single entry is capped at about 2 MB on Android.
+//
+import { assignQuestionIds } from './questions';
+
+// AsyncStorage is used where available (native, and web via localStorage).
+// If it cannot be loaded we fall back to window.localStorage, then to memory.
+
+let AsyncStorage;
+try {
+  AsyncStorage = require('@react-native-async-storage/async-storage').default;
+} catch (e) {
+  AsyncStorage = null;
+}
+
+const memoryStore = {};
+
+const backend = AsyncStorage || {
+  getItem: async (key) => {
+    if (typeof localStorage !== 'undefined') return localStorage.getItem(key);
+    return key in memoryStore ? memoryStore[key] : null;
+  },
+  setItem: async (key, value) => {
+    if (typeof localStorage !== 'undefined') localStorage.setItem(key, value);
+    else memoryStore[key] = value;
+  },
+  removeItem: async (key) => {
+    if (typeof localStorage !== 'undefined') localStorage.removeItem(key);
+    else delete memoryStore[key];
+  },
+};
+
+export const SCHEMA_VERSION = 3;
+
+const META_KEY = 'gate-mcq/meta';
+
+// State slice -> storage key. Every slice loadState() returns is listed here.
+export const STORAGE_KEYS = {
+  topics: 'gate-mcq/topics',
+  session: 'gate-mcq/session',
+  selectedTopicIds: 'gate-mcq/selection',
+  learning: 'gate-mcq/learning',
+  history: 'gate-mcq/history',
+  images: 'gate-mcq/images',   // list of image refs; each image under IMAGE_KEY_PREFIX + ref
+  annotations: 'gate-mcq/annotations',
+  blueprints: 'gate-mcq/blueprints',
+  sync: 'gate-mcq/sync',
+};
+
+const IMAGE_KEY_PREFIX = 'gate-mcq/image/';
+
+// Largest data URI written to storage. Android's AsyncStorage cannot read back
+// an entry above about 2 MB, so bigger images are refused up front.
+export const MAX_STORED_IMAGE_LENGTH = 1.5 * 1024 * 1024;
+
+// Shape of a fresh install.
+const emptyState = () => ({
+  topics: [],
+  session: null,
+  selectedTopicIds: [],
+  learning: {},
+  history: [],
+  images: {},
+  annotations: {},
+  blueprints: [],
+  sync: null,
+});
+
+/**
+ * Migrations keyed by the version they upgrade TO. Each receives the full
+ * state object produced by the previous version and returns the new one.
+ * Never edit a migration once released; add a new version instead.
+ */
+const migrations = {
+  // 0 -> 1: data written before versioning existed is already in the v1 shape.
+  1: (state) => state,
+  // 1 -> 2: questions get permanent ids (learning history is keyed by them).
+  // A saved session held throwaway per-session ids; its questions are matched
+  // back to the library by content so they pick up the permanent ones.
+  2: (state) => {
+    const topics = state.topics.map(t => ({ ...t, questions: assignQuestionIds(t.questions || []) }));
+    const contentKey = (q) => JSON.stringify([q.q, q.options, q.correct]);
+    const idByContent = new Map();
+    topics.forEach(t => t.questions.forEach(q => idByContent.set(contentKey(q), q.id)));
+    const session = state.session && {
+      ...state.session,
+      currentQuestions: assignQuestionIds((state.session.currentQuestions || []).map(q => {
+        const { id, ...rest } = q;
+        return idByContent.has(contentKey(q)) ? { ...rest, id: idByContent.get(contentKey(q)) } : rest;
+      })),
+    };
+    return { ...state, topics, session, learning: {} };
+  },
+  // 2 -> 3: the image store moves from one key to one key per image. The
+  // state shape is unchanged; loadState reads either layout.
+  3: (state) => state,
+};
+
+export const migrateState = (state, fromVersion) => {
+  let next = { ...emptyState(), ...state };
+  for (let v = fromVersion + 1; v <= SCHEMA_VERSION; v++) {
+    if (migrations[v]) next = migrations[v](next);
+  }
+  return next;
+};
+
+const readJSON = async (key) => {
+  try {
+    const raw = await backend.getItem(key);
+    return raw ? JSON.parse(raw) : undefined;
+  } catch (e) {
+    console.warn(`Could not read ${key}:`, e);
+    return undefined;
+  }
+};
+
+// Set when the stored data comes from a newer schema, so this build never
+// overwrites it with an older shape.
+let writesBlocked = false;
+
+// Resolves to false if the value could not be written (storage full, entry
+// too large), so callers can tell the user.
+const writeJSON = async (key, value) => {
+  if (writesBlocked) return true;
+  try {
+    if (value === null || value === undefined) await backend.removeItem(key);
+    else await backend.setItem(key, JSON.stringify(value));
+    return true;
+  } catch (e) {
+    console.warn(`Could not write ${key}:`, e);
+    return false;
+  }
+};
+
+// Refs of the images currently in storage, so a save only writes new images
+// and removes dropped ones.
+let storedImageRefs = new Set();
+
+// { ref: dataUri } from the image list; images that cannot be read are left out.
+const readImages = async (refs) => {
+  const images = {};
+  for (const ref of refs) {
+    const uri = await readJSON(IMAGE_KEY_PREFIX + ref);
+    if (typeof uri === 'string') images[ref] = uri;
+  }
+  storedImageRefs = new Set(Object.keys(images));
+  return images;
+};
+
+const writeImages = async (images) => {
+  if (writesBlocked) return [];
+  const failed = [];
+  for (const [ref, uri] of Object.entries(images)) {
+    if (storedImageRefs.has(ref)) continue;
+    if (String(uri).length > MAX_STORED_IMAGE_LENGTH || !(await writeJSON(IMAGE_KEY_PREFIX + ref, uri))) {
+      failed.push(ref);
+      continue;
+    }
+    storedImageRefs.add(ref);
+  }
+  for (const ref of [...storedImageRefs]) {
+    if (ref in images) continue;
+    await writeJSON(IMAGE_KEY_PREFIX + ref, null);
+    storedImageRefs.delete(ref);
+  }
+  // The list names only images that were written, so a later launch never
+  // looks for one that is not there.
+  if (!(await writeJSON(STORAGE_KEYS.images, [...storedImageRefs]))) return Object.keys(images);
+  return failed;
+};
+
+// Image saves run one at a time; each works from what the previous one stored.
+let imageWrites = Promise.resolve();
+
+/**
+ * Loads every persisted slice, migrating it to SCHEMA_VERSION if needed.
+ * Always resolves; missing or unreadable slices come back as their defaults.
+ */
+export const loadState = async () => {
+  const meta = await readJSON(META_KEY);
+  const stored = {};
+  for (const slice of Object.keys(STORAGE_KEYS)) {
+    const value = await readJSON(STORAGE_KEYS[slice]);
+    if (value !== undefined) stored[slice] = value;
+  }
+  // v3 keeps a list of refs with each image under its own key; older data
+  // has the whole { ref: dataUri } map under the images key.
+  if (Array.isArray(stored.images)) stored.images = await readImages(stored.images);
+
+  const fromVersion = meta?.version ?? (Object.keys(stored).length > 0 ? 0 : SCHEMA_VERSION);
+  if (fromVersion > SCHEMA_VERSION) {
+    // Written by a newer build; read what we can but never write it back down.
+    console.warn(`Stored schema v${fromVersion} is newer than v${SCHEMA_VERSION}.`);
+    writesBlocked = true;
+    return { ...emptyState(), ...stored };
+  }
+
+  const state = migrateState(stored, fromVersion);
+  if (!meta || fromVersion !== SCHEMA_VERSION) await saveState(state);
+  return state;
+};
+
+/** Writes the full state and stamps the current schema version. */
+export const saveState = async (state) => {
+  const full = { ...emptyState(), ...state };
+  for (const slice of Object.keys(STORAGE_KEYS)) {
+    if (slice === 'images') await saveImages(full.images);
+    else await writeJSON(STORAGE_KEYS[slice], full[slice]);
+  }
+  await writeJSON(META_KEY, { version: SCHEMA_VERSION });
+};
+
+export const saveTopics = (topics) => writeJSON(STORAGE_KEYS.topics, topics);
+
+export const saveSession = (session) => writeJSON(STORAGE_KEYS.session, session);
+
+export const saveSelection = (ids) => writeJSON(STORAGE_KEYS.selectedTopicIds, ids);
+
+export const saveLearning = (learning) => writeJSON(STORAGE_KEYS.learning, learning);
+
+export const saveHistory = (history) => writeJSON(STORAGE_KEYS.history, history);
+
+/**
+ * Writes the image store, one key per image. Resolves to the refs that could
+ * not be stored (too large, or storage full); those are lost on restart.
+ */
+export const saveImages = (images) => {
+  const result = imageWrites.then(() => writeImages(images || {}));
+  imageWrites = result.catch(() => {});
+  return result;
+};
+
+export const saveAnnotations = (annotations) => writeJSON(STORAGE_KEYS.annotations, annotations);
+
+export const saveBlueprints = (blueprints) => writeJSON(STORAGE_KEYS.blueprints, blueprints);
+
+export const saveSync = (sync) => writeJSON(STORAGE_KEYS.sync, sync);
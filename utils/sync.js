@@ -0,0 +1,296 @@
+/* ----------------- Multi-device sync ----------------- */
+// Optional sync with a self-hosted server (see server/). The library is split
+// into records, one per topic, learning card, session record, annotation,
+// blueprint and stored image:
+//   { collection, id, rev, seq, updatedAt, deviceId, deleted, data }
+// The server gives each record a revision number that goes up with every
+// accepted write, and a global change sequence (`seq`) that clients pull
+// from. The client remembers, per record, the revision and content hash it
+// last agreed on with the server (`meta.known`), so it works offline: any
+// record whose content no longer matches is a local change, pushed on the
+// next sync with the revision it was based on. A push based on an old
+// revision is refused as a conflict; the client merges (see RESOLVERS),
+// then pushes the merge on top of the server's revision.
+//
+// This module has no imports so the reference server's tests can load it
+// straight into Node.
+
+export const SYNC_COLLECTIONS = ["topics", "learning", "history", "annotations", "blueprints", "images"];
+
+export const EMPTY_SYNC_META = {
+  serverUrl: "",
+  token: "",
+  deviceId: null,
+  cursor: 0,          // highest server seq pulled so far
+  known: {},          // "collection/id" -> { rev, hash } as last agreed with the server
+  lastSyncedAt: null,
+  lastError: null,
+};
+
+// Pushes are sent in batches so a first sync of a large library (images
+// included) does not become one huge request.
+const PUSH_BATCH = 200;
+// Rounds of push -> conflict -> merge before giving up until the next sync.
+const MAX_ROUNDS = 3;
+
+const recordKey = (collection, id) => `${collection}/${id}`;
+
+/* ----------------- Hashing ----------------- */
+
+// JSON with sorted object keys, so equal content always hashes alike.
+const stableJson = (value) => {
+  if (Array.isArray(value)) return `[${value.map(stableJson).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value).sort().filter(k => value[k] !== undefined).map(k => `${JSON.stringify(k)}:${stableJson(value[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+/** Content hash of a record's data (FNV-1a, 2 × 32 bits, as hex). */
+export const hashData = (data) => {
+  const s = stableJson(data);
+  let h1 = 0x811c9dc5, h2 = 0x01000193 ^ s.length;
+  for (let i = 0; i < s.length; i++) {
+    const c = s.charCodeAt(i);
+    h1 = Math.imul(h1 ^ c, 0x01000193);
+    h2 = Math.imul(h2 ^ c, 0x5bd1e995);
+  }
+  return (h1 >>> 0).toString(16).padStart(8, "0") + (h2 >>> 0).toString(16).padStart(8, "0");
+};
+
+/* ----------------- State <-> records ----------------- */
+
+const byId = (list) => Object.fromEntries((list || []).filter(item => item && item.id).map(item => [item.id, item]));
+
+/** The syncable part of app state as { collection: { id: data } }. */
+export const stateToRecords = (state) => ({
+  topics: byId(state.topics),
+  learning: { ...state.learning },
+  history: byId(state.history),
+  annotations: { ...state.annotations },
+  blueprints: byId(state.blueprints),
+  images: { ...state.images },
+});
+
+// Lists keep their local order; records new to this device go at the end.
+const mergeList = (list, records) => {
+  const kept = (list || []).filter(item => records[item.id]).map(item => records[item.id]);
+  const seen = new Set(kept.map(item => item.id));
+  return [...kept, ...Object.values(records).filter(item => !seen.has(item.id))];
+};
+
+/** App state with the collections replaced by `records`. */
+export const recordsToState = (state, records) => ({
+  ...state,
+  topics: mergeList(state.topics, records.topics),
+  learning: records.learning,
+  history: Object.values(records.history).sort((a, b) => (a.completedAt || 0) - (b.completedAt || 0)),
+  annotations: records.annotations,
+  blueprints: mergeList(state.blueprints, records.blueprints),
+  images: records.images,
+});
+
+/* ----------------- Conflict resolution ----------------- */
+// Each resolver gets the local and the server version of a record (data, or
+// null when deleted there) and returns the merged data. Edits win over
+// deletions throughout: a record deleted on one device and changed on
+// another comes back with the change.
+//
+// Topics, blueprints and annotations carry the time they were last edited
+// (`updatedAt` in the data, set by the app), so the later edit wins whichever
+// device syncs last. Without one (data from older builds) the server's copy
+// wins.
+
+const newer = (local, remote) => ((local.data.updatedAt || 0) > (remote.data.updatedAt || 0) ? local : remote);
+
+export const RESOLVERS = {
+  // The topic edited last wins, keeping questions only the other side has,
+  // so questions added on two devices both survive.
+  topics: (local, remote) => {
+    const win = newer(local, remote);
+    const lose = win === local ? remote : local;
+    const ids = new Set(win.data.questions.map(q => q.id));
+    return { ...win.data, questions: [...win.data.questions, ...lose.data.questions.filter(q => !ids.has(q.id))] };
+  },
+  // The card that has seen more reviews carries the most history.
+  learning: (local, remote) => {
+    const a = local.data, b = remote.data;
+    if ((a.attempts || 0) !== (b.attempts || 0)) return (a.attempts || 0) > (b.attempts || 0) ? a : b;
+    return (a.lastSeen || 0) >= (b.lastSeen || 0) ? a : b;
+  },
+  // Session records never change once written.
+  history: (local, remote) => remote.data,
+  annotations: (local, remote) => newer(local, remote).data,
+  blueprints: (local, remote) => newer(local, remote).data,
+  // Keyed by content hash, so both sides hold the same image.
+  images: (local, remote) => remote.data,
+};
+
+/** Merged data for a record both sides changed; null means deleted. */
+export const resolveConflict = (collection, local, remote) => {
+  if (local.data === null && remote.data === null) return null;
+  if (local.data === null) return remote.data;
+  if (remote.data === null) return local.data;
+  return RESOLVERS[collection](local, remote);
+};
+
+/**
+ * Puts changes made while a sync was running on top of its result. `before`
+ * is the state the sync started from, `current` the state now and `synced`
+ * the sync's result. Records changed here in the meantime are kept (merged
+ * with the server's copy if the sync changed them too); the rest come from
+ * `synced`. The kept changes are local changes again and go out next sync.
+ */
+export const rebaseOnSync = (before, current, synced) => {
+  const base = stateToRecords(before), mine = stateToRecords(current), theirs = stateToRecords(synced);
+  const records = {};
+  SYNC_COLLECTIONS.forEach(collection => {
+    const was = base[collection], now = mine[collection], got = theirs[collection];
+    const out = { ...got };
+    // Records are replaced, never changed in place, so identity tells an edit.
+    new Set([...Object.keys(was), ...Object.keys(now)]).forEach(id => {
+      if (was[id] === now[id]) return;
+      const local = id in now ? now[id] : null;
+      const merged = got[id] === was[id] ? local : resolveConflict(collection, { data: local }, { data: id in got ? got[id] : null });
+      if (merged === null) delete out[id];
+      else out[id] = merged;
+    });
+    records[collection] = out;
+  });
+  return recordsToState(current, records);
+};
+
+/* ----------------- Transport ----------------- */
+
+/**
+ * HTTP transport for the reference server: { pull(since), push(deviceId,
+ * changes) }. Failures reject with an Error whose message can be shown.
+ */
+export const httpTransport = ({ serverUrl, token, fetch: fetchImpl = globalThis.fetch }) => {
+  const base = String(serverUrl || "").trim().replace(/\/+$/, "");
+  const request = async (path, body) => {
+    let res;
+    try {
+      res = await fetchImpl(`${base}${path}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+        body: JSON.stringify(body),
+      });
+    } catch (e) {
+      throw new Error(`Cannot reach the sync server at ${base}.`);
+    }
+    let json = null;
+    try { json = await res.json(); } catch (e) { json = null; }
+    if (!res.ok) throw new Error(json?.error || `Sync server error (${res.status}).`);
+    return json;
+  };
+  return {
+    pull: (since) => request("/sync/pull", { since }),
+    push: (deviceId, changes) => request("/sync/push", { deviceId, changes }),
+  };
+};
+
+/* ----------------- Sync ----------------- */
+
+/** A random id for this device's installation. */
+export const makeDeviceId = () => `dev-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+/**
+ * Local records that differ from what was last agreed with the server:
+ * [{ collection, id, baseRev, deleted, data }]. Records gone locally but
+ * known to the server are deletions.
+ */
+export const localChanges = (records, known) => {
+  const changes = [];
+  SYNC_COLLECTIONS.forEach(collection => {
+    Object.entries(records[collection]).forEach(([id, data]) => {
+      const k = known[recordKey(collection, id)];
+      if (!k || k.deleted || k.hash !== hashData(data)) changes.push({ collection, id, baseRev: k?.rev || 0, deleted: false, data });
+    });
+  });
+  Object.entries(known).forEach(([key, k]) => {
+    if (k.deleted) return;
+    const slash = key.indexOf("/");
+    const collection = key.slice(0, slash), id = key.slice(slash + 1);
+    if (records[collection] && !(id in records[collection])) changes.push({ collection, id, baseRev: k.rev, deleted: true, data: null });
+  });
+  return changes;
+};
+
+const knownEntry = (record) => ({ rev: record.rev, hash: record.deleted ? null : hashData(record.data), ...(record.deleted ? { deleted: true } : {}) });
+
+/**
+ * One sync round trip: pull what changed on the server, merge it with local
+ * changes, push what is left. Returns { state, meta, report } with report
+ * { pulled, pushed, conflicts }; state and meta are new objects, the inputs
+ * are not changed. Throws (leaving everything as it was) when the server
+ * cannot be reached, so an offline device simply syncs later.
+ */
+export const syncOnce = async ({ state, meta, transport, now = Date.now() }) => {
+  const records = stateToRecords(state);
+  const known = { ...meta.known };
+  const deviceId = meta.deviceId || makeDeviceId();
+  const report = { pulled: 0, pushed: 0, conflicts: 0 };
+
+  // Local data for a record, or null when it is deleted or absent here.
+  const localOf = (collection, id) => (id in records[collection] ? records[collection][id] : null);
+  const setLocal = (collection, id, data) => {
+    if (data === null) delete records[collection][id];
+    else records[collection][id] = data;
+  };
+  const isDirty = (collection, id) => {
+    const k = known[recordKey(collection, id)];
+    const data = localOf(collection, id);
+    if (!k) return data !== null;
+    return data === null ? !k.deleted : k.deleted || k.hash !== hashData(data);
+  };
+  // Brings a server record in, merging when the local copy has changed too.
+  // The merge stays a local change and goes out with the push.
+  const takeRemote = (record) => {
+    const { collection, id } = record;
+    if (!SYNC_COLLECTIONS.includes(collection)) return;
+    const key = recordKey(collection, id);
+    if (known[key] && known[key].rev >= record.rev) return;
+    if (isDirty(collection, id)) {
+      setLocal(collection, id, resolveConflict(collection, { data: localOf(collection, id) }, { data: record.deleted ? null : record.data }));
+      report.conflicts++;
+    } else {
+      setLocal(collection, id, record.deleted ? null : record.data);
+    }
+    known[key] = knownEntry(record);
+    report.pulled++;
+  };
+
+  // Pull everything new since the cursor.
+  let cursor = meta.cursor || 0;
+  for (;;) {
+    const page = await transport.pull(cursor);
+    (page.changes || []).forEach(takeRemote);
+    cursor = Math.max(cursor, page.cursor || 0);
+    if (!page.more) break;
+  }
+
+  // Push local changes; refused ones are merged with the server copy and retried.
+  for (let round = 0; round < MAX_ROUNDS; round++) {
+    const changes = localChanges(records, known).map(c => ({ ...c, updatedAt: now }));
+    if (changes.length === 0) break;
+    let refused = 0;
+    for (let i = 0; i < changes.length; i += PUSH_BATCH) {
+      const result = await transport.push(deviceId, changes.slice(i, i + PUSH_BATCH));
+      (result.accepted || []).forEach(a => {
+        const sent = changes.find(c => c.collection === a.collection && c.id === a.id);
+        if (!sent) return;
+        known[recordKey(a.collection, a.id)] = knownEntry({ ...sent, rev: a.rev });
+        report.pushed++;
+      });
+      (result.conflicts || []).forEach(record => { takeRemote(record); refused++; });
+    }
+    if (refused === 0) break;
+  }
+
+  return {
+    state: recordsToState(state, records),
+    meta: { ...meta, deviceId, cursor, known, lastSyncedAt: now, lastError: null },
+    report,
+  };
+};
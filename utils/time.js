@@ -0,0 +1,22 @@
+/* ----------------- Time formatting ----------------- */
+
+const pad2 = (n) => String(n).padStart(2, "0");
+
+/** Countdown style: "2:59:07", or "4:05" when under an hour. */
+export const formatClock = (ms) => {
+  const total = Math.max(0, Math.ceil((ms || 0) / 1000));
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = total % 60;
+  return h > 0 ? `${h}:${pad2(m)}:${pad2(s)}` : `${m}:${pad2(s)}`;
+};
+
+/** Compact duration: "45s", "3m 20s", "1h 05m". */
+export const formatDuration = (ms) => {
+  const total = Math.max(0, Math.round((ms || 0) / 1000));
+  if (total < 60) return `${total}s`;
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = total % 60;
+  return h > 0 ? `${h}h ${pad2(m)}m` : `${m}m ${pad2(s)}s`;
+};
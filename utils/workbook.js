@@ -0,0 +1,38 @@
+import * as XLSX from "xlsx";
+import { rowsToReport } from "./questions";
+
+/* ----------------- Excel workbooks (.xls / .xlsx) ----------------- */
+// SheetJS reads both the legacy binary format and OOXML from the raw bytes.
+// Each sheet is flattened to a 2D array of display strings and goes through
+// the same header mapping as CSV imports.
+
+export const isSpreadsheetName = (name) => /\.(xls|xlsx)$/i.test(name || "");
+
+/**
+ * Reads a workbook from an ArrayBuffer / Uint8Array.
+ * Returns { sheetNames, sheets } where sheets[name] is an array of rows.
+ * Throws if the bytes are not a readable workbook.
+ */
+export const readWorkbook = (data) => {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  const wb = XLSX.read(bytes, { type: "array" });
+  const sheets = {};
+  wb.SheetNames.forEach(name => {
+    sheets[name] = XLSX.utils.sheet_to_json(wb.Sheets[name], {
+      header: 1,
+      defval: "",
+      raw: false,
+      // Keep blank rows so array index + 1 is the spreadsheet row number.
+      blankrows: true,
+    });
+  });
+  return { sheetNames: wb.SheetNames.slice(), sheets };
+};
+
+/** Import report (see rowsToReport) for one sheet of a workbook from readWorkbook. */
+export const sheetToReport = (workbook, sheetName) =>
+  rowsToReport(workbook?.sheets?.[sheetName] || []);
+
+/** Questions parsed from one sheet of a workbook returned by readWorkbook. */
+export const sheetToQuestions = (workbook, sheetName) =>
+  sheetToReport(workbook, sheetName).questions;